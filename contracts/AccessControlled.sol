@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// Libraries.
+import "./libraries/Roles.sol";
+
+// Interfaces.
+import './interfaces/IAccessController.sol';
+
+/**
+ * @title Base contract for contracts whose restricted functions are gated by roles in the AccessController.
+ */
+abstract contract AccessControlled {
+    IAccessController public immutable accessController;
+
+    constructor(address _accessController) {
+        accessController = IAccessController(_accessController);
+    }
+
+    /* ========== MODIFIERS ========== */
+
+    modifier onlyRole(uint256 _role) {
+        require(accessController.hasRole(_role, msg.sender), "AccessControlled: Caller doesn't have the required role.");
+        _;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// Libraries.
+import "./libraries/Roles.sol";
+
+// Inheritance.
+import './interfaces/IAccessController.sol';
+
+contract AccessController is IAccessController {
+    /* ========== STATE VARIABLES ========== */
+
+    address public override admin;
+    address public pendingAdmin;
+
+    // (role index => accounts that hold the role).
+    // The admin role is not stored here since it always has exactly one member.
+    mapping (uint256 => address[]) internal roleMembers;
+
+    // (role index => (account => position of the account in roleMembers, starting from 1)).
+    // A position of 0 means the account doesn't hold the role.
+    mapping (uint256 => mapping (address => uint256)) internal memberPositions;
+
+    /* ========== CONSTRUCTOR ========== */
+
+    /**
+    * @dev The deployer starts as the admin and holds every other role, so the protocol can be set up before roles are handed out.
+    */
+    constructor() {
+        admin = msg.sender;
+
+        for (uint256 i = Roles.ADMIN + 1; i < Roles.NUMBER_OF_ROLES; i++) {
+            _grantRole(i, msg.sender);
+        }
+    }
+
+    /* ========== VIEWS ========== */
+
+    /**
+    * @notice Returns whether the given account holds the given role.
+    * @param _role Index of the role. Ex) 0 = admin, 1 = operator, 2 = asset lister, 3 = guardian, 4 = fee manager.
+    * @param _account Address of the account.
+    */
+    function hasRole(uint256 _role, address _account) public view override returns (bool) {
+        if (_role == Roles.ADMIN) {
+            return _account == admin;
+        }
+
+        return memberPositions[_role][_account] > 0;
+    }
+
+    /**
+    * @notice Returns the number of accounts that hold the given role.
+    * @param _role Index of the role.
+    */
+    function getRoleMemberCount(uint256 _role) external view override returns (uint256) {
+        if (_role == Roles.ADMIN) {
+            return 1;
+        }
+
+        return roleMembers[_role].length;
+    }
+
+    /**
+    * @notice Returns the addresses of the accounts that hold the given role.
+    * @param _role Index of the role.
+    */
+    function getRoleMembers(uint256 _role) external view override returns (address[] memory) {
+        if (_role == Roles.ADMIN) {
+            address[] memory admins = new address[](1);
+            admins[0] = admin;
+            return admins;
+        }
+
+        return roleMembers[_role];
+    }
+
+    /* ========== MUTATIVE FUNCTIONS ========== */
+
+    /**
+    * @notice Removes the given role from msg.sender.
+    * @dev The admin role cannot be renounced, since the protocol would be left without an admin.
+    * @param _role Index of the role.
+    */
+    function renounceRole(uint256 _role) external override {
+        require(_role != Roles.ADMIN, "AccessController: Admin role cannot be renounced.");
+        require(hasRole(_role, msg.sender), "AccessController: Account doesn't have the role.");
+
+        _revokeRole(_role, msg.sender);
+    }
+
+    /**
+    * @notice Updates the address of the admin to the pending admin.
+    * @dev Only the pending admin can call this function.
+    */
+    function acceptAdmin() external override {
+        require(msg.sender == pendingAdmin, "AccessController: Only the pending admin can call this function.");
+
+        admin = msg.sender;
+        pendingAdmin = address(0);
+
+        emit NewAdmin(msg.sender);
+    }
+
+    /* ========== RESTRICTED FUNCTIONS ========== */
+
+    /**
+    * @notice Gives the given role to the given account.
+    * @dev Only the admin can call this function.
+    * @dev The admin role cannot be granted; use setPendingAdmin() and acceptAdmin() instead.
+    * @param _role Index of the role.
+    * @param _account Address of the account.
+    */
+    function grantRole(uint256 _role, address _account) external override onlyAdmin {
+        require(_role > Roles.ADMIN && _role < Roles.NUMBER_OF_ROLES, "AccessController: Role is out of bounds.");
+        require(_account != address(0), "AccessController: Invalid address for account.");
+        require(!hasRole(_role, _account), "AccessController: Account already has the role.");
+
+        _grantRole(_role, _account);
+    }
+
+    /**
+    * @notice Removes the given role from the given account.
+    * @dev Only the admin can call this function.
+    * @param _role Index of the role.
+    * @param _account Address of the account.
+    */
+    function revokeRole(uint256 _role, address _account) external override onlyAdmin {
+        require(_role != Roles.ADMIN, "AccessController: Admin role cannot be revoked.");
+        require(hasRole(_role, _account), "AccessController: Account doesn't have the role.");
+
+        _revokeRole(_role, _account);
+    }
+
+    /**
+    * @notice Nominates the given address as the next admin.
+    * @dev Only the admin can call this function.
+    * @dev The nominee becomes admin once they call acceptAdmin().
+    * @param _pendingAdmin Address of the pending admin.
+    */
+    function setPendingAdmin(address _pendingAdmin) external override onlyAdmin {
+        pendingAdmin = _pendingAdmin;
+
+        emit NewPendingAdmin(_pendingAdmin);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Adds the given account to the role's members.
+    * @param _role Index of the role.
+    * @param _account Address of the account.
+    */
+    function _grantRole(uint256 _role, address _account) internal {
+        roleMembers[_role].push(_account);
+        memberPositions[_role][_account] = roleMembers[_role].length;
+
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    /**
+    * @notice Removes the given account from the role's members.
+    * @dev Moves the last member into the removed account's position to keep the array packed.
+    * @param _role Index of the role.
+    * @param _account Address of the account.
+    */
+    function _revokeRole(uint256 _role, address _account) internal {
+        uint256 index = memberPositions[_role][_account] - 1;
+        uint256 lastIndex = roleMembers[_role].length - 1;
+
+        if (index != lastIndex) {
+            address lastMember = roleMembers[_role][lastIndex];
+            roleMembers[_role][index] = lastMember;
+            memberPositions[_role][lastMember] = index + 1;
+        }
+
+        roleMembers[_role].pop();
+        delete memberPositions[_role][_account];
+
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+
+    /* ========== MODIFIERS ========== */
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "AccessController: Only the admin can call this function.");
+        _;
+    }
+
+    /* ========== EVENTS ========== */
+
+    event RoleGranted(uint256 indexed role, address indexed account, address sender);
+    event RoleRevoked(uint256 indexed role, address indexed account, address sender);
+    event NewAdmin(address indexed newAdmin);
+    event NewPendingAdmin(address indexed newPendingAdmin);
+}
\ No newline at end of file
@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// OpenZeppelin.
+import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
+import "./openzeppelin-solidity/contracts/SafeMath.sol";
+
+// Interfaces.
+import './interfaces/IOracle.sol';
+import './interfaces/ISyntheticAssetTokenRegistry.sol';
+
+// Inheritance.
+import './interfaces/IAssetListingManager.sol';
+import './AccessControlled.sol';
+
+contract AssetListingManager is IAssetListingManager, AccessControlled {
+    using SafeERC20 for IERC20;
+    using SafeMath for uint256;
+
+    /* ========== CONSTANTS ========== */
+
+    uint256 public constant PENDING = 0;
+    uint256 public constant CHALLENGED = 1;
+    uint256 public constant APPROVED = 2;
+    uint256 public constant REJECTED = 3;
+
+    uint256 public constant MINIMUM_CHALLENGE_PERIOD = 1 days;
+    uint256 public constant MAXIMUM_CHALLENGE_PERIOD = 30 days;
+
+    /* ========== STATE VARIABLES ========== */
+
+    IOracle public immutable oracle;
+    ISyntheticAssetTokenRegistry public immutable registry;
+    IERC20 public immutable bondToken;
+    // Receives the bonds of rejected proposals that were not challenged.
+    address public immutable treasury;
+
+    uint256 public bondAmount;
+    // Number of seconds after a proposal is made during which it can be challenged.
+    uint256 public challengePeriod;
+
+    uint256 public numberOfProposals;
+    // (proposal index => proposal info).
+    // Starts at index 1.
+    mapping (uint256 => Proposal) public proposals;
+    // (data feed address => index of the data feed's latest proposal).
+    mapping (address => uint256) public dataFeedToProposal;
+
+    constructor(address _accessController, address _oracle, address _registry, address _bondToken, address _treasury, uint256 _bondAmount, uint256 _challengePeriod) AccessControlled(_accessController) {
+        require(_challengePeriod >= MINIMUM_CHALLENGE_PERIOD && _challengePeriod <= MAXIMUM_CHALLENGE_PERIOD, "AssetListingManager: Challenge period is out of bounds.");
+
+        oracle = IOracle(_oracle);
+        registry = ISyntheticAssetTokenRegistry(_registry);
+        bondToken = IERC20(_bondToken);
+        treasury = _treasury;
+        bondAmount = _bondAmount;
+        challengePeriod = _challengePeriod;
+    }
+
+    /* ========== VIEWS ========== */
+
+    /**
+    * @notice Returns the status of the given proposal.
+    * @dev Returns 0 (pending) if the proposal is not found.
+    * @param _index Index of the proposal.
+    * @return uint256 Status of the proposal. Ex) 0 = pending, 1 = challenged, 2 = approved, 3 = rejected.
+    */
+    function getProposalStatus(uint256 _index) external view override returns (uint256) {
+        return proposals[_index].status;
+    }
+
+    /* ========== MUTATIVE FUNCTIONS ========== */
+
+    /**
+    * @notice Proposes a synthetic asset for the given data feed.
+    * @dev Transaction will revert if none of the oracle's data sources has a data feed for [_dataFeed].
+    * @dev Assumes that msg.sender has approved the bond amount of the bond token.
+    * @param _dataFeed Address of the data feed the synthetic asset would track.
+    * @param _maxSupply The maximum number of tokens that can be minted.
+    * @param _name A custom name for this asset.
+    * @param _symbol A custom symbol for this asset.
+    * @return uint256 Index of the proposal.
+    */
+    function proposeAsset(address _dataFeed, uint256 _maxSupply, string memory _name, string memory _symbol) external override returns (uint256) {
+        require(_maxSupply > 0, "AssetListingManager: Max supply must be positive.");
+        require(oracle.hasDataFeed(_dataFeed), "AssetListingManager: Data feed not found.");
+
+        // Gas savings.
+        uint256 latestProposal = dataFeedToProposal[_dataFeed];
+
+        require(latestProposal == 0 || proposals[latestProposal].status == REJECTED, "AssetListingManager: Data feed already has an active proposal or listing.");
+
+        uint256 index = numberOfProposals.add(1);
+        uint256 challengeDeadline = block.timestamp.add(challengePeriod);
+
+        numberOfProposals = index;
+        dataFeedToProposal[_dataFeed] = index;
+        proposals[index] = Proposal({
+            proposer: msg.sender,
+            dataFeed: _dataFeed,
+            maxSupply: _maxSupply,
+            name: _name,
+            symbol: _symbol,
+            bond: bondAmount,
+            challengeDeadline: challengeDeadline,
+            challenger: address(0),
+            status: PENDING,
+            syntheticAsset: address(0)
+        });
+
+        bondToken.safeTransferFrom(msg.sender, address(this), bondAmount);
+
+        emit ProposedAsset(index, msg.sender, _dataFeed, _maxSupply, _name, _symbol, bondAmount, challengeDeadline);
+
+        return index;
+    }
+
+    /**
+    * @notice Challenges the given proposal, leaving the outcome to the asset listers.
+    * @dev Assumes that msg.sender has approved the proposal's bond amount of the bond token.
+    * @dev The proposal must be pending and its challenge period must not have ended.
+    * @param _index Index of the proposal.
+    */
+    function challengeProposal(uint256 _index) external override proposalExists(_index) {
+        Proposal storage proposal = proposals[_index];
+
+        require(proposal.status == PENDING, "AssetListingManager: Proposal is not pending.");
+        require(block.timestamp < proposal.challengeDeadline, "AssetListingManager: Challenge period has ended.");
+
+        proposal.status = CHALLENGED;
+        proposal.challenger = msg.sender;
+
+        bondToken.safeTransferFrom(msg.sender, address(this), proposal.bond);
+
+        emit ChallengedProposal(_index, msg.sender);
+    }
+
+    /**
+    * @notice Lists the synthetic asset of an unchallenged proposal and returns the proposer's bond.
+    * @dev Anyone can call this function once the proposal's challenge period has ended.
+    * @param _index Index of the proposal.
+    */
+    function executeProposal(uint256 _index) external override proposalExists(_index) {
+        require(proposals[_index].status == PENDING, "AssetListingManager: Proposal is not pending.");
+        require(block.timestamp >= proposals[_index].challengeDeadline, "AssetListingManager: Challenge period hasn't ended.");
+
+        _approveProposal(_index);
+    }
+
+    /* ========== RESTRICTED FUNCTIONS ========== */
+
+    /**
+    * @notice Lists the synthetic asset of the given proposal.
+    * @dev Only accounts with the asset lister role can call this function.
+    * @dev If the proposal was challenged, the challenger's bond is slashed and sent to the proposer.
+    * @param _index Index of the proposal.
+    */
+    function approveProposal(uint256 _index) external override onlyRole(Roles.ASSET_LISTER) proposalExists(_index) {
+        require(proposals[_index].status == PENDING || proposals[_index].status == CHALLENGED, "AssetListingManager: Proposal has already been resolved.");
+
+        _approveProposal(_index);
+    }
+
+    /**
+    * @notice Rejects the given proposal and slashes the proposer's bond.
+    * @dev Only accounts with the asset lister role can call this function.
+    * @dev Unchallenged proposals can only be rejected before their challenge period ends.
+    * @dev The slashed bond is sent to the challenger if the proposal was challenged. Otherwise, it is sent to the Treasury.
+    * @param _index Index of the proposal.
+    */
+    function rejectProposal(uint256 _index) external override onlyRole(Roles.ASSET_LISTER) proposalExists(_index) {
+        Proposal storage proposal = proposals[_index];
+
+        require(proposal.status == PENDING || proposal.status == CHALLENGED, "AssetListingManager: Proposal has already been resolved.");
+        require(proposal.status == CHALLENGED || block.timestamp < proposal.challengeDeadline, "AssetListingManager: Challenge period has ended.");
+
+        bool wasChallenged = proposal.status == CHALLENGED;
+
+        proposal.status = REJECTED;
+
+        if (wasChallenged) {
+            // Return the challenger's bond along with the slashed bond.
+            bondToken.safeTransfer(proposal.challenger, proposal.bond.mul(2));
+        }
+        else {
+            bondToken.safeTransfer(treasury, proposal.bond);
+        }
+
+        emit RejectedProposal(_index, proposal.bond);
+    }
+
+    /**
+    * @notice Updates the bond that proposers need to post.
+    * @dev Only the admin can call this function.
+    * @dev The new bond amount does not apply to existing proposals.
+    * @param _bondAmount The new bond amount.
+    */
+    function setBondAmount(uint256 _bondAmount) external onlyRole(Roles.ADMIN) {
+        bondAmount = _bondAmount;
+
+        emit SetBondAmount(_bondAmount);
+    }
+
+    /**
+    * @notice Updates the number of seconds during which new proposals can be challenged.
+    * @dev Only the admin can call this function.
+    * @dev The new challenge period does not apply to existing proposals.
+    * @param _challengePeriod The new challenge period, in seconds.
+    */
+    function setChallengePeriod(uint256 _challengePeriod) external onlyRole(Roles.ADMIN) {
+        require(_challengePeriod >= MINIMUM_CHALLENGE_PERIOD && _challengePeriod <= MAXIMUM_CHALLENGE_PERIOD, "AssetListingManager: Challenge period is out of bounds.");
+
+        challengePeriod = _challengePeriod;
+
+        emit SetChallengePeriod(_challengePeriod);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Creates the proposal's synthetic asset, along with its orderbooks, and pays out the bonds.
+    * @dev This contract needs the asset lister role to create synthetic assets through the registry.
+    * @param _index Index of the proposal.
+    */
+    function _approveProposal(uint256 _index) internal {
+        Proposal storage proposal = proposals[_index];
+
+        bool wasChallenged = proposal.status == CHALLENGED;
+
+        proposal.status = APPROVED;
+
+        // The registry creates the asset's orderbooks through the Router.
+        address syntheticAsset = registry.createSyntheticAssetToken(proposal.dataFeed, proposal.maxSupply, proposal.name, proposal.symbol);
+        proposal.syntheticAsset = syntheticAsset;
+
+        // Return the proposer's bond, along with the challenger's slashed bond if the proposal was challenged.
+        bondToken.safeTransfer(proposal.proposer, wasChallenged ? proposal.bond.mul(2) : proposal.bond);
+
+        emit ApprovedProposal(_index, syntheticAsset);
+    }
+
+    /* ========== MODIFIERS ========== */
+
+    modifier proposalExists(uint256 _index) {
+        require(_index > 0 && _index <= numberOfProposals, "AssetListingManager: Proposal not found.");
+        _;
+    }
+
+    /* ========== EVENTS ========== */
+
+    event ProposedAsset(uint256 indexed index, address indexed proposer, address indexed dataFeed, uint256 maxSupply, string name, string symbol, uint256 bond, uint256 challengeDeadline);
+    event ChallengedProposal(uint256 indexed index, address indexed challenger);
+    event ApprovedProposal(uint256 indexed index, address indexed syntheticAsset);
+    event RejectedProposal(uint256 indexed index, uint256 slashedBond);
+    event SetBondAmount(uint256 bondAmount);
+    event SetChallengePeriod(uint256 challengePeriod);
+}
\ No newline at end of file
@@ -3,7 +3,6 @@
 pragma solidity ^0.8.3;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
 import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
 
 // Interfaces.
@@ -11,13 +10,17 @@ import './interfaces/external/IBotPerformanceDataFeedRegistry.sol';
 
 // Inheritance.
 import './interfaces/IDataSource.sol';
+import './AccessControlled.sol';
 
-contract BotPerformanceDataSource is IDataSource, Ownable {
+contract BotPerformanceDataSource is IDataSource, AccessControlled {
     using SafeERC20 for IERC20;
 
+    // Status code that the registry reports for data feeds that are actively being updated.
+    uint256 public constant ACTIVE_STATUS = 0;
+
     IBotPerformanceDataFeedRegistry public registry;
 
-    constructor(address _registry) Ownable() {
+    constructor(address _accessController, address _registry) AccessControlled(_accessController) {
         registry = IBotPerformanceDataFeedRegistry(_registry);
     }
 
@@ -35,6 +38,31 @@ contract BotPerformanceDataSource is IDataSource, Ownable {
         return (feeToken, usageFee);
     }
 
+    /**
+    * @notice Returns the timestamp at which the given asset's data feed was last updated.
+    * @dev Returns 0 if the data feed does not exist.
+    * @param _asset Address of the asset.
+    */
+    function getLastUpdated(address _asset) external view override returns (uint256) {
+        return registry.lastUpdated(_asset);
+    }
+
+    /**
+    * @notice Returns whether the given asset's data feed is active.
+    * @param _asset Address of the asset.
+    */
+    function dataFeedIsActive(address _asset) external view override returns (bool) {
+        return registry.getDataFeedStatus(_asset) == ACTIVE_STATUS;
+    }
+
+    /**
+    * @notice Returns whether the given asset has a data feed.
+    * @param _asset Address of the asset.
+    */
+    function hasDataFeed(address _asset) external view override returns (bool) {
+        return registry.hasDataFeed(_asset);
+    }
+
     /* ========== MUTATIVE FUNCTIONS ========== */
 
     /**
@@ -51,7 +79,7 @@ contract BotPerformanceDataSource is IDataSource, Ownable {
         (feeToken, usageFee) = getUsageFeeInfo(_asset);
 
         IERC20(feeToken).safeTransferFrom(msg.sender, address(this), usageFee);
-        IERC20(feeToken).approve(_asset, usageFee);
+        IERC20(feeToken).approve(address(registry), usageFee);
 
         return registry.getTokenPrice(_asset);
     }
@@ -60,10 +88,10 @@ contract BotPerformanceDataSource is IDataSource, Ownable {
 
     /**
     * @notice Updates the address of the registry.
-    * @dev This function can only be called by the DataSource contract owner.
+    * @dev This function can only be called by the admin.
     * @param _registry Address of the BotPerformanceDataFeedRegistry contract.
     */
-    function setRegistry(address _registry) external onlyOwner {
+    function setRegistry(address _registry) external onlyRole(Roles.ADMIN) {
         registry = IBotPerformanceDataFeedRegistry(_registry);
 
         emit SetRegistry(_registry);
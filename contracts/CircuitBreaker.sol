@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// OpenZeppelin.
+import "./openzeppelin-solidity/contracts/SafeMath.sol";
+
+// Inheritance.
+import './interfaces/ICircuitBreaker.sol';
+import './AccessControlled.sol';
+
+contract CircuitBreaker is ICircuitBreaker, AccessControlled {
+    using SafeMath for uint256;
+
+    /* ========== CONSTANTS ========== */
+
+    uint256 public constant MINTING = 0;
+    uint256 public constant ORDER_PLACEMENT = 1;
+    uint256 public constant MARKET_MAKER_EXECUTION = 2;
+    uint256 public constant NUMBER_OF_ACTIONS = 3;
+
+    uint256 public constant MAXIMUM_PAUSE_DURATION = 7 days;
+
+    /* ========== STATE VARIABLES ========== */
+
+    // (action index => timestamp at which the action's pause expires).
+    mapping (uint256 => uint256) public pausedUntil;
+
+    constructor(address _accessController) AccessControlled(_accessController) {}
+
+    /* ========== VIEWS ========== */
+
+    /**
+    * @notice Returns whether the given action is currently paused.
+    * @dev Pauses expire automatically once their duration has elapsed.
+    * @param _action Index of the action. Ex) 0 = minting, 1 = order placement, 2 = market maker execution.
+    */
+    function isPaused(uint256 _action) public view override returns (bool) {
+        return block.timestamp < pausedUntil[_action];
+    }
+
+    /**
+    * @notice Returns whether minting is currently paused for all synthetic assets.
+    */
+    function mintingIsPaused() external view override returns (bool) {
+        return isPaused(MINTING);
+    }
+
+    /**
+    * @notice Returns whether order placement is currently paused for all orderbooks.
+    */
+    function orderPlacementIsPaused() external view override returns (bool) {
+        return isPaused(ORDER_PLACEMENT);
+    }
+
+    /**
+    * @notice Returns whether market makers are currently prevented from executing orders in all orderbooks.
+    */
+    function marketMakerExecutionIsPaused() external view override returns (bool) {
+        return isPaused(MARKET_MAKER_EXECUTION);
+    }
+
+    /* ========== RESTRICTED FUNCTIONS ========== */
+
+    /**
+    * @notice Pauses the given action across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    * @dev The pause expires automatically after the given duration.
+    * @param _action Index of the action to pause.
+    * @param _duration Number of seconds to pause the action for.
+    */
+    function pause(uint256 _action, uint256 _duration) external override onlyRole(Roles.GUARDIAN) {
+        require(_action < NUMBER_OF_ACTIONS, "CircuitBreaker: Action is out of bounds.");
+        require(_duration > 0 && _duration <= MAXIMUM_PAUSE_DURATION, "CircuitBreaker: Duration is out of bounds.");
+
+        _pause(_action, _duration);
+    }
+
+    /**
+    * @notice Pauses minting, order placement, and market maker execution across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    * @dev The pauses expire automatically after the given duration.
+    * @param _duration Number of seconds to pause the actions for.
+    */
+    function pauseAll(uint256 _duration) external override onlyRole(Roles.GUARDIAN) {
+        require(_duration > 0 && _duration <= MAXIMUM_PAUSE_DURATION, "CircuitBreaker: Duration is out of bounds.");
+
+        for (uint256 i = 0; i < NUMBER_OF_ACTIONS; i++) {
+            _pause(i, _duration);
+        }
+    }
+
+    /**
+    * @notice Resumes the given action across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    * @param _action Index of the action to resume.
+    */
+    function unpause(uint256 _action) external override onlyRole(Roles.GUARDIAN) {
+        require(_action < NUMBER_OF_ACTIONS, "CircuitBreaker: Action is out of bounds.");
+
+        _unpause(_action);
+    }
+
+    /**
+    * @notice Resumes minting, order placement, and market maker execution across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    */
+    function unpauseAll() external override onlyRole(Roles.GUARDIAN) {
+        for (uint256 i = 0; i < NUMBER_OF_ACTIONS; i++) {
+            _unpause(i);
+        }
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Pauses the given action until the given duration has elapsed.
+    * @param _action Index of the action to pause.
+    * @param _duration Number of seconds to pause the action for.
+    */
+    function _pause(uint256 _action, uint256 _duration) internal {
+        uint256 expiry = block.timestamp.add(_duration);
+        pausedUntil[_action] = expiry;
+
+        emit PausedAction(_action, expiry);
+    }
+
+    /**
+    * @notice Resumes the given action.
+    * @param _action Index of the action to resume.
+    */
+    function _unpause(uint256 _action) internal {
+        pausedUntil[_action] = 0;
+
+        emit UnpausedAction(_action);
+    }
+
+    /* ========== EVENTS ========== */
+
+    event PausedAction(uint256 indexed action, uint256 pausedUntil);
+    event UnpausedAction(uint256 indexed action);
+}
\ No newline at end of file
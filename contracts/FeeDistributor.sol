@@ -0,0 +1,190 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// OpenZeppelin.
+import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
+import "./openzeppelin-solidity/contracts/SafeMath.sol";
+
+// Inheritance.
+import './interfaces/IFeeDistributor.sol';
+
+contract FeeDistributor is IFeeDistributor {
+    using SafeERC20 for IERC20;
+    using SafeMath for uint256;
+
+    /* ========== CONSTANTS ========== */
+
+    uint256 public constant MINTING = FEE_SOURCE_MINTING;
+    uint256 public constant REDEMPTION = FEE_SOURCE_REDEMPTION;
+    uint256 public constant TRADING = FEE_SOURCE_TRADING;
+    uint256 public constant NUMBER_OF_SOURCES = NUMBER_OF_FEE_SOURCES;
+
+    uint256 public constant MINIMUM_DISTRIBUTION_INTERVAL = 1 hours;
+    uint256 public constant MAXIMUM_DISTRIBUTION_INTERVAL = 30 days;
+
+    /* ========== STATE VARIABLES ========== */
+
+    // Timelock that receives the protocol's share of fees and governs this contract.
+    address public immutable treasury;
+    IERC20 public immutable stablecoin;
+
+    address public dataFeedRecipient;
+    address public stakingRewards;
+
+    // Shares of each distribution, as percentages with two decimals. Always sum to 10000.
+    uint256 public treasuryShare;
+    uint256 public dataFeedShare;
+    uint256 public stakingShare;
+
+    uint256 public distributionInterval;
+    uint256 public lastDistributionTime;
+    uint256 public override undistributedFees;
+
+    // (asset address => source index => total amount of fees collected).
+    mapping (address => mapping (uint256 => uint256)) public override collectedFees;
+
+    constructor(address _treasury, address _stablecoin, address _dataFeedRecipient, address _stakingRewards) {
+        treasury = _treasury;
+        stablecoin = IERC20(_stablecoin);
+        dataFeedRecipient = _dataFeedRecipient;
+        stakingRewards = _stakingRewards;
+
+        // Send all fees to the Treasury until the split is updated through the timelock.
+        treasuryShare = 10000;
+        distributionInterval = 1 weeks;
+        lastDistributionTime = block.timestamp;
+    }
+
+    /* ========== VIEWS ========== */
+
+    /**
+    * @notice Returns the timestamp at which fees can next be distributed.
+    */
+    function nextDistributionTime() public view override returns (uint256) {
+        return lastDistributionTime.add(distributionInterval);
+    }
+
+    /* ========== MUTATIVE FUNCTIONS ========== */
+
+    /**
+    * @notice Deposits a fee collected for the given asset.
+    * @dev Assumes that msg.sender has approved _amount worth of stablecoin.
+    * @param _asset Address of the synthetic asset the fee was collected for.
+    * @param _source Index of the fee source. Ex) 0 = minting, 1 = redemption, 2 = trading.
+    * @param _amount Amount of stablecoin to deposit.
+    */
+    function depositFee(address _asset, uint256 _source, uint256 _amount) external override {
+        require(_source < NUMBER_OF_SOURCES, "FeeDistributor: Source is out of bounds.");
+
+        if (_amount == 0) {
+            return;
+        }
+
+        stablecoin.safeTransferFrom(msg.sender, address(this), _amount);
+
+        collectedFees[_asset][_source] = collectedFees[_asset][_source].add(_amount);
+        undistributedFees = undistributedFees.add(_amount);
+
+        emit DepositedFee(msg.sender, _asset, _source, _amount);
+    }
+
+    /**
+    * @notice Splits the undistributed fees between the Treasury, the data feed providers, and the staking rewards address.
+    * @dev Anyone can call this function once the distribution interval has elapsed.
+    * @dev The Treasury receives any rounding dust.
+    */
+    function distribute() external override {
+        require(block.timestamp >= nextDistributionTime(), "FeeDistributor: Distribution interval has not elapsed.");
+
+        uint256 amount = undistributedFees;
+        uint256 dataFeedAmount = amount.mul(dataFeedShare).div(10000);
+        uint256 stakingAmount = amount.mul(stakingShare).div(10000);
+        uint256 treasuryAmount = amount.sub(dataFeedAmount).sub(stakingAmount);
+
+        undistributedFees = 0;
+        lastDistributionTime = block.timestamp;
+
+        _transfer(treasury, treasuryAmount);
+        _transfer(dataFeedRecipient, dataFeedAmount);
+        _transfer(stakingRewards, stakingAmount);
+
+        emit Distributed(treasuryAmount, dataFeedAmount, stakingAmount);
+    }
+
+    /* ========== RESTRICTED FUNCTIONS ========== */
+
+    /**
+    * @notice Updates how each distribution is split.
+    * @dev Only the Treasury can call this function, so updates go through its timelock.
+    * @dev Each share is a percentage with two decimals, and the shares must sum to 10000.
+    * @param _treasuryShare The Treasury's share.
+    * @param _dataFeedShare The data feed providers' share.
+    * @param _stakingShare The staking rewards address' share.
+    */
+    function setShares(uint256 _treasuryShare, uint256 _dataFeedShare, uint256 _stakingShare) external onlyTreasury {
+        require(_treasuryShare.add(_dataFeedShare).add(_stakingShare) == 10000, "FeeDistributor: Shares must sum to 10000.");
+
+        treasuryShare = _treasuryShare;
+        dataFeedShare = _dataFeedShare;
+        stakingShare = _stakingShare;
+
+        emit SetShares(_treasuryShare, _dataFeedShare, _stakingShare);
+    }
+
+    /**
+    * @notice Updates the addresses that receive the data feed providers' and the staking rewards' shares.
+    * @dev Only the Treasury can call this function, so updates go through its timelock.
+    * @param _dataFeedRecipient Address that receives the data feed providers' share.
+    * @param _stakingRewards Address that receives the staking rewards' share.
+    */
+    function setRecipients(address _dataFeedRecipient, address _stakingRewards) external onlyTreasury {
+        require(_dataFeedRecipient != address(0) && _stakingRewards != address(0), "FeeDistributor: Invalid address for recipient.");
+
+        dataFeedRecipient = _dataFeedRecipient;
+        stakingRewards = _stakingRewards;
+
+        emit SetRecipients(_dataFeedRecipient, _stakingRewards);
+    }
+
+    /**
+    * @notice Updates the minimum number of seconds between distributions.
+    * @dev Only the Treasury can call this function, so updates go through its timelock.
+    * @param _distributionInterval The new distribution interval.
+    */
+    function setDistributionInterval(uint256 _distributionInterval) external onlyTreasury {
+        require(_distributionInterval >= MINIMUM_DISTRIBUTION_INTERVAL && _distributionInterval <= MAXIMUM_DISTRIBUTION_INTERVAL, "FeeDistributor: Distribution interval is out of bounds.");
+
+        distributionInterval = _distributionInterval;
+
+        emit SetDistributionInterval(_distributionInterval);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Transfers the given amount of stablecoin, skipping empty transfers.
+    * @param _to Address of the recipient.
+    * @param _amount Amount of stablecoin to transfer.
+    */
+    function _transfer(address _to, uint256 _amount) internal {
+        if (_amount > 0) {
+            stablecoin.safeTransfer(_to, _amount);
+        }
+    }
+
+    /* ========== MODIFIERS ========== */
+
+    modifier onlyTreasury() {
+        require(msg.sender == treasury, "FeeDistributor: Only the Treasury can call this function.");
+        _;
+    }
+
+    /* ========== EVENTS ========== */
+
+    event DepositedFee(address depositor, address indexed asset, uint256 indexed source, uint256 amount);
+    event Distributed(uint256 treasuryAmount, uint256 dataFeedAmount, uint256 stakingAmount);
+    event SetShares(uint256 treasuryShare, uint256 dataFeedShare, uint256 stakingShare);
+    event SetRecipients(address dataFeedRecipient, address stakingRewards);
+    event SetDistributionInterval(uint256 distributionInterval);
+}
\ No newline at end of file
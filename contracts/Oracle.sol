@@ -3,66 +3,424 @@
 pragma solidity ^0.8.3;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
 import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
+import "./openzeppelin-solidity/contracts/SafeMath.sol";
 
 // Interfaces.
 import './interfaces/IDataSource.sol';
 
 // Inheritance.
 import './interfaces/IOracle.sol';
+import './AccessControlled.sol';
 
-contract Oracle is IOracle, Ownable {
+contract Oracle is IOracle, AccessControlled {
     using SafeERC20 for IERC20;
+    using SafeMath for uint256;
 
+    uint256 public constant MAX_DATA_SOURCES_PER_ASSET = 5;
+
+    // Default data source, used for assets that have not been assigned any data sources.
     address public override dataSource;
 
-    constructor(address _dataSource) Ownable() {
+    uint256 public numberOfDataSources;
+    // (data source index => data source address).
+    // Starts at index 1.
+    mapping (uint256 => address) public indexToDataSource;
+    // (data source address => data source index).
+    // Index is 0 if the data source is not registered.
+    mapping (address => uint256) public dataSourceToIndex;
+
+    // (asset address => the asset's data sources, in order of priority).
+    mapping (address => address[]) internal assetDataSources;
+    // (asset address => whether to use the median price across all of the asset's data sources).
+    // If false, the first data source that returns a valid price is used.
+    mapping (address => bool) public useMedianPrice;
+
+    // Maximum number of seconds since the data feed was last updated.
+    uint256 public maxPriceAge;
+    // Maximum change from the last accepted price, expressed as a percentage with two decimals.
+    uint256 public maxPriceDeviation;
+
+    // (asset address => max price age for the asset).
+    // Uses maxPriceAge if the value is 0.
+    mapping (address => uint256) public assetMaxPriceAge;
+    // (asset address => max price deviation for the asset).
+    // Uses maxPriceDeviation if the value is 0.
+    mapping (address => uint256) public assetMaxPriceDeviation;
+
+    // (asset address => last price that passed the sanity checks).
+    mapping (address => uint256) public override lastAcceptedPrice;
+
+    constructor(address _accessController, address _dataSource) AccessControlled(_accessController) {
         dataSource = _dataSource;
+        _addDataSource(_dataSource);
+        maxPriceAge = 1 days;
+        maxPriceDeviation = 2000;
     }
 
     /* ========== VIEWS ========== */
 
     /**
     * @notice Returns the latest price of the given asset.
-    * @dev Calls the current data source to get the price.
+    * @dev Queries the asset's data sources in order of priority, falling back to the next data source
+    *      if a data source reverts or returns a price that fails the sanity checks.
+    * @dev If the asset uses the median price, every data source is queried and the median of the valid prices is used.
+    * @dev Usage fees are pulled from msg.sender only for the data sources that are queried.
+    * @dev Transaction will revert if no data source returns a valid price, or if the price deviates too much
+    *      from the last accepted price.
     * @param _asset Address of the asset.
     * @return uint256 Latest price of the asset.
     */
     function getLatestPrice(address _asset) external override returns (uint256) {
-        address feeToken;
-        uint256 usageFee;
-        (feeToken, usageFee) = IDataSource(dataSource).getUsageFeeInfo(_asset);
+        address[] memory sources = getDataSources(_asset);
+        (address feeToken,) = getUsageFeeInfo(_asset);
+
+        uint256 price = useMedianPrice[_asset] ? _getMedianPrice(_asset, sources, feeToken) : _getFallbackPrice(_asset, sources, feeToken);
+
+        // Gas savings.
+        uint256 lastPrice = lastAcceptedPrice[_asset];
 
-        IERC20(feeToken).safeTransferFrom(msg.sender, address(this), usageFee);
-        IERC20(feeToken).approve(_asset, usageFee);
+        if (lastPrice > 0) {
+            uint256 difference = (price > lastPrice) ? price.sub(lastPrice) : lastPrice.sub(price);
+            require(difference.mul(10000).div(lastPrice) <= getMaxPriceDeviation(_asset), "Oracle: Price deviation is too high.");
+        }
 
-        return IDataSource(dataSource).getLatestPrice(_asset);
+        lastAcceptedPrice[_asset] = price;
+
+        return price;
     }
 
     /**
     * @notice Returns the info needed to pay the usage fee for the given asset.
+    * @dev The usage fee is the sum of the usage fees of each of the asset's data sources.
+    * @dev When falling back between data sources, only the fees of the queried data sources are pulled.
+    * @dev Transaction will revert if the asset's data sources use different fee tokens.
     * @param _asset Address of the asset.
     * @return address, uint256 The address of the asset's usage fee token and the asset's usage fee.
     */
-    function getUsageFeeInfo(address _asset) public view returns (address, uint256) {
-        return IDataSource(dataSource).getUsageFeeInfo(_asset);
+    function getUsageFeeInfo(address _asset) public view override returns (address, uint256) {
+        address[] memory sources = getDataSources(_asset);
+        address feeToken;
+        uint256 totalUsageFee;
+
+        for (uint256 i = 0; i < sources.length; i++) {
+            (address sourceFeeToken, uint256 usageFee) = IDataSource(sources[i]).getUsageFeeInfo(_asset);
+
+            require(i == 0 || sourceFeeToken == feeToken, "Oracle: Data sources use different fee tokens.");
+
+            feeToken = sourceFeeToken;
+            totalUsageFee = totalUsageFee.add(usageFee);
+        }
+
+        return (feeToken, totalUsageFee);
+    }
+
+    /**
+    * @notice Returns the data sources used for the given asset, in order of priority.
+    * @dev Returns the default data source if the asset has not been assigned any data sources.
+    * @param _asset Address of the asset.
+    */
+    function getDataSources(address _asset) public view override returns (address[] memory) {
+        if (assetDataSources[_asset].length > 0) {
+            return assetDataSources[_asset];
+        }
+
+        address[] memory sources = new address[](1);
+        sources[0] = dataSource;
+
+        return sources;
+    }
+
+    /**
+    * @notice Returns whether any of the asset's data sources has a data feed for the given asset.
+    * @param _asset Address of the asset.
+    */
+    function hasDataFeed(address _asset) external view override returns (bool) {
+        address[] memory sources = getDataSources(_asset);
+
+        for (uint256 i = 0; i < sources.length; i++) {
+            if (IDataSource(sources[i]).hasDataFeed(_asset)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+    * @notice Returns the maximum number of seconds since the asset's data feed was last updated.
+    * @param _asset Address of the asset.
+    */
+    function getMaxPriceAge(address _asset) public view returns (uint256) {
+        return (assetMaxPriceAge[_asset] > 0) ? assetMaxPriceAge[_asset] : maxPriceAge;
+    }
+
+    /**
+    * @notice Returns the maximum change from the asset's last accepted price.
+    * @dev This value is expressed as a percentage with two decimals. Ex) A 20% deviation would have the value 2000.
+    * @param _asset Address of the asset.
+    */
+    function getMaxPriceDeviation(address _asset) public view returns (uint256) {
+        return (assetMaxPriceDeviation[_asset] > 0) ? assetMaxPriceDeviation[_asset] : maxPriceDeviation;
     }
 
     /* ========== RESTRICTED FUNCTIONS ========== */
 
     /**
-    * @notice Updates the address of the data source.
-    * @dev This function can only be called by the Oracle contract owner.
+    * @notice Updates the address of the default data source.
+    * @dev This function can only be called by the admin.
+    * @dev Registers the data source if it has not been registered yet.
     * @param _dataSource Address of the DataSource contract.
     */
-    function setDataSource(address _dataSource) external onlyOwner {
+    function setDataSource(address _dataSource) external onlyRole(Roles.ADMIN) {
         dataSource = _dataSource;
 
+        if (dataSourceToIndex[_dataSource] == 0) {
+            _addDataSource(_dataSource);
+        }
+
         emit SetDataSource(_dataSource);
     }
 
+    /**
+    * @notice Registers a data source so that it can be assigned to assets.
+    * @dev This function can only be called by the admin.
+    * @param _dataSource Address of the DataSource contract.
+    */
+    function addDataSource(address _dataSource) external onlyRole(Roles.ADMIN) {
+        require(dataSourceToIndex[_dataSource] == 0, "Oracle: Data source is already registered.");
+
+        _addDataSource(_dataSource);
+    }
+
+    /**
+    * @notice Assigns data sources to the given asset.
+    * @dev This function can only be called by the admin.
+    * @dev Set [_dataSources] to an empty array to use the default data source.
+    * @param _asset Address of the asset.
+    * @param _dataSources Addresses of the registered data sources to use, in order of priority.
+    * @param _useMedianPrice Whether to use the median price across all of the data sources instead of falling back.
+    */
+    function setAssetDataSources(address _asset, address[] memory _dataSources, bool _useMedianPrice) external onlyRole(Roles.ADMIN) {
+        require(_dataSources.length <= MAX_DATA_SOURCES_PER_ASSET, "Oracle: Too many data sources.");
+
+        for (uint256 i = 0; i < _dataSources.length; i++) {
+            require(dataSourceToIndex[_dataSources[i]] > 0, "Oracle: Data source is not registered.");
+        }
+
+        assetDataSources[_asset] = _dataSources;
+        useMedianPrice[_asset] = _useMedianPrice;
+
+        // Checks that the data sources use the same fee token.
+        getUsageFeeInfo(_asset);
+
+        emit SetAssetDataSources(_asset, _dataSources, _useMedianPrice);
+    }
+
+    /**
+    * @notice Updates the default maximum number of seconds since a data feed was last updated.
+    * @dev This function can only be called by the admin.
+    * @param _maxPriceAge The new max price age.
+    */
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyRole(Roles.ADMIN) {
+        require(_maxPriceAge > 0, "Oracle: Max price age must be greater than 0.");
+
+        maxPriceAge = _maxPriceAge;
+
+        emit SetMaxPriceAge(_maxPriceAge);
+    }
+
+    /**
+    * @notice Updates the default maximum change from the last accepted price.
+    * @dev This function can only be called by the admin.
+    * @param _maxPriceDeviation The new max price deviation, expressed as a percentage with two decimals.
+    */
+    function setMaxPriceDeviation(uint256 _maxPriceDeviation) external onlyRole(Roles.ADMIN) {
+        require(_maxPriceDeviation > 0, "Oracle: Max price deviation must be greater than 0.");
+
+        maxPriceDeviation = _maxPriceDeviation;
+
+        emit SetMaxPriceDeviation(_maxPriceDeviation);
+    }
+
+    /**
+    * @notice Overrides the maximum number of seconds since the given asset's data feed was last updated.
+    * @dev This function can only be called by the admin.
+    * @dev Set the value to 0 to use the default max price age.
+    * @param _asset Address of the asset.
+    * @param _maxPriceAge The asset's max price age.
+    */
+    function setAssetMaxPriceAge(address _asset, uint256 _maxPriceAge) external onlyRole(Roles.ADMIN) {
+        assetMaxPriceAge[_asset] = _maxPriceAge;
+
+        emit SetAssetMaxPriceAge(_asset, _maxPriceAge);
+    }
+
+    /**
+    * @notice Overrides the maximum change from the given asset's last accepted price.
+    * @dev This function can only be called by the admin.
+    * @dev Set the value to 0 to use the default max price deviation.
+    * @param _asset Address of the asset.
+    * @param _maxPriceDeviation The asset's max price deviation, expressed as a percentage with two decimals.
+    */
+    function setAssetMaxPriceDeviation(address _asset, uint256 _maxPriceDeviation) external onlyRole(Roles.ADMIN) {
+        assetMaxPriceDeviation[_asset] = _maxPriceDeviation;
+
+        emit SetAssetMaxPriceDeviation(_asset, _maxPriceDeviation);
+    }
+
+    /**
+    * @notice Clears the last accepted price for the given asset.
+    * @dev This function can only be called by the admin.
+    * @dev Meant to be used after verifying that a large price movement is legitimate.
+    * @param _asset Address of the asset.
+    */
+    function resetLastAcceptedPrice(address _asset) external onlyRole(Roles.ADMIN) {
+        lastAcceptedPrice[_asset] = 0;
+
+        emit ResetLastAcceptedPrice(_asset);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Adds the given data source to the list of registered data sources.
+    * @param _dataSource Address of the DataSource contract.
+    */
+    function _addDataSource(address _dataSource) internal {
+        uint256 index = numberOfDataSources.add(1);
+
+        numberOfDataSources = index;
+        indexToDataSource[index] = _dataSource;
+        dataSourceToIndex[_dataSource] = index;
+
+        emit AddedDataSource(index, _dataSource);
+    }
+
+    /**
+    * @notice Returns the price from the first data source that returns a valid price.
+    * @dev Transaction will revert with the last data source's error if none of the prices are valid.
+    * @param _asset Address of the asset.
+    * @param _sources The asset's data sources, in order of priority.
+    * @param _feeToken Address of the data sources' usage fee token.
+    */
+    function _getFallbackPrice(address _asset, address[] memory _sources, address _feeToken) internal returns (uint256) {
+        string memory error;
+
+        for (uint256 i = 0; i < _sources.length; i++) {
+            uint256 price;
+            (price, error) = _queryDataSource(_sources[i], _asset, _feeToken);
+
+            if (bytes(error).length == 0) {
+                return price;
+            }
+        }
+
+        revert(error);
+    }
+
+    /**
+    * @notice Returns the median of the valid prices across all of the given data sources.
+    * @dev Transaction will revert with the last data source's error if none of the prices are valid.
+    * @param _asset Address of the asset.
+    * @param _sources The asset's data sources.
+    * @param _feeToken Address of the data sources' usage fee token.
+    */
+    function _getMedianPrice(address _asset, address[] memory _sources, address _feeToken) internal returns (uint256) {
+        uint256[] memory prices = new uint256[](_sources.length);
+        uint256 numberOfPrices;
+        string memory error;
+
+        for (uint256 i = 0; i < _sources.length; i++) {
+            (uint256 price, string memory sourceError) = _queryDataSource(_sources[i], _asset, _feeToken);
+
+            if (bytes(sourceError).length == 0) {
+                prices[numberOfPrices] = price;
+                numberOfPrices = numberOfPrices.add(1);
+            } else {
+                error = sourceError;
+            }
+        }
+
+        if (numberOfPrices == 0) {
+            revert(error);
+        }
+
+        // Insertion sort; the number of data sources per asset is capped at MAX_DATA_SOURCES_PER_ASSET.
+        for (uint256 i = 1; i < numberOfPrices; i++) {
+            uint256 value = prices[i];
+            uint256 j = i;
+
+            while (j > 0 && prices[j - 1] > value) {
+                prices[j] = prices[j - 1];
+                j--;
+            }
+
+            prices[j] = value;
+        }
+
+        if (numberOfPrices % 2 == 1) {
+            return prices[numberOfPrices / 2];
+        }
+
+        return prices[numberOfPrices / 2 - 1].add(prices[numberOfPrices / 2]).div(2);
+    }
+
+    /**
+    * @notice Pays the data source's usage fee on behalf of msg.sender and returns the asset's price.
+    * @dev The usage fee is returned to msg.sender if the data source reverts.
+    * @param _dataSource Address of the DataSource contract.
+    * @param _asset Address of the asset.
+    * @param _feeToken Address of the data source's usage fee token.
+    * @return uint256, string The price reported by the data source and the reason the price is invalid, or an empty string if the price is valid.
+    */
+    function _queryDataSource(address _dataSource, address _asset, address _feeToken) internal returns (uint256, string memory) {
+        (, uint256 usageFee) = IDataSource(_dataSource).getUsageFeeInfo(_asset);
+
+        IERC20(_feeToken).safeTransferFrom(msg.sender, address(this), usageFee);
+        IERC20(_feeToken).approve(_dataSource, usageFee);
+
+        try IDataSource(_dataSource).getLatestPrice(_asset) returns (uint256 price) {
+            return (price, _validatePrice(_dataSource, _asset, price));
+        } catch {
+            IERC20(_feeToken).approve(_dataSource, 0);
+            IERC20(_feeToken).safeTransfer(msg.sender, usageFee);
+
+            return (0, "Oracle: Data source reverted.");
+        }
+    }
+
+    /**
+    * @notice Checks the given price against the data source's feed status and last update time.
+    * @param _dataSource Address of the DataSource contract.
+    * @param _asset Address of the asset.
+    * @param _price The price reported by the data source.
+    * @return string The reason the price is invalid, or an empty string if the price is valid.
+    */
+    function _validatePrice(address _dataSource, address _asset, uint256 _price) internal view returns (string memory) {
+        if (!IDataSource(_dataSource).dataFeedIsActive(_asset)) {
+            return "Oracle: Data feed is not active.";
+        }
+
+        if (_price == 0) {
+            return "Oracle: Price is 0.";
+        }
+
+        if (IDataSource(_dataSource).getLastUpdated(_asset).add(getMaxPriceAge(_asset)) < block.timestamp) {
+            return "Oracle: Price is stale.";
+        }
+
+        return "";
+    }
+
     /* ========== EVENTS ========== */
 
     event SetDataSource(address newDataSource);
+    event AddedDataSource(uint256 index, address dataSource);
+    event SetAssetDataSources(address asset, address[] dataSources, bool useMedianPrice);
+    event SetMaxPriceAge(uint256 newMaxPriceAge);
+    event SetMaxPriceDeviation(uint256 newMaxPriceDeviation);
+    event SetAssetMaxPriceAge(address asset, uint256 newMaxPriceAge);
+    event SetAssetMaxPriceDeviation(address asset, uint256 newMaxPriceDeviation);
+    event ResetLastAcceptedPrice(address asset);
 }
\ No newline at end of file
@@ -3,94 +3,112 @@
 pragma solidity ^0.8.12;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
 import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
 import './openzeppelin-solidity/contracts/ERC20/IERC20.sol';
+import './openzeppelin-solidity/contracts/ERC20/draft-IERC20Permit.sol';
 import "./openzeppelin-solidity/contracts/SafeMath.sol";
+import "./openzeppelin-solidity/contracts/proxy/Initializable.sol";
 
 // Interfaces.
 import './interfaces/IOracle.sol';
 import './interfaces/IProtocolSettings.sol';
 import './interfaces/IUserSettings.sol';
-
-// Libraries.
-import "./libraries/TradegenMath.sol";
-import "./libraries/Strings.sol";
+import './interfaces/ICircuitBreaker.sol';
+import './interfaces/IRouter.sol';
 
 // Inheritance.
 import './interfaces/IOrderbook.sol';
 
-contract Orderbook is IOrderbook, Ownable {
+contract Orderbook is IOrderbook, Initializable {
     using SafeERC20 for IERC20;
     using SafeMath for uint256;
 
-    struct CancelledOrder {
+    // Maximum number of pending orders to fill when executing an order instantly.
+    // Pending orders that are skipped because they expired or crossed their limit price don't count towards this limit.
+    uint256 public constant MAX_ORDERS_PER_EXECUTION = 25;
+
+    // Maximum number of pending orders to look at when executing an order instantly, including skipped orders.
+    // Keeps the cost of instant orders bounded when the front of the queue is full of orders that can't be filled.
+    uint256 public constant MAX_ORDERS_VISITED = 100;
+
+    // Maximum number of unsettled orders a user can have at once.
+    // Keeps claimAllTokens() and the per-user views bounded.
+    uint256 public constant MAX_ORDERS_PER_USER = 50;
+
+    // Amounts are in the pending orders' token, except for amountReceived and amountClaimed.
+    struct Order {
+        address user;
+        uint256 limitPrice;
+        uint256 expiry;
+        uint256 quantity;
+        uint256 amountFilled;
         uint256 amountCancelled;
+        uint256 amountReceived;
+        uint256 amountClaimed;
         uint256 timestamp;
+        uint256 lastFilledTimestamp;
         uint256 previous;
         uint256 next;
     }
 
-    struct LookupValue {
-        bool isLastDigit;
-        uint8 previousDigit;
-    }
+    // Orderbooks are deployed as beacon proxies, so new state variables must be appended after the existing ones.
+    address public router;
+    IOracle public oracle;
+    IProtocolSettings public protocolSettings;
+    IUserSettings public userSettings;
+    ICircuitBreaker public circuitBreaker;
+    IERC20 public stablecoin;
 
-    struct FilledOrder {
-        uint256 numberOfTokensFilled;
-        uint256 executionPrice;
-        uint256 timestamp;
-        uint256 previous;
-        uint256 next;
-    }
-
-    address public immutable router;
-    IOracle public immutable oracle;
-    IProtocolSettings public immutable protocolSettings;
-    IUserSettings public immutable userSettings;
-    IERC20 public immutable stablecoin;
+    address public syntheticAsset;
+    bool public representsBuyOrders;
 
-    address public immutable syntheticAsset;
-    bool public immutable representsBuyOrders;
-
-    bool public tradingIsPaused;
+    bool public override tradingIsPaused;
 
     uint256 public numberOfOrders;
-    uint256 public end;
-    uint256 public current;
-    uint256 public lastFilledOrderKey;
-
-    // (order index => user address).
-    mapping (uint256 => address) public orderIndexToUser;
-    // (user address => order index).
-    mapping (address => uint256) public userToOrderIndex;
+    uint256 public totalOpenAmount;
 
-    // (order index => timestamp at which the order was placed).
-    mapping (uint256 => uint256) public orderTimestamps;
+    // Pending orders form a queue and are filled in the order they were placed.
+    // Fully filled and cancelled orders are removed from the queue.
+    uint256 public firstOrderIndex;
+    uint256 public lastOrderIndex;
 
-    // Used to get the nearest index in the cancelled order ledger to a given index.
-    // Keys are in the format "<magnitude>/<prefix>/<metadata/digit>".
-    mapping (string => LookupValue) public cancelledOrderLookup;
-
-    // Keys represent order index.
-    mapping (uint256 => CancelledOrder) public cancelledOrders;
-
-    // (order index => value of 'current' at which the order will be considered 'filled').
+    // (order index => order info).
     // Starts at index 1.
-    mapping (uint256 => uint256) public orders;
-
-    // Used to get the nearest index in the filled order ledger to a given index.
-    // Keys are in the format "<magnitude>/<prefix>/<metadata/digit>".
-    mapping (string => LookupValue) public filledOrderLookup;
+    mapping (uint256 => Order) public orders;
+    // (user address => indices of the user's unsettled orders).
+    // An order is settled once it has no open amount and no unclaimed tokens.
+    mapping (address => uint256[]) internal userOrders;
+    // (order index => position of the order in the user's list of orders, plus 1).
+    // Position is 0 if the order is settled.
+    mapping (uint256 => uint256) internal userOrderPositions;
+
+    // Set once the asset is delisted. Settled orderbooks no longer accept or fill orders.
+    bool public override isSettled;
+    // Number of orders, starting from index 1, that have been refunded since the orderbook was settled.
+    uint256 public numberOfRefundedOrders;
+
+    // Prevents the implementation contract from being initialized.
+    constructor() initializer {}
 
-    // Keys represent the new value of 'current' at the time the order was filled.
-    mapping (uint256 => FilledOrder) public filledOrders;
-
-    constructor(address _router, address _oracle, address _protocolSettings, address _userSettings, address _stablecoin, address _syntheticAsset, bool _representsBuyOrders) Ownable() {
+    /**
+    * @notice Initializes the orderbook's state.
+    * @dev Called by the BeaconProxy during deployment, in place of a constructor.
+    * @dev Transaction will revert if the orderbook has already been initialized.
+    * @param _router Address of the Router contract.
+    * @param _oracle Address of the Oracle contract.
+    * @param _protocolSettings Address of the ProtocolSettings contract.
+    * @param _userSettings Address of the UserSettings contract.
+    * @param _circuitBreaker Address of the CircuitBreaker contract.
+    * @param _stablecoin Address of the stablecoin.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _representsBuyOrders Whether this is the 'buy' version of the orderbook.
+    */
+    function initialize(address _router, address _oracle, address _protocolSettings, address _userSettings, address _circuitBreaker, address _stablecoin, address _syntheticAsset, bool _representsBuyOrders) external override initializer {
         router = _router;
         oracle = IOracle(_oracle);
         protocolSettings = IProtocolSettings(_protocolSettings);
         userSettings = IUserSettings(_userSettings);
+        circuitBreaker = ICircuitBreaker(_circuitBreaker);
         stablecoin = IERC20(_stablecoin);
         syntheticAsset = _syntheticAsset;
         representsBuyOrders = _representsBuyOrders;
@@ -100,481 +118,917 @@ contract Orderbook is IOrderbook, Ownable {
 
     /**
     * @notice Returns the info for the order at the given index.
+    * @dev Returns (0, 0, 0, 0, 0) if the order index is out of bounds.
     * @param _orderIndex Index of the order.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
+    * @return uint256, uint256, uint256, uint256, uint256 The order size, number of tokens filled, average execution price, timestamp at which the order was last filled, and limit price.
     */
-    function getOrderInfo(uint256 _orderIndex) public view override returns (uint256, uint256, uint256, uint256) {
+    function getOrderInfo(uint256 _orderIndex) public view override returns (uint256, uint256, uint256, uint256, uint256) {
         if (_orderIndex == 0 || _orderIndex > numberOfOrders) {
-            return (0, 0, 0, 0);
+            return (0, 0, 0, 0, 0);
         }
 
-        FilledOrder memory filledOrder = filledOrders[_orderIndex];
-        uint256 orderSize = orders[_orderIndex].sub(orders[_orderIndex.sub(1)]);
+        Order memory order = orders[_orderIndex];
+
+        return (order.quantity, order.amountFilled, _calculateAverageExecutionPrice(order), order.lastFilledTimestamp, order.limitPrice);
+    }
 
-        return (orderSize, filledOrder.numberOfTokensFilled, filledOrder.executionPrice, filledOrder.timestamp);
+    /**
+    * @notice Returns the indices of the given user's unsettled orders.
+    * @dev An order is settled once it has no open amount and no unclaimed tokens.
+    * @dev Indices are not sorted.
+    * @param _user Address of the user.
+    */
+    function getUserOrders(address _user) external view override returns (uint256[] memory) {
+        return userOrders[_user];
     }
 
     /**
-    * @notice Returns the order info for the given user's pending order.
-    * @dev Returns (0, 0, 0, 0) if the user does not have an order.
+    * @notice Returns the number of tokens that the given user can claim across all of the user's orders.
+    * @dev Tokens are in synthetic asset tokens for the "buy" version of the orderbook.
+    *      In the "sell" version of the orderbook, tokens are in stablecoin.
     * @param _user Address of the user.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
     */
-    function getPendingOrderInfo(address _user) external view override returns (uint256, uint256, uint256, uint256) {
-        return getOrderInfo(userToOrderIndex[_user]);
+    function getAvailableTokensForUser(address _user) public view override returns (uint256 availableTokens) {
+        uint256[] memory orderIndices = userOrders[_user];
+
+        for (uint256 i = 0; i < orderIndices.length; i++) {
+            availableTokens = availableTokens.add(getAvailableTokensForOrder(orderIndices[i]));
+        }
     }
 
     /**
-    * @notice Returns the number of tokens that the given user can claim.
+    * @notice Returns the unfilled amount across all of the user's orders.
+    * @dev Amounts are in stablecoin for the "buy" version of the orderbook.
+    *      In the "sell" version of the orderbook, amounts are in synthetic asset tokens.
     * @param _user Address of the user.
     */
-    function getAvailableTokensForUser(address _user) public view override returns (uint256) {
-        // The index is set to 0 when the user claims tokens.
-        // Since the indicies start at 1, index 0 is guaranteed to have a value of 0 for each variable in the struct.
-        uint256 orderIndex = userToOrderIndex[_user];
+    function getOpenAmountForUser(address _user) external view override returns (uint256 openAmount) {
+        uint256[] memory orderIndices = userOrders[_user];
+
+        for (uint256 i = 0; i < orderIndices.length; i++) {
+            openAmount = openAmount.add(_getOpenAmount(orders[orderIndices[i]]));
+        }
+    }
+
+    /**
+    * @notice Returns the number of tokens that can be claimed from the given order.
+    * @param _orderIndex Index of the order.
+    */
+    function getAvailableTokensForOrder(uint256 _orderIndex) public view override returns (uint256) {
+        // Index 0 is guaranteed to have a value of 0 for each variable in the struct.
+        Order memory order = orders[_orderIndex];
 
-        return filledOrders[orderIndex].numberOfTokensFilled;
+        return order.amountReceived.sub(order.amountClaimed);
     }
 
     /**
     * @notice Returns the dollar value of the given user's available tokens.
+    * @dev Tokens from each order are valued at the order's average execution price.
     * @param _user Address of the user.
     */
-    function getAvailableDollarAmount(address _user) external view override returns (uint256) {
-        uint256 orderIndex = userToOrderIndex[_user];
-        uint256 executionPrice = filledOrders[orderIndex].executionPrice;
+    function getAvailableDollarAmount(address _user) external view override returns (uint256 dollarAmount) {
+        if (!representsBuyOrders) {
+            return getAvailableTokensForUser(_user);
+        }
+
+        uint256[] memory orderIndices = userOrders[_user];
+
+        for (uint256 i = 0; i < orderIndices.length; i++) {
+            uint256 executionPrice = _calculateAverageExecutionPrice(orders[orderIndices[i]]);
 
-        return getAvailableTokensForUser(_user).mul(executionPrice).div(10 ** 18);
+            dollarAmount = dollarAmount.add(getAvailableTokensForOrder(orderIndices[i]).mul(executionPrice).div(10 ** 18));
+        }
     }
 
     /**
     * @notice Returns the total size of open orders.
     */
     function getAvailableTokensInOrderbook() public view override returns (uint256) {
-        return end - current;
+        return totalOpenAmount;
+    }
+
+    /**
+    * @notice Returns the indices of expired orders that are still in the queue, starting from the oldest order.
+    * @dev Meant to be used by keepers to find orders to pass to cancelExpiredOrders().
+    * @param _maxOrdersToCheck The maximum number of orders in the queue to check.
+    */
+    function getExpiredOrders(uint256 _maxOrdersToCheck) external view override returns (uint256[] memory) {
+        uint256[] memory expiredOrders = new uint256[](_maxOrdersToCheck);
+        uint256 numberOfExpiredOrders;
+        uint256 orderIndex = firstOrderIndex;
+
+        for (uint256 i = 0; i < _maxOrdersToCheck && orderIndex > 0; i++) {
+            if (_isExpired(orders[orderIndex])) {
+                expiredOrders[numberOfExpiredOrders] = orderIndex;
+                numberOfExpiredOrders = numberOfExpiredOrders.add(1);
+            }
+
+            orderIndex = orders[orderIndex].next;
+        }
+
+        uint256[] memory result = new uint256[](numberOfExpiredOrders);
+        for (uint256 i = 0; i < numberOfExpiredOrders; i++) {
+            result[i] = expiredOrders[i];
+        }
+
+        return result;
+    }
+
+    /**
+    * @notice Returns what a market maker would pay and earn for executing each of the given orders.
+    * @dev Quotes are based on the oracle's last accepted price, which may differ from the price at execution.
+    * @dev Returns zeros for orders that cannot be executed by a market maker yet.
+    * @dev Expected profits are in stablecoin, net of the market maker fee, and do not include the oracle's usage fee.
+    * @param _orderIndices Indices of the orders.
+    * @return discounts The discount for each order, as a percentage with two decimals.
+    * @return amountsRequired The number of tokens the market maker pays to each order's user, in the instant order's token.
+    * @return expectedProfits The value of each order's unfilled amount minus the value of the tokens required and the market maker fee.
+    */
+    function getMarketMakerQuotes(uint256[] memory _orderIndices) external view override returns (uint256[] memory discounts, uint256[] memory amountsRequired, uint256[] memory expectedProfits) {
+        uint256 oraclePrice = oracle.lastAcceptedPrice(syntheticAsset);
+        (, uint256 marketMakerFee) = IRouter(router).getTradingFees(syntheticAsset);
+
+        discounts = new uint256[](_orderIndices.length);
+        amountsRequired = new uint256[](_orderIndices.length);
+        expectedProfits = new uint256[](_orderIndices.length);
+
+        for (uint256 i = 0; i < _orderIndices.length; i++) {
+            (discounts[i], amountsRequired[i], expectedProfits[i]) = _getMarketMakerQuote(_orderIndices[i], oraclePrice, marketMakerFee);
+        }
     }
 
     /* ========== MUTATIVE FUNCTIONS ========== */
 
     /**
     * @notice Places an order for the given number of tokens.
+    * @dev If the order is in the same direction as the orderbook, the order is added to the queue of pending orders.
+    *      Otherwise, the order is executed instantly against pending orders at the oracle price.
+    * @dev Pending orders are only filled while the oracle price is at or below the limit price for buy orders,
+    *      or at or above the limit price for sell orders. Pending orders that cross their limit price are skipped.
+    * @dev Pending orders are no longer filled after their expiry and can be cancelled by anyone through cancelExpiredOrders().
+    * @dev Pending orders must be worth at least the protocol's minimum order size, with sell orders valued at the oracle price.
+    * @dev Instant fills are charged the taker fee on top of the stablecoin paid, or out of the stablecoin received.
     * @dev Transaction will revert if _numberOfTokens exceeds the user's balance.
     * @param _isBuy Whether the order represents a 'buy'.
     * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
+    */
+    function placeOrder(bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry) external override {
+        _placeOrder(msg.sender, _isBuy, _numberOfTokens, _limitPrice, _minimumAmountOut, _expiry);
+    }
+
+    /**
+    * @notice Approves this contract to spend the user's tokens using an EIP-2612 permit signature, then places an order.
+    * @dev The permit is for stablecoin if _isBuy is true, and for the synthetic asset otherwise.
+    * @dev Assumes that the user has already approved the asset's data feed's usage fee if the order is executed instantly.
+    * @param _isBuy Whether the order represents a 'buy'.
+    * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
+    * @param _permitValue Number of tokens approved by the permit.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function placeOrderWithPermit(bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry, uint256 _permitValue, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external override {
+        _permit(_isBuy ? address(stablecoin) : syntheticAsset, _permitValue, _deadline, _v, _r, _s);
+
+        _placeOrder(msg.sender, _isBuy, _numberOfTokens, _limitPrice, _minimumAmountOut, _expiry);
+    }
+
+    /**
+    * @notice Executes the given order as a market maker.
+    * @dev The order is filled at the oracle price minus the user's discount.
+    * @dev The market maker fee is charged on the stablecoin side of the fill.
+    * @dev Transaction will revert if the discounted price crosses the order's limit price.
+    * @param _orderIndex The index of the order to fill.
+    */
+    function executeOrderAsMarketMaker(uint256 _orderIndex) public override {
+        require(!isSettled, "Orderbook: Orderbook has been settled.");
+        require(!circuitBreaker.marketMakerExecutionIsPaused(), "Orderbook: Market maker execution is paused.");
+
+        Order storage order = orders[_orderIndex];
+        require(_getOpenAmount(order) > 0, "Orderbook: Order is either out of bounds or completely filled.");
+        require(!_isExpired(order), "Orderbook: Order has expired.");
+
+        require(_isReadyForMarketMaker(order), "Orderbook: Order is not ready to be filled by a market maker.");
+
+        uint256 oraclePrice = _getLatestPrice(msg.sender);
+        (, uint256 marketMakerFee) = IRouter(router).getTradingFees(syntheticAsset);
+        (uint256 unfilledAmount, uint256 fee) = _executeOrderAsMarketMaker(_orderIndex, oraclePrice, marketMakerFee);
+        require(unfilledAmount > 0, "Orderbook: Execution price crosses the order's limit price.");
+
+        _settleMarketMakerExecution(unfilledAmount, fee, oraclePrice);
+    }
+
+    /**
+    * @notice Executes the given orders as a market maker against a single oracle price.
+    * @dev Each order is filled at the oracle price minus its user's discount.
+    * @dev The market maker fee is charged on the stablecoin side of each fill.
+    * @dev Orders that are filled, expired, not ready, or whose discounted price crosses the limit price are skipped.
+    * @dev Transaction will revert if none of the orders are executed.
+    * @param _orderIndices Indices of the orders to fill. Can include at most MAX_ORDERS_PER_EXECUTION orders.
+    */
+    function executeOrdersAsMarketMaker(uint256[] memory _orderIndices) external override {
+        require(!isSettled, "Orderbook: Orderbook has been settled.");
+        require(!circuitBreaker.marketMakerExecutionIsPaused(), "Orderbook: Market maker execution is paused.");
+        require(_orderIndices.length <= MAX_ORDERS_PER_EXECUTION, "Orderbook: Number of orders is out of bounds.");
+
+        uint256 oraclePrice = _getLatestPrice(msg.sender);
+        (, uint256 marketMakerFee) = IRouter(router).getTradingFees(syntheticAsset);
+        uint256 totalUnfilledAmount;
+        uint256 totalFee;
+
+        for (uint256 i = 0; i < _orderIndices.length; i++) {
+            (uint256 unfilledAmount, uint256 fee) = _executeOrderAsMarketMaker(_orderIndices[i], oraclePrice, marketMakerFee);
+            totalUnfilledAmount = totalUnfilledAmount.add(unfilledAmount);
+            totalFee = totalFee.add(fee);
+        }
+
+        require(totalUnfilledAmount > 0, "Orderbook: No orders were executed.");
+
+        _settleMarketMakerExecution(totalUnfilledAmount, totalFee, oraclePrice);
+    }
+
+    /**
+    * @notice Approves this contract to spend the market maker's tokens using an EIP-2612 permit signature, then executes the given order.
+    * @dev The permit is for the synthetic asset in the "buy" version of the orderbook, and for stablecoin in the "sell" version.
+    * @dev Assumes that the market maker has already approved the asset's data feed's usage fee.
+    * @param _orderIndex The index of the order to fill.
+    * @param _permitValue Number of tokens approved by the permit.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function executeOrderAsMarketMakerWithPermit(uint256 _orderIndex, uint256 _permitValue, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external override {
+        _permit(representsBuyOrders ? syntheticAsset : address(stablecoin), _permitValue, _deadline, _v, _r, _s);
+
+        executeOrderAsMarketMaker(_orderIndex);
+    }
+
+    /**
+    * @notice Cancels the given order.
+    * @dev If _cancelFullOrder is set to true, _numberOfTokens is ignored.
+    * @dev This function also claims all available tokens for the order.
+    * @dev Transaction will revert if msg.sender did not place the order or if _numberOfTokens exceeds the unfilled portion of the order.
+    * @param _orderIndex Index of the order.
+    * @param _numberOfTokens The number of tokens to cancel.
+    * @param _cancelFullOrder Whether to fully cancel the order.
+    */
+    function cancelOrder(uint256 _orderIndex, uint256 _numberOfTokens, bool _cancelFullOrder) external override onlyOrderUser(_orderIndex) {
+        Order storage order = orders[_orderIndex];
+        uint256 openAmount = _getOpenAmount(order);
+        require(openAmount > 0, "Orderbook: Order is already filled.");
+
+        uint256 amountCancelled = _cancelFullOrder ? openAmount : _numberOfTokens;
+        require(amountCancelled <= openAmount, "Orderbook: Amount cancelled exceeds the order size.");
+
+        order.amountCancelled = order.amountCancelled.add(amountCancelled);
+        totalOpenAmount = totalOpenAmount.sub(amountCancelled);
+
+        if (amountCancelled == openAmount) {
+            _removeFromQueue(_orderIndex);
+        }
+
+        _transferPendingTokens(msg.sender, amountCancelled);
+
+        _claimTokens(_orderIndex);
+
+        emit CancelledAnOrder(msg.sender, amountCancelled, _orderIndex);
+    }
+
+    /**
+    * @notice Claims all available tokens for the given order.
+    * @dev Transaction will revert if msg.sender did not place the order.
+    * @param _orderIndex Index of the order.
+    */
+    function claimTokens(uint256 _orderIndex) external override onlyOrderUser(_orderIndex) {
+        require(_claimTokens(_orderIndex) > 0, "Orderbook: User has no tokens to claim.");
+    }
+
+    /**
+    * @notice Claims all available tokens across the user's orders.
+    * @dev Settled orders are removed from the user's list of orders.
+    */
+    function claimAllTokens() external override {
+        uint256 totalClaimed;
+
+        // Iterate backwards since settled orders are swapped out of the list.
+        for (uint256 i = userOrders[msg.sender].length; i > 0; i--) {
+            totalClaimed = totalClaimed.add(_claimTokens(userOrders[msg.sender][i - 1]));
+        }
+
+        require(totalClaimed > 0, "Orderbook: User has no tokens to claim.");
+    }
+
+    /**
+    * @notice Cancels the given expired orders and refunds their unfilled amounts to the orders' users.
+    * @dev Anyone can call this function. The caller receives a bounty from each order's unfilled amount.
+    * @dev Orders that have not expired or have no unfilled amount are skipped.
+    * @param _orderIndices Indices of the orders to cancel.
+    */
+    function cancelExpiredOrders(uint256[] memory _orderIndices) external override {
+        uint256 bountyRate = protocolSettings.expiredOrderBounty();
+        uint256 totalBounty;
+
+        for (uint256 i = 0; i < _orderIndices.length; i++) {
+            totalBounty = totalBounty.add(_cancelExpiredOrder(_orderIndices[i], bountyRate));
+        }
+
+        if (totalBounty > 0) {
+            _transferPendingTokens(msg.sender, totalBounty);
+        }
+    }
+
+    /**
+    * @notice Refunds the unfilled amounts and unclaimed tokens of the next orders, in the order they were placed.
+    * @dev Anyone can call this function once the orderbook is settled.
+    * @dev Orders are processed in batches to keep the gas cost bounded. Users can also cancel their own orders.
+    * @param _maxOrders Maximum number of orders to process.
+    */
+    function refundOrders(uint256 _maxOrders) external override {
+        require(isSettled, "Orderbook: Orderbook has not been settled.");
+
+        // Gas savings.
+        uint256 startIndex = numberOfRefundedOrders;
+        uint256 endIndex = startIndex.add(_maxOrders);
+
+        if (endIndex > numberOfOrders) {
+            endIndex = numberOfOrders;
+        }
+
+        require(endIndex > startIndex, "Orderbook: No orders to refund.");
+
+        numberOfRefundedOrders = endIndex;
+
+        for (uint256 i = startIndex.add(1); i <= endIndex; i++) {
+            _refundOrder(i);
+        }
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Places an order for the given number of tokens on behalf of the given user.
+    * @dev Tokens and the oracle's usage fee are pulled from the user, and instantly executed orders pay out to the user.
+    * @param _user Address of the user placing the order.
+    * @param _isBuy Whether the order represents a 'buy'.
+    * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
     */
-    function placeOrder(bool _isBuy, uint256 _numberOfTokens) external override {
+    function _placeOrder(address _user, bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry) internal {
         require(!tradingIsPaused, "Orderbook: Cannot place orders when trading is paused.");
+        require(!circuitBreaker.orderPlacementIsPaused(), "Orderbook: Order placement is paused.");
+        require(_numberOfTokens > 0, "Orderbook: Number of tokens must be positive.");
+        require(_expiry == 0 || _expiry > block.timestamp, "Orderbook: Expiry must be in the future.");
+
+        if (_isBuy == representsBuyOrders) {
+            // The minimum order size is in stablecoin, so "sell" orders are valued at the oracle price.
+            uint256 orderValue = _numberOfTokens;
+            if (!_isBuy) {
+                uint256 referencePrice = oracle.lastAcceptedPrice(syntheticAsset);
+                if (referencePrice == 0) {
+                    referencePrice = _getLatestPrice(_user);
+                }
 
-        bool isSameDirectionAsOrderbook = _isBuy && representsBuyOrders;
+                orderValue = _numberOfTokens.mul(referencePrice).div(10 ** 18);
+            }
 
-        require(userToOrderIndex[msg.sender] == 0 || (userToOrderIndex[msg.sender] > 0 && !isSameDirectionAsOrderbook), "Orderbook: User already has an open order.");
+            require(orderValue >= protocolSettings.minimumOrderSize(), "Orderbook: Order size is below the minimum.");
+            require(userOrders[_user].length < MAX_ORDERS_PER_USER, "Orderbook: User has too many orders.");
 
-        if (isSameDirectionAsOrderbook) {
             if (_isBuy) {
-                stablecoin.safeTransferFrom(msg.sender, address(this), _numberOfTokens);
+                stablecoin.safeTransferFrom(_user, address(this), _numberOfTokens);
             } else {
-                IERC20(syntheticAsset).safeTransferFrom(msg.sender, address(this), _numberOfTokens);
+                IERC20(syntheticAsset).safeTransferFrom(_user, address(this), _numberOfTokens);
             }
 
-            uint256 orderIndex = numberOfOrders.add(1);
-            uint256 currentEnd = end;
-            uint256 newEnd = currentEnd.add(_numberOfTokens);
-            numberOfOrders = orderIndex;
-            orderIndexToUser[orderIndex] = msg.sender;
-            userToOrderIndex[msg.sender] = orderIndex;
-            end = newEnd;
-            orders[orderIndex] = newEnd;
-            orderTimestamps[orderIndex] = block.timestamp;
-
-            emit PlacedOrder(msg.sender, _numberOfTokens, orderIndex, 0);
+            uint256 orderIndex = _addOrder(_user, _numberOfTokens, _limitPrice, _expiry);
+
+            emit PlacedOrder(_user, _numberOfTokens, orderIndex, _limitPrice);
         } else {
-            {
-            address feeToken;
-            uint256 usageFee;
-            (feeToken, usageFee) = oracle.getUsageFeeInfo(syntheticAsset);
+            uint256 oraclePrice = _getLatestPrice(_user);
 
-            IERC20(feeToken).safeTransferFrom(msg.sender, address(this), usageFee);
-            IERC20(feeToken).approve(address(oracle), usageFee);
-            }
-            uint256 oraclePrice = oracle.getLatestPrice(syntheticAsset);
+            require(_limitPrice == 0 || (_isBuy ? oraclePrice <= _limitPrice : oraclePrice >= _limitPrice), "Orderbook: Oracle price crosses the limit price.");
 
-            // Amounts are in the pending orders' token.
-            (uint256 adjustedOrderSize, uint256 remainder) = _computeAdjustedOrderSizeAndRemainder(_numberOfTokens);
+            // Amounts filled are in the pending orders' token.
+            // Amounts paid are in the instant order's token.
+            (uint256 amountFilled, uint256 amountPaid) = _fillPendingOrders(_numberOfTokens, oraclePrice);
+            (uint256 fee,) = IRouter(router).getTradingFees(syntheticAsset);
 
             // Pending orders are in synthetic asset tokens for the "sell" version of the orderbook.
             // In the "buy" version of the orderbook, pending orders are in stablecoin.
+            // The taker fee is charged on the stablecoin side of the fill.
             if (_isBuy) {
-                stablecoin.safeTransferFrom(msg.sender, address(this), adjustedOrderSize.mul(oraclePrice).div(10 ** 18));
-                IERC20(syntheticAsset).safeTransfer(msg.sender, adjustedOrderSize);
+                fee = amountPaid.mul(fee).div(10000);
+
+                require(amountFilled >= _minimumAmountOut, "Orderbook: Amount out is below the minimum.");
+
+                stablecoin.safeTransferFrom(_user, address(this), amountPaid.add(fee));
+                IERC20(syntheticAsset).safeTransfer(_user, amountFilled);
             } else {
-                IERC20(syntheticAsset).safeTransferFrom(msg.sender, address(this), adjustedOrderSize.mul(10 ** 18).div(oraclePrice));
-                stablecoin.safeTransfer(msg.sender, adjustedOrderSize);
-            }
+                fee = amountFilled.mul(fee).div(10000);
 
-            {
-            // Gas savings.
-            uint256 newCurrent = current.add(adjustedOrderSize);
-            uint256 lastKey = lastFilledOrderKey;
+                require(amountFilled.sub(fee) >= _minimumAmountOut, "Orderbook: Amount out is below the minimum.");
 
-            current = newCurrent;
-            FilledOrder memory lastFilledOrder = filledOrders[lastKey];
-            if (lastFilledOrder.executionPrice > 0) {
-                filledOrders[lastKey].next = newCurrent;
+                IERC20(syntheticAsset).safeTransferFrom(_user, address(this), amountPaid);
+                stablecoin.safeTransfer(_user, amountFilled.sub(fee));
             }
-            filledOrders[newCurrent] = FilledOrder({
-                numberOfTokensFilled: adjustedOrderSize,
-                executionPrice: oraclePrice,
-                timestamp: block.timestamp,
-                previous: lastFilledOrder.executionPrice > 0 ? lastKey : 0,
-                next: 0
-            });
-            lastFilledOrderKey = newCurrent;
-            _addToFilledOrdersLookupStructure(newCurrent);
+
+            if (amountFilled > 0) {
+                _recordFill(oraclePrice, fee);
             }
 
-            emit ExecutedOrder(msg.sender, adjustedOrderSize, oraclePrice, remainder);
+            emit ExecutedOrder(_user, amountFilled, oraclePrice, _numberOfTokens.sub(amountFilled), fee);
         }
     }
 
     /**
-    * @notice Executes the given order as a market maker.
-    * @param _orderIndex The index of the order to fill.
+    * @notice Adds a new order to the end of the queue.
+    * @param _user Address of the user placing the order.
+    * @param _numberOfTokens The order size, in the pending orders' token.
+    * @param _limitPrice The order's limit price.
+    * @param _expiry The order's expiry.
+    * @return uint256 Index of the new order.
     */
-    function executeOrderAsMarketMaker(uint256 _orderIndex) external override {
-        require(orders[_orderIndex] > 0, "Orderbook: Order is either out of bounds or completely filled.");
+    function _addOrder(address _user, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _expiry) internal returns (uint256) {
+        uint256 orderIndex = numberOfOrders.add(1);
+        uint256 previousOrderIndex = lastOrderIndex;
+
+        orders[orderIndex] = Order({
+            user: _user,
+            limitPrice: _limitPrice,
+            expiry: _expiry,
+            quantity: _numberOfTokens,
+            amountFilled: 0,
+            amountCancelled: 0,
+            amountReceived: 0,
+            amountClaimed: 0,
+            timestamp: block.timestamp,
+            lastFilledTimestamp: 0,
+            previous: previousOrderIndex,
+            next: 0
+        });
+
+        if (previousOrderIndex > 0) {
+            orders[previousOrderIndex].next = orderIndex;
+        } else {
+            firstOrderIndex = orderIndex;
+        }
 
-        address feeToken;
-        uint256 usageFee;
-        (feeToken, usageFee) = oracle.getUsageFeeInfo(syntheticAsset);
+        numberOfOrders = orderIndex;
+        lastOrderIndex = orderIndex;
+        userOrders[_user].push(orderIndex);
+        userOrderPositions[orderIndex] = userOrders[_user].length;
+        totalOpenAmount = totalOpenAmount.add(_numberOfTokens);
 
-        IERC20(feeToken).safeTransferFrom(msg.sender, address(this), usageFee);
-        IERC20(feeToken).approve(address(oracle), usageFee);
-        uint256 oraclePrice = oracle.getLatestPrice(syntheticAsset);
+        return orderIndex;
+    }
 
-        address user = orderIndexToUser[_orderIndex];
-        uint256 adjustedCurrent = current.add(_calculateTotalAmountCancelled(_orderIndex));
-        uint256 unfilledAmount = (adjustedCurrent > orders[_orderIndex]) ? 0 : (adjustedCurrent > orders[_orderIndex.sub(1)]) ? orders[_orderIndex].sub(orders[_orderIndex.sub(1)]) : orders[_orderIndex].sub(adjustedCurrent);
+    /**
+    * @notice Fills pending orders at the given price, starting from the oldest order.
+    * @dev Skips pending orders that have expired or whose limit price is crossed by the given price.
+    * @dev Fills at most MAX_ORDERS_PER_EXECUTION pending orders. Skipped orders don't count towards the limit.
+    * @dev Looks at most MAX_ORDERS_VISITED pending orders, including skipped orders.
+    * @param _numberOfTokens The maximum number of tokens to fill, in the pending orders' token.
+    * @param _price The execution price.
+    * @return amountFilled The number of tokens filled, in the pending orders' token.
+    * @return amountPaid The number of tokens owed to the filled orders.
+    */
+    function _fillPendingOrders(uint256 _numberOfTokens, uint256 _price) internal returns (uint256 amountFilled, uint256 amountPaid) {
+        uint256 orderIndex = firstOrderIndex;
+        uint256 numberOfOrdersFilled;
+        uint256 numberOfOrdersVisited;
+
+        while (numberOfOrdersFilled < MAX_ORDERS_PER_EXECUTION && numberOfOrdersVisited < MAX_ORDERS_VISITED && orderIndex > 0 && amountFilled < _numberOfTokens) {
+            Order storage order = orders[orderIndex];
+            uint256 nextOrderIndex = order.next;
+            numberOfOrdersVisited++;
+
+            if (!_isExpired(order) && _isWithinLimitPrice(order.limitPrice, _price)) {
+                uint256 openAmount = _getOpenAmount(order);
+                uint256 amount = (openAmount > _numberOfTokens.sub(amountFilled)) ? _numberOfTokens.sub(amountFilled) : openAmount;
+                uint256 amountReceived = representsBuyOrders ? amount.mul(10 ** 18).div(_price) : amount.mul(_price).div(10 ** 18);
+
+                order.amountFilled = order.amountFilled.add(amount);
+                order.amountReceived = order.amountReceived.add(amountReceived);
+                order.lastFilledTimestamp = block.timestamp;
+
+                amountFilled = amountFilled.add(amount);
+                amountPaid = amountPaid.add(amountReceived);
+                numberOfOrdersFilled++;
+
+                if (amount == openAmount) {
+                    _removeFromQueue(orderIndex);
+                }
+            }
 
-        require(block.timestamp >= userSettings.minimumTimeUntilDiscountStarts(user), "Orderbook: Order is not ready to be filled by a market maker.");
+            orderIndex = nextOrderIndex;
+        }
 
-        uint256 elapsedTime = block.timestamp.sub(userSettings.minimumTimeUntilDiscountStarts(user));
-        uint256 discount = (elapsedTime > userSettings.timeUntilMaxDiscount(user)) ? userSettings.maximumDiscount(user) : userSettings.startingDiscount(user).add((userSettings.maximumDiscount(user).sub(userSettings.startingDiscount(user))).mul(elapsedTime).div(userSettings.timeUntilMaxDiscount(user)));
+        totalOpenAmount = totalOpenAmount.sub(amountFilled);
+    }
 
-        if (representsBuyOrders) {
-            IERC20(syntheticAsset).safeTransferFrom(msg.sender, user, unfilledAmount.mul(uint256(10000).sub(discount)).div(10000).mul(10 ** 18).div(oraclePrice));
-            stablecoin.safeTransfer(msg.sender, unfilledAmount);
-        } else {
-            stablecoin.safeTransferFrom(msg.sender, user, unfilledAmount.mul(uint256(10000).sub(discount)).div(10000).mul(oraclePrice).div(10 ** 18));
-            IERC20(syntheticAsset).safeTransfer(msg.sender, unfilledAmount);
+    /**
+    * @notice Cancels the given order if it has expired, and refunds its unfilled amount minus the keeper's bounty.
+    * @param _orderIndex Index of the order.
+    * @param _bountyRate The keeper's bounty, as a percentage of the unfilled amount with two decimals.
+    * @return uint256 The keeper's bounty, in the pending orders' token.
+    */
+    function _cancelExpiredOrder(uint256 _orderIndex, uint256 _bountyRate) internal returns (uint256) {
+        Order storage order = orders[_orderIndex];
+        uint256 openAmount = _getOpenAmount(order);
+
+        if (openAmount == 0 || !_isExpired(order)) {
+            return 0;
         }
 
-        // Cancel the order.
-        orders[_orderIndex] = 0;
-        orderIndexToUser[_orderIndex] = address(0);
-        userToOrderIndex[user] = 0;
-        orderTimestamps[_orderIndex] = 0;
+        uint256 bounty = openAmount.mul(_bountyRate).div(10000);
+
+        order.amountCancelled = order.amountCancelled.add(openAmount);
+        totalOpenAmount = totalOpenAmount.sub(openAmount);
+        _removeFromQueue(_orderIndex);
 
-        _addToCancelledOrdersLookupStructure(_orderIndex);
+        _transferPendingTokens(order.user, openAmount.sub(bounty));
 
-        uint256 nearestCancelledOrderIndex = _findNearestCancelledOrder(_orderIndex);
+        _closeOrderIfSettled(_orderIndex);
 
-        // Update the pointers.
-        uint256 nextOrderIndex = cancelledOrders[nearestCancelledOrderIndex].next;
-        cancelledOrders[nextOrderIndex].previous = _orderIndex;
-        cancelledOrders[nearestCancelledOrderIndex].next = _orderIndex;
+        emit CancelledExpiredOrder(msg.sender, order.user, _orderIndex, openAmount, bounty);
 
-        emit ExecutedOrderAsMarketMaker(msg.sender, user, _orderIndex, unfilledAmount, oraclePrice, discount);
+        return bounty;
     }
 
     /**
-    * @notice Cancels the pending order for the user.
-    * @dev If _cancelFullOrder is set to true, _numberOfTokens is ignored.
-    * @dev This function also claims all available tokens for the user.
-    * @dev Transaction will revert if _numberOfTokens exceeds the user's order size.
-    * @param _numberOfTokens The number of tokens to cancel.
-    * @param _cancelFullOrder Whether to fully cancel the order.
+    * @notice Cancels the order's unfilled amount and sends it, along with any unclaimed tokens, to the order's user.
+    * @param _orderIndex Index of the order.
     */
-    function cancelOrder(uint256 _numberOfTokens, bool _cancelFullOrder) external override {
-        uint256 orderIndex = userToOrderIndex[msg.sender];
-        require(orderIndex > 0, "Orderbook: User does not have an order.");
+    function _refundOrder(uint256 _orderIndex) internal {
+        Order storage order = orders[_orderIndex];
+        uint256 openAmount = _getOpenAmount(order);
 
-        uint256 orderSize = orders[orderIndex].sub(orders[orderIndex.sub(1)]);
-        require(_numberOfTokens.add(cancelledOrders[orderIndex].amountCancelled) <= orderSize, "Orderbook: Amount cancelled exceeds the order size.");
+        if (openAmount > 0) {
+            order.amountCancelled = order.amountCancelled.add(openAmount);
+            totalOpenAmount = totalOpenAmount.sub(openAmount);
+            _removeFromQueue(_orderIndex);
 
-        // Prevent users from cancelling orders that are already considered "filled".
-        uint256 totalAmountCancelled = _calculateTotalAmountCancelled(orderIndex);
-        require(current.add(totalAmountCancelled) < orders[orderIndex], "Orderbook: Order is already filled.");
+            _transferPendingTokens(order.user, openAmount);
 
-        _addToCancelledOrdersLookupStructure(orderIndex);
+            emit RefundedOrder(order.user, _orderIndex, openAmount);
+        }
 
-        uint256 nearestCancelledOrderIndex = _findNearestCancelledOrder(orderIndex);
+        _claimTokens(_orderIndex);
+    }
 
-        // Update the pointers.
-        uint256 nextOrderIndex = cancelledOrders[nearestCancelledOrderIndex].next;
-        cancelledOrders[nextOrderIndex].previous = orderIndex;
-        cancelledOrders[nearestCancelledOrderIndex].next = orderIndex;
+    /**
+    * @notice Removes the given order from the queue of pending orders.
+    * @param _orderIndex Index of the order.
+    */
+    function _removeFromQueue(uint256 _orderIndex) internal {
+        Order storage order = orders[_orderIndex];
+        uint256 previousOrderIndex = order.previous;
+        uint256 nextOrderIndex = order.next;
 
-        // User does not have a cancelled order yet.
-        if (cancelledOrders[orderIndex].amountCancelled == 0) {
-            cancelledOrders[orderIndex] = CancelledOrder({
-                amountCancelled: _numberOfTokens,
-                timestamp: block.timestamp,
-                previous: nearestCancelledOrderIndex,
-                next: nextOrderIndex
-            });
+        if (previousOrderIndex > 0) {
+            orders[previousOrderIndex].next = nextOrderIndex;
         } else {
-            cancelledOrders[orderIndex].amountCancelled = cancelledOrders[orderIndex].amountCancelled.add(_numberOfTokens);
-            cancelledOrders[orderIndex].timestamp = block.timestamp;
-
-            if (representsBuyOrders) {
-                stablecoin.safeTransfer(msg.sender, cancelledOrders[orderIndex].amountCancelled);
-            } else {
-                IERC20(syntheticAsset).safeTransfer(msg.sender, cancelledOrders[orderIndex].amountCancelled);
-            }
+            firstOrderIndex = nextOrderIndex;
         }
 
-        // Clear the user's order index if the order is considered fully cancelled.
-        if (_cancelFullOrder || _numberOfTokens.add(cancelledOrders[orderIndex].amountCancelled) == orderSize) {
-            userToOrderIndex[msg.sender] = 0;
-            orderIndexToUser[orderIndex] = address(0);
-            orderTimestamps[orderIndex] = 0;
-            orders[orderIndex] = 0;
+        if (nextOrderIndex > 0) {
+            orders[nextOrderIndex].previous = previousOrderIndex;
+        } else {
+            lastOrderIndex = previousOrderIndex;
         }
+
+        order.previous = 0;
+        order.next = 0;
     }
 
     /**
-    * @notice Claims all available tokens for the user.
+    * @notice Transfers the order's unclaimed tokens to the order's user.
+    * @param _orderIndex Index of the order.
+    * @return uint256 Number of tokens claimed.
     */
-    function claimTokens() external override {
-        uint256 orderIndex = userToOrderIndex[msg.sender];
-        require(orderIndex > 0, "Orderbook: User does not have an order.");
+    function _claimTokens(uint256 _orderIndex) internal returns (uint256) {
+        Order storage order = orders[_orderIndex];
+        uint256 amount = order.amountReceived.sub(order.amountClaimed);
 
-        uint256 orderSize = orders[orderIndex].sub(orders[orderIndex.sub(1)]);
-        uint256 totalAmountCancelled = _calculateTotalAmountCancelled(orderIndex);
-        uint256 adjustedCurrent = current.add(totalAmountCancelled);
-        require(adjustedCurrent > orders[orderIndex.sub(1)], "Orderbook: User has no tokens to claim.");
+        if (amount > 0) {
+            order.amountClaimed = order.amountReceived;
 
-        uint256 averageExecutionPrice = _calculateAverageExecutionPrice(orders[orderIndex.sub(1)].sub(totalAmountCancelled), orders[orderIndex].sub(totalAmountCancelled));
-        require(averageExecutionPrice > 0, "Orderbook: Average execution price is 0.");
-
-        uint256 amountFilled = (adjustedCurrent >= orders[orderIndex]) ? orderSize : orders[orderIndex].sub(adjustedCurrent);
+            if (representsBuyOrders) {
+                IERC20(syntheticAsset).safeTransfer(order.user, amount);
+            } else {
+                stablecoin.safeTransfer(order.user, amount);
+            }
 
-        if (representsBuyOrders) {
-            IERC20(syntheticAsset).safeTransfer(msg.sender, amountFilled.mul(10 ** 18).div(averageExecutionPrice));
-        } else {
-            stablecoin.safeTransfer(msg.sender, amountFilled.mul(averageExecutionPrice).div(10 ** 18));
+            emit ClaimedTokens(order.user, amount, _calculateAverageExecutionPrice(order));
         }
 
-        if (amountFilled == orderSize) {
-            userToOrderIndex[msg.sender] = 0;
-            orderIndexToUser[orderIndex] = address(0);
-            orderTimestamps[orderIndex] = 0;
-            orders[orderIndex] = 0;
-        }
+        _closeOrderIfSettled(_orderIndex);
 
-        emit ClaimedTokens(msg.sender, amountFilled, averageExecutionPrice);
+        return amount;
     }
 
-    /* ========== INTERNAL FUNCTIONS ========== */
-
     /**
-    * @notice Calculates the average execution price of filled orders that overlap with the user's order range.
-    * @param _start The value of "current" at the start of the user's order range.
-    * @param _end The value of "current" at the end of the user's order range.
+    * @notice Removes the order from its user's list of orders once the order has no open amount and no unclaimed tokens.
+    * @param _orderIndex Index of the order.
     */
-    function _calculateAverageExecutionPrice(uint256 _start, uint256 _end) internal view returns (uint256) {
-        uint256 totalPriceAndQuantity;
-        uint256 totalQuantity;
-        uint256 filledOrderKey = _findNearestFilledOrder(_start);
+    function _closeOrderIfSettled(uint256 _orderIndex) internal {
+        Order storage order = orders[_orderIndex];
+        uint256 position = userOrderPositions[_orderIndex];
 
-        if (filledOrderKey == 0) {
-            return 0;
+        if (position == 0 || _getOpenAmount(order) > 0 || order.amountReceived > order.amountClaimed) {
+            return;
         }
 
-        while (filledOrderKey <= _end) {
-            FilledOrder memory filledOrder = filledOrders[filledOrderKey];
-            // min(order's end, user's end).
-            uint256 adjustedEnd = (filledOrderKey.add(filledOrder.numberOfTokensFilled) > _end) ? _end : filledOrderKey.add(filledOrder.numberOfTokensFilled);
-            // max(order's start, user's start).
-            uint256 adjustedStart = (filledOrderKey > _start) ? filledOrderKey : _start;
-            uint256 overlap = adjustedEnd.sub(adjustedStart);
-            totalQuantity = totalQuantity.add(overlap);
-            totalPriceAndQuantity = totalPriceAndQuantity.add(overlap.mul(filledOrder.executionPrice).div(10 ** 18));
-            filledOrderKey = filledOrder.next;
-        }
+        // Swap the order with the last order in the list, then remove the last order.
+        uint256[] storage orderIndices = userOrders[order.user];
+        uint256 lastIndex = orderIndices[orderIndices.length.sub(1)];
+        orderIndices[position.sub(1)] = lastIndex;
+        userOrderPositions[lastIndex] = position;
+        orderIndices.pop();
 
-        return totalPriceAndQuantity.mul(10 ** 18).div(totalQuantity);
+        userOrderPositions[_orderIndex] = 0;
     }
 
     /**
-    * @notice Calculates the total number of tokens cancelled between "current" and the user's value of "current".
-    * @param _orderIndex The order index to calculate from.
+    * @notice Returns whether the given order can be filled by a market maker.
+    * @param _order The order.
     */
-    function _calculateTotalAmountCancelled(uint256 _orderIndex) internal view returns (uint256 totalAmountCancelled) {
-        _orderIndex = _findNearestCancelledOrder(_orderIndex);
+    function _isReadyForMarketMaker(Order storage _order) internal view returns (bool) {
+        return block.timestamp >= _order.timestamp.add(userSettings.minimumTimeUntilDiscountStarts(_order.user));
+    }
 
-        while (orders[_orderIndex] > current) {
-            totalAmountCancelled = totalAmountCancelled.add(cancelledOrders[_orderIndex].amountCancelled);
-            _orderIndex = cancelledOrders[_orderIndex].previous;
+    /**
+    * @notice Returns the discount at which the user's order can be filled by a market maker.
+    * @dev Transaction will revert if the order is not ready to be filled by a market maker.
+    * @param _user Address of the user.
+    * @param _orderTimestamp Timestamp at which the order was placed.
+    */
+    function _calculateDiscount(address _user, uint256 _orderTimestamp) internal view returns (uint256) {
+        uint256 discountStartTime = _orderTimestamp.add(userSettings.minimumTimeUntilDiscountStarts(_user));
+        require(block.timestamp >= discountStartTime, "Orderbook: Order is not ready to be filled by a market maker.");
+
+        uint256 elapsedTime = block.timestamp.sub(discountStartTime);
+        uint256 timeUntilMaxDiscount = userSettings.timeUntilMaxDiscount(_user);
+
+        if (elapsedTime >= timeUntilMaxDiscount) {
+            return userSettings.maximumDiscount(_user);
         }
+
+        uint256 startingDiscount = userSettings.startingDiscount(_user);
+
+        return startingDiscount.add((userSettings.maximumDiscount(_user).sub(startingDiscount)).mul(elapsedTime).div(timeUntilMaxDiscount));
     }
 
     /**
-    * @notice Finds the nearest entry in cancelledOrderLookup that has a value <= _orderIndex.
-    * @dev Returns 0 if there are no entries in cancelledOrderLookup that satisfy the condition.
-    * @param _orderIndex The order index to query.
+    * @notice Returns what a market maker would pay and earn for executing the given order at the given oracle price.
+    * @dev Returns zeros if the order is filled, expired, not ready, or if the discounted price crosses the order's limit price.
+    * @param _orderIndex Index of the order.
+    * @param _oraclePrice The synthetic asset's oracle price.
+    * @param _marketMakerFee The market maker fee, as a percentage with two decimals.
+    * @return discount The user's discount, as a percentage with two decimals.
+    * @return amountRequired The number of tokens the market maker pays to the order's user, in the instant order's token.
+    * @return expectedProfit The value of the order's unfilled amount minus the value of the tokens required and the market maker fee, in stablecoin.
     */
-    function _findNearestCancelledOrder(uint256 _orderIndex) internal view returns (uint256) {
-        uint256 magnitude = TradegenMath.log10(_orderIndex);
-        uint256 prefix;
+    function _getMarketMakerQuote(uint256 _orderIndex, uint256 _oraclePrice, uint256 _marketMakerFee) internal view returns (uint256 discount, uint256 amountRequired, uint256 expectedProfit) {
+        Order storage order = orders[_orderIndex];
+        uint256 unfilledAmount = _getOpenAmount(order);
 
-        while (_orderIndex > 0) {
-            string memory metadataKey = string.concat(Strings.toString(magnitude), "/", (prefix == 0) ? "" : Strings.toString(prefix), "/m");
-            LookupValue memory value = cancelledOrderLookup[metadataKey];
-            
-            // Metadata exists.
-            if (value.isLastDigit) {
-                while (value.previousDigit > _orderIndex % 10) {
-                    string memory entryKey = string.concat(Strings.toString(magnitude), "/", (prefix == 0) ? "" : Strings.toString(prefix), "/", Strings.toString(_orderIndex % (10 ** magnitude)));
-                    value.previousDigit = cancelledOrderLookup[entryKey].previousDigit;
-                }
-            }
+        if (unfilledAmount == 0 || _isExpired(order) || _oraclePrice == 0 || !_isReadyForMarketMaker(order)) {
+            return (0, 0, 0);
+        }
+
+        discount = _calculateDiscount(order.user, order.timestamp);
+
+        // The discount is applied in favour of the market maker.
+        uint256 executionPrice = representsBuyOrders ? _oraclePrice.mul(10000).div(uint256(10000).sub(discount)) : _oraclePrice.mul(uint256(10000).sub(discount)).div(10000);
 
-            prefix = prefix.add(_orderIndex % (10 ** magnitude));
-            magnitude = magnitude.sub(1);
-            _orderIndex = _orderIndex.div(10);
+        if (!_isWithinLimitPrice(order.limitPrice, executionPrice)) {
+            return (0, 0, 0);
+        }
+
+        if (representsBuyOrders) {
+            amountRequired = unfilledAmount.mul(uint256(10000).sub(discount)).div(10000).mul(10 ** 18).div(_oraclePrice);
+            expectedProfit = unfilledAmount.sub(amountRequired.mul(_oraclePrice).div(10 ** 18));
+        } else {
+            amountRequired = unfilledAmount.mul(uint256(10000).sub(discount)).div(10000).mul(_oraclePrice).div(10 ** 18);
+            expectedProfit = unfilledAmount.mul(_oraclePrice).div(10 ** 18).sub(amountRequired);
         }
 
-        return prefix;
+        // The fee can exceed the discount, in which case the fill is quoted at no profit.
+        uint256 fee = _calculateMarketMakerFee(unfilledAmount, amountRequired, _marketMakerFee);
+        expectedProfit = expectedProfit > fee ? expectedProfit.sub(fee) : 0;
     }
 
     /**
-    * @notice Finds the nearest entry in filledOrderLookup that has a value <= _current.
-    * @dev Returns 0 if there are no entries in filledOrderLookup that satisfy the condition.
-    * @param _current The value of "current" at which the user's order is considered filled.
+    * @notice Fills the given order's unfilled amount with tokens from the market maker at the given oracle price.
+    * @dev The market maker pays the user directly. The caller is responsible for sending the unfilled amount to the market maker.
+    * @dev Skips the order if it cannot be executed by a market maker.
+    * @param _orderIndex Index of the order.
+    * @param _oraclePrice The synthetic asset's oracle price.
+    * @param _marketMakerFee The market maker fee, as a percentage with two decimals.
+    * @return unfilledAmount The order's unfilled amount, in the pending orders' token. Returns 0 if the order was skipped.
+    * @return fee The market maker fee for the fill, in stablecoin.
     */
-    function _findNearestFilledOrder(uint256 _current) internal view returns (uint256) {
-        uint256 magnitude = TradegenMath.log10(_current);
-        uint256 prefix;
+    function _executeOrderAsMarketMaker(uint256 _orderIndex, uint256 _oraclePrice, uint256 _marketMakerFee) internal returns (uint256 unfilledAmount, uint256 fee) {
+        (uint256 discount, uint256 amountRequired,) = _getMarketMakerQuote(_orderIndex, _oraclePrice, _marketMakerFee);
 
-        while (_current > 0) {
-            string memory metadataKey = string.concat(Strings.toString(magnitude), "/", (prefix == 0) ? "" : Strings.toString(prefix), "/m");
-            LookupValue memory value = filledOrderLookup[metadataKey];
-            
-            // Metadata exists.
-            if (value.isLastDigit) {
-                while (value.previousDigit > _current % 10) {
-                    string memory entryKey = string.concat(Strings.toString(magnitude), "/", (prefix == 0) ? "" : Strings.toString(prefix), "/", Strings.toString(_current % (10 ** magnitude)));
-                    value.previousDigit = filledOrderLookup[entryKey].previousDigit;
-                }
-            }
+        if (amountRequired == 0) {
+            return (0, 0);
+        }
+
+        Order storage order = orders[_orderIndex];
+        unfilledAmount = _getOpenAmount(order);
+        fee = _calculateMarketMakerFee(unfilledAmount, amountRequired, _marketMakerFee);
 
-            prefix = prefix.add(_current % (10 ** magnitude));
-            magnitude = magnitude.sub(1);
-            _current = _current.div(10);
+        if (representsBuyOrders) {
+            IERC20(syntheticAsset).safeTransferFrom(msg.sender, order.user, amountRequired);
+        } else {
+            stablecoin.safeTransferFrom(msg.sender, order.user, amountRequired);
         }
 
-        return prefix;
+        // The market maker pays the user directly, so the amount received is already claimed.
+        order.amountFilled = order.amountFilled.add(unfilledAmount);
+        order.amountReceived = order.amountReceived.add(amountRequired);
+        order.amountClaimed = order.amountClaimed.add(amountRequired);
+        order.lastFilledTimestamp = block.timestamp;
+        totalOpenAmount = totalOpenAmount.sub(unfilledAmount);
+
+        _removeFromQueue(_orderIndex);
+        _closeOrderIfSettled(_orderIndex);
+
+        emit ExecutedOrderAsMarketMaker(msg.sender, order.user, _orderIndex, unfilledAmount, _oraclePrice, discount, fee);
     }
 
     /**
-    * @notice Adds a new entry to filledOrderLookup.
-    * @param _current The value of 'current' at which the order was filled.
+    * @notice Returns the market maker fee for filling the given amount.
+    * @dev The fee is charged on the stablecoin side of the fill.
+    * @param _unfilledAmount The order's unfilled amount, in the pending orders' token.
+    * @param _amountRequired The number of tokens the market maker pays to the order's user, in the instant order's token.
+    * @param _marketMakerFee The market maker fee, as a percentage with two decimals.
+    * @return uint256 The fee, in stablecoin.
     */
-    function _addToFilledOrdersLookupStructure(uint256 _current) internal {
-        uint256 magnitude = TradegenMath.log10(_current);
-        string memory prefix;
+    function _calculateMarketMakerFee(uint256 _unfilledAmount, uint256 _amountRequired, uint256 _marketMakerFee) internal view returns (uint256) {
+        return (representsBuyOrders ? _unfilledAmount : _amountRequired).mul(_marketMakerFee).div(10000);
+    }
 
-        while (_current > 0) {
-            string memory metadataKey = string.concat(Strings.toString(magnitude), "/", prefix, "/m");
-            LookupValue memory value = filledOrderLookup[metadataKey];
-            
-            // Metadata does not exist.
-            if (!value.isLastDigit) {
-                filledOrderLookup[metadataKey] = LookupValue({
-                    isLastDigit: true,
-                    previousDigit: uint8(_current % (10 ** magnitude))
-                });
+    /**
+    * @notice Sends the filled orders' tokens to the market maker and forwards the market maker fee.
+    * @dev In the "buy" version of the orderbook, the fee is deducted from the stablecoin sent to the market maker.
+    * @dev In the "sell" version of the orderbook, the fee is pulled from the market maker.
+    * @param _unfilledAmount Total unfilled amount of the executed orders, in the pending orders' token.
+    * @param _fee Total market maker fee, in stablecoin.
+    * @param _oraclePrice The synthetic asset's oracle price.
+    */
+    function _settleMarketMakerExecution(uint256 _unfilledAmount, uint256 _fee, uint256 _oraclePrice) internal {
+        if (representsBuyOrders) {
+            _unfilledAmount = _unfilledAmount.sub(_fee);
+        } else if (_fee > 0) {
+            stablecoin.safeTransferFrom(msg.sender, address(this), _fee);
+        }
 
-                string memory entryKey = string.concat(Strings.toString(magnitude), "/", prefix, "/", Strings.toString(_current % (10 ** magnitude)));
-                filledOrderLookup[entryKey] = LookupValue({
-                    isLastDigit: false,
-                    previousDigit: 0
-                });
-            } else {
-                filledOrderLookup[metadataKey].previousDigit = value.previousDigit;
+        _transferPendingTokens(msg.sender, _unfilledAmount);
+        _recordFill(_oraclePrice, _fee);
+    }
 
-                string memory entryKey = string.concat(Strings.toString(magnitude), "/", prefix, "/", Strings.toString(_current % (10 ** magnitude)));
-                filledOrderLookup[entryKey] = LookupValue({
-                    isLastDigit: false,
-                    previousDigit: value.previousDigit
-                });
-            }
+    /**
+    * @notice Forwards the trading fee to the Router and records the fill in the asset's price accumulator.
+    * @param _executionPrice Execution price of the fill, denominated in stablecoin.
+    * @param _fee Trading fee collected for the fill, in stablecoin.
+    */
+    function _recordFill(uint256 _executionPrice, uint256 _fee) internal {
+        if (_fee > 0) {
+            stablecoin.safeTransfer(router, _fee);
+        }
 
-            prefix = string.concat(prefix, Strings.toString(_current % (10 ** magnitude)));
-            magnitude = magnitude.sub(1);
-            _current = _current.div(10);
+        IRouter(router).recordFill(syntheticAsset, _executionPrice, _fee);
+    }
+
+    /**
+    * @notice Transfers the given number of tokens in the pending orders' token.
+    * @dev Pending orders are in stablecoin for the "buy" version of the orderbook, and in synthetic asset tokens for the "sell" version.
+    * @param _to Address of the recipient.
+    * @param _amount Number of tokens to transfer.
+    */
+    function _transferPendingTokens(address _to, uint256 _amount) internal {
+        if (representsBuyOrders) {
+            stablecoin.safeTransfer(_to, _amount);
+        } else {
+            IERC20(syntheticAsset).safeTransfer(_to, _amount);
         }
     }
 
     /**
-    * @notice Adds a new entry to cancelledOrderLookup.
-    * @param _orderIndex The user's order index.
+    * @notice Returns whether the given price satisfies the limit price of a pending order.
+    * @dev Pending buy orders accept prices at or below the limit; pending sell orders accept prices at or above the limit.
+    * @param _limitPrice The pending order's limit price. A limit price of 0 accepts any price.
+    * @param _price The execution price.
     */
-    function _addToCancelledOrdersLookupStructure(uint256 _orderIndex) internal {
-        uint256 magnitude = TradegenMath.log10(_orderIndex);
-        string memory prefix;
+    function _isWithinLimitPrice(uint256 _limitPrice, uint256 _price) internal view returns (bool) {
+        if (_limitPrice == 0) {
+            return true;
+        }
 
-        while (_orderIndex > 0) {
-            string memory metadataKey = string.concat(Strings.toString(magnitude), "/", prefix, "/m");
-            LookupValue memory value = cancelledOrderLookup[metadataKey];
-            
-            // Metadata does not exist.
-            if (!value.isLastDigit) {
-                cancelledOrderLookup[metadataKey] = LookupValue({
-                    isLastDigit: true,
-                    previousDigit: uint8(_orderIndex % (10 ** magnitude))
-                });
+        return representsBuyOrders ? _price <= _limitPrice : _price >= _limitPrice;
+    }
 
-                string memory entryKey = string.concat(Strings.toString(magnitude), "/", prefix, "/", Strings.toString(_orderIndex % (10 ** magnitude)));
-                cancelledOrderLookup[entryKey] = LookupValue({
-                    isLastDigit: false,
-                    previousDigit: 0
-                });
-            } else {
-                cancelledOrderLookup[metadataKey].previousDigit = value.previousDigit;
+    /**
+    * @notice Returns whether the order's expiry has passed.
+    * @param _order The order to check.
+    */
+    function _isExpired(Order storage _order) internal view returns (bool) {
+        return _order.expiry > 0 && block.timestamp > _order.expiry;
+    }
 
-                string memory entryKey = string.concat(Strings.toString(magnitude), "/", prefix, "/", Strings.toString(_orderIndex % (10 ** magnitude)));
-                cancelledOrderLookup[entryKey] = LookupValue({
-                    isLastDigit: false,
-                    previousDigit: value.previousDigit
-                });
-            }
+    /**
+    * @notice Returns the number of tokens in the order that have not been filled or cancelled.
+    * @param _order The order to check.
+    */
+    function _getOpenAmount(Order storage _order) internal view returns (uint256) {
+        return _order.quantity.sub(_order.amountFilled).sub(_order.amountCancelled);
+    }
 
-            prefix = string.concat(prefix, Strings.toString(_orderIndex % (10 ** magnitude)));
-            magnitude = magnitude.sub(1);
-            _orderIndex = _orderIndex.div(10);
+    /**
+    * @notice Calculates the average price at which the order has been filled.
+    * @dev Returns 0 if the order has not been filled.
+    * @param _order The order to check.
+    */
+    function _calculateAverageExecutionPrice(Order memory _order) internal view returns (uint256) {
+        if (_order.amountFilled == 0 || _order.amountReceived == 0) {
+            return 0;
         }
+
+        // In the "buy" version of the orderbook, amounts filled are in stablecoin and amounts received are in synthetic asset tokens.
+        return representsBuyOrders ? _order.amountFilled.mul(10 ** 18).div(_order.amountReceived) : _order.amountReceived.mul(10 ** 18).div(_order.amountFilled);
     }
 
     /**
-    * @notice Returns the adjusted order size and the remaining amount.
-    * @dev The remaining amount is the number of tokens that exceeds the available number of tokens in the orderbook.
-    * @param _numberOfTokens Desired order size.
+    * @notice Pays the oracle's usage fee on behalf of the given payer and returns the synthetic asset's latest price.
+    * @dev Returns any usage fee that the oracle did not use to the payer.
+    * @param _payer Address that pays the usage fee.
     */
-    function _computeAdjustedOrderSizeAndRemainder(uint256 _numberOfTokens) internal view returns (uint256, uint256) {
-        // Gas savings.
-        uint256 availableTokens = getAvailableTokensInOrderbook();
+    function _getLatestPrice(address _payer) internal returns (uint256) {
+        address feeToken;
+        uint256 usageFee;
+        (feeToken, usageFee) = oracle.getUsageFeeInfo(syntheticAsset);
+
+        IERC20(feeToken).safeTransferFrom(_payer, address(this), usageFee);
+        IERC20(feeToken).approve(address(oracle), usageFee);
+        uint256 oraclePrice = oracle.getLatestPrice(syntheticAsset);
 
-        if (_numberOfTokens <= availableTokens) {
-            return (_numberOfTokens, _numberOfTokens);
+        // The oracle only pulls the usage fees of the data sources it queries.
+        uint256 unusedFee = IERC20(feeToken).allowance(address(this), address(oracle));
+        if (unusedFee > 0) {
+            IERC20(feeToken).approve(address(oracle), 0);
+            IERC20(feeToken).safeTransfer(_payer, unusedFee);
         }
 
-        return (availableTokens, availableTokens.sub(_numberOfTokens));
+        return oraclePrice;
+    }
+
+    /**
+    * @notice Calls the given token's EIP-2612 permit function to approve this contract to spend msg.sender's tokens.
+    * @dev Anyone can submit a permit once it is broadcast, so a failed permit is accepted if this contract's allowance already covers its value.
+    * @param _token Address of the token.
+    * @param _value Number of tokens approved by the permit.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function _permit(address _token, uint256 _value, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal {
+        try IERC20Permit(_token).permit(msg.sender, address(this), _value, _deadline, _v, _r, _s) {} catch {
+            require(IERC20(_token).allowance(msg.sender, address(this)) >= _value, "Orderbook: Permit failed.");
+        }
     }
 
     /* ========== RESTRICTED FUNCTIONS ========== */
 
+    /**
+    * @notice Places an order on behalf of the given user.
+    * @dev Only the Router contract can call this function.
+    * @dev The Router verifies the user's signed order intent before calling this function.
+    * @dev Tokens and the oracle's usage fee are pulled from the user, so the user must have approved this contract.
+    * @param _user Address of the user placing the order.
+    * @param _isBuy Whether the order represents a 'buy'.
+    * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
+    */
+    function placeOrderFor(address _user, bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry) external override onlyRouter {
+        _placeOrder(_user, _isBuy, _numberOfTokens, _limitPrice, _minimumAmountOut, _expiry);
+    }
+
     /**
     * @notice Pauses trading for this asset.
     * @dev Only the Router contract can call this function.
@@ -582,29 +1036,48 @@ contract Orderbook is IOrderbook, Ownable {
     * @param _pauseTrading Whether to pause trading. Set this value to false to resume trading.
     */
     function pauseTrading(bool _pauseTrading) external override onlyRouter {
+        require(!isSettled, "Orderbook: Orderbook has been settled.");
+
         tradingIsPaused = _pauseTrading;
 
         emit PausedTrading(_pauseTrading);
     }
 
+    /**
+    * @notice Permanently stops trading so that open orders can be refunded through refundOrders().
+    * @dev Only the Router contract can call this function.
+    * @dev This function is called when the asset is delisted.
+    */
+    function settle() external override onlyRouter {
+        require(!isSettled, "Orderbook: Orderbook has already been settled.");
+
+        isSettled = true;
+        tradingIsPaused = true;
+
+        emit Settled();
+    }
+
     /* ========== MODIFIERS ========== */
 
-    modifier onlyRouter() {
-        require(msg.sender == router, "Orderbook: Only the Router contract can call this function.");
+    modifier onlyOrderUser(uint256 _orderIndex) {
+        require(orders[_orderIndex].user == msg.sender, "Orderbook: Only the order's user can call this function.");
         _;
     }
 
-    modifier tradingIsNotPaused() {
-        require(!tradingIsPaused, "Orderbook: This function can only be called when trading is not paused.");
+    modifier onlyRouter() {
+        require(msg.sender == router, "Orderbook: Only the Router contract can call this function.");
         _;
     }
 
     /* ========== EVENTS ========== */
 
-    event PlacedOrder(address user, uint256 numberOfTokens, uint256 orderIndex, uint256 remainder);
-    event ExecutedOrder(address user, uint256 numberOfTokens, uint256 executionPrice, uint256 remainder);
-    event ExecutedOrderAsMarketMaker(address marketMaker, address user, uint256 orderIndex, uint256 unfilledAmount, uint256 oraclePrice, uint256 discount);
-    event ClaimedTokens(address user, uint256 numberOfTokens, uint256 averageExecutionPrice);
-    event CancelledAnOrder(address user, uint256 numberOfTokens, uint256 orderIndex);
+    event PlacedOrder(address indexed user, uint256 numberOfTokens, uint256 indexed orderIndex, uint256 limitPrice);
+    event ExecutedOrder(address indexed user, uint256 numberOfTokens, uint256 executionPrice, uint256 remainder, uint256 fee);
+    event ExecutedOrderAsMarketMaker(address indexed marketMaker, address indexed user, uint256 indexed orderIndex, uint256 unfilledAmount, uint256 oraclePrice, uint256 discount, uint256 fee);
+    event ClaimedTokens(address indexed user, uint256 numberOfTokens, uint256 averageExecutionPrice);
+    event CancelledAnOrder(address indexed user, uint256 numberOfTokens, uint256 indexed orderIndex);
+    event CancelledExpiredOrder(address indexed keeper, address indexed user, uint256 indexed orderIndex, uint256 numberOfTokens, uint256 bounty);
     event PausedTrading(bool tradingStatus);
+    event Settled();
+    event RefundedOrder(address indexed user, uint256 indexed orderIndex, uint256 numberOfTokens);
 }
\ No newline at end of file
@@ -3,25 +3,31 @@
 pragma solidity ^0.8.3;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
+import "./openzeppelin-solidity/contracts/proxy/BeaconProxy.sol";
 
-// Internal references.
-import './Orderbook.sol';
+// Interfaces.
+import './interfaces/IOrderbook.sol';
 
 // Inheritance.
 import './interfaces/IOrderbookFactory.sol';
+import './AccessControlled.sol';
 
-contract OrderbookFactory is IOrderbookFactory, Ownable {
+contract OrderbookFactory is IOrderbookFactory, AccessControlled {
+    // UpgradeableBeacon that points each orderbook to the Orderbook implementation.
+    address public immutable beacon;
     address public immutable oracle;
     address public immutable protocolSettings;
     address public immutable userSettings;
+    address public immutable circuitBreaker;
     address public immutable stablecoin;
     address public router;
 
-    constructor(address _oracle, address _protocolSettings, address _userSettings, address _stablecoin) Ownable() {
+    constructor(address _accessController, address _beacon, address _oracle, address _protocolSettings, address _userSettings, address _circuitBreaker, address _stablecoin) AccessControlled(_accessController) {
+        beacon = _beacon;
         oracle = _oracle;
         protocolSettings = _protocolSettings;
         userSettings = _userSettings;
+        circuitBreaker = _circuitBreaker;
         stablecoin = _stablecoin;
     }
 
@@ -30,12 +36,14 @@ contract OrderbookFactory is IOrderbookFactory, Ownable {
     /**
     * @notice Deploys an Orderbook contract and returns the contract's address.
     * @dev This function can only be called by the Router contract.
+    * @dev The orderbook is a BeaconProxy, so it can be upgraded along with every other orderbook through the beacon.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _representsBuyOrders Whether this is the 'buy' version of the orderbook.
     * @return address Address of the deployed Orderbook contract.
     */
     function createOrderbook(address _syntheticAsset, bool _representsBuyOrders) external override onlyRouter returns (address) {
-        address orderbook = address(new Orderbook(router, oracle, protocolSettings, userSettings, stablecoin, _syntheticAsset, _representsBuyOrders));
+        bytes memory data = abi.encodeWithSelector(IOrderbook.initialize.selector, router, oracle, protocolSettings, userSettings, circuitBreaker, stablecoin, _syntheticAsset, _representsBuyOrders);
+        address orderbook = address(new BeaconProxy(beacon, data));
 
         emit CreatedOrderbook(_syntheticAsset, _representsBuyOrders, orderbook);
 
@@ -47,10 +55,10 @@ contract OrderbookFactory is IOrderbookFactory, Ownable {
     /**
     * @notice Sets the address of the Router contract.
     * @dev The address is initialized outside of the constructor to avoid a circular dependency with Router.
-    * @dev This function can only be called by the OrderbookFactory owner.
+    * @dev This function can only be called by the admin.
     * @param _router Address of the Router contract.
     */
-    function initializeContract(address _router) external onlyOwner {
+    function initializeContract(address _router) external onlyRole(Roles.ADMIN) {
         router = _router;
 
         emit InitializedContract(_router);
@@ -66,6 +74,6 @@ contract OrderbookFactory is IOrderbookFactory, Ownable {
 
     /* ========== EVENTS ========== */
 
-    event CreatedOrderbook(address syntheticAsset, bool representsBuyOrders, address orderbook);
+    event CreatedOrderbook(address indexed syntheticAsset, bool representsBuyOrders, address indexed orderbook);
     event InitializedContract(address routerAddress);
 }
\ No newline at end of file
@@ -3,116 +3,480 @@
 pragma solidity ^0.8.3;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
+import "./openzeppelin-solidity/contracts/SafeMath.sol";
 
 // Inheritance.
 import './interfaces/IProtocolSettings.sol';
+import './AccessControlled.sol';
 
-contract ProtocolSettings is IProtocolSettings, Ownable {
-    uint256 public override maxDiscount;
-    uint256 public override mintFee;
-    uint256 public override minimumMinimumTimeUntilDiscountStarts;
-    uint256 public override maximumMinimumTimeUntilDiscountStarts;
-    uint256 public override minimumTimeUntilMaxDiscount;
-    uint256 public override maximumTimeUntilMaxDiscount;
+contract ProtocolSettings is IProtocolSettings, AccessControlled {
+    using SafeMath for uint256;
 
-    constructor() Ownable() {
-        maxDiscount = 2000;
-        mintFee = 100;
-        minimumMinimumTimeUntilDiscountStarts = 10 minutes;
-        maximumMinimumTimeUntilDiscountStarts = 1 days;
-        minimumTimeUntilMaxDiscount = 1 hours;
-        maximumTimeUntilMaxDiscount = 1 weeks;
+    /* ========== CONSTANTS ========== */
+
+    uint256 public constant MAX_DISCOUNT = 0;
+    uint256 public constant MINT_FEE = 1;
+    uint256 public constant REDEMPTION_FEE = 2;
+    uint256 public constant TAKER_FEE = 3;
+    uint256 public constant MARKET_MAKER_FEE = 4;
+    uint256 public constant MINIMUM_COLLATERALIZATION_RATIO = 5;
+    uint256 public constant EXPIRED_ORDER_BOUNTY = 6;
+    uint256 public constant MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS = 7;
+    uint256 public constant MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS = 8;
+    uint256 public constant MINIMUM_TIME_UNTIL_MAX_DISCOUNT = 9;
+    uint256 public constant MAXIMUM_TIME_UNTIL_MAX_DISCOUNT = 10;
+    uint256 public constant MINIMUM_ORDER_SIZE = 11;
+    uint256 public constant NUMBER_OF_PARAMETERS = 12;
+
+    // Same delay semantics as the Treasury timelock.
+    uint256 public constant GRACE_PERIOD = 14 days;
+    uint256 public constant MINIMUM_DELAY = 2 days;
+    uint256 public constant MAXIMUM_DELAY = 30 days;
+
+    /* ========== STATE VARIABLES ========== */
+
+    struct PendingChange {
+        uint256 value;
+        // Timestamp at which the change can be executed. 0 if there is no pending change.
+        uint256 eta;
+    }
+
+    // (parameter index => current value).
+    mapping (uint256 => uint256) internal parameters;
+
+    // (parameter index => minimum number of seconds between queueing and executing a change).
+    mapping (uint256 => uint256) public parameterDelays;
+
+    // (parameter index => largest amount the parameter can move in a single change).
+    mapping (uint256 => uint256) public maximumStepSizes;
+
+    // (parameter index => queued change).
+    mapping (uint256 => PendingChange) public pendingChanges;
+
+    constructor(address _accessController) AccessControlled(_accessController) {
+        parameters[MAX_DISCOUNT] = 2000;
+        parameters[MINT_FEE] = 100;
+        parameters[REDEMPTION_FEE] = 100;
+        parameters[MINIMUM_COLLATERALIZATION_RATIO] = 8000;
+        parameters[EXPIRED_ORDER_BOUNTY] = 10;
+        parameters[MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS] = 10 minutes;
+        parameters[MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS] = 1 days;
+        parameters[MINIMUM_TIME_UNTIL_MAX_DISCOUNT] = 1 hours;
+        parameters[MAXIMUM_TIME_UNTIL_MAX_DISCOUNT] = 1 weeks;
+        parameters[MINIMUM_ORDER_SIZE] = 1e18;
+
+        maximumStepSizes[MAX_DISCOUNT] = 1000;
+        maximumStepSizes[MINT_FEE] = 100;
+        maximumStepSizes[REDEMPTION_FEE] = 100;
+        maximumStepSizes[TAKER_FEE] = 50;
+        maximumStepSizes[MARKET_MAKER_FEE] = 50;
+        maximumStepSizes[MINIMUM_COLLATERALIZATION_RATIO] = 1000;
+        maximumStepSizes[EXPIRED_ORDER_BOUNTY] = 50;
+        maximumStepSizes[MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS] = 1 hours;
+        maximumStepSizes[MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS] = 1 days;
+        maximumStepSizes[MINIMUM_TIME_UNTIL_MAX_DISCOUNT] = 1 hours;
+        maximumStepSizes[MAXIMUM_TIME_UNTIL_MAX_DISCOUNT] = 1 weeks;
+        maximumStepSizes[MINIMUM_ORDER_SIZE] = 10e18;
+
+        for (uint256 i = 0; i < NUMBER_OF_PARAMETERS; i++) {
+            parameterDelays[i] = MINIMUM_DELAY;
+        }
+    }
+
+    /* ========== VIEWS ========== */
+
+    /**
+    * @notice Returns the maximum discount at which a market maker can fill an order.
+    * @dev This value is expressed as a percentage with two decimals. Ex) A 20% discount would have the value 2000.
+    */
+    function maxDiscount() external view override returns (uint256) {
+        return parameters[MAX_DISCOUNT];
+    }
+
+    /**
+    * @notice Returns the fee for minting a synthetic asset.
+    * @dev The fee is a percentage of the dollar value of the user's order.
+    * @dev This value is expressed in two decimals. Ex) A 0.3% mint fee would have the value 30.
+    */
+    function mintFee() external view override returns (uint256) {
+        return parameters[MINT_FEE];
+    }
+
+    /**
+    * @notice Returns the fee for redeeming a synthetic asset.
+    * @dev The fee is a percentage of the dollar value of the tokens being redeemed.
+    * @dev This value is expressed in two decimals. Ex) A 0.3% redemption fee would have the value 30.
+    */
+    function redemptionFee() external view override returns (uint256) {
+        return parameters[REDEMPTION_FEE];
+    }
+
+    /**
+    * @notice Returns the fee charged to orders that are executed instantly against pending orders.
+    * @dev The fee is a percentage of the stablecoin side of the fill. Trading is free until the fee is set.
+    * @dev This value is expressed in two decimals. Ex) A 0.3% taker fee would have the value 30.
+    */
+    function takerFee() external view override returns (uint256) {
+        return parameters[TAKER_FEE];
+    }
+
+    /**
+    * @notice Returns the fee charged to market makers for executing pending orders.
+    * @dev The fee is a percentage of the stablecoin side of the fill. Trading is free until the fee is set.
+    * @dev This value is expressed in two decimals. Ex) A 0.1% market maker fee would have the value 10.
+    */
+    function marketMakerFee() external view override returns (uint256) {
+        return parameters[MARKET_MAKER_FEE];
+    }
+
+    /**
+    * @notice Returns the collateralization ratio below which minting is suspended for a synthetic asset.
+    * @dev The ratio is the asset's stablecoin reserve divided by the dollar value of its circulating supply.
+    * @dev This value is expressed as a percentage with two decimals. Ex) A 80% ratio would have the value 8000.
+    */
+    function minimumCollateralizationRatio() external view override returns (uint256) {
+        return parameters[MINIMUM_COLLATERALIZATION_RATIO];
+    }
+
+    /**
+    * @notice Returns the bounty paid to keepers for cancelling an expired order.
+    * @dev The bounty is a percentage of the expired order's unfilled amount and is paid from the order.
+    * @dev This value is expressed in two decimals. Ex) A 0.1% bounty would have the value 10.
+    */
+    function expiredOrderBounty() external view override returns (uint256) {
+        return parameters[EXPIRED_ORDER_BOUNTY];
+    }
+
+    /**
+    * @notice Returns the minimum value that a user can set for their minimumTimeUntilDiscountStarts setting.
+    */
+    function minimumMinimumTimeUntilDiscountStarts() external view override returns (uint256) {
+        return parameters[MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS];
+    }
+
+    /**
+    * @notice Returns the maximum value that a user can set for their minimumTimeUntilDiscountStarts setting.
+    */
+    function maximumMinimumTimeUntilDiscountStarts() external view override returns (uint256) {
+        return parameters[MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS];
+    }
+
+    /**
+    * @notice Returns the minimum value that a user can set for their timeUntilMaxDiscount setting.
+    */
+    function minimumTimeUntilMaxDiscount() external view override returns (uint256) {
+        return parameters[MINIMUM_TIME_UNTIL_MAX_DISCOUNT];
+    }
+
+    /**
+    * @notice Returns the maximum value that a user can set for their timeUntilMaxDiscount setting.
+    */
+    function maximumTimeUntilMaxDiscount() external view override returns (uint256) {
+        return parameters[MAXIMUM_TIME_UNTIL_MAX_DISCOUNT];
+    }
+
+    /**
+    * @notice Returns the smallest stablecoin value that can be placed as a pending order.
+    * @dev The minimum keeps the queue of pending orders from being filled with orders that are too small to be worth filling.
+    * @dev This value is in stablecoin, with 18 decimals. Pending sell orders are valued at the oracle price.
+    */
+    function minimumOrderSize() external view override returns (uint256) {
+        return parameters[MINIMUM_ORDER_SIZE];
+    }
+
+    /**
+    * @notice Returns the parameters that have a queued change, along with each change's new value and ETA.
+    * @return parameterIndices Index of each parameter with a queued change.
+    * @return values The value that each parameter will be set to.
+    * @return etas Timestamp at which each change can be executed.
+    */
+    function getPendingChanges() external view override returns (uint256[] memory parameterIndices, uint256[] memory values, uint256[] memory etas) {
+        uint256 numberOfChanges;
+
+        for (uint256 i = 0; i < NUMBER_OF_PARAMETERS; i++) {
+            if (pendingChanges[i].eta > 0) {
+                numberOfChanges++;
+            }
+        }
+
+        parameterIndices = new uint256[](numberOfChanges);
+        values = new uint256[](numberOfChanges);
+        etas = new uint256[](numberOfChanges);
+
+        uint256 index;
+        for (uint256 i = 0; i < NUMBER_OF_PARAMETERS; i++) {
+            if (pendingChanges[i].eta > 0) {
+                parameterIndices[index] = i;
+                values[index] = pendingChanges[i].value;
+                etas[index] = pendingChanges[i].eta;
+                index++;
+            }
+        }
+    }
+
+    /**
+    * @notice Returns whether the given trading fees are within a single change of the protocol-wide trading fees.
+    * @dev Used to bound per-asset fee overrides, which take effect without a delay.
+    * @param _takerFee The taker fee to check.
+    * @param _marketMakerFee The market maker fee to check.
+    */
+    function isWithinTradingFeeStep(uint256 _takerFee, uint256 _marketMakerFee) external view override returns (bool) {
+        return _isWithinMaximumStep(TAKER_FEE, _takerFee) && _isWithinMaximumStep(MARKET_MAKER_FEE, _marketMakerFee);
     }
 
     /* ========== RESTRICTED FUNCTIONS ========== */
 
     /**
-    * @notice Updates the value of maxDiscount.
-    * @dev This function can only be called by the ProtocolSettings contract owner.
+    * @notice Queues a change to the value of maxDiscount.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
     * @param _newMaxDiscount The new value for max discount.
     */
-    function updateMaxDiscount(uint256 _newMaxDiscount) external onlyOwner {
-        require(_newMaxDiscount > 0 && _newMaxDiscount < 10000, "ProtocolSettings: Max discount is out of bounds.");
+    function updateMaxDiscount(uint256 _newMaxDiscount) external onlyParameterManager(MAX_DISCOUNT) {
+        _queueChange(MAX_DISCOUNT, _newMaxDiscount);
+    }
 
-        uint256 oldMaxDiscount = maxDiscount;
-        maxDiscount = _newMaxDiscount;
+    /**
+    * @notice Queues a change to the value of mintFee.
+    * @dev This function can only be called by the fee manager.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @param _newMintFee The new value for mint fee.
+    */
+    function updateMintFee(uint256 _newMintFee) external onlyParameterManager(MINT_FEE) {
+        _queueChange(MINT_FEE, _newMintFee);
+    }
 
-        emit UpdateMaxDiscount(oldMaxDiscount, _newMaxDiscount);
+    /**
+    * @notice Queues a change to the value of redemptionFee.
+    * @dev This function can only be called by the fee manager.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @param _newRedemptionFee The new value for redemption fee.
+    */
+    function updateRedemptionFee(uint256 _newRedemptionFee) external onlyParameterManager(REDEMPTION_FEE) {
+        _queueChange(REDEMPTION_FEE, _newRedemptionFee);
     }
 
     /**
-    * @notice Updates the value of mintFee.
-    * @dev This function can only be called by the ProtocolSettings contract owner.
-    * @param _newMintFee The new value for mint fee.
+    * @notice Queues a change to the value of takerFee.
+    * @dev This function can only be called by the fee manager.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @dev The fee can be set to 0 to stop charging takers.
+    * @param _newTakerFee The new value for taker fee.
     */
-    function updateMintFee(uint256 _newMintFee) external onlyOwner {
-        require(_newMintFee > 0 && _newMintFee < 10000, "ProtocolSettings: Mint fee is out of bounds.");
+    function updateTakerFee(uint256 _newTakerFee) external onlyParameterManager(TAKER_FEE) {
+        _queueChange(TAKER_FEE, _newTakerFee);
+    }
 
-        uint256 oldMintFee = mintFee;
-        mintFee = _newMintFee;
+    /**
+    * @notice Queues a change to the value of marketMakerFee.
+    * @dev This function can only be called by the fee manager.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @dev The fee can be set to 0 to stop charging market makers.
+    * @param _newMarketMakerFee The new value for market maker fee.
+    */
+    function updateMarketMakerFee(uint256 _newMarketMakerFee) external onlyParameterManager(MARKET_MAKER_FEE) {
+        _queueChange(MARKET_MAKER_FEE, _newMarketMakerFee);
+    }
 
-        emit UpdateMintFee(oldMintFee, _newMintFee);
+    /**
+    * @notice Queues a change to the value of minimumCollateralizationRatio.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @param _newRatio The new value for minimum collateralization ratio.
+    */
+    function updateMinimumCollateralizationRatio(uint256 _newRatio) external onlyParameterManager(MINIMUM_COLLATERALIZATION_RATIO) {
+        _queueChange(MINIMUM_COLLATERALIZATION_RATIO, _newRatio);
     }
 
     /**
-    * @notice Sets minimumMinimumTimeUntilDiscountStarts to the given value.
-    * @dev This function can only be called by the ProtocolSettings contract owner.
+    * @notice Queues a change to the value of expiredOrderBounty.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @param _newBounty The new value for expired order bounty.
     */
-    function updateMinimumMinimumTimeUntilDiscountStarts(uint256 _newValue) external onlyOwner {
-        require(_newValue < maximumMinimumTimeUntilDiscountStarts, "ProtocolSettings: Minimum minimum time until discount starts must be smaller than the maximum value.");
+    function updateExpiredOrderBounty(uint256 _newBounty) external onlyParameterManager(EXPIRED_ORDER_BOUNTY) {
+        _queueChange(EXPIRED_ORDER_BOUNTY, _newBounty);
+    }
 
-        uint256 oldValue = minimumMinimumTimeUntilDiscountStarts;
-        minimumMinimumTimeUntilDiscountStarts = _newValue;
+    /**
+    * @notice Queues a change that sets minimumMinimumTimeUntilDiscountStarts to the given value.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    */
+    function updateMinimumMinimumTimeUntilDiscountStarts(uint256 _newValue) external onlyParameterManager(MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS) {
+        _queueChange(MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS, _newValue);
+    }
 
-        emit UpdateMinimumMinimumTimeUntilDiscountStarts(oldValue, _newValue);
+    /**
+    * @notice Queues a change that sets maximumMinimumTimeUntilDiscountStarts to the given value.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    */
+    function updateMaximumMinimumTimeUntilDiscountStarts(uint256 _newValue) external onlyParameterManager(MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS) {
+        _queueChange(MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS, _newValue);
     }
 
     /**
-    * @notice Sets maximumMinimumTimeUntilDiscountStarts to the given value.
-    * @dev This function can only be called by the ProtocolSettings contract owner.
+    * @notice Queues a change that sets minimumTimeUntilMaxDiscount to the given value.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
     */
-    function updateMaximumMinimumTimeUntilDiscountStarts(uint256 _newValue) external onlyOwner {
-        require(_newValue > minimumMinimumTimeUntilDiscountStarts, "ProtocolSettings: Maximum minimum time until discount starts must be greater than the minimum value.");
+    function updateMinimumTimeUntilMaxDiscount(uint256 _newValue) external onlyParameterManager(MINIMUM_TIME_UNTIL_MAX_DISCOUNT) {
+        _queueChange(MINIMUM_TIME_UNTIL_MAX_DISCOUNT, _newValue);
+    }
 
-        uint256 oldValue = maximumMinimumTimeUntilDiscountStarts;
-        maximumMinimumTimeUntilDiscountStarts = _newValue;
+    /**
+    * @notice Queues a change that sets maximumTimeUntilMaxDiscount to the given value.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    */
+    function updateMaximumTimeUntilMaxDiscount(uint256 _newValue) external onlyParameterManager(MAXIMUM_TIME_UNTIL_MAX_DISCOUNT) {
+        _queueChange(MAXIMUM_TIME_UNTIL_MAX_DISCOUNT, _newValue);
+    }
+
+    /**
+    * @notice Queues a change to the value of minimumOrderSize.
+    * @dev This function can only be called by the admin.
+    * @dev The change can be executed once the parameter's delay has elapsed.
+    * @param _newMinimumOrderSize The new value for minimum order size.
+    */
+    function updateMinimumOrderSize(uint256 _newMinimumOrderSize) external onlyParameterManager(MINIMUM_ORDER_SIZE) {
+        _queueChange(MINIMUM_ORDER_SIZE, _newMinimumOrderSize);
+    }
+
+    /**
+    * @notice Applies the queued change to the given parameter.
+    * @dev This function can only be called by the parameter's manager.
+    * @dev Transaction will revert if the change's ETA has not been reached or the change is stale.
+    * @dev The new value is checked again, since other parameters may have changed since the change was queued.
+    * @param _parameter Index of the parameter.
+    */
+    function executeChange(uint256 _parameter) external onlyParameterManager(_parameter) {
+        PendingChange memory change = pendingChanges[_parameter];
 
-        emit UpdateMaximumMinimumTimeUntilDiscountStarts(oldValue, _newValue);
+        require(change.eta > 0, "ProtocolSettings: Change hasn't been queued.");
+        require(block.timestamp >= change.eta, "ProtocolSettings: Change hasn't surpassed time lock.");
+        require(block.timestamp <= change.eta.add(GRACE_PERIOD), "ProtocolSettings: Change is stale.");
+
+        _checkValue(_parameter, change.value);
+
+        uint256 oldValue = parameters[_parameter];
+        parameters[_parameter] = change.value;
+        delete pendingChanges[_parameter];
+
+        emit ExecutedChange(_parameter, oldValue, change.value);
     }
 
     /**
-    * @notice Sets minimumTimeUntilMaxDiscount to the given value.
-    * @dev This function can only be called by the ProtocolSettings contract owner.
+    * @notice Cancels the queued change to the given parameter.
+    * @dev This function can only be called by the parameter's manager.
+    * @param _parameter Index of the parameter.
     */
-    function updateMinimumTimeUntilMaxDiscount(uint256 _newValue) external onlyOwner {
-        require(_newValue < maximumTimeUntilMaxDiscount, "ProtocolSettings: Minimum time until max discount must be smaller than the maximum value.");
+    function cancelChange(uint256 _parameter) external onlyParameterManager(_parameter) {
+        require(pendingChanges[_parameter].eta > 0, "ProtocolSettings: Change hasn't been queued.");
 
-        uint256 oldValue = minimumTimeUntilMaxDiscount;
-        minimumTimeUntilMaxDiscount = _newValue;
+        delete pendingChanges[_parameter];
 
-        emit UpdateMinimumTimeUntilMaxDiscount(oldValue, _newValue);
+        emit CancelledChange(_parameter);
     }
 
     /**
-    * @notice Sets maximumTimeUntilMaxDiscount to the given value.
-    * @dev This function can only be called by the ProtocolSettings contract owner.
+    * @notice Increases the delay for changes to the given parameter.
+    * @dev This function can only be called by the admin.
+    * @dev Delays can only be increased, so users are never given less notice than before.
+    * @param _parameter Index of the parameter.
+    * @param _newDelay The new delay, in seconds.
     */
-    function updateMaximumTimeUntilMaxDiscount(uint256 _newValue) external onlyOwner {
-        require(_newValue > minimumTimeUntilMaxDiscount, "ProtocolSettings: Maximum time until max discount must be greater than the minimum value.");
+    function increaseParameterDelay(uint256 _parameter, uint256 _newDelay) external onlyRole(Roles.ADMIN) {
+        require(_parameter < NUMBER_OF_PARAMETERS, "ProtocolSettings: Parameter is out of bounds.");
+        require(_newDelay > parameterDelays[_parameter], "ProtocolSettings: Delay must exceed the current delay.");
+        require(_newDelay <= MAXIMUM_DELAY, "ProtocolSettings: Delay must not exceed maximum delay.");
+
+        parameterDelays[_parameter] = _newDelay;
+
+        emit IncreasedParameterDelay(_parameter, _newDelay);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Queues a change to the given parameter, replacing any change that is already queued for the parameter.
+    * @dev Transaction will revert if the new value is out of bounds or moves the parameter by more than its maximum step size.
+    * @param _parameter Index of the parameter.
+    * @param _newValue The parameter's new value.
+    */
+    function _queueChange(uint256 _parameter, uint256 _newValue) internal {
+        _checkValue(_parameter, _newValue);
+
+        require(_isWithinMaximumStep(_parameter, _newValue), "ProtocolSettings: Change exceeds the maximum step size.");
+
+        uint256 eta = block.timestamp.add(parameterDelays[_parameter]);
+        pendingChanges[_parameter] = PendingChange({
+            value: _newValue,
+            eta: eta
+        });
+
+        emit QueuedChange(_parameter, _newValue, eta);
+    }
+
+    /**
+    * @notice Returns whether the given value is within the parameter's maximum step size of its current value.
+    * @param _parameter Index of the parameter.
+    * @param _value The value to check.
+    */
+    function _isWithinMaximumStep(uint256 _parameter, uint256 _value) internal view returns (bool) {
+        uint256 currentValue = parameters[_parameter];
+        uint256 difference = (_value > currentValue) ? _value.sub(currentValue) : currentValue.sub(_value);
+
+        return difference <= maximumStepSizes[_parameter];
+    }
+
+    /**
+    * @notice Checks that the given value is within the parameter's bounds.
+    * @param _parameter Index of the parameter.
+    * @param _value The parameter's new value.
+    */
+    function _checkValue(uint256 _parameter, uint256 _value) internal view {
+        if (_parameter == MAX_DISCOUNT) {
+            require(_value > 0 && _value < 10000, "ProtocolSettings: Max discount is out of bounds.");
+        } else if (_parameter == MINT_FEE) {
+            require(_value > 0 && _value < 10000, "ProtocolSettings: Mint fee is out of bounds.");
+        } else if (_parameter == REDEMPTION_FEE) {
+            require(_value > 0 && _value < 10000, "ProtocolSettings: Redemption fee is out of bounds.");
+        } else if (_parameter == TAKER_FEE) {
+            require(_value < 10000, "ProtocolSettings: Taker fee is out of bounds.");
+        } else if (_parameter == MARKET_MAKER_FEE) {
+            require(_value < 10000, "ProtocolSettings: Market maker fee is out of bounds.");
+        } else if (_parameter == MINIMUM_COLLATERALIZATION_RATIO) {
+            require(_value > 0 && _value <= 10000, "ProtocolSettings: Minimum collateralization ratio is out of bounds.");
+        } else if (_parameter == EXPIRED_ORDER_BOUNTY) {
+            require(_value > 0 && _value <= 1000, "ProtocolSettings: Expired order bounty is out of bounds.");
+        } else if (_parameter == MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS) {
+            require(_value < parameters[MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS], "ProtocolSettings: Minimum minimum time until discount starts must be smaller than the maximum value.");
+        } else if (_parameter == MAXIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS) {
+            require(_value > parameters[MINIMUM_MINIMUM_TIME_UNTIL_DISCOUNT_STARTS], "ProtocolSettings: Maximum minimum time until discount starts must be greater than the minimum value.");
+        } else if (_parameter == MINIMUM_TIME_UNTIL_MAX_DISCOUNT) {
+            require(_value < parameters[MAXIMUM_TIME_UNTIL_MAX_DISCOUNT], "ProtocolSettings: Minimum time until max discount must be smaller than the maximum value.");
+        } else if (_parameter == MAXIMUM_TIME_UNTIL_MAX_DISCOUNT) {
+            require(_value > parameters[MINIMUM_TIME_UNTIL_MAX_DISCOUNT], "ProtocolSettings: Maximum time until max discount must be greater than the minimum value.");
+        } else if (_parameter == MINIMUM_ORDER_SIZE) {
+            require(_value > 0, "ProtocolSettings: Minimum order size is out of bounds.");
+        }
+    }
 
-        uint256 oldValue = maximumTimeUntilMaxDiscount;
-        maximumTimeUntilMaxDiscount = _newValue;
+    /* ========== MODIFIERS ========== */
 
-        emit UpdateMaximumTimeUntilMaxDiscount(oldValue, _newValue);
+    // Fees are managed by the fee manager, and all other parameters are managed by the admin.
+    modifier onlyParameterManager(uint256 _parameter) {
+        uint256 role = (_parameter >= MINT_FEE && _parameter <= MARKET_MAKER_FEE) ? Roles.FEE_MANAGER : Roles.ADMIN;
+        require(accessController.hasRole(role, msg.sender), "ProtocolSettings: Only the parameter's manager can call this function.");
+        _;
     }
 
     /* ========== EVENTS ========== */
 
-    event UpdateMaxDiscount(uint256 oldMaxDiscount, uint256 newMaxDiscount);
-    event UpdateMintFee(uint256 oldMintFee, uint256 newMintFee);
-    event UpdateMinimumMinimumTimeUntilDiscountStarts(uint256 oldValue, uint256 newValue);
-    event UpdateMaximumMinimumTimeUntilDiscountStarts(uint256 oldValue, uint256 newValue);
-    event UpdateMinimumTimeUntilMaxDiscount(uint256 oldValue, uint256 newValue);
-    event UpdateMaximumTimeUntilMaxDiscount(uint256 oldValue, uint256 newValue);
+    event QueuedChange(uint256 indexed parameter, uint256 newValue, uint256 eta);
+    event CancelledChange(uint256 indexed parameter);
+    event ExecutedChange(uint256 indexed parameter, uint256 oldValue, uint256 newValue);
+    event IncreasedParameterDelay(uint256 indexed parameter, uint256 newDelay);
 }
\ No newline at end of file
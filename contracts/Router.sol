@@ -3,102 +3,146 @@
 pragma solidity ^0.8.3;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
+import "./openzeppelin-solidity/contracts/ReentrancyGuard.sol";
 import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
 import './openzeppelin-solidity/contracts/ERC20/IERC20.sol';
 import "./openzeppelin-solidity/contracts/SafeMath.sol";
+import "./openzeppelin-solidity/contracts/draft-EIP712.sol";
+import "./openzeppelin-solidity/contracts/ECDSA.sol";
+import './openzeppelin-solidity/contracts/ERC20/draft-IERC20Permit.sol';
 
 // Interfaces.
 import './interfaces/IOrderbook.sol';
 import './interfaces/IOrderbookFactory.sol';
+import './interfaces/IOracle.sol';
+import './interfaces/IProtocolSettings.sol';
+import './interfaces/ISyntheticAssetToken.sol';
+import './interfaces/IFeeDistributor.sol';
 
 // Inheritance.
 import './interfaces/IRouter.sol';
+import './AccessControlled.sol';
+
+contract Router is IRouter, AccessControlled, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+    using SafeMath for uint256;
+
+    bytes32 public constant ORDER_INTENT_TYPEHASH = keccak256("OrderIntent(address user,address syntheticAsset,bool isBuy,bool executeInstantly,uint256 numberOfTokens,uint256 limitPrice,uint256 minimumAmountOut,uint256 expiry,uint256 nonce,uint256 deadline)");
 
-contract Router is IRouter, Ownable {
     IOrderbookFactory public immutable factory;
     address public immutable registry;
-    address public operator;
+    IOracle public immutable oracle;
+    IProtocolSettings public immutable protocolSettings;
+    IERC20 public immutable stablecoin;
+    // Timelock that governs where trading fees are sent.
+    address public immutable treasury;
+    IFeeDistributor public feeDistributor;
 
     struct OrderbookAddresses {
         address buyAddress;
         address sellAddress;
     }
 
+    struct Observation {
+        uint256 timestamp;
+        uint256 priceCumulative;
+        uint256 price;
+    }
+
     // (synthetic asset address => address of the asset's 'buy' and 'sell' versions of the orderbook).
     mapping (address => OrderbookAddresses) public assetToOrderbookAddresses;
 
-    constructor(address _factory, address _registry) Ownable() {
+    // (synthetic asset address => price observations, in chronological order).
+    // A new observation is recorded each time one of the asset's orderbooks fills an order.
+    mapping (address => Observation[]) internal observations;
+
+    // (user address => nonce of the user's next signed order intent).
+    mapping (address => uint256) public override nonces;
+
+    // (synthetic asset address => trading fees that replace the protocol-wide fees for the asset).
+    // Set by the SyntheticAssetTokenRegistry.
+    mapping (address => TradingFeeOverride) public tradingFeeOverrides;
+
+    constructor(address _accessController, address _factory, address _registry, address _oracle, address _protocolSettings, address _stablecoin, address _treasury, address _feeDistributor) AccessControlled(_accessController) EIP712("Router", "1") {
         factory = IOrderbookFactory(_factory);
         registry = _registry;
-        operator = msg.sender;
+        oracle = IOracle(_oracle);
+        protocolSettings = IProtocolSettings(_protocolSettings);
+        stablecoin = IERC20(_stablecoin);
+        treasury = _treasury;
+        feeDistributor = IFeeDistributor(_feeDistributor);
     }
 
     /* ========== VIEWS ========== */
 
+    /**
+    * @notice Returns the trading fees for the given asset.
+    * @dev Uses the asset's override if one is set. Otherwise, uses the fees in ProtocolSettings.
+    * @dev Fees are expressed as percentages with two decimals.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return takerFee The fee charged to orders that are executed instantly against pending orders.
+    * @return marketMakerFee The fee charged to market makers for executing pending orders.
+    */
+    function getTradingFees(address _syntheticAsset) public view override returns (uint256 takerFee, uint256 marketMakerFee) {
+        TradingFeeOverride memory feeOverride = tradingFeeOverrides[_syntheticAsset];
+
+        if (feeOverride.isEnabled) {
+            return (feeOverride.takerFee, feeOverride.marketMakerFee);
+        }
+
+        return (protocolSettings.takerFee(), protocolSettings.marketMakerFee());
+    }
+
     /**
     * @notice Returns the info for the order at the given index.
-    * @dev Returns (0, 0, 0, 0) if the asset is not found or the order index is out of bounds.
+    * @dev Returns (0, 0, 0, 0, 0) if the asset is not found or the order index is out of bounds.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _isBuy Whether to use the 'buy' version of the asset's orderbook.
     * @param _orderIndex Index of the order.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
+    * @return uint256, uint256, uint256, uint256, uint256 The order size, number of tokens filled, average execution price, timestamp at which the order was last filled, and limit price.
     */
-    function getOrderInfo(address _syntheticAsset, bool _isBuy, uint256 _orderIndex) external view override returns (uint256, uint256, uint256, uint256) {
-        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
-
-        if (orderbooks.buyAddress == address(0)) {
-            return (0, 0, 0, 0);
-        }
+    function getOrderInfo(address _syntheticAsset, bool _isBuy, uint256 _orderIndex) external view override returns (uint256, uint256, uint256, uint256, uint256) {
+        address orderbook = _getOrderbook(_syntheticAsset, _isBuy);
 
-        if (_isBuy) {
-            return IOrderbook(orderbooks.buyAddress).getOrderInfo(_orderIndex);
+        if (orderbook == address(0)) {
+            return (0, 0, 0, 0, 0);
         }
 
-        return IOrderbook(orderbooks.sellAddress).getOrderInfo(_orderIndex);
+        return IOrderbook(orderbook).getOrderInfo(_orderIndex);
     }
 
     /**
-    * @notice Returns the order info for the given user's pending order.
-    * @dev Returns (0, 0, 0, 0) if the asset is not found or the user does not have an order.
+    * @notice Returns the indices of the given user's unsettled orders.
+    * @dev Returns an empty array if the asset is not found.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _isBuy Whether to use the 'buy' version of the asset's orderbook.
     * @param _user Address of the user.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
     */
-    function getPendingOrderInfo(address _syntheticAsset, bool _isBuy, address _user) external view override returns (uint256, uint256, uint256, uint256) {
-        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
-
-        if (orderbooks.buyAddress == address(0)) {
-            return (0, 0, 0, 0);
-        }
+    function getUserOrders(address _syntheticAsset, bool _isBuy, address _user) external view override returns (uint256[] memory) {
+        address orderbook = _getOrderbook(_syntheticAsset, _isBuy);
 
-        if (_isBuy) {
-            return IOrderbook(orderbooks.buyAddress).getPendingOrderInfo(_user);
+        if (orderbook == address(0)) {
+            return new uint256[](0);
         }
 
-        return IOrderbook(orderbooks.sellAddress).getPendingOrderInfo(_user);
+        return IOrderbook(orderbook).getUserOrders(_user);
     }
 
     /**
-    * @notice Returns the number of tokens that the given user can claim.
+    * @notice Returns the number of tokens that the given user can claim across all of the user's orders.
     * @dev Returns 0 if the asset is not found.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _isBuy Whether to use the 'buy' version of the asset's orderbook.
     * @param _user Address of the user.
     */
     function getAvailableTokens(address _syntheticAsset, bool _isBuy, address _user) external view override returns (uint256) {
-        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
+        address orderbook = _getOrderbook(_syntheticAsset, _isBuy);
 
-        if (orderbooks.buyAddress == address(0)) {
+        if (orderbook == address(0)) {
             return 0;
         }
 
-        if (_isBuy) {
-            return IOrderbook(orderbooks.buyAddress).getAvailableTokensForUser(_user);
-        }
-
-        return IOrderbook(orderbooks.sellAddress).getAvailableTokensForUser(_user);
+        return IOrderbook(orderbook).getAvailableTokensForUser(_user);
     }
 
     /**
@@ -109,17 +153,13 @@ contract Router is IRouter, Ownable {
     * @param _user Address of the user.
     */
     function getAvailableDollarAmount(address _syntheticAsset, bool _isBuy, address _user) external view override returns (uint256) {
-        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
+        address orderbook = _getOrderbook(_syntheticAsset, _isBuy);
 
-        if (orderbooks.buyAddress == address(0)) {
+        if (orderbook == address(0)) {
             return 0;
         }
 
-        if (_isBuy) {
-            return IOrderbook(orderbooks.buyAddress).getAvailableDollarAmount(_user);
-        }
-
-        return IOrderbook(orderbooks.sellAddress).getAvailableDollarAmount(_user);
+        return IOrderbook(orderbook).getAvailableDollarAmount(_user);
     }
 
     /**
@@ -134,16 +174,279 @@ contract Router is IRouter, Ownable {
         return (orderbooks.buyAddress, orderbooks.sellAddress);
     }
 
+    /**
+    * @notice Returns the number of price observations recorded for the given asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    */
+    function getNumberOfObservations(address _syntheticAsset) external view override returns (uint256) {
+        return observations[_syntheticAsset].length;
+    }
+
+    /**
+    * @notice Returns the price observation at the given index.
+    * @dev Returns (0, 0, 0) if the index is out of bounds.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _index Index of the observation. Starts at index 0.
+    * @return uint256, uint256, uint256 The timestamp of the observation, the cumulative price at that time, and the execution price of the fill.
+    */
+    function getObservation(address _syntheticAsset, uint256 _index) external view override returns (uint256, uint256, uint256) {
+        if (_index >= observations[_syntheticAsset].length) {
+            return (0, 0, 0);
+        }
+
+        Observation memory observation = observations[_syntheticAsset][_index];
+
+        return (observation.timestamp, observation.priceCumulative, observation.price);
+    }
+
+    /**
+    * @notice Returns the cumulative price of the given asset at the given timestamp.
+    * @dev The cumulative price is the sum of each fill's execution price multiplied by the number of seconds it was the latest price.
+    * @dev Returns 0 if the asset had no fills at or before the given timestamp.
+    * @dev Transaction will revert if the timestamp is in the future.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _timestamp The timestamp at which to calculate the cumulative price.
+    */
+    function getCumulativePrice(address _syntheticAsset, uint256 _timestamp) public view override returns (uint256) {
+        require(_timestamp <= block.timestamp, "Router: Timestamp is in the future.");
+
+        Observation[] storage assetObservations = observations[_syntheticAsset];
+
+        if (assetObservations.length == 0 || assetObservations[0].timestamp > _timestamp) {
+            return 0;
+        }
+
+        // Binary search for the latest observation at or before the timestamp.
+        uint256 low = 0;
+        uint256 high = assetObservations.length.sub(1);
+        while (low < high) {
+            uint256 mid = (low.add(high).add(1)).div(2);
+
+            if (assetObservations[mid].timestamp <= _timestamp) {
+                low = mid;
+            } else {
+                high = mid.sub(1);
+            }
+        }
+
+        Observation memory observation = assetObservations[low];
+
+        return observation.priceCumulative.add(observation.price.mul(_timestamp.sub(observation.timestamp)));
+    }
+
+    /**
+    * @notice Returns the time-weighted average execution price of the given asset between the two timestamps.
+    * @dev Returns 0 if the asset had no fills at or before _startTime.
+    * @dev Transaction will revert if _startTime is not before _endTime or if _endTime is in the future.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _startTime Start of the window.
+    * @param _endTime End of the window.
+    */
+    function getTWAP(address _syntheticAsset, uint256 _startTime, uint256 _endTime) public view override returns (uint256) {
+        require(_startTime < _endTime, "Router: Start time must be before end time.");
+
+        require(_endTime <= block.timestamp, "Router: Timestamp is in the future.");
+
+        if (observations[_syntheticAsset].length == 0 || observations[_syntheticAsset][0].timestamp > _startTime) {
+            return 0;
+        }
+
+        return getCumulativePrice(_syntheticAsset, _endTime).sub(getCumulativePrice(_syntheticAsset, _startTime)).div(_endTime.sub(_startTime));
+    }
+
+    /**
+    * @notice Returns the time-weighted average execution price of the given asset over the last [_period] seconds.
+    * @dev Returns 0 if the asset had no fills at or before the start of the period.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _period Number of seconds to average over.
+    */
+    function getTWAPForPeriod(address _syntheticAsset, uint256 _period) external view override returns (uint256) {
+        require(_period > 0 && _period <= block.timestamp, "Router: Period is out of bounds.");
+
+        return getTWAP(_syntheticAsset, block.timestamp.sub(_period), block.timestamp);
+    }
+
+    /* ========== MUTATIVE FUNCTIONS ========== */
+
+    /**
+    * @notice Swaps stablecoin for the given synthetic asset.
+    * @dev Orderbook fills execute at the oracle price plus the asset's taker fee, and mints execute at the oracle price plus the mint fee.
+    *      Buys from the asset's 'sell' orderbook first, unless the mint fee is lower, and uses the other path for the remaining stablecoin.
+    * @dev Pulls [_amountIn] stablecoin and the maximum oracle usage fee from the user once, and returns anything left over.
+    * @dev Returned amounts are the net changes in the user's balances, so they include any usage fees paid in the same token.
+    * @dev Transaction will revert if [_deadline] has passed or the user would receive fewer than [_minimumAmountOut] tokens.
+    * @dev Minting is skipped while it's disabled, paused or undercollateralized only if the orderbook filled part of the swap. Otherwise, failed fills and mints revert the swap with their reason.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum amount of stablecoin to spend.
+    * @param _minimumAmountOut Minimum number of synthetic asset tokens to receive.
+    * @param _deadline Timestamp after which the swap can no longer be executed.
+    * @return amountIn Amount of stablecoin spent.
+    * @return amountOut Number of synthetic asset tokens received.
+    */
+    function swapStablecoinForSyntheticAsset(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline) external override nonReentrant returns (uint256 amountIn, uint256 amountOut) {
+        return _swap(_syntheticAsset, true, _amountIn, _minimumAmountOut, _deadline);
+    }
+
+    /**
+    * @notice Swaps the given synthetic asset for stablecoin.
+    * @dev Orderbook fills execute at the oracle price minus the asset's taker fee, and redemptions execute at the oracle price minus the redemption fee.
+    *      Sells to the asset's 'buy' orderbook first, unless the redemption fee is lower, and uses the other path for the remaining tokens.
+    * @dev Pulls [_amountIn] synthetic asset tokens and the maximum oracle usage fee from the user once, and returns anything left over.
+    * @dev Returned amounts are the net changes in the user's balances, so they include any usage fees paid in the same token.
+    * @dev Transaction will revert if [_deadline] has passed or the user would receive less than [_minimumAmountOut] stablecoin.
+    * @dev Redemption is skipped while it's disabled only if the orderbook filled part of the swap. Otherwise, failed fills and redemptions revert the swap with their reason.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum number of synthetic asset tokens to spend.
+    * @param _minimumAmountOut Minimum amount of stablecoin to receive.
+    * @param _deadline Timestamp after which the swap can no longer be executed.
+    * @return amountIn Number of synthetic asset tokens spent.
+    * @return amountOut Amount of stablecoin received.
+    */
+    function swapSyntheticAssetForStablecoin(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline) external override nonReentrant returns (uint256 amountIn, uint256 amountOut) {
+        return _swap(_syntheticAsset, false, _amountIn, _minimumAmountOut, _deadline);
+    }
+
+    /**
+    * @notice Swaps stablecoin for the given synthetic asset, using an EIP-2612 permit signature to approve the stablecoin.
+    * @dev See swapStablecoinForSyntheticAsset() for how the swap is routed.
+    * @dev Assumes that the user has already approved the oracle's usage fee.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum amount of stablecoin to spend.
+    * @param _minimumAmountOut Minimum number of synthetic asset tokens to receive.
+    * @param _deadline Timestamp after which the swap and the permit are no longer valid.
+    * @param _permitValue Amount of stablecoin approved by the permit.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    * @return amountIn Amount of stablecoin spent.
+    * @return amountOut Number of synthetic asset tokens received.
+    */
+    function swapStablecoinForSyntheticAssetWithPermit(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline, uint256 _permitValue, uint8 _v, bytes32 _r, bytes32 _s) external override nonReentrant returns (uint256 amountIn, uint256 amountOut) {
+        _permit(address(stablecoin), msg.sender, address(this), _permitValue, _deadline, _v, _r, _s);
+
+        return _swap(_syntheticAsset, true, _amountIn, _minimumAmountOut, _deadline);
+    }
+
+    /**
+    * @notice Swaps the given synthetic asset for stablecoin, using an EIP-2612 permit signature to approve the synthetic asset.
+    * @dev See swapSyntheticAssetForStablecoin() for how the swap is routed.
+    * @dev Assumes that the user has already approved the oracle's usage fee.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum number of synthetic asset tokens to spend.
+    * @param _minimumAmountOut Minimum amount of stablecoin to receive.
+    * @param _deadline Timestamp after which the swap and the permit are no longer valid.
+    * @param _permitValue Number of synthetic asset tokens approved by the permit.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    * @return amountIn Number of synthetic asset tokens spent.
+    * @return amountOut Amount of stablecoin received.
+    */
+    function swapSyntheticAssetForStablecoinWithPermit(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline, uint256 _permitValue, uint8 _v, bytes32 _r, bytes32 _s) external override nonReentrant returns (uint256 amountIn, uint256 amountOut) {
+        _permit(_syntheticAsset, msg.sender, address(this), _permitValue, _deadline, _v, _r, _s);
+
+        return _swap(_syntheticAsset, false, _amountIn, _minimumAmountOut, _deadline);
+    }
+
+    /**
+    * @notice Places an order on behalf of the user who signed the given EIP-712 order intent.
+    * @dev Anyone can call this function, so a relayer can submit the order and pay for gas.
+    * @dev Pending buy orders and instant sell orders are placed in the asset's 'buy' orderbook; the rest are placed in the 'sell' orderbook.
+    * @dev Tokens and the oracle's usage fee are pulled from the user, so the user must have approved the orderbook or use placeOrderBySigWithPermit().
+    * @dev Transaction will revert if the signature is invalid or expired, or if the intent's nonce is not the user's current nonce.
+    * @param _intent The user's order intent.
+    * @param _v The 'v' component of the user's signature.
+    * @param _r The 'r' component of the user's signature.
+    * @param _s The 's' component of the user's signature.
+    */
+    function placeOrderBySig(OrderIntent calldata _intent, uint8 _v, bytes32 _r, bytes32 _s) external override nonReentrant {
+        _placeOrderForIntent(_useOrderIntent(_intent, _v, _r, _s), _intent);
+    }
+
+    /**
+    * @notice Approves the orderbook to spend the user's tokens using EIP-2612 permit signatures,
+    *         then places an order on behalf of the user who signed the given EIP-712 order intent.
+    * @dev See placeOrderBySig() for how the order is placed.
+    * @dev [_tokenPermit] is for stablecoin if the intent is a 'buy', and for the synthetic asset otherwise.
+    * @dev [_feeTokenPermit] is for the oracle's usage fee token, which is only pulled for instant orders.
+    *      Its permit is skipped if its value is 0, such as when [_tokenPermit] already covers the usage fee.
+    * @param _intent The user's order intent.
+    * @param _v The 'v' component of the user's signature.
+    * @param _r The 'r' component of the user's signature.
+    * @param _s The 's' component of the user's signature.
+    * @param _tokenPermit The user's permit for the token being spent.
+    * @param _feeTokenPermit The user's permit for the oracle's usage fee token.
+    */
+    function placeOrderBySigWithPermit(OrderIntent calldata _intent, uint8 _v, bytes32 _r, bytes32 _s, PermitSignature calldata _tokenPermit, PermitSignature calldata _feeTokenPermit) external override nonReentrant {
+        address orderbook = _useOrderIntent(_intent, _v, _r, _s);
+
+        _permit(_intent.isBuy ? address(stablecoin) : _intent.syntheticAsset, _intent.user, orderbook, _tokenPermit.value, _tokenPermit.deadline, _tokenPermit.v, _tokenPermit.r, _tokenPermit.s);
+
+        if (_feeTokenPermit.value > 0) {
+            (address feeToken,) = oracle.getUsageFeeInfo(_intent.syntheticAsset);
+            _permit(feeToken, _intent.user, orderbook, _feeTokenPermit.value, _feeTokenPermit.deadline, _feeTokenPermit.v, _feeTokenPermit.r, _feeTokenPermit.s);
+        }
+
+        _placeOrderForIntent(orderbook, _intent);
+    }
+
+    /**
+    * @notice Invalidates all of msg.sender's unused signed order intents.
+    */
+    function incrementNonce() external override {
+        nonces[msg.sender] = nonces[msg.sender].add(1);
+
+        emit IncrementedNonce(msg.sender, nonces[msg.sender]);
+    }
+
     /* ========== RESTRICTED FUNCTIONS ========== */
 
+    /**
+    * @notice Records the execution price of a fill in the asset's price accumulator and forwards the fill's trading fee.
+    * @dev Only the asset's orderbooks can call this function.
+    * @dev If multiple fills happen in the same block, the last fill's execution price is used.
+    * @dev Assumes that the orderbook has already transferred the trading fee to this contract.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _executionPrice Execution price of the fill, denominated in stablecoin.
+    * @param _fee Trading fee collected for the fill, in stablecoin.
+    */
+    function recordFill(address _syntheticAsset, uint256 _executionPrice, uint256 _fee) external override onlyOrderbook(_syntheticAsset) {
+        if (_fee > 0) {
+            stablecoin.approve(address(feeDistributor), _fee);
+            feeDistributor.depositFee(_syntheticAsset, FEE_SOURCE_TRADING, _fee);
+        }
+
+        Observation[] storage assetObservations = observations[_syntheticAsset];
+        uint256 length = assetObservations.length;
+        uint256 priceCumulative;
+
+        if (length > 0 && assetObservations[length.sub(1)].timestamp == block.timestamp) {
+            assetObservations[length.sub(1)].price = _executionPrice;
+            priceCumulative = assetObservations[length.sub(1)].priceCumulative;
+        } else {
+            if (length > 0) {
+                Observation memory lastObservation = assetObservations[length.sub(1)];
+                priceCumulative = lastObservation.priceCumulative.add(lastObservation.price.mul(block.timestamp.sub(lastObservation.timestamp)));
+            }
+
+            assetObservations.push(Observation({
+                timestamp: block.timestamp,
+                priceCumulative: priceCumulative,
+                price: _executionPrice
+            }));
+        }
+
+        emit RecordedFill(_syntheticAsset, _executionPrice, priceCumulative);
+    }
+
     /**
     * @notice Pauses trading for this asset.
-    * @dev Only the operator of the Router contract can call this function.
+    * @dev Only accounts with the operator role can call this function.
     * @dev Pauses trading for both the 'buy' and 'sell' versions of the asset's orderbook.
     * @dev This function is meant to be used to protect the protocol from Black Swan events.
     * @param _pauseTrading Whether to pause trading. Set this value to false to resume trading.
     */
-    function pauseTrading(address _syntheticAsset, bool _pauseTrading) external override onlyOperator {
+    function pauseTrading(address _syntheticAsset, bool _pauseTrading) external override onlyRole(Roles.OPERATOR) {
         OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
 
         IOrderbook(orderbooks.buyAddress).pauseTrading(_pauseTrading);
@@ -173,20 +476,441 @@ contract Router is IRouter, Ownable {
     }
 
     /**
-     * @notice Updates the address of the operator.
-     * @dev This function can only be called by the Router contract owner.
-     * @param _newOperator Address of the new operator.
+    * @notice Settles the 'buy' and 'sell' version of the orderbook for the given asset, so their open orders can be refunded.
+    * @dev Only the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Transaction will revert if the asset does not have orderbooks or they have already been settled.
+    * @param _syntheticAsset Address of the asset.
+    */
+    function settleOrderbooks(address _syntheticAsset) external override onlyRegistry {
+        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
+
+        require(orderbooks.buyAddress != address(0), "Router: Orderbooks not found.");
+
+        IOrderbook(orderbooks.buyAddress).settle();
+        IOrderbook(orderbooks.sellAddress).settle();
+
+        emit SettledOrderbooks(_syntheticAsset);
+    }
+
+    /**
+    * @notice Sets the trading fees for the given asset, replacing the protocol-wide fees.
+    * @dev Only the SyntheticAssetTokenRegistry contract can call this function.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _feeOverride The asset's trading fees. Set isEnabled to false to use the protocol-wide fees.
+    */
+    function setTradingFeeOverride(address _syntheticAsset, TradingFeeOverride memory _feeOverride) external override onlyRegistry {
+        tradingFeeOverrides[_syntheticAsset] = _feeOverride;
+
+        emit SetTradingFeeOverride(_syntheticAsset, _feeOverride.isEnabled, _feeOverride.takerFee, _feeOverride.marketMakerFee);
+    }
+
+    /**
+     * @notice Updates the address of the FeeDistributor contract that receives trading fees.
+     * @dev Only the Treasury can call this function, so updates go through its timelock.
+     * @param _newFeeDistributor Address of the new FeeDistributor contract.
      */
-    function setOperator(address _newOperator) external onlyOwner {
-        operator = _newOperator;
+    function setFeeDistributor(address _newFeeDistributor) external onlyTreasury {
+        feeDistributor = IFeeDistributor(_newFeeDistributor);
+
+        emit SetFeeDistributor(_newFeeDistributor);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Returns the address of the given version of the asset's orderbook.
+    * @dev Returns address(0) if the asset is not found.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _isBuy Whether to return the 'buy' version of the asset's orderbook.
+    */
+    function _getOrderbook(address _syntheticAsset, bool _isBuy) internal view returns (address) {
+        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
+
+        return _isBuy ? orderbooks.buyAddress : orderbooks.sellAddress;
+    }
+
+    /**
+    * @notice Verifies the user's signed order intent and uses up its nonce.
+    * @dev Transaction will revert if the signature is invalid or expired, or if the intent's nonce is not the user's current nonce.
+    * @param _intent The user's order intent.
+    * @param _v The 'v' component of the user's signature.
+    * @param _r The 'r' component of the user's signature.
+    * @param _s The 's' component of the user's signature.
+    * @return address Address of the orderbook to place the order in.
+    */
+    function _useOrderIntent(OrderIntent calldata _intent, uint8 _v, bytes32 _r, bytes32 _s) internal returns (address) {
+        require(block.timestamp <= _intent.deadline, "Router: Signature has expired.");
+        require(_intent.nonce == nonces[_intent.user], "Router: Invalid nonce.");
+
+        // Every field of OrderIntent is a static type, so abi.encode() of the struct matches EIP-712's encoding of its fields.
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(ORDER_INTENT_TYPEHASH, _intent)));
+        require(ECDSA.recover(digest, _v, _r, _s) == _intent.user, "Router: Invalid signature.");
+
+        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_intent.syntheticAsset];
+        require(orderbooks.buyAddress != address(0), "Router: Asset not found.");
+
+        nonces[_intent.user] = _intent.nonce.add(1);
+
+        return (_intent.isBuy != _intent.executeInstantly) ? orderbooks.buyAddress : orderbooks.sellAddress;
+    }
+
+    /**
+    * @notice Places the order described by the given intent in the given orderbook, on behalf of the intent's user.
+    * @param _orderbook Address of the orderbook.
+    * @param _intent The user's order intent.
+    */
+    function _placeOrderForIntent(address _orderbook, OrderIntent calldata _intent) internal {
+        IOrderbook(_orderbook).placeOrderFor(_intent.user, _intent.isBuy, _intent.numberOfTokens, _intent.limitPrice, _intent.minimumAmountOut, _intent.expiry);
+
+        emit PlacedOrderBySig(_intent.user, msg.sender, _intent.syntheticAsset, _intent.nonce);
+    }
+
+    /**
+    * @notice Calls the given token's EIP-2612 permit function to approve the spender to spend the owner's tokens.
+    * @dev Anyone can submit a permit once it is broadcast, so a failed permit is accepted if the spender's allowance already covers its value.
+    * @param _token Address of the token.
+    * @param _owner Address of the user who signed the permit.
+    * @param _spender Address of the contract that will pull the tokens.
+    * @param _value Number of tokens approved by the permit.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function _permit(address _token, address _owner, address _spender, uint256 _value, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal {
+        try IERC20Permit(_token).permit(_owner, _spender, _value, _deadline, _v, _r, _s) {} catch {
+            require(IERC20(_token).allowance(_owner, _spender) >= _value, "Router: Permit failed.");
+        }
+    }
+
+    /**
+    * @notice Routes the swap and checks the user's net amounts.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _isBuy Whether the user is swapping stablecoin for the synthetic asset.
+    * @param _amountIn Maximum amount of the input token to spend.
+    * @param _minimumAmountOut Minimum amount of the output token to receive.
+    * @param _deadline Timestamp after which the swap can no longer be executed.
+    * @return amountIn Amount of the input token spent.
+    * @return amountOut Amount of the output token received.
+    */
+    function _swap(address _syntheticAsset, bool _isBuy, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline) internal returns (uint256 amountIn, uint256 amountOut) {
+        require(block.timestamp <= _deadline, "Router: Deadline has passed.");
+        require(_amountIn > 0, "Router: Amount in must be positive.");
+        require(assetToOrderbookAddresses[_syntheticAsset].buyAddress != address(0), "Router: Asset not found.");
+
+        IERC20 tokenIn = _isBuy ? stablecoin : IERC20(_syntheticAsset);
+        IERC20 tokenOut = _isBuy ? IERC20(_syntheticAsset) : stablecoin;
+        uint256 initialBalanceIn = tokenIn.balanceOf(msg.sender);
+        uint256 initialBalanceOut = tokenOut.balanceOf(msg.sender);
+
+        uint256 orderbookAmount = _executeSwap(_syntheticAsset, _isBuy, _amountIn, tokenIn, tokenOut);
+
+        // Measuring the user's balances accounts for usage fees paid in the input or output token.
+        amountIn = initialBalanceIn.sub(tokenIn.balanceOf(msg.sender));
+        amountOut = tokenOut.balanceOf(msg.sender).sub(initialBalanceOut);
+
+        require(amountOut >= _minimumAmountOut, "Router: Amount out is below the minimum.");
+
+        emit Swapped(msg.sender, _syntheticAsset, _isBuy, amountIn, amountOut, orderbookAmount);
+    }
+
+    /**
+    * @notice Pulls the user's funds, routes the swap, and returns the output and any leftover funds to the user.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _isBuy Whether the user is swapping stablecoin for the synthetic asset.
+    * @param _amountIn Maximum amount of the input token to spend.
+    * @param _tokenIn The token being swapped.
+    * @param _tokenOut The token being received.
+    * @return uint256 Number of synthetic asset tokens traded through the orderbook.
+    */
+    function _executeSwap(address _syntheticAsset, bool _isBuy, uint256 _amountIn, IERC20 _tokenIn, IERC20 _tokenOut) internal returns (uint256) {
+        (address feeToken, uint256 usageFee) = _getMaximumUsageFee(_syntheticAsset);
+
+        // Record balances before pulling funds so that only the user's funds are returned.
+        uint256 initialBalanceIn = _tokenIn.balanceOf(address(this));
+        uint256 initialBalanceOut = _tokenOut.balanceOf(address(this));
+        uint256 initialFeeBalance = IERC20(feeToken).balanceOf(address(this));
+
+        _tokenIn.safeTransferFrom(msg.sender, address(this), _amountIn);
+        IERC20(feeToken).safeTransferFrom(msg.sender, address(this), usageFee);
+
+        uint256 orderbookAmount = _isBuy ? _buySyntheticAsset(_syntheticAsset, _amountIn) : _sellSyntheticAsset(_syntheticAsset, _amountIn);
+
+        _returnFunds(_tokenOut, initialBalanceOut);
+        _returnFunds(_tokenIn, initialBalanceIn);
+        _returnFunds(IERC20(feeToken), initialFeeBalance);
+
+        return orderbookAmount;
+    }
+
+    /**
+    * @notice Buys synthetic asset tokens through the cheaper of the asset's 'sell' orderbook and minting, then uses the other for the remaining stablecoin.
+    * @dev Minting goes first if it is possible and the mint fee is below the asset's taker fee. Otherwise, the orderbook goes first.
+    * @dev Minting is possible if it is enabled, not paused by the circuit breaker, and the asset is sufficiently collateralized.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Amount of stablecoin to spend.
+    * @return amountBought Number of tokens bought from the orderbook.
+    */
+    function _buySyntheticAsset(address _syntheticAsset, uint256 _amountIn) internal returns (uint256 amountBought) {
+        uint256 oraclePrice = _getLatestPrice(_syntheticAsset);
+        (uint256 takerFee,) = getTradingFees(_syntheticAsset);
+        uint256 mintFee = protocolSettings.mintFee();
+        bool mintingIsPossible = ISyntheticAssetToken(_syntheticAsset).canMint(oraclePrice);
+
+        if (mintFee < takerFee && mintingIsPossible) {
+            uint256 amountSpent = _mintTokens(_syntheticAsset, _amountIn, oraclePrice, mintFee);
+            (amountBought,) = _buyFromOrderbook(_syntheticAsset, _amountIn.sub(amountSpent), oraclePrice, takerFee);
+
+            return amountBought;
+        }
+
+        uint256 amountPaid;
+        (amountBought, amountPaid) = _buyFromOrderbook(_syntheticAsset, _amountIn, oraclePrice, takerFee);
+
+        // Minting is only skipped while it's not possible if the orderbook filled part of the swap.
+        // Otherwise, the swap reverts with the synthetic asset token's reason.
+        if (amountBought == 0 || mintingIsPossible) {
+            _mintTokens(_syntheticAsset, (amountPaid < _amountIn) ? _amountIn.sub(amountPaid) : 0, oraclePrice, mintFee);
+        }
+    }
+
+    /**
+    * @notice Sells synthetic asset tokens through the cheaper of the asset's 'buy' orderbook and redemption, then uses the other for the remaining tokens.
+    * @dev Redemption goes first if it is enabled and the redemption fee is below the asset's taker fee. Otherwise, the orderbook goes first.
+    * @dev When redemption goes first, it redeems as many tokens as the asset's collateral reserve covers.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Number of tokens to sell.
+    * @return amountSold Number of tokens sold to the orderbook.
+    */
+    function _sellSyntheticAsset(address _syntheticAsset, uint256 _amountIn) internal returns (uint256 amountSold) {
+        uint256 oraclePrice = _getLatestPrice(_syntheticAsset);
+        (uint256 takerFee,) = getTradingFees(_syntheticAsset);
+        ISyntheticAssetToken token = ISyntheticAssetToken(_syntheticAsset);
+        bool redemptionIsEnabled = token.redemptionIsEnabled();
+
+        if (protocolSettings.redemptionFee() < takerFee && redemptionIsEnabled) {
+            uint256 redeemableTokens = token.collateralReserve().mul(10 ** 18).div(oraclePrice);
+            uint256 amountRedeemed = (_amountIn > redeemableTokens) ? redeemableTokens : _amountIn;
+
+            _redeemTokens(_syntheticAsset, amountRedeemed);
+
+            return _sellToOrderbook(_syntheticAsset, _amountIn.sub(amountRedeemed), oraclePrice);
+        }
+
+        amountSold = _sellToOrderbook(_syntheticAsset, _amountIn, oraclePrice);
+
+        // Redemption is only skipped while it's disabled if the orderbook filled part of the swap.
+        // Otherwise, the swap reverts with the synthetic asset token's reason.
+        if (amountSold == 0 || redemptionIsEnabled) {
+            _redeemTokens(_syntheticAsset, _amountIn.sub(amountSold));
+        }
+    }
+
+    /**
+    * @notice Buys as many synthetic asset tokens from the asset's 'sell' orderbook as the given amount of stablecoin can pay for.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Amount of stablecoin to spend, including the taker fee.
+    * @param _oraclePrice The asset's latest oracle price.
+    * @param _takerFee The asset's taker fee.
+    * @return amountBought Number of tokens bought.
+    * @return amountPaid The most stablecoin that the orderbook could have used, including the taker fee.
+    */
+    function _buyFromOrderbook(address _syntheticAsset, uint256 _amountIn, uint256 _oraclePrice, uint256 _takerFee) internal returns (uint256 amountBought, uint256 amountPaid) {
+        // The taker fee is charged on top of the stablecoin paid to the orderbook.
+        uint256 numberOfTokens = _amountIn.mul(10 ** 18).mul(10000).div(_oraclePrice.mul(_takerFee.add(10000)));
+        uint256 availableTokens = IOrderbook(assetToOrderbookAddresses[_syntheticAsset].sellAddress).getAvailableTokensInOrderbook();
+
+        amountBought = _placeInstantOrder(_syntheticAsset, true, (numberOfTokens > availableTokens) ? availableTokens : numberOfTokens, _oraclePrice, _amountIn);
+
+        // The oracle price is used as the order's limit price, so this is the most stablecoin the orderbook could have used.
+        amountPaid = amountBought.mul(_oraclePrice).add(10 ** 18 - 1).div(10 ** 18);
+        amountPaid = amountPaid.add(amountPaid.mul(_takerFee).div(10000));
+    }
+
+    /**
+    * @notice Sells the given number of synthetic asset tokens to the asset's 'buy' orderbook, up to the stablecoin in its pending orders.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Number of tokens to sell.
+    * @param _oraclePrice The asset's latest oracle price.
+    * @return uint256 Number of tokens sold.
+    */
+    function _sellToOrderbook(address _syntheticAsset, uint256 _amountIn, uint256 _oraclePrice) internal returns (uint256) {
+        uint256 dollarValue = _amountIn.mul(_oraclePrice).div(10 ** 18);
+        uint256 availableStablecoin = IOrderbook(assetToOrderbookAddresses[_syntheticAsset].buyAddress).getAvailableTokensInOrderbook();
+
+        return _placeInstantOrder(_syntheticAsset, false, (dollarValue > availableStablecoin) ? availableStablecoin : dollarValue, _oraclePrice, _amountIn);
+    }
+
+    /**
+    * @notice Places an order that executes instantly against the pending orders in the opposite orderbook.
+    * @dev Skips the orderbook if there is nothing to fill or trading is paused for the asset.
+    *      Otherwise, the swap reverts with the orderbook's reason if the order fails, such as when order placement is paused.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _isBuy Whether the order represents a 'buy'.
+    * @param _numberOfTokens The number of tokens to buy/sell, in the pending orders' token.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at.
+    * @param _amountIn Maximum amount of the input token that the orderbook can pull.
+    * @return uint256 Number of synthetic asset tokens bought or sold.
+    */
+    function _placeInstantOrder(address _syntheticAsset, bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _amountIn) internal returns (uint256) {
+        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
+        // Instant buy orders are filled against pending sell orders, and vice versa.
+        address orderbook = _isBuy ? orderbooks.sellAddress : orderbooks.buyAddress;
+
+        if (_numberOfTokens == 0 || IOrderbook(orderbook).tradingIsPaused()) {
+            return 0;
+        }
+
+        IERC20 tokenIn = _isBuy ? stablecoin : IERC20(_syntheticAsset);
+        uint256 initialBalance = IERC20(_syntheticAsset).balanceOf(address(this));
+
+        address feeToken = _approveWithUsageFee(orderbook, tokenIn, _amountIn, _syntheticAsset);
+        IOrderbook(orderbook).placeOrder(_isBuy, _numberOfTokens, _limitPrice, 0, 0);
+        _revokeApprovals(orderbook, tokenIn, feeToken);
+
+        uint256 finalBalance = IERC20(_syntheticAsset).balanceOf(address(this));
+
+        return _isBuy ? finalBalance.sub(initialBalance) : initialBalance.sub(finalBalance);
+    }
+
+    /**
+    * @notice Mints as many synthetic asset tokens as the given amount of stablecoin can pay for.
+    * @dev Skips minting if there is nothing to mint, such as when the asset has reached its max supply.
+    *      Otherwise, the swap reverts with the synthetic asset token's reason if minting fails, such as when minting is paused.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Amount of stablecoin to spend, including the mint fee.
+    * @param _oraclePrice The asset's latest oracle price.
+    * @param _mintFee The protocol's mint fee.
+    * @return uint256 Amount of stablecoin spent, including the mint fee.
+    */
+    function _mintTokens(address _syntheticAsset, uint256 _amountIn, uint256 _oraclePrice, uint256 _mintFee) internal returns (uint256) {
+        ISyntheticAssetToken token = ISyntheticAssetToken(_syntheticAsset);
+        uint256 numberOfTokens = _amountIn.mul(10 ** 18).mul(10000).div(_oraclePrice.mul(_mintFee.add(10000)));
+        uint256 availableTokens = token.getAvailableTokensToMint();
+        if (numberOfTokens > availableTokens) {
+            numberOfTokens = availableTokens;
+        }
+
+        if (numberOfTokens == 0) {
+            return 0;
+        }
+
+        address feeToken = _approveWithUsageFee(_syntheticAsset, stablecoin, _amountIn, token.asset());
+        token.mintTokens(numberOfTokens);
+        _revokeApprovals(_syntheticAsset, stablecoin, feeToken);
+
+        // Matches the synthetic asset token's calculation of the dollar value and mint fee.
+        uint256 dollarValue = _oraclePrice.mul(numberOfTokens).div(10 ** 18);
+
+        return dollarValue.add(dollarValue.mul(_mintFee).div(10000));
+    }
+
+    /**
+    * @notice Redeems the given number of synthetic asset tokens for stablecoin.
+    * @dev Skips redemption if there is nothing to redeem.
+    *      Otherwise, the swap reverts with the synthetic asset token's reason if redemption fails, such as when there is not enough collateral.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _numberOfTokens Number of tokens to redeem.
+    */
+    function _redeemTokens(address _syntheticAsset, uint256 _numberOfTokens) internal {
+        ISyntheticAssetToken token = ISyntheticAssetToken(_syntheticAsset);
+
+        if (_numberOfTokens == 0) {
+            return;
+        }
+
+        // Redeemed tokens are burned from the Router's balance, so only the usage fee needs to be approved.
+        address feeToken = _approveWithUsageFee(_syntheticAsset, stablecoin, 0, token.asset());
+        token.redeemTokens(_numberOfTokens);
+        _revokeApprovals(_syntheticAsset, stablecoin, feeToken);
+    }
 
-        emit SetOperator(_newOperator);
+    /**
+    * @notice Pays the oracle's usage fee from the Router's balance and returns the synthetic asset's latest price.
+    * @param _syntheticAsset Address of the synthetic asset.
+    */
+    function _getLatestPrice(address _syntheticAsset) internal returns (uint256) {
+        (address feeToken, uint256 usageFee) = oracle.getUsageFeeInfo(_syntheticAsset);
+
+        IERC20(feeToken).approve(address(oracle), usageFee);
+        uint256 oraclePrice = oracle.getLatestPrice(_syntheticAsset);
+
+        // The oracle only pulls the usage fees of the data sources it queries.
+        IERC20(feeToken).approve(address(oracle), 0);
+
+        return oraclePrice;
+    }
+
+    /**
+    * @notice Returns the most that a swap can spend on oracle usage fees.
+    * @dev A swap queries the oracle once for routing, once in the orderbook, and once in the synthetic asset token.
+    * @dev The synthetic asset token queries the oracle using the address of its underlying asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return address, uint256 The address of the fee token and the maximum usage fee.
+    */
+    function _getMaximumUsageFee(address _syntheticAsset) internal view returns (address, uint256) {
+        (address feeToken, uint256 usageFee) = oracle.getUsageFeeInfo(_syntheticAsset);
+        (address assetFeeToken, uint256 assetUsageFee) = oracle.getUsageFeeInfo(ISyntheticAssetToken(_syntheticAsset).asset());
+
+        require(feeToken == assetFeeToken, "Router: Data sources use different fee tokens.");
+
+        return (feeToken, usageFee.mul(2).add(assetUsageFee));
+    }
+
+    /**
+    * @notice Approves the spender to pull the given amount of tokens plus the oracle's usage fee.
+    * @param _spender Address of the contract that will pull the tokens.
+    * @param _token The token to approve.
+    * @param _amount Number of tokens to approve, not including the usage fee.
+    * @param _feeAsset The asset whose usage fee the spender will pay.
+    * @return address Address of the fee token.
+    */
+    function _approveWithUsageFee(address _spender, IERC20 _token, uint256 _amount, address _feeAsset) internal returns (address) {
+        (address feeToken, uint256 usageFee) = oracle.getUsageFeeInfo(_feeAsset);
+
+        if (feeToken == address(_token)) {
+            _token.approve(_spender, _amount.add(usageFee));
+        } else {
+            _token.approve(_spender, _amount);
+            IERC20(feeToken).approve(_spender, usageFee);
+        }
+
+        return feeToken;
+    }
+
+    /**
+    * @notice Resets the spender's allowances after an external call, since the call may not use the full amount.
+    * @param _spender Address of the contract that pulled the tokens.
+    * @param _token The approved token.
+    * @param _feeToken The approved fee token.
+    */
+    function _revokeApprovals(address _spender, IERC20 _token, address _feeToken) internal {
+        _token.approve(_spender, 0);
+
+        if (_feeToken != address(_token)) {
+            IERC20(_feeToken).approve(_spender, 0);
+        }
+    }
+
+    /**
+    * @notice Transfers the Router's balance of the given token above the initial balance to the user.
+    * @param _token The token to return.
+    * @param _initialBalance The Router's balance before the swap.
+    */
+    function _returnFunds(IERC20 _token, uint256 _initialBalance) internal {
+        uint256 amount = _token.balanceOf(address(this)).sub(_initialBalance);
+
+        if (amount > 0) {
+            _token.safeTransfer(msg.sender, amount);
+        }
     }
 
     /* ========== MODIFIERS ========== */
 
-    modifier onlyOperator() {
-        require(msg.sender == operator, "Router: Only the operator can call this function.");
+    modifier onlyOrderbook(address _syntheticAsset) {
+        OrderbookAddresses memory orderbooks = assetToOrderbookAddresses[_syntheticAsset];
+
+        require(msg.sender == orderbooks.buyAddress || msg.sender == orderbooks.sellAddress, "Router: Only the asset's orderbooks can call this function.");
         _;
     }
 
@@ -195,9 +919,20 @@ contract Router is IRouter, Ownable {
         _;
     }
 
+    modifier onlyTreasury() {
+        require(msg.sender == treasury, "Router: Only the Treasury can call this function.");
+        _;
+    }
+
     /* ========== EVENTS ========== */
 
-    event SetOperator(address newOperator);
-    event CreatedOrderbooks(address _syntheticAsset, address _buyAddress, address _sellAddress);
-    event PausedTrading(address _syntheticAsset, bool _tradingIsPaused);
+    event SetFeeDistributor(address newFeeDistributor);
+    event SetTradingFeeOverride(address indexed _syntheticAsset, bool _isEnabled, uint256 _takerFee, uint256 _marketMakerFee);
+    event CreatedOrderbooks(address indexed _syntheticAsset, address _buyAddress, address _sellAddress);
+    event PausedTrading(address indexed _syntheticAsset, bool _tradingIsPaused);
+    event SettledOrderbooks(address indexed _syntheticAsset);
+    event RecordedFill(address indexed _syntheticAsset, uint256 _executionPrice, uint256 _priceCumulative);
+    event PlacedOrderBySig(address indexed _user, address indexed _relayer, address indexed _syntheticAsset, uint256 _nonce);
+    event IncrementedNonce(address indexed _user, uint256 _newNonce);
+    event Swapped(address indexed _user, address indexed _syntheticAsset, bool _isBuy, uint256 _amountIn, uint256 _amountOut, uint256 _orderbookAmount);
 }
\ No newline at end of file
@@ -4,54 +4,127 @@ pragma solidity ^0.8.3;
 
 // OpenZeppelin.
 import "./openzeppelin-solidity/contracts/ERC20/ERC20.sol";
+import "./openzeppelin-solidity/contracts/ERC20/draft-IERC20Permit.sol";
+import "./openzeppelin-solidity/contracts/ECDSA.sol";
 import "./openzeppelin-solidity/contracts/ReentrancyGuard.sol";
 import './openzeppelin-solidity/contracts/ERC20/SafeERC20.sol';
 import "./openzeppelin-solidity/contracts/SafeMath.sol";
+import "./openzeppelin-solidity/contracts/proxy/Initializable.sol";
 
 // Interfaces.
 import './interfaces/IOracle.sol';
 import './interfaces/IProtocolSettings.sol';
+import './interfaces/ICircuitBreaker.sol';
 import './interfaces/ISyntheticAssetTokenRegistry.sol';
+import './interfaces/IFeeDistributor.sol';
 
 // Inheritance.
 import './interfaces/ISyntheticAssetToken.sol';
 
-contract SyntheticAssetToken is ISyntheticAssetToken, ERC20, ReentrancyGuard {
+contract SyntheticAssetToken is ISyntheticAssetToken, ERC20, IERC20Permit, ReentrancyGuard, Initializable {
     using SafeERC20 for IERC20;
     using SafeMath for uint256;
 
+    bytes32 public constant PERMIT_TYPEHASH = keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    // Tokens are deployed as beacon proxies, so new state variables must be appended after the existing ones.
     ISyntheticAssetTokenRegistry public registry;
     IOracle public oracle;
     IProtocolSettings public protocolSettings;
-    address public immutable treasury;
+    ICircuitBreaker public circuitBreaker;
+    IFeeDistributor public feeDistributor;
     IERC20 public stablecoin;
     address public override asset;
     uint256 public override maxSupply;
     bool public override mintingIsEnabled;
+    bool public override redemptionIsEnabled;
+
+    // Amount of stablecoin held by this contract to back the circulating supply.
+    uint256 public override collateralReserve;
+    // Oracle price at the last mint, redemption, or collateralization check.
+    uint256 public override lastOraclePrice;
+
+    // Name and symbol are stored here instead of in ERC20, since ERC20 only sets them in its constructor.
+    string internal tokenName;
+    string internal tokenSymbol;
+
+    // (user address => nonce of the user's next permit).
+    mapping (address => uint256) public override nonces;
 
-    constructor(address _registry,
-                address _oracle,
-                address _protocolSettings,
-                address _treasury,
-                address _stablecoin,
-                address _asset,
-                uint256 _maxSupply,
-                string memory _name,
-                string memory _symbol)
-                ERC20(_name, _symbol) 
-    {
+    // Set once the asset is delisted. Settled tokens can only be redeemed through redeemSettledTokens().
+    bool public override isSettled;
+    uint256 public override settlementPrice;
+    // Amount of stablecoin paid out per token after settlement.
+    // Equal to the settlement price, unless the reserve is too small to cover every token at that price.
+    uint256 public override settlementRedemptionRate;
+
+    // Prevents the implementation contract from being initialized.
+    constructor() ERC20("", "") initializer {}
+
+    /**
+    * @notice Initializes the token's state.
+    * @dev Called by the BeaconProxy during deployment, in place of a constructor.
+    * @dev Transaction will revert if the token has already been initialized.
+    * @param _registry Address of the SyntheticAssetTokenRegistry contract.
+    * @param _oracle Address of the Oracle contract.
+    * @param _protocolSettings Address of the ProtocolSettings contract.
+    * @param _circuitBreaker Address of the CircuitBreaker contract.
+    * @param _feeDistributor Address of the FeeDistributor contract.
+    * @param _stablecoin Address of the stablecoin.
+    * @param _asset Address of the synthetic asset's data feed.
+    * @param _maxSupply The maximum number of tokens that can be minted.
+    * @param _name A custom name for this asset.
+    * @param _symbol A custom symbol for this asset.
+    */
+    function initialize(address _registry,
+                        address _oracle,
+                        address _protocolSettings,
+                        address _circuitBreaker,
+                        address _feeDistributor,
+                        address _stablecoin,
+                        address _asset,
+                        uint256 _maxSupply,
+                        string memory _name,
+                        string memory _symbol) external override initializer {
         registry = ISyntheticAssetTokenRegistry(_registry);
         oracle = IOracle(_oracle);
         protocolSettings = IProtocolSettings(_protocolSettings);
-        treasury = _treasury;
+        circuitBreaker = ICircuitBreaker(_circuitBreaker);
+        feeDistributor = IFeeDistributor(_feeDistributor);
         stablecoin = IERC20(_stablecoin);
         asset = _asset;
         maxSupply = _maxSupply;
         mintingIsEnabled = true;
+        redemptionIsEnabled = true;
+        tokenName = _name;
+        tokenSymbol = _symbol;
     }
 
     /* ========== VIEWS ========== */
 
+    /**
+    * @notice Returns the name of the token.
+    */
+    function name() public view override returns (string memory) {
+        return tokenName;
+    }
+
+    /**
+    * @notice Returns the symbol of the token.
+    */
+    function symbol() public view override returns (string memory) {
+        return tokenSymbol;
+    }
+
+    /**
+    * @notice Returns the EIP-712 domain separator used for permit signatures.
+    * @dev Computed on each call, since the token's name and address are only known once the proxy is initialized.
+    */
+    function DOMAIN_SEPARATOR() public view override returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes(tokenName)), keccak256(bytes("1")), block.chainid, address(this)));
+    }
+
     /**
     * @notice Returns the maximum number of tokens that can be minted for this asset.
     */
@@ -59,18 +132,193 @@ contract SyntheticAssetToken is ISyntheticAssetToken, ERC20, ReentrancyGuard {
         return maxSupply - totalSupply();
     }
 
+    /**
+    * @notice Returns the dollar value of the circulating supply, based on the last recorded oracle price.
+    */
+    function getLiabilities() public view override returns (uint256) {
+        return totalSupply().mul(lastOraclePrice).div(10 ** 18);
+    }
+
+    /**
+    * @notice Returns the ratio of the stablecoin reserve to the dollar value of the circulating supply.
+    * @dev Uses the last recorded oracle price; call updateCollateralizationStatus() to refresh it.
+    * @dev This value is expressed as a percentage with two decimals. Ex) A 80% ratio would have the value 8000.
+    * @dev Returns type(uint256).max if there are no tokens in circulation.
+    */
+    function getCollateralizationRatio() external view override returns (uint256) {
+        return _calculateCollateralizationRatio(collateralReserve, getLiabilities());
+    }
+
+    /**
+    * @notice Returns whether tokens can be minted at the given price.
+    * @dev Checks that minting is enabled, that the circuit breaker hasn't paused minting,
+    *      and that the collateralization ratio at the given price is at or above the minimum.
+    * @param _price The oracle price to check the collateralization ratio at.
+    */
+    function canMint(uint256 _price) external view override returns (bool) {
+        if (!mintingIsEnabled || circuitBreaker.mintingIsPaused()) {
+            return false;
+        }
+
+        return _calculateCollateralizationRatio(collateralReserve, totalSupply().mul(_price).div(10 ** 18)) >= protocolSettings.minimumCollateralizationRatio();
+    }
+
     /* ========== MUTATIVE FUNCTIONS ========== */
 
+    /**
+    * @notice Approves the given spender using an EIP-2612 permit signature from the owner.
+    * @dev Transaction will revert if the deadline has passed or the signature doesn't come from the owner.
+    * @param owner Address of the token owner.
+    * @param spender Address of the spender.
+    * @param value Number of tokens to approve.
+    * @param deadline Timestamp after which the permit is no longer valid.
+    * @param v The 'v' component of the permit signature.
+    * @param r The 'r' component of the permit signature.
+    * @param s The 's' component of the permit signature.
+    */
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external override {
+        require(block.timestamp <= deadline, "SyntheticAssetToken: Permit has expired.");
+
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, nonces[owner], deadline));
+        bytes32 hash = keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+
+        require(ECDSA.recover(hash, v, r, s) == owner, "SyntheticAssetToken: Invalid permit signature.");
+
+        nonces[owner] = nonces[owner].add(1);
+        _approve(owner, spender, value);
+    }
+
     /**
     * @notice Mints the given number of tokens for this asset.
+    * @dev Transaction will revert if minting is disabled for this asset or paused by the circuit breaker.
     * @dev Transaction will revert if _numberOfTokens exceeds the available tokens to mint.
+    * @dev Transaction will revert if the asset's collateralization ratio is below the minimum.
     * @dev Assumes that the user has already approved the asset's data feed's usage fee.
     * @dev Assumes that the user has approved (mintFee + (_numberOfTokens * oraclePrice)) worth of stablecoin.
     * @param _numberOfTokens Number of tokens to mint.
     */
-    function mintTokens(uint256 _numberOfTokens) external {
+    function mintTokens(uint256 _numberOfTokens) public override {
+        require(mintingIsEnabled, "SyntheticAssetToken: Minting is disabled.");
+        require(!circuitBreaker.mintingIsPaused(), "SyntheticAssetToken: Minting is paused.");
         require(_numberOfTokens <= getAvailableTokensToMint(), "SyntheticAssetToken: Number of tokens is too high.");
 
+        (uint256 oraclePrice, uint256 usageFee) = _getLatestPrice();
+
+        require(_calculateCollateralizationRatio(collateralReserve, getLiabilities()) >= protocolSettings.minimumCollateralizationRatio(),
+                "SyntheticAssetToken: Collateralization ratio is below the minimum.");
+
+        uint256 dollarValue = oraclePrice.mul(_numberOfTokens).div(10 ** 18);
+        uint256 mintFeeValue = dollarValue.mul(protocolSettings.mintFee()).div(10000);
+        stablecoin.safeTransferFrom(msg.sender, address(this), dollarValue.add(mintFeeValue));
+        _depositFee(FEE_SOURCE_MINTING, mintFeeValue);
+
+        collateralReserve = collateralReserve.add(dollarValue);
+        _mint(msg.sender, _numberOfTokens);
+
+        emit MintedTokens(msg.sender, _numberOfTokens, oraclePrice, usageFee, mintFeeValue);
+    }
+
+    /**
+    * @notice Approves this contract to spend the user's stablecoin using an EIP-2612 permit signature, then mints the given number of tokens.
+    * @dev Transaction will revert if the stablecoin does not support EIP-2612.
+    * @dev Anyone can submit a permit once it is broadcast, so a failed permit is accepted if this contract's allowance already covers its value.
+    * @dev Assumes that the user has already approved the asset's data feed's usage fee.
+    * @param _numberOfTokens Number of tokens to mint.
+    * @param _permitValue Amount of stablecoin approved by the permit. Should cover the mint fee and the tokens' dollar value.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function mintTokensWithPermit(uint256 _numberOfTokens, uint256 _permitValue, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external override {
+        try IERC20Permit(address(stablecoin)).permit(msg.sender, address(this), _permitValue, _deadline, _v, _r, _s) {} catch {
+            require(stablecoin.allowance(msg.sender, address(this)) >= _permitValue, "SyntheticAssetToken: Permit failed.");
+        }
+
+        mintTokens(_numberOfTokens);
+    }
+
+    /**
+    * @notice Burns the given number of tokens and pays out their dollar value in stablecoin.
+    * @dev Transaction will revert if redemption is disabled or _numberOfTokens exceeds the user's balance.
+    * @dev Assumes that the user has already approved the asset's data feed's usage fee.
+    * @dev The redemption fee is deducted from the payout and sent to the fee distributor.
+    * @param _numberOfTokens Number of tokens to redeem.
+    */
+    function redeemTokens(uint256 _numberOfTokens) external {
+        require(redemptionIsEnabled, "SyntheticAssetToken: Redemption is disabled.");
+        require(_numberOfTokens > 0 && _numberOfTokens <= balanceOf(msg.sender), "SyntheticAssetToken: Number of tokens is out of bounds.");
+
+        (uint256 oraclePrice, uint256 usageFee) = _getLatestPrice();
+
+        uint256 dollarValue = oraclePrice.mul(_numberOfTokens).div(10 ** 18);
+        uint256 redemptionFeeValue = dollarValue.mul(protocolSettings.redemptionFee()).div(10000);
+        require(dollarValue <= collateralReserve, "SyntheticAssetToken: Not enough collateral to redeem tokens.");
+
+        collateralReserve = collateralReserve.sub(dollarValue);
+        _burn(msg.sender, _numberOfTokens);
+
+        stablecoin.safeTransfer(msg.sender, dollarValue.sub(redemptionFeeValue));
+        _depositFee(FEE_SOURCE_REDEMPTION, redemptionFeeValue);
+
+        emit RedeemedTokens(msg.sender, _numberOfTokens, oraclePrice, usageFee, redemptionFeeValue);
+
+        _checkCollateralization();
+    }
+
+    /**
+    * @notice Refreshes the oracle price and suspends minting if the collateralization ratio is below the minimum.
+    * @dev Anyone can call this function.
+    * @dev Assumes that the caller has already approved the asset's data feed's usage fee.
+    * @return uint256 The asset's collateralization ratio.
+    */
+    function updateCollateralizationStatus() external override returns (uint256) {
+        require(!isSettled, "SyntheticAssetToken: Asset has been settled.");
+
+        _getLatestPrice();
+
+        return _checkCollateralization();
+    }
+
+    /**
+    * @notice Burns the given number of tokens and pays out the settlement redemption rate in stablecoin.
+    * @dev Transaction will revert if the asset has not been settled or _numberOfTokens exceeds the user's balance.
+    * @dev No usage fee or redemption fee is charged.
+    * @param _numberOfTokens Number of tokens to redeem.
+    */
+    function redeemSettledTokens(uint256 _numberOfTokens) external override {
+        require(isSettled, "SyntheticAssetToken: Asset has not been settled.");
+        require(_numberOfTokens > 0 && _numberOfTokens <= balanceOf(msg.sender), "SyntheticAssetToken: Number of tokens is out of bounds.");
+
+        uint256 dollarValue = _numberOfTokens.mul(settlementRedemptionRate).div(10 ** 18);
+
+        collateralReserve = collateralReserve.sub(dollarValue);
+        _burn(msg.sender, _numberOfTokens);
+
+        stablecoin.safeTransfer(msg.sender, dollarValue);
+
+        emit RedeemedSettledTokens(msg.sender, _numberOfTokens, dollarValue);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Sends the given fee to the fee distributor, attributed to this asset.
+    * @param _source Index of the fee source. Ex) FEE_SOURCE_MINTING, FEE_SOURCE_REDEMPTION.
+    * @param _amount Amount of stablecoin to send.
+    */
+    function _depositFee(uint256 _source, uint256 _amount) internal {
+        stablecoin.approve(address(feeDistributor), _amount);
+        feeDistributor.depositFee(address(this), _source, _amount);
+    }
+
+    /**
+    * @notice Pays the data feed's usage fee on behalf of msg.sender and returns the asset's latest price.
+    * @dev Updates the value of lastOraclePrice.
+    * @dev Returns any usage fee that the oracle did not use to msg.sender.
+    * @return uint256, uint256 The oracle price and the usage fee paid.
+    */
+    function _getLatestPrice() internal returns (uint256, uint256) {
         address feeToken;
         uint256 usageFee;
         (feeToken, usageFee) = oracle.getUsageFeeInfo(asset);
@@ -79,14 +327,45 @@ contract SyntheticAssetToken is ISyntheticAssetToken, ERC20, ReentrancyGuard {
         IERC20(feeToken).approve(address(oracle), usageFee);
         uint256 oraclePrice = oracle.getLatestPrice(asset);
 
-        uint256 dollarValue = oraclePrice.mul(_numberOfTokens).div(10 ** 18);
-        uint256 mintFeeValue = dollarValue.mul(protocolSettings.mintFee().add(10000)).div(10000);
-        stablecoin.safeTransferFrom(msg.sender, address(this), dollarValue.add(mintFeeValue));
-        stablecoin.safeTransfer(treasury, mintFeeValue);
+        // The oracle only pulls the usage fees of the data sources it queries.
+        uint256 unusedFee = IERC20(feeToken).allowance(address(this), address(oracle));
+        if (unusedFee > 0) {
+            IERC20(feeToken).approve(address(oracle), 0);
+            IERC20(feeToken).safeTransfer(msg.sender, unusedFee);
+            usageFee = usageFee.sub(unusedFee);
+        }
 
-        _mint(msg.sender, _numberOfTokens);
+        lastOraclePrice = oraclePrice;
 
-        emit MintedTokens(msg.sender, _numberOfTokens, oraclePrice, usageFee, mintFeeValue);
+        return (oraclePrice, usageFee);
+    }
+
+    /**
+    * @notice Suspends minting if the collateralization ratio is below the minimum.
+    * @return ratio The asset's collateralization ratio.
+    */
+    function _checkCollateralization() internal returns (uint256 ratio) {
+        ratio = _calculateCollateralizationRatio(collateralReserve, getLiabilities());
+
+        if (mintingIsEnabled && ratio < protocolSettings.minimumCollateralizationRatio()) {
+            mintingIsEnabled = false;
+
+            emit SuspendedMinting(ratio);
+        }
+    }
+
+    /**
+    * @notice Calculates the collateralization ratio for the given reserve and liabilities.
+    * @dev Returns type(uint256).max if there are no liabilities.
+    * @param _reserve Amount of stablecoin backing the circulating supply.
+    * @param _liabilities Dollar value of the circulating supply.
+    */
+    function _calculateCollateralizationRatio(uint256 _reserve, uint256 _liabilities) internal pure returns (uint256) {
+        if (_liabilities == 0) {
+            return type(uint256).max;
+        }
+
+        return _reserve.mul(10000).div(_liabilities);
     }
 
     /* ========== RESTRICTED FUNCTIONS ========== */
@@ -115,11 +394,60 @@ contract SyntheticAssetToken is ISyntheticAssetToken, ERC20, ReentrancyGuard {
     * @param _enableMinting Whether to allow new tokens to be minted.
     */
     function toggleMintingStatus(bool _enableMinting) external onlyRegistry {
+        require(!isSettled, "SyntheticAssetToken: Asset has been settled.");
+
         mintingIsEnabled = _enableMinting;
 
         emit ToggledMintingStatus(_enableMinting);
     }
 
+    /**
+    * @notice Enables, or disables, the ability to redeem tokens for stablecoin.
+    * @dev Only the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev This function is meant to be used to protect the protocol from Black Swan events.
+    * @param _enableRedemption Whether to allow tokens to be redeemed.
+    */
+    function toggleRedemptionStatus(bool _enableRedemption) external onlyRegistry {
+        require(!isSettled, "SyntheticAssetToken: Asset has been settled.");
+
+        redemptionIsEnabled = _enableRedemption;
+
+        emit ToggledRedemptionStatus(_enableRedemption);
+    }
+
+    /**
+    * @notice Freezes the asset's price and disables minting and redemption at the oracle price.
+    * @dev Only the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Uses the oracle's last accepted price, since the asset's data feed may no longer be updated.
+    * @dev If the reserve can't cover every token at the settlement price, holders split the reserve pro rata.
+    * @return uint256 The settlement price.
+    */
+    function settle() external override onlyRegistry returns (uint256) {
+        require(!isSettled, "SyntheticAssetToken: Asset has already been settled.");
+
+        uint256 price = oracle.lastAcceptedPrice(asset);
+        if (price == 0) {
+            price = lastOraclePrice;
+        }
+
+        uint256 supply = totalSupply();
+        uint256 redemptionRate = (supply == 0) ? price : collateralReserve.mul(10 ** 18).div(supply);
+        if (redemptionRate > price) {
+            redemptionRate = price;
+        }
+
+        isSettled = true;
+        settlementPrice = price;
+        settlementRedemptionRate = redemptionRate;
+        lastOraclePrice = price;
+        mintingIsEnabled = false;
+        redemptionIsEnabled = false;
+
+        emit Settled(price, redemptionRate);
+
+        return price;
+    }
+
     /* ========== MODIFIERS ========== */
 
     modifier onlyRegistry() {
@@ -129,7 +457,12 @@ contract SyntheticAssetToken is ISyntheticAssetToken, ERC20, ReentrancyGuard {
 
     /* ========== EVENTS ========== */
 
-    event MintedTokens(address user, uint256 numberOfTokens, uint256 oraclePrice, uint256 usageFeePaid, uint256 mintFeePaid);
+    event MintedTokens(address indexed user, uint256 numberOfTokens, uint256 oraclePrice, uint256 usageFeePaid, uint256 mintFeePaid);
+    event RedeemedTokens(address indexed user, uint256 numberOfTokens, uint256 oraclePrice, uint256 usageFeePaid, uint256 redemptionFeePaid);
     event IncreasedMaxSupply(uint256 oldMaxSupply, uint256 newMaxSupply);
     event ToggledMintingStatus(bool mintingStatus);
+    event ToggledRedemptionStatus(bool redemptionStatus);
+    event SuspendedMinting(uint256 collateralizationRatio);
+    event Settled(uint256 settlementPrice, uint256 redemptionRate);
+    event RedeemedSettledTokens(address indexed user, uint256 numberOfTokens, uint256 stablecoinPaid);
 }
\ No newline at end of file
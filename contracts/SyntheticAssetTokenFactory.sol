@@ -3,25 +3,31 @@
 pragma solidity ^0.8.3;
 
 // OpenZeppelin.
-import "./openzeppelin-solidity/contracts/Ownable.sol";
+import "./openzeppelin-solidity/contracts/proxy/BeaconProxy.sol";
 
-// Internal references.
-import './SyntheticAssetToken.sol';
+// Interfaces.
+import './interfaces/ISyntheticAssetToken.sol';
 
 // Inheritance.
 import './interfaces/ISyntheticAssetTokenFactory.sol';
+import './AccessControlled.sol';
 
-contract SyntheticAssetTokenFactory is ISyntheticAssetTokenFactory, Ownable {
+contract SyntheticAssetTokenFactory is ISyntheticAssetTokenFactory, AccessControlled {
+    // UpgradeableBeacon that points each token to the SyntheticAssetToken implementation.
+    address public immutable beacon;
     address public immutable oracle;
-    address public immutable treasury;
+    address public immutable feeDistributor;
     address public immutable protocolSettings;
+    address public immutable circuitBreaker;
     address public immutable stablecoin;
     address public registry;
 
-    constructor(address _oracle, address _treasury, address _protocolSettings, address _stablecoin) Ownable() {
+    constructor(address _accessController, address _beacon, address _oracle, address _feeDistributor, address _protocolSettings, address _circuitBreaker, address _stablecoin) AccessControlled(_accessController) {
+        beacon = _beacon;
         oracle = _oracle;
-        treasury = _treasury;
+        feeDistributor = _feeDistributor;
         protocolSettings = _protocolSettings;
+        circuitBreaker = _circuitBreaker;
         stablecoin = _stablecoin;
     }
 
@@ -30,14 +36,16 @@ contract SyntheticAssetTokenFactory is ISyntheticAssetTokenFactory, Ownable {
     /**
     * @notice Deploys a SyntheticAssetToken contract and returns the contract's address.
     * @dev This function can only be called by the SyntheticAssetTokenRegistry contract.
+    * @dev The token is a BeaconProxy, so it can be upgraded along with every other token through the beacon.
     * @param _asset Address of the synthetic asset's data feed.
     * @param _maxSupply The maximum number of tokens that can be minted.
     * @param _name A custom name for this asset.
     * @param _symbol A custom symbol for this asset.
     * @return address Address of the deployed SyntheticAssetToken contract.
     */
-    function createSyntheticAssetToken(address _asset, uint256 _maxSupply, string memory _name, string memory _symbol) external override returns (address) {
-        address syntheticAssetToken = address(new SyntheticAssetToken(registry, oracle, protocolSettings, treasury, stablecoin, _asset, _maxSupply, _name, _symbol));
+    function createSyntheticAssetToken(address _asset, uint256 _maxSupply, string memory _name, string memory _symbol) external override onlyRegistry returns (address) {
+        bytes memory data = abi.encodeWithSelector(ISyntheticAssetToken.initialize.selector, registry, oracle, protocolSettings, circuitBreaker, feeDistributor, stablecoin, _asset, _maxSupply, _name, _symbol);
+        address syntheticAssetToken = address(new BeaconProxy(beacon, data));
 
         emit CreatedSyntheticAssetToken(_asset, _maxSupply, _name, _symbol);
 
@@ -49,10 +57,10 @@ contract SyntheticAssetTokenFactory is ISyntheticAssetTokenFactory, Ownable {
     /**
     * @notice Sets the address of the SyntheticAssetTokenRegistry contract.
     * @dev The address is initialized outside of the constructor to avoid a circular dependency with SyntheticAssetTokenRegistry.
-    * @dev This function can only be called by the SyntheticAssetTokenFactory owner.
+    * @dev This function can only be called by the admin.
     * @param _registry Address of the SyntheticAssetTokenRegistry contract.
     */
-    function initializeContract(address _registry) external onlyOwner {
+    function initializeContract(address _registry) external onlyRole(Roles.ADMIN) {
         registry = _registry;
 
         emit InitializedContract(_registry);
@@ -68,6 +76,6 @@ contract SyntheticAssetTokenFactory is ISyntheticAssetTokenFactory, Ownable {
 
     /* ========== EVENTS ========== */
 
-    event CreatedSyntheticAssetToken(address asset, uint256 maxSupply, string name, string symbol);
+    event CreatedSyntheticAssetToken(address indexed asset, uint256 maxSupply, string name, string symbol);
     event InitializedContract(address registryAddress);
 }
\ No newline at end of file
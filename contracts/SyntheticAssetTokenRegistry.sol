@@ -4,25 +4,25 @@ pragma solidity ^0.8.3;
 
 // OpenZeppelin.
 import "./openzeppelin-solidity/contracts/SafeMath.sol";
-import "./openzeppelin-solidity/contracts/Ownable.sol";
-import "./openzeppelin-solidity/contracts/ERC20/IERC20.sol";
+import "./openzeppelin-solidity/contracts/ERC20/ERC20.sol";
 
 // Interfaces.
 import './interfaces/ISyntheticAssetTokenFactory.sol';
 import './interfaces/ISyntheticAssetToken.sol';
 import './interfaces/IRouter.sol';
+import './interfaces/IOrderbook.sol';
+import './interfaces/IProtocolSettings.sol';
 
 // Inheritance.
 import './interfaces/ISyntheticAssetTokenRegistry.sol';
+import './AccessControlled.sol';
 
-contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, Ownable {
+contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, AccessControlled {
     using SafeMath for uint256;
 
     ISyntheticAssetTokenFactory public immutable factory;
     IRouter public immutable router;
-
-    address public operator;
-    address public registrar;
+    IProtocolSettings public immutable protocolSettings;
 
     uint256 public numberOfSyntheticAssets;
     // (synthetic asset index => synthetic asset contract address).
@@ -31,12 +31,13 @@ contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, Ownable {
     // (synthetic asset contract address => synthetic asset index).
     mapping (address => uint256) public assetToIndex;
 
-    constructor(address _factory, address _router) Ownable() {
+    // (synthetic asset contract address => trading fees that replace the protocol-wide fees for the asset).
+    mapping (address => IRouter.TradingFeeOverride) public override tradingFeeOverrides;
+
+    constructor(address _accessController, address _factory, address _router, address _protocolSettings) AccessControlled(_accessController) {
         factory = ISyntheticAssetTokenFactory(_factory);
         router = IRouter(_router);
-
-        operator = msg.sender;
-        registrar = msg.sender;
+        protocolSettings = IProtocolSettings(_protocolSettings);
     }
 
     /* ========== VIEWS ========== */
@@ -110,6 +111,29 @@ contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, Ownable {
         return false;
     }
 
+    /**
+    * @notice Returns true if redemption is enabled for the given synthetic asset.
+    * @dev Returns false if the synthetic asset is not found.
+    * @dev Either [_index] or [_syntheticAsset] is used for getting the data.
+    * @dev If [_index] is 0, then [_syntheticAsset] is used.
+    * @dev If [_syntheticAsset] is address(0), then [_syntheticAsset] is used.
+    * @dev If [_index] and [_syntheticAsset] are both valid values, then [_index] is used.
+    * @param _index Index of the synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return bool The synthetic asset's redemption status.
+    */
+    function getRedemptionStatus(uint256 _index, address _syntheticAsset) external view override returns (bool) {
+        if (_index != 0) {
+            return ISyntheticAssetToken(indexToAsset[_index]).redemptionIsEnabled();
+        }
+
+        if (_syntheticAsset != address(0)) {
+            return ISyntheticAssetToken(_syntheticAsset).redemptionIsEnabled();
+        }
+
+        return false;
+    }
+
     /**
     * @notice Returns the synthetic asset's circulating supply of tokens.
     * @dev Returns 0 if the synthetic asset is not found.
@@ -157,17 +181,212 @@ contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, Ownable {
         return 0;
     }
 
+    /**
+    * @notice Returns the collateralization info for the given synthetic asset.
+    * @dev Returns (0, 0, 0) if the synthetic asset is not found.
+    * @dev Either [_index] or [_syntheticAsset] is used for getting the data.
+    * @dev If [_index] is 0, then [_syntheticAsset] is used.
+    * @dev If [_syntheticAsset] is address(0), then [_syntheticAsset] is used.
+    * @dev If [_index] and [_syntheticAsset] are both valid values, then [_index] is used.
+    * @dev Liabilities are based on the asset's last recorded oracle price.
+    * @param _index Index of the synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return uint256, uint256, uint256 The asset's stablecoin reserve, dollar value of the circulating supply, and collateralization ratio.
+    */
+    function getCollateralInfo(uint256 _index, address _syntheticAsset) external view override returns (uint256, uint256, uint256) {
+        if (_index != 0) {
+            return _getCollateralInfo(indexToAsset[_index]);
+        }
+
+        if (_syntheticAsset != address(0)) {
+            return _getCollateralInfo(_syntheticAsset);
+        }
+
+        return (0, 0, 0);
+    }
+
+    /**
+    * @notice Returns the aggregated collateralization info across all synthetic assets.
+    * @dev Liabilities are based on each asset's last recorded oracle price.
+    * @dev The collateralization ratio is type(uint256).max if there are no liabilities.
+    * @return uint256, uint256, uint256 The total stablecoin reserve, total dollar value of circulating supply, and protocol-wide collateralization ratio.
+    */
+    function getProtocolSolvency() external view override returns (uint256, uint256, uint256) {
+        uint256 totalReserve;
+        uint256 totalLiabilities;
+
+        for (uint256 i = 1; i <= numberOfSyntheticAssets; i++) {
+            ISyntheticAssetToken syntheticAsset = ISyntheticAssetToken(indexToAsset[i]);
+
+            totalReserve = totalReserve.add(syntheticAsset.collateralReserve());
+            totalLiabilities = totalLiabilities.add(syntheticAsset.getLiabilities());
+        }
+
+        return (totalReserve, totalLiabilities, (totalLiabilities == 0) ? type(uint256).max : totalReserve.mul(10000).div(totalLiabilities));
+    }
+
+    /**
+    * @notice Returns the settlement info for the given synthetic asset.
+    * @dev Returns (false, 0, 0) if the synthetic asset is not found or has not been delisted.
+    * @dev Either [_index] or [_syntheticAsset] is used for getting the data.
+    * @dev If [_index] is 0, then [_syntheticAsset] is used.
+    * @dev If [_syntheticAsset] is address(0), then [_syntheticAsset] is used.
+    * @dev If [_index] and [_syntheticAsset] are both valid values, then [_index] is used.
+    * @param _index Index of the synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return bool, uint256, uint256 Whether the asset is settled, the settlement price, and the stablecoin paid out per token redeemed.
+    */
+    function getSettlementInfo(uint256 _index, address _syntheticAsset) external view override returns (bool, uint256, uint256) {
+        if (_index != 0) {
+            return _getSettlementInfo(indexToAsset[_index]);
+        }
+
+        if (_syntheticAsset != address(0)) {
+            return _getSettlementInfo(_syntheticAsset);
+        }
+
+        return (false, 0, 0);
+    }
+
+    /**
+    * @notice Returns the full records of a range of synthetic assets.
+    * @dev The range is cut off at the last synthetic asset, so fewer than [_count] records may be returned.
+    * @param _startIndex Index of the first synthetic asset to return. Starts at index 1.
+    * @param _count Maximum number of synthetic assets to return.
+    * @return AssetInfo[] The synthetic assets' records, in order of index.
+    */
+    function getAssets(uint256 _startIndex, uint256 _count) external view override returns (AssetInfo[] memory) {
+        uint256 numberOfResults = _getNumberOfResults(_startIndex, _count);
+        AssetInfo[] memory assets = new AssetInfo[](numberOfResults);
+
+        for (uint256 i = 0; i < numberOfResults; i++) {
+            assets[i] = _getAssetInfo(_startIndex.add(i));
+        }
+
+        return assets;
+    }
+
+    /**
+    * @notice Returns the user's balance, pending orders, and claimable amounts for a range of synthetic assets.
+    * @dev The range is cut off at the last synthetic asset, so fewer than [_count] positions may be returned.
+    * @dev Positions are returned for every asset in the range, including assets the user doesn't hold.
+    * @param _user Address of the user.
+    * @param _startIndex Index of the first synthetic asset to return. Starts at index 1.
+    * @param _count Maximum number of synthetic assets to return.
+    * @return UserPosition[] The user's positions, in order of the synthetic assets' indices.
+    */
+    function getPortfolio(address _user, uint256 _startIndex, uint256 _count) external view override returns (UserPosition[] memory) {
+        uint256 numberOfResults = _getNumberOfResults(_startIndex, _count);
+        UserPosition[] memory positions = new UserPosition[](numberOfResults);
+
+        for (uint256 i = 0; i < numberOfResults; i++) {
+            positions[i] = _getUserPosition(_user, indexToAsset[_startIndex.add(i)]);
+        }
+
+        return positions;
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Returns the number of synthetic assets in the given range.
+    * @dev Returns 0 if [_startIndex] is 0 or out of bounds.
+    * @param _startIndex Index of the first synthetic asset in the range.
+    * @param _count Maximum number of synthetic assets in the range.
+    */
+    function _getNumberOfResults(uint256 _startIndex, uint256 _count) internal view returns (uint256) {
+        // Gas savings.
+        uint256 numberOfAssets = numberOfSyntheticAssets;
+
+        if (_startIndex == 0 || _startIndex > numberOfAssets) {
+            return 0;
+        }
+
+        uint256 remaining = numberOfAssets.sub(_startIndex).add(1);
+
+        return (_count < remaining) ? _count : remaining;
+    }
+
+    /**
+    * @notice Returns the full record of the synthetic asset at the given index.
+    * @param _index Index of the synthetic asset.
+    */
+    function _getAssetInfo(uint256 _index) internal view returns (AssetInfo memory info) {
+        address syntheticAssetAddress = indexToAsset[_index];
+        ISyntheticAssetToken syntheticAsset = ISyntheticAssetToken(syntheticAssetAddress);
+        (address buyOrderbook, address sellOrderbook) = router.getOrderbookAddresses(syntheticAssetAddress);
+
+        info.index = _index;
+        info.syntheticAsset = syntheticAssetAddress;
+        info.dataFeed = syntheticAsset.asset();
+        info.name = ERC20(syntheticAssetAddress).name();
+        info.symbol = ERC20(syntheticAssetAddress).symbol();
+        info.totalSupply = IERC20(syntheticAssetAddress).totalSupply();
+        info.maxSupply = syntheticAsset.maxSupply();
+        info.mintingIsEnabled = syntheticAsset.mintingIsEnabled();
+        info.redemptionIsEnabled = syntheticAsset.redemptionIsEnabled();
+        info.isSettled = syntheticAsset.isSettled();
+        info.buyOrderbook = buyOrderbook;
+        info.sellOrderbook = sellOrderbook;
+        // Both versions of the orderbook are always paused together.
+        info.tradingIsPaused = IOrderbook(buyOrderbook).tradingIsPaused();
+        info.lastPrice = syntheticAsset.lastOraclePrice();
+    }
+
+    /**
+    * @notice Returns the user's balance, pending orders, and claimable amounts for the given synthetic asset.
+    * @param _user Address of the user.
+    * @param _syntheticAsset Address of the synthetic asset.
+    */
+    function _getUserPosition(address _user, address _syntheticAsset) internal view returns (UserPosition memory position) {
+        (address buyAddress, address sellAddress) = router.getOrderbookAddresses(_syntheticAsset);
+        IOrderbook buyOrderbook = IOrderbook(buyAddress);
+        IOrderbook sellOrderbook = IOrderbook(sellAddress);
+
+        position.syntheticAsset = _syntheticAsset;
+        position.balance = IERC20(_syntheticAsset).balanceOf(_user);
+        position.numberOfBuyOrders = buyOrderbook.getUserOrders(_user).length;
+        position.numberOfSellOrders = sellOrderbook.getUserOrders(_user).length;
+        position.pendingStablecoin = buyOrderbook.getOpenAmountForUser(_user);
+        position.pendingTokens = sellOrderbook.getOpenAmountForUser(_user);
+        position.claimableTokens = buyOrderbook.getAvailableTokensForUser(_user);
+        position.claimableStablecoin = sellOrderbook.getAvailableTokensForUser(_user);
+    }
+
+    /**
+    * @notice Returns the collateralization info for the given synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return uint256, uint256, uint256 The asset's stablecoin reserve, dollar value of the circulating supply, and collateralization ratio.
+    */
+    function _getCollateralInfo(address _syntheticAsset) internal view returns (uint256, uint256, uint256) {
+        ISyntheticAssetToken syntheticAsset = ISyntheticAssetToken(_syntheticAsset);
+
+        return (syntheticAsset.collateralReserve(), syntheticAsset.getLiabilities(), syntheticAsset.getCollateralizationRatio());
+    }
+
+    /**
+    * @notice Returns the settlement info for the given synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return bool, uint256, uint256 Whether the asset is settled, the settlement price, and the stablecoin paid out per token redeemed.
+    */
+    function _getSettlementInfo(address _syntheticAsset) internal view returns (bool, uint256, uint256) {
+        ISyntheticAssetToken syntheticAsset = ISyntheticAssetToken(_syntheticAsset);
+
+        return (syntheticAsset.isSettled(), syntheticAsset.settlementPrice(), syntheticAsset.settlementRedemptionRate());
+    }
+
     /* ========== RESTRICTED FUNCTIONS ========== */
 
     /**
     * @notice Creates a new synthetic asset token and registers it in the system.
-    * @dev This function can only be called by the registrar of the SyntheticAssetTokenRegistry contract.
+    * @dev Only accounts with the asset lister role can call this function.
     * @param _asset Address of the synthetic asset's data feed.
     * @param _maxSupply The maximum number of tokens that can be minted.
     * @param _name A custom name for this asset.
     * @param _symbol A custom symbol for this asset.
+    * @return address Address of the synthetic asset.
     */
-    function createSyntheticAssetToken(address _asset, uint256 _maxSupply, string memory _name, string memory _symbol) external override onlyOperator {
+    function createSyntheticAssetToken(address _asset, uint256 _maxSupply, string memory _name, string memory _symbol) external override onlyRole(Roles.ASSET_LISTER) returns (address) {
         // Gas savings.
         uint256 index = numberOfSyntheticAssets.add(1);
 
@@ -182,16 +401,18 @@ contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, Ownable {
         assetToIndex[syntheticAssetAddress] = index;
 
         emit CreatedSyntheticAssetToken(index, syntheticAssetAddress, _asset, _maxSupply, _name, _symbol);
+
+        return syntheticAssetAddress;
     }
 
     /**
     * @notice Increases the maximum supply of tokens for this asset.
-    * @dev Only the operator of the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Only accounts with the operator role can call this function.
     * @dev The new max supply must be higher than the current max supply.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _newMaxSupply The new maximum number of tokens that can exist for this asset.
     */
-    function increaseMaxSupply(address _syntheticAsset, uint256 _newMaxSupply) external override onlyOperator {
+    function increaseMaxSupply(address _syntheticAsset, uint256 _newMaxSupply) external override onlyRole(Roles.OPERATOR) {
         // The SyntheticAssetToken contract checks that the new max supply is higher than the current max supply.
         ISyntheticAssetToken(_syntheticAsset).increaseMaxSupply(_newMaxSupply);
 
@@ -200,56 +421,79 @@ contract SyntheticAssetTokenRegistry is ISyntheticAssetTokenRegistry, Ownable {
 
     /**
     * @notice Enables, or disables, the ability to mint new tokens.
-    * @dev Only the operator of the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Only accounts with the operator role can call this function.
     * @dev This function is meant to be used to protect the protocol from Black Swan events.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _enableMinting Whether to allow new tokens to be minted.
     */
-    function toggleMintingStatus(address _syntheticAsset, bool _enableMinting) external override onlyOperator {
+    function toggleMintingStatus(address _syntheticAsset, bool _enableMinting) external override onlyRole(Roles.OPERATOR) {
         ISyntheticAssetToken(_syntheticAsset).toggleMintingStatus(_enableMinting);
 
         emit ToggledMintingStatus(_enableMinting);
     }
 
     /**
-     * @notice Updates the address of the operator.
-     * @dev This function can only be called by the SyntheticAssetTokenRegistry contract owner.
-     * @param _newOperator Address of the new operator.
-     */
-    function setOperator(address _newOperator) external onlyOwner {
-        operator = _newOperator;
+    * @notice Enables, or disables, the ability to redeem tokens for stablecoin.
+    * @dev Only accounts with the operator role can call this function.
+    * @dev This function is meant to be used to protect the protocol from Black Swan events.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _enableRedemption Whether to allow tokens to be redeemed.
+    */
+    function toggleRedemptionStatus(address _syntheticAsset, bool _enableRedemption) external override onlyRole(Roles.OPERATOR) {
+        ISyntheticAssetToken(_syntheticAsset).toggleRedemptionStatus(_enableRedemption);
 
-        emit SetOperator(_newOperator);
+        emit ToggledRedemptionStatus(_enableRedemption);
     }
 
     /**
-     * @notice Updates the address of the registrar.
-     * @dev This function can only be called by the SyntheticAssetTokenRegistry contract owner.
-     * @param _newRegistrar Address of the new registrar.
-     */
-    function setRegistrar(address _newRegistrar) external onlyOwner {
-        registrar = _newRegistrar;
+    * @notice Delists the given synthetic asset, freezing its price and settling its orderbooks.
+    * @dev Only accounts with the operator role can call this function.
+    * @dev Holders redeem through the token's redeemSettledTokens(), and open orders are refunded through each orderbook's refundOrders().
+    * @dev Transaction will revert if the asset has already been delisted.
+    * @param _syntheticAsset Address of the synthetic asset.
+    */
+    function delistSyntheticAsset(address _syntheticAsset) external override onlyRole(Roles.OPERATOR) {
+        require(assetToIndex[_syntheticAsset] > 0, "SyntheticAssetTokenRegistry: Asset not found.");
+
+        uint256 settlementPrice = ISyntheticAssetToken(_syntheticAsset).settle();
+        router.settleOrderbooks(_syntheticAsset);
 
-        emit SetRegistrar(_newRegistrar);
+        emit DelistedSyntheticAsset(_syntheticAsset, settlementPrice);
     }
 
-    /* ========== MODIFIERS ========== */
+    /**
+    * @notice Sets the trading fees for the given asset, replacing the protocol-wide fees.
+    * @dev Only accounts with the fee manager role can call this function.
+    * @dev Fees are expressed as percentages with two decimals, and can be 0 to waive the fee for this asset.
+    * @dev Overrides take effect instantly, so each fee must be within the maximum step size of the protocol-wide fee in ProtocolSettings.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _isEnabled Whether to use the given fees. Set this value to false to use the protocol-wide fees.
+    * @param _takerFee The fee charged to orders that are executed instantly against pending orders.
+    * @param _marketMakerFee The fee charged to market makers for executing pending orders.
+    */
+    function setTradingFeeOverride(address _syntheticAsset, bool _isEnabled, uint256 _takerFee, uint256 _marketMakerFee) external override onlyRole(Roles.FEE_MANAGER) {
+        require(assetToIndex[_syntheticAsset] > 0, "SyntheticAssetTokenRegistry: Asset not found.");
+        require(_takerFee < 10000 && _marketMakerFee < 10000, "SyntheticAssetTokenRegistry: Trading fee is out of bounds.");
+        require(!_isEnabled || protocolSettings.isWithinTradingFeeStep(_takerFee, _marketMakerFee), "SyntheticAssetTokenRegistry: Trading fee is too far from the protocol-wide fee.");
 
-    modifier onlyRegistrar() {
-        require(msg.sender == registrar, "SyntheticAssetTokenRegistry: Only the registrar can call this function.");
-        _;
-    }
+        IRouter.TradingFeeOverride memory feeOverride = IRouter.TradingFeeOverride({
+            isEnabled: _isEnabled,
+            takerFee: _takerFee,
+            marketMakerFee: _marketMakerFee
+        });
+
+        tradingFeeOverrides[_syntheticAsset] = feeOverride;
+        router.setTradingFeeOverride(_syntheticAsset, feeOverride);
 
-    modifier onlyOperator() {
-        require(msg.sender == operator, "SyntheticAssetTokenRegistry: Only the operator can call this function.");
-        _;
+        emit SetTradingFeeOverride(_syntheticAsset, _isEnabled, _takerFee, _marketMakerFee);
     }
 
     /* ========== EVENTS ========== */
 
-    event SetOperator(address newOperator);
-    event SetRegistrar(address newRegistrar);
-    event CreatedSyntheticAssetToken(uint256 index, address syntheticAssetAddress, address dataFeedAddress, uint256 maxSupply, string name, string symbol);
+    event CreatedSyntheticAssetToken(uint256 indexed index, address indexed syntheticAssetAddress, address indexed dataFeedAddress, uint256 maxSupply, string name, string symbol);
     event IncreasedMaxSupply(uint256 newMaxSupply);
     event ToggledMintingStatus(bool mintingStatus);
+    event ToggledRedemptionStatus(bool redemptionStatus);
+    event DelistedSyntheticAsset(address indexed syntheticAsset, uint256 settlementPrice);
+    event SetTradingFeeOverride(address indexed syntheticAsset, bool isEnabled, uint256 takerFee, uint256 marketMakerFee);
 }
\ No newline at end of file
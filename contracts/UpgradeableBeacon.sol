@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// OpenZeppelin.
+import "./openzeppelin-solidity/contracts/Address.sol";
+
+// Inheritance.
+import "./openzeppelin-solidity/contracts/proxy/IBeacon.sol";
+
+/**
+ * @title Points a set of BeaconProxy contracts to a shared implementation contract.
+ * @dev Each Orderbook and SyntheticAssetToken is a BeaconProxy, so upgrading the implementation here upgrades every deployed instance at once.
+ * @dev Upgrades go through the Treasury's timelock, since the proxies hold the collateral reserves and escrowed orders.
+ */
+contract UpgradeableBeacon is IBeacon {
+    // Timelock that governs upgrades.
+    address public immutable treasury;
+
+    address public override implementation;
+
+    constructor(address _treasury, address _implementation) {
+        treasury = _treasury;
+
+        _setImplementation(_implementation);
+    }
+
+    /* ========== RESTRICTED FUNCTIONS ========== */
+
+    /**
+    * @notice Points every proxy that uses this beacon to the given implementation.
+    * @dev Only the Treasury can call this function, so upgrades go through its timelock.
+    * @dev The new implementation must keep the storage layout of the current implementation, only appending new state variables.
+    * @param _newImplementation Address of the new implementation contract.
+    */
+    function upgradeTo(address _newImplementation) external onlyTreasury {
+        _setImplementation(_newImplementation);
+    }
+
+    /* ========== INTERNAL FUNCTIONS ========== */
+
+    /**
+    * @notice Sets the implementation contract.
+    * @param _newImplementation Address of the new implementation contract.
+    */
+    function _setImplementation(address _newImplementation) internal {
+        require(Address.isContract(_newImplementation), "UpgradeableBeacon: Implementation is not a contract.");
+
+        implementation = _newImplementation;
+
+        emit Upgraded(_newImplementation);
+    }
+
+    /* ========== MODIFIERS ========== */
+
+    modifier onlyTreasury() {
+        require(msg.sender == treasury, "UpgradeableBeacon: Only the Treasury can call this function.");
+        _;
+    }
+
+    /* ========== EVENTS ========== */
+
+    event Upgraded(address indexed implementation);
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+interface IAccessController {
+    /**
+    * @notice Returns the address of the admin.
+    */
+    function admin() external view returns (address);
+
+    /**
+    * @notice Returns whether the given account holds the given role.
+    * @param _role Index of the role. Ex) 0 = admin, 1 = operator, 2 = asset lister, 3 = guardian, 4 = fee manager.
+    * @param _account Address of the account.
+    */
+    function hasRole(uint256 _role, address _account) external view returns (bool);
+
+    /**
+    * @notice Returns the number of accounts that hold the given role.
+    * @param _role Index of the role.
+    */
+    function getRoleMemberCount(uint256 _role) external view returns (uint256);
+
+    /**
+    * @notice Returns the addresses of the accounts that hold the given role.
+    * @param _role Index of the role.
+    */
+    function getRoleMembers(uint256 _role) external view returns (address[] memory);
+
+    /**
+    * @notice Gives the given role to the given account.
+    * @dev Only the admin can call this function.
+    * @dev The admin role cannot be granted; use setPendingAdmin() and acceptAdmin() instead.
+    * @param _role Index of the role.
+    * @param _account Address of the account.
+    */
+    function grantRole(uint256 _role, address _account) external;
+
+    /**
+    * @notice Removes the given role from the given account.
+    * @dev Only the admin can call this function.
+    * @param _role Index of the role.
+    * @param _account Address of the account.
+    */
+    function revokeRole(uint256 _role, address _account) external;
+
+    /**
+    * @notice Removes the given role from msg.sender.
+    * @param _role Index of the role.
+    */
+    function renounceRole(uint256 _role) external;
+
+    /**
+    * @notice Nominates the given address as the next admin.
+    * @dev Only the admin can call this function.
+    * @dev The nominee becomes admin once they call acceptAdmin().
+    * @param _pendingAdmin Address of the pending admin.
+    */
+    function setPendingAdmin(address _pendingAdmin) external;
+
+    /**
+    * @notice Updates the address of the admin to the pending admin.
+    * @dev Only the pending admin can call this function.
+    */
+    function acceptAdmin() external;
+}
\ No newline at end of file
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+interface IAssetListingManager {
+    struct Proposal {
+        address proposer;
+        // Address of the data feed the synthetic asset would track.
+        address dataFeed;
+        uint256 maxSupply;
+        string name;
+        string symbol;
+        // Amount of bond token posted by the proposer. Challengers post the same amount.
+        uint256 bond;
+        // Timestamp after which the proposal can no longer be challenged.
+        uint256 challengeDeadline;
+        address challenger;
+        uint256 status;
+        // Address of the synthetic asset created for the proposal. Set once the proposal is approved.
+        address syntheticAsset;
+    }
+
+    /**
+    * @notice Returns the status of the given proposal.
+    * @dev Returns 0 (pending) if the proposal is not found.
+    * @param _index Index of the proposal.
+    * @return uint256 Status of the proposal. Ex) 0 = pending, 1 = challenged, 2 = approved, 3 = rejected.
+    */
+    function getProposalStatus(uint256 _index) external view returns (uint256);
+
+    /**
+    * @notice Proposes a synthetic asset for the given data feed.
+    * @dev Transaction will revert if none of the oracle's data sources has a data feed for [_dataFeed].
+    * @dev Assumes that msg.sender has approved the bond amount of the bond token.
+    * @param _dataFeed Address of the data feed the synthetic asset would track.
+    * @param _maxSupply The maximum number of tokens that can be minted.
+    * @param _name A custom name for this asset.
+    * @param _symbol A custom symbol for this asset.
+    * @return uint256 Index of the proposal.
+    */
+    function proposeAsset(address _dataFeed, uint256 _maxSupply, string memory _name, string memory _symbol) external returns (uint256);
+
+    /**
+    * @notice Challenges the given proposal, leaving the outcome to the asset listers.
+    * @dev Assumes that msg.sender has approved the proposal's bond amount of the bond token.
+    * @dev The proposal must be pending and its challenge period must not have ended.
+    * @param _index Index of the proposal.
+    */
+    function challengeProposal(uint256 _index) external;
+
+    /**
+    * @notice Lists the synthetic asset of an unchallenged proposal and returns the proposer's bond.
+    * @dev Anyone can call this function once the proposal's challenge period has ended.
+    * @param _index Index of the proposal.
+    */
+    function executeProposal(uint256 _index) external;
+
+    /**
+    * @notice Lists the synthetic asset of the given proposal.
+    * @dev Only accounts with the asset lister role can call this function.
+    * @dev If the proposal was challenged, the challenger's bond is slashed and sent to the proposer.
+    * @param _index Index of the proposal.
+    */
+    function approveProposal(uint256 _index) external;
+
+    /**
+    * @notice Rejects the given proposal and slashes the proposer's bond.
+    * @dev Only accounts with the asset lister role can call this function.
+    * @dev The slashed bond is sent to the challenger if the proposal was challenged. Otherwise, it is sent to the Treasury.
+    * @param _index Index of the proposal.
+    */
+    function rejectProposal(uint256 _index) external;
+}
\ No newline at end of file
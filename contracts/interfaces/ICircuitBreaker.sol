@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+interface ICircuitBreaker {
+    /**
+    * @notice Returns whether the given action is currently paused.
+    * @dev Pauses expire automatically once their duration has elapsed.
+    * @param _action Index of the action. Ex) 0 = minting, 1 = order placement, 2 = market maker execution.
+    */
+    function isPaused(uint256 _action) external view returns (bool);
+
+    /**
+    * @notice Returns whether minting is currently paused for all synthetic assets.
+    */
+    function mintingIsPaused() external view returns (bool);
+
+    /**
+    * @notice Returns whether order placement is currently paused for all orderbooks.
+    */
+    function orderPlacementIsPaused() external view returns (bool);
+
+    /**
+    * @notice Returns whether market makers are currently prevented from executing orders in all orderbooks.
+    */
+    function marketMakerExecutionIsPaused() external view returns (bool);
+
+    /**
+    * @notice Pauses the given action across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    * @dev The pause expires automatically after the given duration.
+    * @param _action Index of the action to pause.
+    * @param _duration Number of seconds to pause the action for.
+    */
+    function pause(uint256 _action, uint256 _duration) external;
+
+    /**
+    * @notice Pauses minting, order placement, and market maker execution across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    * @dev The pauses expire automatically after the given duration.
+    * @param _duration Number of seconds to pause the actions for.
+    */
+    function pauseAll(uint256 _duration) external;
+
+    /**
+    * @notice Resumes the given action across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    * @param _action Index of the action to resume.
+    */
+    function unpause(uint256 _action) external;
+
+    /**
+    * @notice Resumes minting, order placement, and market maker execution across all synthetic assets.
+    * @dev Only accounts with the guardian role can call this function.
+    */
+    function unpauseAll() external;
+}
\ No newline at end of file
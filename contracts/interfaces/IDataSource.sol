@@ -18,4 +18,23 @@ interface IDataSource {
     * @return address, uint256 The address of the asset's usage fee token and the asset's usage fee.
     */
     function getUsageFeeInfo(address _asset) external view returns (address, uint256);
+
+    /**
+    * @notice Returns the timestamp at which the given asset's data feed was last updated.
+    * @dev Returns 0 if the data feed does not exist.
+    * @param _asset Address of the asset.
+    */
+    function getLastUpdated(address _asset) external view returns (uint256);
+
+    /**
+    * @notice Returns whether the given asset's data feed is active.
+    * @param _asset Address of the asset.
+    */
+    function dataFeedIsActive(address _asset) external view returns (bool);
+
+    /**
+    * @notice Returns whether the given asset has a data feed.
+    * @param _asset Address of the asset.
+    */
+    function hasDataFeed(address _asset) external view returns (bool);
 }
\ No newline at end of file
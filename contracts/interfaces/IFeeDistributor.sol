@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+// Indices of the sources that fees are collected from.
+// These are shared with the contracts that deposit fees so they don't hard-code the indices.
+uint256 constant FEE_SOURCE_MINTING = 0;
+uint256 constant FEE_SOURCE_REDEMPTION = 1;
+uint256 constant FEE_SOURCE_TRADING = 2;
+uint256 constant NUMBER_OF_FEE_SOURCES = 3;
+
+interface IFeeDistributor {
+    /**
+    * @notice Returns the total amount of fees collected for the given asset from the given source.
+    * @param _asset Address of the synthetic asset.
+    * @param _source Index of the fee source. Ex) 0 = minting, 1 = redemption, 2 = trading.
+    */
+    function collectedFees(address _asset, uint256 _source) external view returns (uint256);
+
+    /**
+    * @notice Returns the amount of fees waiting to be distributed.
+    */
+    function undistributedFees() external view returns (uint256);
+
+    /**
+    * @notice Returns the timestamp at which fees can next be distributed.
+    */
+    function nextDistributionTime() external view returns (uint256);
+
+    /**
+    * @notice Deposits a fee collected for the given asset.
+    * @dev Assumes that msg.sender has approved _amount worth of stablecoin.
+    * @param _asset Address of the synthetic asset the fee was collected for.
+    * @param _source Index of the fee source. Ex) 0 = minting, 1 = redemption, 2 = trading.
+    * @param _amount Amount of stablecoin to deposit.
+    */
+    function depositFee(address _asset, uint256 _source, uint256 _amount) external;
+
+    /**
+    * @notice Splits the undistributed fees between the Treasury, the data feed providers, and the staking rewards address.
+    * @dev Anyone can call this function once the distribution interval has elapsed.
+    */
+    function distribute() external;
+}
\ No newline at end of file
@@ -5,21 +5,48 @@ pragma solidity ^0.8.3;
 interface IOracle {
     /**
     * @notice Returns the latest price of the given asset.
-    * @dev Calls the current data source to get the price.
+    * @dev Queries the asset's data sources in order of priority, falling back to the next data source
+    *      if a data source reverts or returns a price that fails the sanity checks.
+    * @dev If the asset uses the median price, every data source is queried and the median of the valid prices is used.
+    * @dev Usage fees are pulled from msg.sender only for the data sources that are queried.
+    * @dev Transaction will revert if no data source returns a valid price, or if the price deviates too much
+    *      from the last accepted price.
     * @param _asset Address of the asset.
     * @return uint256 Latest price of the asset.
     */
     function getLatestPrice(address _asset) external returns (uint256);
 
     /**
-    * @notice Returns the address of the oracle contract's data source.
+    * @notice Returns the address of the oracle contract's default data source.
     */
     function dataSource() external view returns (address);
 
+    /**
+    * @notice Returns the last price of the given asset that passed the oracle's sanity checks.
+    * @dev Returns 0 if no price has been accepted for the asset.
+    * @param _asset Address of the asset.
+    */
+    function lastAcceptedPrice(address _asset) external view returns (uint256);
+
     /**
     * @notice Returns the info needed to pay the usage fee for the given asset.
+    * @dev The usage fee is the sum of the usage fees of each of the asset's data sources.
+    * @dev When falling back between data sources, only the fees of the queried data sources are pulled.
     * @param _asset Address of the asset.
     * @return address, uint256 The address of the asset's usage fee token and the asset's usage fee.
     */
     function getUsageFeeInfo(address _asset) external view returns (address, uint256);
+
+    /**
+    * @notice Returns the data sources used for the given asset, in order of priority.
+    * @dev Returns the default data source if the asset has not been assigned any data sources.
+    * @param _asset Address of the asset.
+    */
+    function getDataSources(address _asset) external view returns (address[] memory);
+
+    /**
+    * @notice Returns whether any of the asset's data sources has a data feed for the given asset.
+    * @param _asset Address of the asset.
+    */
+    function hasDataFeed(address _asset) external view returns (bool);
 }
\ No newline at end of file
@@ -5,27 +5,45 @@ pragma solidity ^0.8.3;
 interface IOrderbook {
     /**
     * @notice Returns the info for the order at the given index.
+    * @dev Returns (0, 0, 0, 0, 0) if the order index is out of bounds.
     * @param _orderIndex Index of the order.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
+    * @return uint256, uint256, uint256, uint256, uint256 The order size, number of tokens filled, average execution price, timestamp at which the order was last filled, and limit price.
     */
-    function getOrderInfo(uint256 _orderIndex) external view returns (uint256, uint256, uint256, uint256);
+    function getOrderInfo(uint256 _orderIndex) external view returns (uint256, uint256, uint256, uint256, uint256);
 
     /**
-    * @notice Returns the order info for the given user's pending order.
-    * @dev Returns (0, 0, 0, 0) if the user does not have an order.
+    * @notice Returns the indices of the given user's unsettled orders.
+    * @dev An order is settled once it has no open amount and no unclaimed tokens.
+    * @dev Indices are not sorted.
     * @param _user Address of the user.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
     */
-    function getPendingOrderInfo(address _user) external view returns (uint256, uint256, uint256, uint256);
+    function getUserOrders(address _user) external view returns (uint256[] memory);
 
     /**
-    * @notice Returns the number of tokens that the given user can claim.
+    * @notice Returns the number of tokens that the given user can claim across all of the user's orders.
+    * @dev Tokens are in synthetic asset tokens for the "buy" version of the orderbook.
+    *      In the "sell" version of the orderbook, tokens are in stablecoin.
     * @param _user Address of the user.
     */
     function getAvailableTokensForUser(address _user) external view returns (uint256);
 
+    /**
+    * @notice Returns the unfilled amount across all of the user's orders.
+    * @dev Amounts are in stablecoin for the "buy" version of the orderbook.
+    *      In the "sell" version of the orderbook, amounts are in synthetic asset tokens.
+    * @param _user Address of the user.
+    */
+    function getOpenAmountForUser(address _user) external view returns (uint256);
+
+    /**
+    * @notice Returns the number of tokens that can be claimed from the given order.
+    * @param _orderIndex Index of the order.
+    */
+    function getAvailableTokensForOrder(uint256 _orderIndex) external view returns (uint256);
+
     /**
     * @notice Returns the dollar value of the given user's available tokens.
+    * @dev Tokens from each order are valued at the order's average execution price.
     * @param _user Address of the user.
     */
     function getAvailableDollarAmount(address _user) external view returns (uint256);
@@ -35,36 +53,173 @@ interface IOrderbook {
     */
     function getAvailableTokensInOrderbook() external view returns (uint256);
 
+    /**
+    * @notice Returns the indices of expired orders that are still in the queue, starting from the oldest order.
+    * @dev Meant to be used by keepers to find orders to pass to cancelExpiredOrders().
+    * @param _maxOrdersToCheck The maximum number of orders in the queue to check.
+    */
+    function getExpiredOrders(uint256 _maxOrdersToCheck) external view returns (uint256[] memory);
+
+    /**
+    * @notice Returns what a market maker would pay and earn for executing each of the given orders.
+    * @dev Quotes are based on the oracle's last accepted price, which may differ from the price at execution.
+    * @dev Returns zeros for orders that cannot be executed by a market maker yet.
+    * @dev Expected profits are in stablecoin, net of the market maker fee, and do not include the oracle's usage fee.
+    * @param _orderIndices Indices of the orders.
+    * @return discounts The discount for each order, as a percentage with two decimals.
+    * @return amountsRequired The number of tokens the market maker pays to each order's user, in the instant order's token.
+    * @return expectedProfits The value of each order's unfilled amount minus the value of the tokens required and the market maker fee.
+    */
+    function getMarketMakerQuotes(uint256[] memory _orderIndices) external view returns (uint256[] memory discounts, uint256[] memory amountsRequired, uint256[] memory expectedProfits);
+
+    /**
+    * @notice Initializes the orderbook's state.
+    * @dev Called by the BeaconProxy during deployment, in place of a constructor.
+    * @dev Transaction will revert if the orderbook has already been initialized.
+    * @param _router Address of the Router contract.
+    * @param _oracle Address of the Oracle contract.
+    * @param _protocolSettings Address of the ProtocolSettings contract.
+    * @param _userSettings Address of the UserSettings contract.
+    * @param _circuitBreaker Address of the CircuitBreaker contract.
+    * @param _stablecoin Address of the stablecoin.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _representsBuyOrders Whether this is the 'buy' version of the orderbook.
+    */
+    function initialize(address _router, address _oracle, address _protocolSettings, address _userSettings, address _circuitBreaker, address _stablecoin, address _syntheticAsset, bool _representsBuyOrders) external;
+
     /**
     * @notice Places an order for the given number of tokens.
+    * @dev If the order is in the same direction as the orderbook, the order is added to the queue of pending orders.
+    *      Otherwise, the order is executed instantly against pending orders at the oracle price.
+    * @dev Pending orders are only filled while the oracle price is at or below the limit price for buy orders,
+    *      or at or above the limit price for sell orders. Pending orders that cross their limit price are skipped.
+    * @dev Pending orders are no longer filled after their expiry and can be cancelled by anyone through cancelExpiredOrders().
+    * @dev Pending orders must be worth at least the protocol's minimum order size, with sell orders valued at the oracle price.
+    * @dev Instant fills are charged the taker fee on top of the stablecoin paid, or out of the stablecoin received.
     * @dev Transaction will revert if _numberOfTokens exceeds the user's balance.
     * @param _isBuy Whether the order represents a 'buy'.
     * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
+    */
+    function placeOrder(bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry) external;
+
+    /**
+    * @notice Approves this contract to spend the user's tokens using an EIP-2612 permit signature, then places an order.
+    * @dev The permit is for stablecoin if _isBuy is true, and for the synthetic asset otherwise.
+    * @dev Assumes that the user has already approved the asset's data feed's usage fee if the order is executed instantly.
+    * @param _isBuy Whether the order represents a 'buy'.
+    * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
+    * @param _permitValue Number of tokens approved by the permit.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
     */
-    function placeOrder(bool _isBuy, uint256 _numberOfTokens) external;
+    function placeOrderWithPermit(bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry, uint256 _permitValue, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external;
 
     /**
-    * @notice Cancels the pending order for the user.
+    * @notice Cancels the given order.
     * @dev If _cancelFullOrder is set to true, _numberOfTokens is ignored.
-    * @dev This function also claims all available tokens for the user.
-    * @dev Transaction will revert if _numberOfTokens exceeds the user's order size.
+    * @dev This function also claims all available tokens for the order.
+    * @dev Transaction will revert if msg.sender did not place the order or if _numberOfTokens exceeds the unfilled portion of the order.
+    * @param _orderIndex Index of the order.
     * @param _numberOfTokens The number of tokens to cancel.
     * @param _cancelFullOrder Whether to fully cancel the order.
     */
-    function cancelOrder(uint256 _numberOfTokens, bool _cancelFullOrder) external;
+    function cancelOrder(uint256 _orderIndex, uint256 _numberOfTokens, bool _cancelFullOrder) external;
 
     /**
     * @notice Executes the given order as a market maker.
+    * @dev The order is filled at the oracle price minus the user's discount.
+    * @dev The market maker fee is charged on the stablecoin side of the fill.
+    * @dev Transaction will revert if the discounted price crosses the order's limit price.
     * @param _orderIndex The index of the order to fill.
     */
     function executeOrderAsMarketMaker(uint256 _orderIndex) external;
 
     /**
-    * @notice Claims all available tokens for the user.
+    * @notice Executes the given orders as a market maker against a single oracle price.
+    * @dev Each order is filled at the oracle price minus its user's discount.
+    * @dev The market maker fee is charged on the stablecoin side of each fill.
+    * @dev Orders that are filled, expired, not ready, or whose discounted price crosses the limit price are skipped.
+    * @dev Transaction will revert if none of the orders are executed.
+    * @param _orderIndices Indices of the orders to fill. Can include at most MAX_ORDERS_PER_EXECUTION orders.
+    */
+    function executeOrdersAsMarketMaker(uint256[] memory _orderIndices) external;
+
+    /**
+    * @notice Approves this contract to spend the market maker's tokens using an EIP-2612 permit signature, then executes the given order.
+    * @dev The permit is for the synthetic asset in the "buy" version of the orderbook, and for stablecoin in the "sell" version.
+    * @dev Assumes that the market maker has already approved the asset's data feed's usage fee.
+    * @param _orderIndex The index of the order to fill.
+    * @param _permitValue Number of tokens approved by the permit.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function executeOrderAsMarketMakerWithPermit(uint256 _orderIndex, uint256 _permitValue, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external;
+
+    /**
+    * @notice Claims all available tokens for the given order.
+    * @dev Transaction will revert if msg.sender did not place the order.
+    * @param _orderIndex Index of the order.
+    */
+    function claimTokens(uint256 _orderIndex) external;
+
+    /**
+    * @notice Claims all available tokens across the user's orders.
+    * @dev Settled orders are removed from the user's list of orders.
+    */
+    function claimAllTokens() external;
+
+    /**
+    * @notice Cancels the given expired orders and refunds their unfilled amounts to the orders' users.
+    * @dev Anyone can call this function. The caller receives a bounty from each order's unfilled amount.
+    * @dev Orders that have not expired or have no unfilled amount are skipped.
+    * @param _orderIndices Indices of the orders to cancel.
+    */
+    function cancelExpiredOrders(uint256[] memory _orderIndices) external;
+
+    /**
+    * @notice Returns whether the orderbook has been settled.
+    * @dev Settled orderbooks no longer accept or fill orders.
+    */
+    function isSettled() external view returns (bool);
+
+    /**
+    * @notice Returns whether trading is paused for this asset.
+    */
+    function tradingIsPaused() external view returns (bool);
+
+    /**
+    * @notice Refunds the unfilled amounts and unclaimed tokens of the next orders, in the order they were placed.
+    * @dev Anyone can call this function once the orderbook is settled.
+    * @dev Orders are processed in batches to keep the gas cost bounded. Users can also cancel their own orders.
+    * @param _maxOrders Maximum number of orders to process.
     */
-    function claimTokens() external;
+    function refundOrders(uint256 _maxOrders) external;
     
 
+    /**
+    * @notice Places an order on behalf of the given user.
+    * @dev Only the Router contract can call this function.
+    * @dev The Router verifies the user's signed order intent before calling this function.
+    * @dev Tokens and the oracle's usage fee are pulled from the user, so the user must have approved this contract.
+    * @param _user Address of the user placing the order.
+    * @param _isBuy Whether the order represents a 'buy'.
+    * @param _numberOfTokens The number of tokens to buy/sell.
+    * @param _limitPrice The highest price to buy at or the lowest price to sell at. Set to 0 to accept any price.
+    * @param _minimumAmountOut The minimum number of tokens to receive if the order is executed instantly. Ignored for pending orders.
+    * @param _expiry Timestamp after which the order can no longer be filled. Set to 0 for orders that do not expire.
+    */
+    function placeOrderFor(address _user, bool _isBuy, uint256 _numberOfTokens, uint256 _limitPrice, uint256 _minimumAmountOut, uint256 _expiry) external;
+
     /**
     * @notice Pauses trading for this asset.
     * @dev Only the Router contract can call this function.
@@ -72,4 +227,11 @@ interface IOrderbook {
     * @param _pauseTrading Whether to pause trading. Set this value to false to resume trading.
     */
     function pauseTrading(bool _pauseTrading) external;
+
+    /**
+    * @notice Permanently stops trading so that open orders can be refunded through refundOrders().
+    * @dev Only the Router contract can call this function.
+    * @dev This function is called when the asset is delisted.
+    */
+    function settle() external;
 }
\ No newline at end of file
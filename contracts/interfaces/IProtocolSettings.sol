@@ -16,6 +16,41 @@ interface IProtocolSettings {
     */
     function mintFee() external view returns (uint256);
 
+    /**
+    * @notice Returns the fee for redeeming a synthetic asset.
+    * @dev The fee is a percentage of the dollar value of the tokens being redeemed.
+    * @dev This value is expressed in two decimals. Ex) A 0.3% redemption fee would have the value 30.
+    */
+    function redemptionFee() external view returns (uint256);
+
+    /**
+    * @notice Returns the fee charged to orders that are executed instantly against pending orders.
+    * @dev The fee is a percentage of the stablecoin side of the fill. Trading is free until the fee is set.
+    * @dev This value is expressed in two decimals. Ex) A 0.3% taker fee would have the value 30.
+    */
+    function takerFee() external view returns (uint256);
+
+    /**
+    * @notice Returns the fee charged to market makers for executing pending orders.
+    * @dev The fee is a percentage of the stablecoin side of the fill. Trading is free until the fee is set.
+    * @dev This value is expressed in two decimals. Ex) A 0.1% market maker fee would have the value 10.
+    */
+    function marketMakerFee() external view returns (uint256);
+
+    /**
+    * @notice Returns the collateralization ratio below which minting is suspended for a synthetic asset.
+    * @dev The ratio is the asset's stablecoin reserve divided by the dollar value of its circulating supply.
+    * @dev This value is expressed as a percentage with two decimals. Ex) A 80% ratio would have the value 8000.
+    */
+    function minimumCollateralizationRatio() external view returns (uint256);
+
+    /**
+    * @notice Returns the bounty paid to keepers for cancelling an expired order.
+    * @dev The bounty is a percentage of the expired order's unfilled amount and is paid from the order.
+    * @dev This value is expressed in two decimals. Ex) A 0.1% bounty would have the value 10.
+    */
+    function expiredOrderBounty() external view returns (uint256);
+
     /**
     * @notice Returns the minimum value that a user can set for their minimumTimeUntilDiscountStarts setting.
     */
@@ -35,4 +70,26 @@ interface IProtocolSettings {
     * @notice Returns the maximum value that a user can set for their timeUntilMaxDiscount setting.
     */
     function maximumTimeUntilMaxDiscount() external view returns (uint256);
+
+    /**
+    * @notice Returns the smallest stablecoin value that can be placed as a pending order.
+    * @dev This value is in stablecoin, with 18 decimals. Pending sell orders are valued at the oracle price.
+    */
+    function minimumOrderSize() external view returns (uint256);
+
+    /**
+    * @notice Returns the parameters that have a queued change, along with each change's new value and ETA.
+    * @return parameterIndices Index of each parameter with a queued change.
+    * @return values The value that each parameter will be set to.
+    * @return etas Timestamp at which each change can be executed.
+    */
+    function getPendingChanges() external view returns (uint256[] memory parameterIndices, uint256[] memory values, uint256[] memory etas);
+
+    /**
+    * @notice Returns whether the given trading fees are within a single change of the protocol-wide trading fees.
+    * @dev Used to bound per-asset fee overrides, which take effect without a delay.
+    * @param _takerFee The taker fee to check.
+    * @param _marketMakerFee The market maker fee to check.
+    */
+    function isWithinTradingFeeStep(uint256 _takerFee, uint256 _marketMakerFee) external view returns (bool);
 }
\ No newline at end of file
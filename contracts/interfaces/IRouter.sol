@@ -3,28 +3,72 @@
 pragma solidity ^0.8.3;
 
 interface IRouter {
+    // An order that a user signs so that a relayer can place it on the user's behalf.
+    struct OrderIntent {
+        address user;
+        address syntheticAsset;
+        bool isBuy;
+        // Whether to execute the order instantly against pending orders, instead of adding it to the queue.
+        bool executeInstantly;
+        uint256 numberOfTokens;
+        uint256 limitPrice;
+        uint256 minimumAmountOut;
+        uint256 expiry;
+        uint256 nonce;
+        // Timestamp after which the signature is no longer valid.
+        uint256 deadline;
+    }
+
+    // Trading fees for a specific asset, as percentages with two decimals.
+    struct TradingFeeOverride {
+        // Whether to use these fees instead of the protocol-wide fees.
+        bool isEnabled;
+        uint256 takerFee;
+        uint256 marketMakerFee;
+    }
+
+    // An EIP-2612 permit signature that approves an orderbook to spend a user's tokens.
+    struct PermitSignature {
+        // Number of tokens approved by the permit.
+        uint256 value;
+        // Timestamp after which the permit is no longer valid.
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /**
+    * @notice Returns the trading fees for the given asset.
+    * @dev Uses the asset's override if one is set. Otherwise, uses the fees in ProtocolSettings.
+    * @dev Fees are expressed as percentages with two decimals.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return takerFee The fee charged to orders that are executed instantly against pending orders.
+    * @return marketMakerFee The fee charged to market makers for executing pending orders.
+    */
+    function getTradingFees(address _syntheticAsset) external view returns (uint256 takerFee, uint256 marketMakerFee);
+
     /**
     * @notice Returns the info for the order at the given index.
-    * @dev Returns (0, 0, 0, 0) if the asset is not found or the order index is out of bounds.
+    * @dev Returns (0, 0, 0, 0, 0) if the asset is not found or the order index is out of bounds.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _isBuy Whether to use the 'buy' version of the asset's orderbook.
     * @param _orderIndex Index of the order.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
+    * @return uint256, uint256, uint256, uint256, uint256 The order size, number of tokens filled, average execution price, timestamp at which the order was last filled, and limit price.
     */
-    function getOrderInfo(address _syntheticAsset, bool _isBuy, uint256 _orderIndex) external view returns (uint256, uint256, uint256, uint256);
+    function getOrderInfo(address _syntheticAsset, bool _isBuy, uint256 _orderIndex) external view returns (uint256, uint256, uint256, uint256, uint256);
 
     /**
-    * @notice Returns the order info for the given user's pending order.
-    * @dev Returns (0, 0, 0, 0) if the asset is not found or the user does not have an order.
+    * @notice Returns the indices of the given user's unsettled orders.
+    * @dev Returns an empty array if the asset is not found.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _isBuy Whether to use the 'buy' version of the asset's orderbook.
     * @param _user Address of the user.
-    * @return uint256, uint256, uint256, uint256 The order size, number of tokens filled, execution price, and timestamp at which the order was filled.
     */
-    function getPendingOrderInfo(address _syntheticAsset, bool _isBuy, address _user) external view returns (uint256, uint256, uint256, uint256);
+    function getUserOrders(address _syntheticAsset, bool _isBuy, address _user) external view returns (uint256[] memory);
 
     /**
-    * @notice Returns the number of tokens that the given user can claim.
+    * @notice Returns the number of tokens that the given user can claim across all of the user's orders.
     * @dev Returns 0 if the asset is not found.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _isBuy Whether to use the 'buy' version of the asset's orderbook.
@@ -49,9 +93,160 @@ interface IRouter {
     */
     function getOrderbookAddresses(address _syntheticAsset) external view returns (address, address);
 
+    /**
+    * @notice Returns the number of price observations recorded for the given asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    */
+    function getNumberOfObservations(address _syntheticAsset) external view returns (uint256);
+
+    /**
+    * @notice Returns the price observation at the given index.
+    * @dev Returns (0, 0, 0) if the index is out of bounds.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _index Index of the observation. Starts at index 0.
+    * @return uint256, uint256, uint256 The timestamp of the observation, the cumulative price at that time, and the execution price of the fill.
+    */
+    function getObservation(address _syntheticAsset, uint256 _index) external view returns (uint256, uint256, uint256);
+
+    /**
+    * @notice Returns the cumulative price of the given asset at the given timestamp.
+    * @dev The cumulative price is the sum of each fill's execution price multiplied by the number of seconds it was the latest price.
+    * @dev Returns 0 if the asset had no fills at or before the given timestamp.
+    * @dev Transaction will revert if the timestamp is in the future.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _timestamp The timestamp at which to calculate the cumulative price.
+    */
+    function getCumulativePrice(address _syntheticAsset, uint256 _timestamp) external view returns (uint256);
+
+    /**
+    * @notice Returns the time-weighted average execution price of the given asset between the two timestamps.
+    * @dev Returns 0 if the asset had no fills at or before _startTime.
+    * @dev Transaction will revert if _startTime is not before _endTime or if _endTime is in the future.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _startTime Start of the window.
+    * @param _endTime End of the window.
+    */
+    function getTWAP(address _syntheticAsset, uint256 _startTime, uint256 _endTime) external view returns (uint256);
+
+    /**
+    * @notice Returns the time-weighted average execution price of the given asset over the last [_period] seconds.
+    * @dev Returns 0 if the asset had no fills at or before the start of the period.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _period Number of seconds to average over.
+    */
+    function getTWAPForPeriod(address _syntheticAsset, uint256 _period) external view returns (uint256);
+
+    /**
+    * @notice Returns the nonce of the given user's next signed order intent.
+    * @param _user Address of the user.
+    */
+    function nonces(address _user) external view returns (uint256);
+
+    /**
+    * @notice Swaps stablecoin for the given synthetic asset.
+    * @dev Orderbook fills execute at the oracle price plus the asset's taker fee, and mints execute at the oracle price plus the mint fee.
+    *      Buys from the asset's 'sell' orderbook first, unless the mint fee is lower, and uses the other path for the remaining stablecoin.
+    * @dev Pulls [_amountIn] stablecoin and the maximum oracle usage fee from the user once, and returns anything left over.
+    * @dev Returned amounts are the net changes in the user's balances, so they include any usage fees paid in the same token.
+    * @dev Transaction will revert if [_deadline] has passed or the user would receive fewer than [_minimumAmountOut] tokens.
+    * @dev Minting is skipped while it's disabled, paused or undercollateralized only if the orderbook filled part of the swap. Otherwise, failed fills and mints revert the swap with their reason.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum amount of stablecoin to spend.
+    * @param _minimumAmountOut Minimum number of synthetic asset tokens to receive.
+    * @param _deadline Timestamp after which the swap can no longer be executed.
+    * @return amountIn Amount of stablecoin spent.
+    * @return amountOut Number of synthetic asset tokens received.
+    */
+    function swapStablecoinForSyntheticAsset(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline) external returns (uint256 amountIn, uint256 amountOut);
+
+    /**
+    * @notice Swaps the given synthetic asset for stablecoin.
+    * @dev Orderbook fills execute at the oracle price minus the asset's taker fee, and redemptions execute at the oracle price minus the redemption fee.
+    *      Sells to the asset's 'buy' orderbook first, unless the redemption fee is lower, and uses the other path for the remaining tokens.
+    * @dev Pulls [_amountIn] synthetic asset tokens and the maximum oracle usage fee from the user once, and returns anything left over.
+    * @dev Returned amounts are the net changes in the user's balances, so they include any usage fees paid in the same token.
+    * @dev Transaction will revert if [_deadline] has passed or the user would receive less than [_minimumAmountOut] stablecoin.
+    * @dev Redemption is skipped while it's disabled only if the orderbook filled part of the swap. Otherwise, failed fills and redemptions revert the swap with their reason.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum number of synthetic asset tokens to spend.
+    * @param _minimumAmountOut Minimum amount of stablecoin to receive.
+    * @param _deadline Timestamp after which the swap can no longer be executed.
+    * @return amountIn Number of synthetic asset tokens spent.
+    * @return amountOut Amount of stablecoin received.
+    */
+    function swapSyntheticAssetForStablecoin(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline) external returns (uint256 amountIn, uint256 amountOut);
+
+    /**
+    * @notice Swaps stablecoin for the given synthetic asset, using an EIP-2612 permit signature to approve the stablecoin.
+    * @dev See swapStablecoinForSyntheticAsset() for how the swap is routed.
+    * @dev Assumes that the user has already approved the oracle's usage fee.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum amount of stablecoin to spend.
+    * @param _minimumAmountOut Minimum number of synthetic asset tokens to receive.
+    * @param _deadline Timestamp after which the swap and the permit are no longer valid.
+    * @param _permitValue Amount of stablecoin approved by the permit.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    * @return amountIn Amount of stablecoin spent.
+    * @return amountOut Number of synthetic asset tokens received.
+    */
+    function swapStablecoinForSyntheticAssetWithPermit(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline, uint256 _permitValue, uint8 _v, bytes32 _r, bytes32 _s) external returns (uint256 amountIn, uint256 amountOut);
+
+    /**
+    * @notice Swaps the given synthetic asset for stablecoin, using an EIP-2612 permit signature to approve the synthetic asset.
+    * @dev See swapSyntheticAssetForStablecoin() for how the swap is routed.
+    * @dev Assumes that the user has already approved the oracle's usage fee.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _amountIn Maximum number of synthetic asset tokens to spend.
+    * @param _minimumAmountOut Minimum amount of stablecoin to receive.
+    * @param _deadline Timestamp after which the swap and the permit are no longer valid.
+    * @param _permitValue Number of synthetic asset tokens approved by the permit.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    * @return amountIn Number of synthetic asset tokens spent.
+    * @return amountOut Amount of stablecoin received.
+    */
+    function swapSyntheticAssetForStablecoinWithPermit(address _syntheticAsset, uint256 _amountIn, uint256 _minimumAmountOut, uint256 _deadline, uint256 _permitValue, uint8 _v, bytes32 _r, bytes32 _s) external returns (uint256 amountIn, uint256 amountOut);
+
+    /**
+    * @notice Places an order on behalf of the user who signed the given EIP-712 order intent.
+    * @dev Anyone can call this function, so a relayer can submit the order and pay for gas.
+    * @dev Pending buy orders and instant sell orders are placed in the asset's 'buy' orderbook; the rest are placed in the 'sell' orderbook.
+    * @dev Tokens and the oracle's usage fee are pulled from the user, so the user must have approved the orderbook or use placeOrderBySigWithPermit().
+    * @dev Transaction will revert if the signature is invalid or expired, or if the intent's nonce is not the user's current nonce.
+    * @param _intent The user's order intent.
+    * @param _v The 'v' component of the user's signature.
+    * @param _r The 'r' component of the user's signature.
+    * @param _s The 's' component of the user's signature.
+    */
+    function placeOrderBySig(OrderIntent calldata _intent, uint8 _v, bytes32 _r, bytes32 _s) external;
+
+    /**
+    * @notice Approves the orderbook to spend the user's tokens using EIP-2612 permit signatures,
+    *         then places an order on behalf of the user who signed the given EIP-712 order intent.
+    * @dev See placeOrderBySig() for how the order is placed.
+    * @dev [_tokenPermit] is for stablecoin if the intent is a 'buy', and for the synthetic asset otherwise.
+    * @dev [_feeTokenPermit] is for the oracle's usage fee token, which is only pulled for instant orders.
+    *      Its permit is skipped if its value is 0, such as when [_tokenPermit] already covers the usage fee.
+    * @param _intent The user's order intent.
+    * @param _v The 'v' component of the user's signature.
+    * @param _r The 'r' component of the user's signature.
+    * @param _s The 's' component of the user's signature.
+    * @param _tokenPermit The user's permit for the token being spent.
+    * @param _feeTokenPermit The user's permit for the oracle's usage fee token.
+    */
+    function placeOrderBySigWithPermit(OrderIntent calldata _intent, uint8 _v, bytes32 _r, bytes32 _s, PermitSignature calldata _tokenPermit, PermitSignature calldata _feeTokenPermit) external;
+
+    /**
+    * @notice Invalidates all of msg.sender's unused signed order intents.
+    */
+    function incrementNonce() external;
+
     /**
     * @notice Pauses trading for this asset.
-    * @dev Only the operator of the Router contract can call this function.
+    * @dev Only accounts with the operator role can call this function.
     * @dev Pauses trading for both the 'buy' and 'sell' versions of the asset's orderbook.
     * @dev This function is meant to be used to protect the protocol from Black Swan events.
     * @param _pauseTrading Whether to pause trading. Set this value to false to resume trading.
@@ -65,4 +260,31 @@ interface IRouter {
     * @param _syntheticAsset Address of the asset.
     */
     function createOrderbooks(address _syntheticAsset) external;
+
+    /**
+    * @notice Settles the 'buy' and 'sell' version of the orderbook for the given asset, so their open orders can be refunded.
+    * @dev Only the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Transaction will revert if the asset does not have orderbooks or they have already been settled.
+    * @param _syntheticAsset Address of the asset.
+    */
+    function settleOrderbooks(address _syntheticAsset) external;
+
+    /**
+    * @notice Records the execution price of a fill in the asset's price accumulator and forwards the fill's trading fee.
+    * @dev Only the asset's orderbooks can call this function.
+    * @dev If multiple fills happen in the same block, the last fill's execution price is used.
+    * @dev Assumes that the orderbook has already transferred the trading fee to this contract.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _executionPrice Execution price of the fill, denominated in stablecoin.
+    * @param _fee Trading fee collected for the fill, in stablecoin.
+    */
+    function recordFill(address _syntheticAsset, uint256 _executionPrice, uint256 _fee) external;
+
+    /**
+    * @notice Sets the trading fees for the given asset, replacing the protocol-wide fees.
+    * @dev Only the SyntheticAssetTokenRegistry contract can call this function.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _feeOverride The asset's trading fees. Set isEnabled to false to use the protocol-wide fees.
+    */
+    function setTradingFeeOverride(address _syntheticAsset, TradingFeeOverride memory _feeOverride) external;
 }
\ No newline at end of file
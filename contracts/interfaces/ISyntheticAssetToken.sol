@@ -23,15 +23,135 @@ interface ISyntheticAssetToken {
     */
     function mintingIsEnabled() external view returns (bool);
 
+    /**
+    * @notice Returns the asset's redemption status.
+    */
+    function redemptionIsEnabled() external view returns (bool);
+
+    /**
+    * @notice Returns the amount of stablecoin held by this contract to back the circulating supply.
+    */
+    function collateralReserve() external view returns (uint256);
+
+    /**
+    * @notice Returns the oracle price at the last mint, redemption, or collateralization check.
+    */
+    function lastOraclePrice() external view returns (uint256);
+
+    /**
+    * @notice Returns the dollar value of the circulating supply, based on the last recorded oracle price.
+    */
+    function getLiabilities() external view returns (uint256);
+
+    /**
+    * @notice Returns the ratio of the stablecoin reserve to the dollar value of the circulating supply.
+    * @dev Uses the last recorded oracle price; call updateCollateralizationStatus() to refresh it.
+    * @dev This value is expressed as a percentage with two decimals. Ex) A 80% ratio would have the value 8000.
+    * @dev Returns type(uint256).max if there are no tokens in circulation.
+    */
+    function getCollateralizationRatio() external view returns (uint256);
+
+    /**
+    * @notice Returns whether tokens can be minted at the given price.
+    * @dev Checks that minting is enabled, that the circuit breaker hasn't paused minting,
+    *      and that the collateralization ratio at the given price is at or above the minimum.
+    * @param _price The oracle price to check the collateralization ratio at.
+    */
+    function canMint(uint256 _price) external view returns (bool);
+
+    /**
+    * @notice Returns whether the asset has been settled.
+    * @dev Settled tokens can only be redeemed through redeemSettledTokens().
+    */
+    function isSettled() external view returns (bool);
+
+    /**
+    * @notice Returns the oracle price at which the asset was settled.
+    * @dev Returns 0 if the asset has not been settled.
+    */
+    function settlementPrice() external view returns (uint256);
+
+    /**
+    * @notice Returns the amount of stablecoin paid out for each token redeemed after settlement.
+    * @dev Returns 0 if the asset has not been settled.
+    */
+    function settlementRedemptionRate() external view returns (uint256);
+
+    /**
+    * @notice Initializes the token's state.
+    * @dev Called by the BeaconProxy during deployment, in place of a constructor.
+    * @dev Transaction will revert if the token has already been initialized.
+    * @param _registry Address of the SyntheticAssetTokenRegistry contract.
+    * @param _oracle Address of the Oracle contract.
+    * @param _protocolSettings Address of the ProtocolSettings contract.
+    * @param _circuitBreaker Address of the CircuitBreaker contract.
+    * @param _feeDistributor Address of the FeeDistributor contract.
+    * @param _stablecoin Address of the stablecoin.
+    * @param _asset Address of the synthetic asset's data feed.
+    * @param _maxSupply The maximum number of tokens that can be minted.
+    * @param _name A custom name for this asset.
+    * @param _symbol A custom symbol for this asset.
+    */
+    function initialize(address _registry,
+                        address _oracle,
+                        address _protocolSettings,
+                        address _circuitBreaker,
+                        address _feeDistributor,
+                        address _stablecoin,
+                        address _asset,
+                        uint256 _maxSupply,
+                        string memory _name,
+                        string memory _symbol) external;
+
     /**
     * @notice Mints the given number of tokens for this asset.
+    * @dev Transaction will revert if minting is disabled for this asset or paused by the circuit breaker.
     * @dev Transaction will revert if _numberOfTokens exceeds the available tokens to mint.
+    * @dev Transaction will revert if the asset's collateralization ratio is below the minimum.
     * @dev Assumes that the user has already approved the asset's data feed's usage fee.
     * @dev Assumes that the user has approved (mintFee + (_numberOfTokens * oraclePrice)) worth of stablecoin.
     * @param _numberOfTokens Number of tokens to mint.
     */
     function mintTokens(uint256 _numberOfTokens) external;
 
+    /**
+    * @notice Approves this contract to spend the user's stablecoin using an EIP-2612 permit signature, then mints the given number of tokens.
+    * @dev Transaction will revert if the stablecoin does not support EIP-2612.
+    * @dev Assumes that the user has already approved the asset's data feed's usage fee.
+    * @param _numberOfTokens Number of tokens to mint.
+    * @param _permitValue Amount of stablecoin approved by the permit. Should cover the mint fee and the tokens' dollar value.
+    * @param _deadline Timestamp after which the permit is no longer valid.
+    * @param _v The 'v' component of the permit signature.
+    * @param _r The 'r' component of the permit signature.
+    * @param _s The 's' component of the permit signature.
+    */
+    function mintTokensWithPermit(uint256 _numberOfTokens, uint256 _permitValue, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external;
+
+    /**
+    * @notice Burns the given number of tokens and pays out their dollar value in stablecoin.
+    * @dev Transaction will revert if redemption is disabled or _numberOfTokens exceeds the user's balance.
+    * @dev Assumes that the user has already approved the asset's data feed's usage fee.
+    * @dev The redemption fee is deducted from the payout and sent to the fee distributor.
+    * @param _numberOfTokens Number of tokens to redeem.
+    */
+    function redeemTokens(uint256 _numberOfTokens) external;
+
+    /**
+    * @notice Refreshes the oracle price and suspends minting if the collateralization ratio is below the minimum.
+    * @dev Anyone can call this function.
+    * @dev Assumes that the caller has already approved the asset's data feed's usage fee.
+    * @return uint256 The asset's collateralization ratio.
+    */
+    function updateCollateralizationStatus() external returns (uint256);
+
+    /**
+    * @notice Burns the given number of tokens and pays out the settlement redemption rate in stablecoin.
+    * @dev Transaction will revert if the asset has not been settled or _numberOfTokens exceeds the user's balance.
+    * @dev No usage fee or redemption fee is charged.
+    * @param _numberOfTokens Number of tokens to redeem.
+    */
+    function redeemSettledTokens(uint256 _numberOfTokens) external;
+
     /**
     * @notice Increases the maximum supply of tokens for this asset.
     * @dev Only the SyntheticAssetRegistry contract can call this function.
@@ -47,4 +167,20 @@ interface ISyntheticAssetToken {
     * @param _enableMinting Whether to allow new tokens to be minted.
     */
     function toggleMintingStatus(bool _enableMinting) external;
+
+    /**
+    * @notice Enables, or disables, the ability to redeem tokens for stablecoin.
+    * @dev Only the SyntheticAssetRegistry contract can call this function.
+    * @dev This function is meant to be used to protect the protocol from Black Swan events.
+    * @param _enableRedemption Whether to allow tokens to be redeemed.
+    */
+    function toggleRedemptionStatus(bool _enableRedemption) external;
+
+    /**
+    * @notice Freezes the asset's price and disables minting and redemption at the oracle price.
+    * @dev Only the SyntheticAssetRegistry contract can call this function.
+    * @dev Holders can redeem their tokens through redeemSettledTokens() afterwards.
+    * @return uint256 The settlement price.
+    */
+    function settle() external returns (uint256);
 }
\ No newline at end of file
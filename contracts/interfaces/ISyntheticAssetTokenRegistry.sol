@@ -3,6 +3,41 @@
 pragma solidity ^0.8.3;
 
 interface ISyntheticAssetTokenRegistry {
+    struct AssetInfo {
+        uint256 index;
+        address syntheticAsset;
+        // Address of the synthetic asset's underlying data feed.
+        address dataFeed;
+        string name;
+        string symbol;
+        uint256 totalSupply;
+        uint256 maxSupply;
+        bool mintingIsEnabled;
+        bool redemptionIsEnabled;
+        bool isSettled;
+        address buyOrderbook;
+        address sellOrderbook;
+        bool tradingIsPaused;
+        // Oracle price at the asset's last mint, redemption, or collateralization check.
+        uint256 lastPrice;
+    }
+
+    struct UserPosition {
+        address syntheticAsset;
+        uint256 balance;
+        // Number of the user's unsettled orders in the 'buy' and 'sell' versions of the orderbook.
+        uint256 numberOfBuyOrders;
+        uint256 numberOfSellOrders;
+        // Unfilled amount of the user's buy orders, in stablecoin.
+        uint256 pendingStablecoin;
+        // Unfilled amount of the user's sell orders, in synthetic asset tokens.
+        uint256 pendingTokens;
+        // Synthetic asset tokens that the user can claim from filled buy orders.
+        uint256 claimableTokens;
+        // Stablecoin that the user can claim from filled sell orders.
+        uint256 claimableStablecoin;
+    }
+
     /**
     * @notice Returns the address of the synthetic asset's underlying data feed.
     * @dev Returns address(0) if the synthetic asset is not found.
@@ -42,6 +77,19 @@ interface ISyntheticAssetTokenRegistry {
     */
     function getMintingStatus(uint256 _index, address _syntheticAsset) external view returns (bool);
 
+    /**
+    * @notice Returns true if redemption is enabled for the given synthetic asset.
+    * @dev Returns false if the synthetic asset is not found.
+    * @dev Either [_index] or [_syntheticAsset] is used for getting the data.
+    * @dev If [_index] is 0, then [_syntheticAsset] is used.
+    * @dev If [_syntheticAsset] is address(0), then [_syntheticAsset] is used.
+    * @dev If [_index] and [_syntheticAsset] are both valid values, then [_index] is used.
+    * @param _index Index of the synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return bool The synthetic asset's redemption status.
+    */
+    function getRedemptionStatus(uint256 _index, address _syntheticAsset) external view returns (bool);
+
     /**
     * @notice Returns the synthetic asset's circulating supply of tokens.
     * @dev Returns 0 if the synthetic asset is not found.
@@ -69,19 +117,75 @@ interface ISyntheticAssetTokenRegistry {
     */
     function getBalance(address _user, uint256 _index, address _syntheticAsset) external view returns (uint256);
 
+    /**
+    * @notice Returns the collateralization info for the given synthetic asset.
+    * @dev Returns (0, 0, 0) if the synthetic asset is not found.
+    * @dev Either [_index] or [_syntheticAsset] is used for getting the data.
+    * @dev If [_index] is 0, then [_syntheticAsset] is used.
+    * @dev If [_syntheticAsset] is address(0), then [_syntheticAsset] is used.
+    * @dev If [_index] and [_syntheticAsset] are both valid values, then [_index] is used.
+    * @dev Liabilities are based on the asset's last recorded oracle price.
+    * @param _index Index of the synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return uint256, uint256, uint256 The asset's stablecoin reserve, dollar value of the circulating supply, and collateralization ratio.
+    */
+    function getCollateralInfo(uint256 _index, address _syntheticAsset) external view returns (uint256, uint256, uint256);
+
+    /**
+    * @notice Returns the aggregated collateralization info across all synthetic assets.
+    * @dev Liabilities are based on each asset's last recorded oracle price.
+    * @dev The collateralization ratio is type(uint256).max if there are no liabilities.
+    * @return uint256, uint256, uint256 The total stablecoin reserve, total dollar value of circulating supply, and protocol-wide collateralization ratio.
+    */
+    function getProtocolSolvency() external view returns (uint256, uint256, uint256);
+
+    /**
+    * @notice Returns the settlement info for the given synthetic asset.
+    * @dev Returns (false, 0, 0) if the synthetic asset is not found or has not been delisted.
+    * @dev Either [_index] or [_syntheticAsset] is used for getting the data.
+    * @dev If [_index] is 0, then [_syntheticAsset] is used.
+    * @dev If [_syntheticAsset] is address(0), then [_syntheticAsset] is used.
+    * @dev If [_index] and [_syntheticAsset] are both valid values, then [_index] is used.
+    * @param _index Index of the synthetic asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return bool, uint256, uint256 Whether the asset is settled, the settlement price, and the stablecoin paid out per token redeemed.
+    */
+    function getSettlementInfo(uint256 _index, address _syntheticAsset) external view returns (bool, uint256, uint256);
+
+    /**
+    * @notice Returns the full records of a range of synthetic assets.
+    * @dev The range is cut off at the last synthetic asset, so fewer than [_count] records may be returned.
+    * @param _startIndex Index of the first synthetic asset to return. Starts at index 1.
+    * @param _count Maximum number of synthetic assets to return.
+    * @return AssetInfo[] The synthetic assets' records, in order of index.
+    */
+    function getAssets(uint256 _startIndex, uint256 _count) external view returns (AssetInfo[] memory);
+
+    /**
+    * @notice Returns the user's balance, pending orders, and claimable amounts for a range of synthetic assets.
+    * @dev The range is cut off at the last synthetic asset, so fewer than [_count] positions may be returned.
+    * @dev Positions are returned for every asset in the range, including assets the user doesn't hold.
+    * @param _user Address of the user.
+    * @param _startIndex Index of the first synthetic asset to return. Starts at index 1.
+    * @param _count Maximum number of synthetic assets to return.
+    * @return UserPosition[] The user's positions, in order of the synthetic assets' indices.
+    */
+    function getPortfolio(address _user, uint256 _startIndex, uint256 _count) external view returns (UserPosition[] memory);
+
     /**
     * @notice Creates a new synthetic asset token and registers it in the system.
-    * @dev This function can only be called by the registrar of the SyntheticAssetTokenRegistry contract.
+    * @dev Only accounts with the asset lister role can call this function.
     * @param _asset Address of the synthetic asset's data feed.
     * @param _maxSupply The maximum number of tokens that can be minted.
     * @param _name A custom name for this asset.
     * @param _symbol A custom symbol for this asset.
+    * @return address Address of the synthetic asset.
     */
-    function createSyntheticAssetToken(address _asset, uint256 _maxSupply, string memory _name, string memory _symbol) external;
+    function createSyntheticAssetToken(address _asset, uint256 _maxSupply, string memory _name, string memory _symbol) external returns (address);
 
     /**
     * @notice Increases the maximum supply of tokens for this asset.
-    * @dev Only the operator of the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Only accounts with the operator role can call this function.
     * @dev The new max supply must be higher than the current max supply.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _newMaxSupply The new maximum number of tokens that can exist for this asset.
@@ -90,10 +194,47 @@ interface ISyntheticAssetTokenRegistry {
 
     /**
     * @notice Enables, or disables, the ability to mint new tokens.
-    * @dev Only the operator of the SyntheticAssetTokenRegistry contract can call this function.
+    * @dev Only accounts with the operator role can call this function.
     * @dev This function is meant to be used to protect the protocol from Black Swan events.
     * @param _syntheticAsset Address of the synthetic asset.
     * @param _enableMinting Whether to allow new tokens to be minted.
     */
     function toggleMintingStatus(address _syntheticAsset, bool _enableMinting) external;
+
+    /**
+    * @notice Enables, or disables, the ability to redeem tokens for stablecoin.
+    * @dev Only accounts with the operator role can call this function.
+    * @dev This function is meant to be used to protect the protocol from Black Swan events.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _enableRedemption Whether to allow tokens to be redeemed.
+    */
+    function toggleRedemptionStatus(address _syntheticAsset, bool _enableRedemption) external;
+
+    /**
+    * @notice Delists the given synthetic asset, freezing its price and settling its orderbooks.
+    * @dev Only accounts with the operator role can call this function.
+    * @dev Holders redeem through the token's redeemSettledTokens(), and open orders are refunded through each orderbook's refundOrders().
+    * @dev Transaction will revert if the asset has already been delisted.
+    * @param _syntheticAsset Address of the synthetic asset.
+    */
+    function delistSyntheticAsset(address _syntheticAsset) external;
+
+    /**
+    * @notice Returns the trading fee override for the given asset.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @return (bool, uint256, uint256) Whether the override is enabled, the taker fee, and the market maker fee.
+    */
+    function tradingFeeOverrides(address _syntheticAsset) external view returns (bool, uint256, uint256);
+
+    /**
+    * @notice Sets the trading fees for the given asset, replacing the protocol-wide fees.
+    * @dev Only accounts with the fee manager role can call this function.
+    * @dev Fees are expressed as percentages with two decimals, and can be 0 to waive the fee for this asset.
+    * @dev Overrides take effect instantly, so each fee must be within the maximum step size of the protocol-wide fee in ProtocolSettings.
+    * @param _syntheticAsset Address of the synthetic asset.
+    * @param _isEnabled Whether to use the given fees. Set this value to false to use the protocol-wide fees.
+    * @param _takerFee The fee charged to orders that are executed instantly against pending orders.
+    * @param _marketMakerFee The fee charged to market makers for executing pending orders.
+    */
+    function setTradingFeeOverride(address _syntheticAsset, bool _isEnabled, uint256 _takerFee, uint256 _marketMakerFee) external;
 }
\ No newline at end of file
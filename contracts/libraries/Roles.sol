@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+/**
+ * @title Indices of the roles managed by the AccessController.
+ */
+library Roles {
+    // Manages roles and protocol wiring. Held by exactly one account, transferred in two steps.
+    uint256 internal constant ADMIN = 0;
+
+    // Manages day-to-day settings of listed assets, such as max supply and trading status.
+    uint256 internal constant OPERATOR = 1;
+
+    // Lists new synthetic assets and resolves listing proposals. Also held by the AssetListingManager.
+    uint256 internal constant ASSET_LISTER = 2;
+
+    // Pauses and resumes protocol actions in an emergency.
+    uint256 internal constant GUARDIAN = 3;
+
+    // Manages protocol fees and how they are distributed.
+    uint256 internal constant FEE_MANAGER = 4;
+
+    uint256 internal constant NUMBER_OF_ROLES = 5;
+}
\ No newline at end of file
@@ -11,6 +11,8 @@ contract TestDataSource {
     address feeToken;
     uint256 fee;
     mapping (address => uint256) latestPrices;
+    mapping (address => uint256) lastUpdatedTimestamps;
+    mapping (address => bool) inactiveDataFeeds;
 
     constructor(address _feeToken, uint256 _usageFee) {
         feeToken = _feeToken;
@@ -21,6 +23,18 @@ contract TestDataSource {
         return (feeToken, fee);
     }
 
+    function getLastUpdated(address _asset) external view returns (uint256) {
+        return lastUpdatedTimestamps[_asset];
+    }
+
+    function dataFeedIsActive(address _asset) external view returns (bool) {
+        return !inactiveDataFeeds[_asset];
+    }
+
+    function hasDataFeed(address _asset) external view returns (bool) {
+        return lastUpdatedTimestamps[_asset] > 0;
+    }
+
     function getLatestPrice(address _asset) external returns (uint256) {
         IERC20(feeToken).safeTransferFrom(msg.sender, address(this), fee);
 
@@ -29,5 +43,10 @@ contract TestDataSource {
 
     function setLatestPrice(address _asset, uint256 _price) external {
         latestPrices[_asset] = _price;
+        lastUpdatedTimestamps[_asset] = block.timestamp;
+    }
+
+    function setDataFeedStatus(address _asset, bool _isActive) external {
+        inactiveDataFeeds[_asset] = !_isActive;
     }
 }
\ No newline at end of file
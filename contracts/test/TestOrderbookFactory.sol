@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.3;
+
+contract TestOrderbookFactory {
+    address buyAddress;
+    address sellAddress;
+
+    function createOrderbook(address, bool _representsBuyOrders) external view returns (address) {
+        return _representsBuyOrders ? buyAddress : sellAddress;
+    }
+
+    function setOrderbooks(address _buyAddress, address _sellAddress) external {
+        buyAddress = _buyAddress;
+        sellAddress = _sellAddress;
+    }
+}
\ No newline at end of file
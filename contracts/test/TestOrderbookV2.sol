@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.8.12;
+
+import "../Orderbook.sol";
+
+contract TestOrderbookV2 is Orderbook {
+    uint256 public newVariable;
+
+    function setNewVariable(uint256 _value) external {
+        newVariable = _value;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
\ No newline at end of file
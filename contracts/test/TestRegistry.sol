@@ -11,6 +11,8 @@ contract TestRegistry {
     address feeToken;
     uint256 fee;
     mapping (address => uint256) latestPrices;
+    mapping (address => uint256) lastUpdatedTimestamps;
+    mapping (address => uint256) dataFeedStatuses;
 
     constructor(address _feeToken, uint256 _usageFee) {
         feeToken = _feeToken;
@@ -25,6 +27,26 @@ contract TestRegistry {
         return fee;
     }
 
+    function lastUpdated(address _asset) external view returns (uint256) {
+        return lastUpdatedTimestamps[_asset];
+    }
+
+    function getDataFeedStatus(address _asset) external view returns (uint256) {
+        return dataFeedStatuses[_asset];
+    }
+
+    function hasDataFeed(address _asset) external view returns (bool) {
+        return lastUpdatedTimestamps[_asset] > 0;
+    }
+
+    function getDataFeedInfo(address _asset) external view returns (address, address, address, address, uint256) {
+        if (lastUpdatedTimestamps[_asset] == 0) {
+            return (address(0), address(0), address(0), address(0), 0);
+        }
+
+        return (address(this), _asset, address(0), address(0), fee);
+    }
+
     function getTokenPrice(address _asset) external returns (uint256) {
         IERC20(feeToken).safeTransferFrom(msg.sender, address(this), fee);
 
@@ -33,5 +55,10 @@ contract TestRegistry {
 
     function setLatestPrice(address _asset, uint256 _price) external {
         latestPrices[_asset] = _price;
+        lastUpdatedTimestamps[_asset] = block.timestamp;
+    }
+
+    function setDataFeedStatus(address _asset, uint256 _status) external {
+        dataFeedStatuses[_asset] = _status;
     }
 }
\ No newline at end of file
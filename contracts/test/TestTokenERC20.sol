@@ -3,10 +3,12 @@
 pragma solidity ^0.8.3;
 
 import "../openzeppelin-solidity/contracts/ERC20/ERC20.sol";
+import "../openzeppelin-solidity/contracts/ERC20/draft-ERC20Permit.sol";
 
-contract TestTokenERC20 is ERC20 {
+contract TestTokenERC20 is ERC20Permit {
     constructor(string memory name_, string memory symbol_)
         ERC20(name_, symbol_)
+        ERC20Permit(name_)
     {
         _mint(msg.sender, 1_000_000_000e18);
     }
@@ -13,6 +13,11 @@ require("hardhat-gas-reporter");
 const { removeConsoleLog } = require("hardhat-preprocessor");
 require("hardhat-spdx-license-identifier");
 
+require("./tasks/deploy");
+require("./tasks/assets");
+require("./tasks/oracle");
+require("./tasks/simulate");
+
 const accounts = {
   mnemonic:
     process.env.MNEMONIC ||
@@ -24,6 +29,8 @@ module.exports = {
   abiExporter: {
     path: "./build/abi",
     flat: true,
+    // The SDK is built from these ABIs.
+    runOnCompile: true,
   },
   defaultNetwork: "alfajores",
   gasReporter: {
@@ -50,6 +57,10 @@ module.exports = {
     hardhat: {
       chainId: 31337,
       accounts,
+    },
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337,
     }
   },
   paths: {
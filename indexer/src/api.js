@@ -0,0 +1,276 @@
+const http = require("http");
+const { utils } = require("ethers");
+
+// Candle and mint volume intervals if none is given, in seconds.
+const DEFAULT_CANDLE_INTERVAL = 60 * 60;
+const DEFAULT_MINT_INTERVAL = 24 * 60 * 60;
+
+// Most buckets returned by a single candle or mint volume request.
+const MAX_BUCKETS = 1000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/* ========== QUERY PARAMETERS ========== */
+
+function parseAddress(value) {
+  try {
+    return utils.getAddress(value);
+  } catch (e) {
+    throw new HttpError(400, `Invalid address: ${value}.`);
+  }
+}
+
+function parseInteger(query, name, defaultValue, min = 0, max = Number.MAX_SAFE_INTEGER) {
+  if (!query.has(name)) {
+    return defaultValue;
+  }
+
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new HttpError(400, `${name} must be an integer between ${min} and ${max}.`);
+  }
+
+  return value;
+}
+
+/**
+ * Returns the { interval, from, to } time range of a bucketed query, where to is exclusive.
+ * By default, the range ends after the last indexed block and covers MAX_BUCKETS intervals.
+ */
+function parseTimeRange(store, query, defaultInterval) {
+  // Block timestamps can drift from the server's clock, so the chain's time is used.
+  const lastTimestamp = store.getLastTimestamp();
+  const interval = parseInteger(query, "interval", defaultInterval, 1);
+  const to = parseInteger(query, "to", lastTimestamp === null ? Math.floor(Date.now() / 1000) : lastTimestamp + 1);
+  const from = parseInteger(query, "from", Math.max(to - interval * MAX_BUCKETS, 0));
+
+  if (from >= to) {
+    throw new HttpError(400, "from must be before to.");
+  }
+  if (Math.ceil((to - from) / interval) > MAX_BUCKETS) {
+    throw new HttpError(400, `The range can cover at most ${MAX_BUCKETS} intervals.`);
+  }
+
+  return { interval, from, to };
+}
+
+/* ========== AGGREGATION ========== */
+
+/**
+ * Groups the rows into buckets of the given interval, by timestamp. Only buckets that contain rows are returned.
+ */
+function groupByInterval(rows, interval, createBucket, addRow) {
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const time = Math.floor(row.timestamp / interval) * interval;
+
+    if (!buckets.has(time)) {
+      buckets.set(time, createBucket(time, row));
+    }
+    addRow(buckets.get(time), row);
+  }
+
+  return [...buckets.values()];
+}
+
+/**
+ * Returns the OHLCV candles of the given trades. Volume is in tokens and quote volume in stablecoin.
+ */
+function getCandles(trades, interval) {
+  const candles = groupByInterval(
+    trades,
+    interval,
+    (time, trade) => ({ time, open: BigInt(trade.price), high: BigInt(trade.price), low: BigInt(trade.price), close: 0n, volume: 0n, quoteVolume: 0n, trades: 0 }),
+    (candle, trade) => {
+      const price = BigInt(trade.price);
+
+      candle.high = price > candle.high ? price : candle.high;
+      candle.low = price < candle.low ? price : candle.low;
+      candle.close = price;
+      candle.volume += BigInt(trade.tokens);
+      candle.quoteVolume += BigInt(trade.value);
+      candle.trades += 1;
+    }
+  );
+
+  return candles.map(stringifyAmounts);
+}
+
+/**
+ * Returns the mint and redemption volume of each interval, in tokens and in stablecoin.
+ */
+function getMintVolume(mints, interval) {
+  const buckets = groupByInterval(
+    mints,
+    interval,
+    (time) => ({ time, minted: 0n, mintedValue: 0n, redeemed: 0n, redeemedValue: 0n, fees: 0n, mints: 0, redemptions: 0 }),
+    (bucket, mint) => {
+      if (mint.isMint) {
+        bucket.minted += BigInt(mint.tokens);
+        bucket.mintedValue += BigInt(mint.value);
+        bucket.mints += 1;
+      } else {
+        bucket.redeemed += BigInt(mint.tokens);
+        bucket.redeemedValue += BigInt(mint.value);
+        bucket.redemptions += 1;
+      }
+      bucket.fees += BigInt(mint.fee);
+    }
+  );
+
+  return buckets.map(stringifyAmounts);
+}
+
+// BigInts can't be serialized to JSON, so amounts are returned as decimal strings.
+function stringifyAmounts(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, typeof value === "bigint" ? value.toString() : value]));
+}
+
+/**
+ * Returns the trade from the given user's side. Market makers take the opposite side of the order they fill.
+ */
+function toUserTrade(trade, user) {
+  const isMarketMaker = trade.marketMaker === user && trade.user !== user;
+  return { ...trade, isBuy: isMarketMaker ? !trade.isBuy : trade.isBuy, isMarketMaker };
+}
+
+/* ========== ROUTES ========== */
+
+function getAsset(store, address) {
+  const asset = store.getAsset(parseAddress(address));
+  if (!asset) {
+    throw new HttpError(404, "Asset not found.");
+  }
+
+  return asset;
+}
+
+// [method, path pattern, handler(store, params, query)]. Path parameters are captured in order.
+const ROUTES = [
+  ["GET", /^\/status$/, (store) => ({ lastBlock: store.getLastBlock() })],
+
+  ["GET", /^\/assets$/, (store) => store.getAssets()],
+
+  ["GET", /^\/assets\/([^/]+)$/, (store, [address]) => getAsset(store, address)],
+
+  [
+    "GET",
+    /^\/assets\/([^/]+)\/candles$/,
+    (store, [address], query) => {
+      const asset = getAsset(store, address);
+      const { interval, from, to } = parseTimeRange(store, query, DEFAULT_CANDLE_INTERVAL);
+
+      return getCandles(store.getTrades(asset.address, from, to), interval);
+    },
+  ],
+
+  [
+    "GET",
+    /^\/assets\/([^/]+)\/depth$/,
+    (store, [address]) => {
+      const asset = getAsset(store, address);
+      const buy = BigInt(store.getOpenAmount(asset.buyOrderbook));
+      const sell = BigInt(store.getOpenAmount(asset.sellOrderbook));
+
+      // Pending buy orders are in stablecoin and pending sell orders are in tokens.
+      return {
+        lastBlock: store.getLastBlock(),
+        buy: { orderbook: asset.buyOrderbook, openAmount: buy.toString() },
+        sell: { orderbook: asset.sellOrderbook, openAmount: sell.toString() },
+      };
+    },
+  ],
+
+  [
+    "GET",
+    /^\/assets\/([^/]+)\/mints$/,
+    (store, [address], query) => {
+      const asset = getAsset(store, address);
+      const { interval, from, to } = parseTimeRange(store, query, DEFAULT_MINT_INTERVAL);
+
+      return getMintVolume(store.getMints(asset.address, from, to), interval);
+    },
+  ],
+
+  [
+    "GET",
+    /^\/users\/([^/]+)\/trades$/,
+    (store, [address], query) => {
+      const user = parseAddress(address);
+      const asset = query.has("asset") ? parseAddress(query.get("asset")) : null;
+      const limit = parseInteger(query, "limit", DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+      const offset = parseInteger(query, "offset", 0);
+
+      return store.getUserTrades(user, { asset, limit, offset }).map((trade) => toUserTrade(trade, user));
+    },
+  ],
+];
+
+/**
+ * Handles a request with the matching route. Returns [status, body].
+ */
+function handleRequest(store, method, url) {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  const path = pathname.replace(/\/+$/, "") || "/";
+
+  try {
+    for (const [routeMethod, pattern, handler] of ROUTES) {
+      const match = pattern.exec(path);
+
+      if (match) {
+        if (method !== routeMethod) {
+          throw new HttpError(405, "Method not allowed.");
+        }
+
+        return [200, handler(store, match.slice(1), searchParams)];
+      }
+    }
+
+    throw new HttpError(404, "Not found.");
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return [error.status, { error: error.message }];
+    }
+
+    console.error(error);
+    return [500, { error: "Internal server error." }];
+  }
+}
+
+/**
+ * Creates an HTTP server that serves the indexed data as JSON. Call listen() on it to start serving.
+ * Amounts are decimal strings with 18 decimals, as in the contracts, and timestamps are in seconds.
+ *
+ * GET /status                                           The last indexed block.
+ * GET /assets                                           Every indexed asset.
+ * GET /assets/:asset                                    A single asset.
+ * GET /assets/:asset/candles?interval=&from=&to=        OHLCV candles of the asset's trades.
+ * GET /assets/:asset/depth                              Total open amount of the asset's buy and sell orderbooks.
+ * GET /assets/:asset/mints?interval=&from=&to=          Mint and redemption volume of the asset.
+ * GET /users/:user/trades?asset=&limit=&offset=         The user's trades, most recent first.
+ */
+function createServer(store) {
+  return http.createServer((req, res) => {
+    const [status, body] = handleRequest(store, req.method, req.url);
+
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.end(JSON.stringify(body));
+  });
+}
+
+module.exports = {
+  createServer,
+  handleRequest,
+};
\ No newline at end of file
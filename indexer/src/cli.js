@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { providers } = require("ethers");
+const { Indexer, Store, createServer } = require(".");
+
+// Configured with environment variables:
+// RPC_URL          JSON-RPC endpoint of the chain. Required.
+// DEPLOYMENT       Deployment file written by the deploy-protocol task. Required unless ROUTER and REGISTRY are set.
+// ROUTER           Address of the Router.
+// REGISTRY         Address of the SyntheticAssetTokenRegistry.
+// DATABASE         Path of the SQLite database. Defaults to indexer.db.
+// PORT             Port of the HTTP API. Defaults to 8080.
+// START_BLOCK      First block to index. Defaults to 0.
+// CONFIRMATIONS    Number of blocks to stay behind the chain head.
+// POLL_INTERVAL    Time between syncs, in milliseconds.
+function getConfig(env) {
+  if (!env.RPC_URL) {
+    throw new Error("RPC_URL is not set.");
+  }
+
+  let addresses;
+  if (env.DEPLOYMENT) {
+    const deployment = JSON.parse(fs.readFileSync(env.DEPLOYMENT, "utf8"));
+    addresses = { router: deployment.contracts.Router.address, registry: deployment.contracts.SyntheticAssetTokenRegistry.address };
+  } else if (env.ROUTER && env.REGISTRY) {
+    addresses = { router: env.ROUTER, registry: env.REGISTRY };
+  } else {
+    throw new Error("Set DEPLOYMENT, or both ROUTER and REGISTRY.");
+  }
+
+  const options = { ...addresses, startBlock: Number(env.START_BLOCK || 0) };
+  if (env.CONFIRMATIONS) {
+    options.confirmations = Number(env.CONFIRMATIONS);
+  }
+
+  return {
+    rpcUrl: env.RPC_URL,
+    database: env.DATABASE || "indexer.db",
+    port: Number(env.PORT || 8080),
+    pollInterval: env.POLL_INTERVAL ? Number(env.POLL_INTERVAL) : undefined,
+    options,
+  };
+}
+
+function main() {
+  const config = getConfig(process.env);
+  const store = new Store(config.database);
+  const indexer = new Indexer(new providers.JsonRpcProvider(config.rpcUrl), store, config.options);
+  const server = createServer(store);
+
+  indexer.start(config.pollInterval);
+  server.listen(config.port, () => console.log(`Serving the API on port ${config.port}`));
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close(() => store.close());
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main();
\ No newline at end of file
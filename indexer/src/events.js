@@ -0,0 +1,43 @@
+const { utils } = require("ethers");
+
+// Only the events that the indexer stores. They're declared here rather than loaded from build/abi,
+// so the indexer runs without compiling the protocol.
+const Router = new utils.Interface([
+  "event CreatedOrderbooks(address indexed _syntheticAsset, address _buyAddress, address _sellAddress)",
+  "event Swapped(address indexed _user, address indexed _syntheticAsset, bool _isBuy, uint256 _amountIn, uint256 _amountOut, uint256 _orderbookAmount)",
+]);
+
+const SyntheticAssetTokenRegistry = new utils.Interface([
+  "event CreatedSyntheticAssetToken(uint256 indexed index, address indexed syntheticAssetAddress, address indexed dataFeedAddress, uint256 maxSupply, string name, string symbol)",
+  "event DelistedSyntheticAsset(address indexed syntheticAsset, uint256 settlementPrice)",
+]);
+
+const Orderbook = new utils.Interface([
+  "event PlacedOrder(address indexed user, uint256 numberOfTokens, uint256 indexed orderIndex, uint256 limitPrice)",
+  "event ExecutedOrder(address indexed user, uint256 numberOfTokens, uint256 executionPrice, uint256 remainder, uint256 fee)",
+  "event ExecutedOrderAsMarketMaker(address indexed marketMaker, address indexed user, uint256 indexed orderIndex, uint256 unfilledAmount, uint256 oraclePrice, uint256 discount, uint256 fee)",
+  "event CancelledAnOrder(address indexed user, uint256 numberOfTokens, uint256 indexed orderIndex)",
+  "event CancelledExpiredOrder(address indexed keeper, address indexed user, uint256 indexed orderIndex, uint256 numberOfTokens, uint256 bounty)",
+  "event RefundedOrder(address indexed user, uint256 indexed orderIndex, uint256 numberOfTokens)",
+]);
+
+const SyntheticAssetToken = new utils.Interface([
+  "event MintedTokens(address indexed user, uint256 numberOfTokens, uint256 oraclePrice, uint256 usageFeePaid, uint256 mintFeePaid)",
+  "event RedeemedTokens(address indexed user, uint256 numberOfTokens, uint256 oraclePrice, uint256 usageFeePaid, uint256 redemptionFeePaid)",
+  "event RedeemedSettledTokens(address indexed user, uint256 numberOfTokens, uint256 stablecoinPaid)",
+]);
+
+/**
+ * Returns the topic of each event in the given interfaces, for filtering logs by event.
+ */
+function getTopics(...interfaces) {
+  return interfaces.flatMap((iface) => Object.values(iface.events).map((event) => iface.getEventTopic(event)));
+}
+
+module.exports = {
+  Router,
+  SyntheticAssetTokenRegistry,
+  Orderbook,
+  SyntheticAssetToken,
+  getTopics,
+};
\ No newline at end of file
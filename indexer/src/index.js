@@ -0,0 +1,12 @@
+const Indexer = require("./indexer");
+const Store = require("./store");
+const { createServer, handleRequest } = require("./api");
+const events = require("./events");
+
+module.exports = {
+  Indexer,
+  Store,
+  createServer,
+  handleRequest,
+  events,
+};
\ No newline at end of file
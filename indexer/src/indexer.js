@@ -0,0 +1,426 @@
+const { utils } = require("ethers");
+const events = require("./events");
+
+// Number of blocks to stay behind the chain head if none is given.
+const DEFAULT_CONFIRMATIONS = 2;
+
+// Most blocks to request logs for at once if none is given. Nodes limit the range of eth_getLogs.
+const DEFAULT_BATCH_SIZE = 2000;
+
+// Most blocks to walk back when looking for the last block that wasn't reorged out.
+const DEFAULT_MAX_REORG_DEPTH = 128;
+
+// Time between syncs when running continuously, in milliseconds.
+const DEFAULT_POLL_INTERVAL = 5000;
+
+// Most contract addresses to request logs for at once.
+const MAX_ADDRESSES_PER_REQUEST = 100;
+
+const ONE = 10n ** 18n;
+const BASIS_POINTS = 10000n;
+
+const PROTOCOL_TOPICS = events.getTopics(events.Router, events.SyntheticAssetTokenRegistry);
+const ASSET_TOPICS = events.getTopics(events.Orderbook, events.SyntheticAssetToken);
+
+/**
+ * Follows the Router and the registry to discover every synthetic asset and orderbook, and writes their events to a Store.
+ * Each batch of blocks is written in one transaction, together with the hash of its last block,
+ * so a reorg is detected on the next sync and the reorged blocks are indexed again.
+ */
+class Indexer {
+  /**
+   * @param provider Provider of the chain that the protocol is deployed on.
+   * @param store Store to write the events to.
+   * @param options.router Address of the Router.
+   * @param options.registry Address of the SyntheticAssetTokenRegistry.
+   * @param options.startBlock First block to index, such as the block that the registry was deployed in.
+   * @param options.confirmations Number of blocks to stay behind the chain head.
+   * @param options.batchSize Most blocks to index at once.
+   * @param options.maxReorgDepth Most blocks to walk back after a reorg. Everything is indexed again if the reorg is deeper.
+   */
+  constructor(provider, store, { router, registry, startBlock = 0, confirmations = DEFAULT_CONFIRMATIONS, batchSize = DEFAULT_BATCH_SIZE, maxReorgDepth = DEFAULT_MAX_REORG_DEPTH }) {
+    this.provider = provider;
+    this.store = store;
+    this.router = utils.getAddress(router);
+    this.registry = utils.getAddress(registry);
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.maxReorgDepth = maxReorgDepth;
+
+    this._timer = null;
+  }
+
+  /**
+   * Creates an indexer from a deployment file written by the protocol's deploy-protocol task.
+   */
+  static fromDeployment(provider, store, deployment, options = {}) {
+    return new Indexer(provider, store, {
+      router: deployment.contracts.Router.address,
+      registry: deployment.contracts.SyntheticAssetTokenRegistry.address,
+      ...options,
+    });
+  }
+
+  /**
+   * Indexes every block up to the chain head minus the confirmations.
+   * @return The last indexed block.
+   */
+  async sync() {
+    await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let lastBlock = this._getLastBlock();
+
+    while (lastBlock < head) {
+      const toBlock = Math.min(lastBlock + this.batchSize, head);
+
+      // The batch is dropped if the chain reorged while it was being fetched. The next sync picks up from the reorg.
+      if (!(await this._indexBlocks(lastBlock + 1, toBlock))) {
+        break;
+      }
+
+      lastBlock = toBlock;
+    }
+
+    return this._getLastBlock();
+  }
+
+  /**
+   * Syncs continuously until stop() is called. Failed syncs are logged and retried on the next poll.
+   */
+  start(pollInterval = DEFAULT_POLL_INTERVAL) {
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        console.error("Sync failed:", error);
+      }
+
+      if (this._timer !== null) {
+        this._timer = setTimeout(poll, pollInterval);
+      }
+    };
+
+    this._timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /* ========== INTERNAL FUNCTIONS ========== */
+
+  _getLastBlock() {
+    const lastBlock = this.store.getLastBlock();
+    return lastBlock === null ? this.startBlock - 1 : lastBlock;
+  }
+
+  /**
+   * Rolls the store back to the most recent indexed block that is still on the chain.
+   */
+  async _handleReorg() {
+    const lastBlock = this.store.getLastBlock();
+    if (lastBlock === null) {
+      return;
+    }
+
+    for (const block of this.store.getBlocks(lastBlock, this.maxReorgDepth)) {
+      const chainBlock = await this.provider.getBlock(block.number);
+
+      if (chainBlock && chainBlock.hash === block.hash) {
+        if (block.number < lastBlock) {
+          this.store.rollback(block.number);
+        }
+        return;
+      }
+    }
+
+    this.store.rollback(this.startBlock - 1);
+  }
+
+  /**
+   * Fetches and stores the events in the given range of blocks.
+   * @return Whether the blocks were stored. Returns false if a block changed while the logs were being fetched.
+   */
+  async _indexBlocks(fromBlock, toBlock) {
+    const protocolLogs = await this._getLogs([this.router, this.registry], PROTOCOL_TOPICS, fromBlock, toBlock);
+
+    // Assets listed in this range emit events in the same range, so their addresses are included in the next request.
+    const addresses = new Set();
+    for (const asset of this.store.getAssets()) {
+      addresses.add(asset.address);
+    }
+    for (const orderbook of this.store.getOrderbooks()) {
+      addresses.add(orderbook.address);
+    }
+    for (const log of protocolLogs) {
+      if (log.event.name === "CreatedOrderbooks") {
+        addresses.add(log.event.args._syntheticAsset);
+        addresses.add(log.event.args._buyAddress);
+        addresses.add(log.event.args._sellAddress);
+      }
+    }
+
+    const assetLogs = await this._getLogs([...addresses], ASSET_TOPICS, fromBlock, toBlock);
+    const logs = [...protocolLogs, ...assetLogs].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    const blocks = await this._getBlocks([...new Set([...logs.map((log) => log.blockNumber), toBlock])]);
+    if (logs.some((log) => blocks.get(log.blockNumber).hash !== log.blockHash)) {
+      return false;
+    }
+
+    // Swaps place orders and mint tokens on behalf of their user, so those events are attributed to the user of the swap.
+    const swaps = new Map();
+    for (const log of protocolLogs) {
+      if (log.event.name === "Swapped") {
+        swaps.set(log.transactionHash, log.event.args._user);
+      }
+    }
+
+    this.store.transaction(() => {
+      for (const log of logs) {
+        this._handleLog({ ...log, timestamp: blocks.get(log.blockNumber).timestamp }, swaps);
+      }
+
+      for (const block of blocks.values()) {
+        this.store.insertBlock(block);
+      }
+
+      this.store.setLastBlock(toBlock);
+    });
+
+    return true;
+  }
+
+  /**
+   * Returns the decoded logs of the given contracts and events. eth_getLogs is called directly because it accepts several addresses.
+   */
+  async _getLogs(addresses, topics, fromBlock, toBlock) {
+    const logs = [];
+
+    for (let i = 0; i < addresses.length; i += MAX_ADDRESSES_PER_REQUEST) {
+      const filter = {
+        address: addresses.slice(i, i + MAX_ADDRESSES_PER_REQUEST),
+        topics: [topics],
+        fromBlock: utils.hexValue(fromBlock),
+        toBlock: utils.hexValue(toBlock),
+      };
+
+      for (const log of await this.provider.send("eth_getLogs", [filter])) {
+        if (log.removed) {
+          continue;
+        }
+
+        const address = utils.getAddress(log.address);
+        const iface = this._getInterface(address, log.topics[0]);
+
+        logs.push({
+          address,
+          blockNumber: Number(log.blockNumber),
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: Number(log.logIndex),
+          event: iface.parseLog(log),
+        });
+      }
+    }
+
+    return logs;
+  }
+
+  _getInterface(address, topic) {
+    if (address === this.router) {
+      return events.Router;
+    }
+    if (address === this.registry) {
+      return events.SyntheticAssetTokenRegistry;
+    }
+
+    const isOrderbookEvent = Object.values(events.Orderbook.events).some((event) => events.Orderbook.getEventTopic(event) === topic);
+    return isOrderbookEvent ? events.Orderbook : events.SyntheticAssetToken;
+  }
+
+  /**
+   * Returns the { number, hash, timestamp } of each of the given blocks, by number.
+   */
+  async _getBlocks(blockNumbers) {
+    const blocks = new Map();
+
+    for (const blockNumber of blockNumbers) {
+      const block = await this.provider.getBlock(blockNumber);
+      blocks.set(blockNumber, { number: block.number, hash: block.hash, timestamp: block.timestamp });
+    }
+
+    return blocks;
+  }
+
+  _handleLog(log, swaps) {
+    const { args } = log.event;
+    const row = {
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+      timestamp: log.timestamp,
+    };
+    const getUser = (user) => (user === this.router && swaps.has(log.transactionHash) ? swaps.get(log.transactionHash) : user);
+
+    switch (log.event.name) {
+      case "CreatedSyntheticAssetToken":
+        this.store.upsertAsset({
+          address: args.syntheticAssetAddress,
+          index: args.index.toNumber(),
+          dataFeed: args.dataFeedAddress,
+          name: args.name,
+          symbol: args.symbol,
+          maxSupply: args.maxSupply.toString(),
+          blockNumber: log.blockNumber,
+        });
+        break;
+
+      case "CreatedOrderbooks":
+        this.store.upsertAsset({
+          address: args._syntheticAsset,
+          buyOrderbook: args._buyAddress,
+          sellOrderbook: args._sellAddress,
+          blockNumber: log.blockNumber,
+        });
+        this.store.insertOrderbook({ address: args._buyAddress, asset: args._syntheticAsset, isBuy: true, blockNumber: log.blockNumber });
+        this.store.insertOrderbook({ address: args._sellAddress, asset: args._syntheticAsset, isBuy: false, blockNumber: log.blockNumber });
+        break;
+
+      case "DelistedSyntheticAsset":
+        this.store.setDelisted(args.syntheticAsset, log.blockNumber);
+        break;
+
+      case "PlacedOrder":
+        this._recordDepthChange(log, toBigInt(args.numberOfTokens));
+        break;
+
+      case "ExecutedOrder":
+        if (args.numberOfTokens.gt(0)) {
+          this.store.insertTrade({ ...row, ...this._getInstantFill(log), user: getUser(args.user) });
+          this._recordDepthChange(log, -toBigInt(args.numberOfTokens));
+        }
+        break;
+
+      case "ExecutedOrderAsMarketMaker":
+        this.store.insertTrade({ ...row, ...this._getMarketMakerFill(log), user: args.user, marketMaker: args.marketMaker, orderIndex: args.orderIndex.toNumber() });
+        this._recordDepthChange(log, -toBigInt(args.unfilledAmount));
+        break;
+
+      case "CancelledAnOrder":
+      case "CancelledExpiredOrder":
+      case "RefundedOrder":
+        this._recordDepthChange(log, -toBigInt(args.numberOfTokens));
+        break;
+
+      case "MintedTokens":
+      case "RedeemedTokens": {
+        const tokens = toBigInt(args.numberOfTokens);
+        const price = toBigInt(args.oraclePrice);
+
+        this.store.insertMint({
+          ...row,
+          asset: log.address,
+          user: getUser(args.user),
+          isMint: log.event.name === "MintedTokens",
+          tokens: tokens.toString(),
+          price: price.toString(),
+          value: ((tokens * price) / ONE).toString(),
+          fee: (log.event.name === "MintedTokens" ? args.mintFeePaid : args.redemptionFeePaid).toString(),
+        });
+        break;
+      }
+
+      case "RedeemedSettledTokens": {
+        const tokens = toBigInt(args.numberOfTokens);
+        const value = toBigInt(args.stablecoinPaid);
+
+        this.store.insertMint({
+          ...row,
+          asset: log.address,
+          user: args.user,
+          isMint: false,
+          tokens: tokens.toString(),
+          price: (tokens > 0n ? (value * ONE) / tokens : 0n).toString(),
+          value: value.toString(),
+          fee: "0",
+        });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Returns the trade fields of an instant order. The user trades against the orderbook's pending orders,
+   * so an instant order in the 'buy' orderbook is a sell.
+   */
+  _getInstantFill(log) {
+    const { args } = log.event;
+    const orderbook = this.store.getOrderbook(log.address);
+    const amountFilled = toBigInt(args.numberOfTokens);
+    const price = toBigInt(args.executionPrice);
+
+    // Amounts filled are in the pending orders' token.
+    const tokens = orderbook.isBuy ? (amountFilled * ONE) / price : amountFilled;
+    const value = orderbook.isBuy ? amountFilled : (amountFilled * price) / ONE;
+
+    return {
+      asset: orderbook.asset,
+      orderbook: orderbook.address,
+      isBuy: !orderbook.isBuy,
+      tokens: tokens.toString(),
+      price: price.toString(),
+      value: value.toString(),
+      fee: args.fee.toString(),
+    };
+  }
+
+  /**
+   * Returns the trade fields of a market maker fill, from the side of the order's user.
+   * The amounts are calculated the same way as in Orderbook._getMarketMakerQuote().
+   */
+  _getMarketMakerFill(log) {
+    const { args } = log.event;
+    const orderbook = this.store.getOrderbook(log.address);
+    const unfilledAmount = toBigInt(args.unfilledAmount);
+    const oraclePrice = toBigInt(args.oraclePrice);
+    const discount = toBigInt(args.discount);
+
+    let tokens;
+    let price;
+    let value;
+
+    if (orderbook.isBuy) {
+      price = (oraclePrice * BASIS_POINTS) / (BASIS_POINTS - discount);
+      tokens = (((unfilledAmount * (BASIS_POINTS - discount)) / BASIS_POINTS) * ONE) / oraclePrice;
+      value = unfilledAmount;
+    } else {
+      price = (oraclePrice * (BASIS_POINTS - discount)) / BASIS_POINTS;
+      tokens = unfilledAmount;
+      value = (((unfilledAmount * (BASIS_POINTS - discount)) / BASIS_POINTS) * oraclePrice) / ONE;
+    }
+
+    return {
+      asset: orderbook.asset,
+      orderbook: orderbook.address,
+      isBuy: orderbook.isBuy,
+      tokens: tokens.toString(),
+      price: price.toString(),
+      value: value.toString(),
+      fee: args.fee.toString(),
+    };
+  }
+
+  _recordDepthChange(log, delta) {
+    this.store.insertDepthChange({ blockNumber: log.blockNumber, logIndex: log.logIndex, orderbook: log.address, delta: delta.toString() });
+  }
+}
+
+function toBigInt(value) {
+  return BigInt(value.toString());
+}
+
+module.exports = Indexer;
\ No newline at end of file
@@ -0,0 +1,327 @@
+const Database = require("better-sqlite3");
+
+// Amounts are uint256 values, so they're stored as decimal strings and summed with BigInt.
+// Every row records the block it came from, so a reorg is undone by deleting the rows above the common ancestor.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS assets (
+    address TEXT PRIMARY KEY,
+    asset_index INTEGER,
+    data_feed TEXT,
+    name TEXT,
+    symbol TEXT,
+    max_supply TEXT,
+    buy_orderbook TEXT,
+    sell_orderbook TEXT,
+    block_number INTEGER NOT NULL,
+    delisted_block INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS orderbooks (
+    address TEXT PRIMARY KEY,
+    asset TEXT NOT NULL,
+    is_buy INTEGER NOT NULL,
+    block_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS trades (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    asset TEXT NOT NULL,
+    orderbook TEXT NOT NULL,
+    user TEXT NOT NULL,
+    market_maker TEXT,
+    order_index INTEGER,
+    is_buy INTEGER NOT NULL,
+    tokens TEXT NOT NULL,
+    price TEXT NOT NULL,
+    value TEXT NOT NULL,
+    fee TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS trades_asset ON trades (asset, timestamp);
+  CREATE INDEX IF NOT EXISTS trades_user ON trades (user);
+  CREATE INDEX IF NOT EXISTS trades_market_maker ON trades (market_maker);
+
+  CREATE TABLE IF NOT EXISTS mints (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    asset TEXT NOT NULL,
+    user TEXT NOT NULL,
+    is_mint INTEGER NOT NULL,
+    tokens TEXT NOT NULL,
+    price TEXT NOT NULL,
+    value TEXT NOT NULL,
+    fee TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS mints_asset ON mints (asset, timestamp);
+
+  CREATE TABLE IF NOT EXISTS depth_changes (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    orderbook TEXT NOT NULL,
+    delta TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS depth_changes_orderbook ON depth_changes (orderbook);
+`;
+
+// Tables whose rows are deleted when their block is reorged out.
+const BLOCK_TABLES = ["blocks", "assets", "orderbooks", "trades", "mints", "depth_changes"];
+
+const ASSET_COLUMNS = `address, asset_index AS "index", data_feed AS dataFeed, name, symbol, max_supply AS maxSupply,
+  buy_orderbook AS buyOrderbook, sell_orderbook AS sellOrderbook, block_number AS blockNumber, delisted_block AS delistedBlock`;
+
+const TRADE_COLUMNS = `block_number AS blockNumber, log_index AS logIndex, transaction_hash AS transactionHash, timestamp, asset, orderbook,
+  user, market_maker AS marketMaker, order_index AS orderIndex, is_buy AS isBuy, tokens, price, value, fee`;
+
+const MINT_COLUMNS = `block_number AS blockNumber, log_index AS logIndex, transaction_hash AS transactionHash, timestamp, asset,
+  user, is_mint AS isMint, tokens, price, value, fee`;
+
+/**
+ * SQLite store for the indexed events.
+ * Addresses are stored checksummed, amounts as decimal strings and timestamps in seconds.
+ */
+class Store {
+  /**
+   * @param filename Path of the database file. Use ":memory:" for a temporary store.
+   */
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs the given function in a transaction, so a batch of blocks is stored completely or not at all.
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  /* ========== BLOCKS ========== */
+
+  /**
+   * Returns the last indexed block number, or null if nothing has been indexed.
+   */
+  getLastBlock() {
+    const row = this.db.prepare("SELECT value FROM state WHERE key = 'lastBlock'").get();
+    return row ? Number(row.value) : null;
+  }
+
+  setLastBlock(blockNumber) {
+    this.db.prepare("INSERT INTO state (key, value) VALUES ('lastBlock', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value").run(String(blockNumber));
+  }
+
+  /**
+   * Returns the stored blocks at or below the given number, most recent first.
+   */
+  getBlocks(maxBlockNumber, limit) {
+    return this.db.prepare("SELECT number, hash, timestamp FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?").all(maxBlockNumber, limit);
+  }
+
+  /**
+   * Returns the timestamp of the last indexed block, or null if nothing has been indexed.
+   */
+  getLastTimestamp() {
+    const row = this.db.prepare("SELECT timestamp FROM blocks ORDER BY number DESC LIMIT 1").get();
+    return row ? row.timestamp : null;
+  }
+
+  insertBlock({ number, hash, timestamp }) {
+    this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)").run(number, hash, timestamp);
+  }
+
+  /**
+   * Deletes everything indexed after the given block.
+   */
+  rollback(blockNumber) {
+    this.transaction(() => {
+      for (const table of BLOCK_TABLES) {
+        const column = table === "blocks" ? "number" : "block_number";
+        this.db.prepare(`DELETE FROM ${table} WHERE ${column} > ?`).run(blockNumber);
+      }
+
+      this.db.prepare("UPDATE assets SET delisted_block = NULL WHERE delisted_block > ?").run(blockNumber);
+      this.setLastBlock(blockNumber);
+    });
+  }
+
+  /* ========== ASSETS ========== */
+
+  /**
+   * Creates or updates an asset. The registry and the Router each emit part of an asset's record, so missing fields are left unchanged.
+   */
+  upsertAsset(asset) {
+    const row = {
+      index: null,
+      dataFeed: null,
+      name: null,
+      symbol: null,
+      maxSupply: null,
+      buyOrderbook: null,
+      sellOrderbook: null,
+      ...asset,
+    };
+
+    this.db
+      .prepare(
+        `INSERT INTO assets (address, asset_index, data_feed, name, symbol, max_supply, buy_orderbook, sell_orderbook, block_number)
+        VALUES (@address, @index, @dataFeed, @name, @symbol, @maxSupply, @buyOrderbook, @sellOrderbook, @blockNumber)
+        ON CONFLICT (address) DO UPDATE SET
+          asset_index = COALESCE(excluded.asset_index, asset_index),
+          data_feed = COALESCE(excluded.data_feed, data_feed),
+          name = COALESCE(excluded.name, name),
+          symbol = COALESCE(excluded.symbol, symbol),
+          max_supply = COALESCE(excluded.max_supply, max_supply),
+          buy_orderbook = COALESCE(excluded.buy_orderbook, buy_orderbook),
+          sell_orderbook = COALESCE(excluded.sell_orderbook, sell_orderbook)`
+      )
+      .run(row);
+  }
+
+  setDelisted(address, blockNumber) {
+    this.db.prepare("UPDATE assets SET delisted_block = ? WHERE address = ?").run(blockNumber, address);
+  }
+
+  getAssets() {
+    return this.db.prepare(`SELECT ${ASSET_COLUMNS} FROM assets ORDER BY asset_index, address`).all();
+  }
+
+  /**
+   * Returns the asset at the given address, or undefined if it hasn't been indexed.
+   */
+  getAsset(address) {
+    return this.db.prepare(`SELECT ${ASSET_COLUMNS} FROM assets WHERE address = ?`).get(address);
+  }
+
+  insertOrderbook({ address, asset, isBuy, blockNumber }) {
+    this.db.prepare("INSERT OR REPLACE INTO orderbooks (address, asset, is_buy, block_number) VALUES (?, ?, ?, ?)").run(address, asset, isBuy ? 1 : 0, blockNumber);
+  }
+
+  getOrderbooks() {
+    return this.db
+      .prepare("SELECT address, asset, is_buy AS isBuy FROM orderbooks")
+      .all()
+      .map(toOrderbook);
+  }
+
+  /**
+   * Returns the orderbook at the given address, or undefined if it hasn't been indexed.
+   */
+  getOrderbook(address) {
+    const row = this.db.prepare("SELECT address, asset, is_buy AS isBuy FROM orderbooks WHERE address = ?").get(address);
+    return row && toOrderbook(row);
+  }
+
+  /* ========== TRADES ========== */
+
+  insertTrade(trade) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO trades (block_number, log_index, transaction_hash, timestamp, asset, orderbook, user, market_maker, order_index, is_buy, tokens, price, value, fee)
+        VALUES (@blockNumber, @logIndex, @transactionHash, @timestamp, @asset, @orderbook, @user, @marketMaker, @orderIndex, @isBuy, @tokens, @price, @value, @fee)`
+      )
+      .run({ marketMaker: null, orderIndex: null, ...trade, isBuy: trade.isBuy ? 1 : 0 });
+  }
+
+  /**
+   * Returns the asset's trades between the given timestamps, oldest first.
+   */
+  getTrades(asset, from, to) {
+    return this.db
+      .prepare(`SELECT ${TRADE_COLUMNS} FROM trades WHERE asset = ? AND timestamp >= ? AND timestamp < ? ORDER BY block_number, log_index`)
+      .all(asset, from, to)
+      .map(toTrade);
+  }
+
+  /**
+   * Returns the trades in which the user was the trader or the market maker, most recent first.
+   * @param options.asset Only returns trades of this asset if set.
+   */
+  getUserTrades(user, { asset, limit, offset }) {
+    const params = asset ? { user, asset, limit, offset } : { user, limit, offset };
+    const assetFilter = asset ? "AND asset = @asset" : "";
+
+    return this.db
+      .prepare(
+        `SELECT ${TRADE_COLUMNS} FROM trades WHERE (user = @user OR market_maker = @user) ${assetFilter}
+        ORDER BY block_number DESC, log_index DESC LIMIT @limit OFFSET @offset`
+      )
+      .all(params)
+      .map(toTrade);
+  }
+
+  /* ========== MINTS ========== */
+
+  insertMint(mint) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO mints (block_number, log_index, transaction_hash, timestamp, asset, user, is_mint, tokens, price, value, fee)
+        VALUES (@blockNumber, @logIndex, @transactionHash, @timestamp, @asset, @user, @isMint, @tokens, @price, @value, @fee)`
+      )
+      .run({ ...mint, isMint: mint.isMint ? 1 : 0 });
+  }
+
+  /**
+   * Returns the asset's mints and redemptions between the given timestamps, oldest first.
+   */
+  getMints(asset, from, to) {
+    return this.db
+      .prepare(`SELECT ${MINT_COLUMNS} FROM mints WHERE asset = ? AND timestamp >= ? AND timestamp < ? ORDER BY block_number, log_index`)
+      .all(asset, from, to)
+      .map((row) => ({ ...row, isMint: row.isMint === 1 }));
+  }
+
+  /* ========== DEPTH ========== */
+
+  /**
+   * Records a change in an orderbook's total open amount, in the pending orders' token.
+   */
+  insertDepthChange({ blockNumber, logIndex, orderbook, delta }) {
+    this.db.prepare("INSERT OR REPLACE INTO depth_changes (block_number, log_index, orderbook, delta) VALUES (?, ?, ?, ?)").run(blockNumber, logIndex, orderbook, delta);
+  }
+
+  /**
+   * Returns the orderbook's total open amount, in the pending orders' token.
+   */
+  getOpenAmount(orderbook) {
+    return this.db
+      .prepare("SELECT delta FROM depth_changes WHERE orderbook = ?")
+      .all(orderbook)
+      .reduce((total, row) => total + BigInt(row.delta), 0n)
+      .toString();
+  }
+}
+
+function toOrderbook(row) {
+  return { ...row, isBuy: row.isBuy === 1 };
+}
+
+function toTrade(row) {
+  return { ...row, isBuy: row.isBuy === 1 };
+}
+
+module.exports = Store;
\ No newline at end of file
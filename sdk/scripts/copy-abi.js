@@ -0,0 +1,31 @@
+const fs = require("fs");
+const path = require("path");
+
+// The protocol's hardhat config exports flat ABIs into build/abi on every compile.
+const SOURCE_DIR = path.join(__dirname, "..", "..", "build", "abi");
+const TARGET_DIR = path.join(__dirname, "..", "abi");
+
+// Contracts that the client talks to.
+const CONTRACTS = ["ERC20", "Oracle", "Orderbook", "Router", "SyntheticAssetToken", "SyntheticAssetTokenRegistry"];
+
+/**
+ * Copies the client's ABIs from the protocol's build folder into the package.
+ */
+function copyAbi() {
+  fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+  for (const name of CONTRACTS) {
+    const source = path.join(SOURCE_DIR, `${name}.json`);
+    if (!fs.existsSync(source)) {
+      throw new Error(`${source} not found. Compile the protocol before building the SDK.`);
+    }
+
+    fs.copyFileSync(source, path.join(TARGET_DIR, `${name}.json`));
+  }
+}
+
+if (require.main === module) {
+  copyAbi();
+}
+
+module.exports = copyAbi;
\ No newline at end of file
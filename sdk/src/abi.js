@@ -0,0 +1,9 @@
+// Copied from the protocol's build/abi folder by scripts/copy-abi.js.
+module.exports = {
+  ERC20: require("../abi/ERC20.json"),
+  Oracle: require("../abi/Oracle.json"),
+  Orderbook: require("../abi/Orderbook.json"),
+  Router: require("../abi/Router.json"),
+  SyntheticAssetToken: require("../abi/SyntheticAssetToken.json"),
+  SyntheticAssetTokenRegistry: require("../abi/SyntheticAssetTokenRegistry.json"),
+};
\ No newline at end of file
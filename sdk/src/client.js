@@ -0,0 +1,417 @@
+const { BigNumber, Contract, Signer, utils } = require("ethers");
+const abi = require("./abi");
+const { NotFoundError, decodeError } = require("./errors");
+
+// Time until swaps expire if no deadline is given, in seconds.
+const DEFAULT_DEADLINE = 20 * 60;
+
+// Margin added to approvals that depend on the oracle price, as a percentage with two decimals.
+// Prices move between the quote and the transaction, so exact approvals would make the transaction revert.
+const DEFAULT_PRICE_TOLERANCE = 100;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Wraps the protocol's contracts so that each user flow is a single call.
+ * Amounts are BigNumberish values with 18 decimals, as in the contracts.
+ * Transactions approve the tokens they need first, and reverts are thrown as ProtocolError subclasses.
+ */
+class SyntheticAssetClient {
+  /**
+   * @param signerOrProvider A signer for sending transactions, or a provider for read-only use.
+   * @param addresses Addresses of the protocol's { router, registry, oracle, stablecoin }.
+   */
+  constructor(signerOrProvider, addresses) {
+    this.addresses = addresses;
+    this.signer = Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+
+    this.router = new Contract(addresses.router, abi.Router, signerOrProvider);
+    this.registry = new Contract(addresses.registry, abi.SyntheticAssetTokenRegistry, signerOrProvider);
+    this.oracle = new Contract(addresses.oracle, abi.Oracle, signerOrProvider);
+    this.stablecoin = new Contract(addresses.stablecoin, abi.ERC20, signerOrProvider);
+
+    // (synthetic asset => { buy, sell } orderbook contracts).
+    this._orderbooks = {};
+  }
+
+  /**
+   * Creates a client from a deployment file written by the protocol's deploy-protocol task.
+   */
+  static fromDeployment(signerOrProvider, deployment) {
+    const address = (name) => deployment.contracts[name].address;
+
+    return new SyntheticAssetClient(signerOrProvider, {
+      router: address("Router"),
+      registry: address("SyntheticAssetTokenRegistry"),
+      oracle: address("Oracle"),
+      stablecoin: address("Stablecoin"),
+    });
+  }
+
+  /**
+   * Returns a client for the same deployment that uses the given signer or provider.
+   */
+  connect(signerOrProvider) {
+    return new SyntheticAssetClient(signerOrProvider, this.addresses);
+  }
+
+  /* ========== VIEWS ========== */
+
+  /**
+   * Returns the records of a range of listed assets. Indices start at 1.
+   */
+  async getAssets(startIndex = 1, count = 100) {
+    return this._run(() => this.registry.getAssets(startIndex, count));
+  }
+
+  /**
+   * Returns the user's position in each of a range of listed assets. Defaults to the signer's portfolio.
+   */
+  async getPortfolio(user, startIndex = 1, count = 100) {
+    return this._run(async () => this.registry.getPortfolio(user || (await this._getSignerAddress()), startIndex, count));
+  }
+
+  /**
+   * Returns the asset's 'buy' and 'sell' orderbook contracts.
+   */
+  async getOrderbooks(asset) {
+    if (!this._orderbooks[asset]) {
+      const [buyAddress, sellAddress] = await this._run(() => this.router.getOrderbookAddresses(asset));
+      if (buyAddress === ZERO_ADDRESS) {
+        throw new NotFoundError("Router: Asset not found.");
+      }
+
+      const signerOrProvider = this.signer || this.provider;
+      this._orderbooks[asset] = {
+        buy: new Contract(buyAddress, abi.Orderbook, signerOrProvider),
+        sell: new Contract(sellAddress, abi.Orderbook, signerOrProvider),
+      };
+    }
+
+    return this._orderbooks[asset];
+  }
+
+  /**
+   * Returns the user's unsettled orders in both of the asset's orderbooks. Defaults to the signer's orders.
+   * Sizes and fills are in stablecoin for buy orders, and in synthetic asset tokens for sell orders.
+   */
+  async getOrders(asset, user) {
+    return this._run(async () => {
+      const account = user || (await this._getSignerAddress());
+      const orders = [];
+
+      for (const isBuy of [true, false]) {
+        const indices = await this.router.getUserOrders(asset, isBuy, account);
+
+        for (const index of indices) {
+          const [quantity, amountFilled, averageExecutionPrice, lastFilledTimestamp, limitPrice] = await this.router.getOrderInfo(asset, isBuy, index);
+          orders.push({ isBuy, index, quantity, amountFilled, averageExecutionPrice, lastFilledTimestamp, limitPrice });
+        }
+      }
+
+      return orders;
+    });
+  }
+
+  /**
+   * Returns the token and amount that the oracle charges for the given asset's price.
+   * Minting and redeeming pay the fee of the asset's data feed. Orderbooks pay the fee of the synthetic asset itself.
+   */
+  async getUsageFee(asset) {
+    const [feeToken, usageFee] = await this._run(() => this.oracle.getUsageFeeInfo(asset));
+    return { feeToken, usageFee };
+  }
+
+  /**
+   * Estimates the stablecoin needed to mint the given number of tokens, based on the oracle's last accepted price.
+   * @return { price, value, mintFee, cost, feeToken, usageFee }, where cost = value + mintFee.
+   */
+  async quoteMint(asset, numberOfTokens) {
+    return this._run(async () => {
+      const token = this._getToken(asset);
+      const { price, dataFeed } = await this._getLastPrice(token);
+      const settings = new Contract(await token.protocolSettings(), ["function mintFee() view returns (uint256)"], this.provider);
+
+      const value = price.mul(numberOfTokens).div(utils.parseEther("1"));
+      const mintFee = value.mul(await settings.mintFee()).div(10000);
+
+      return { price, value, mintFee, cost: value.add(mintFee), ...(await this.getUsageFee(dataFeed)) };
+    });
+  }
+
+  /**
+   * Estimates the stablecoin received for redeeming the given number of tokens, based on the oracle's last accepted price.
+   * @return { price, value, redemptionFee, payout, feeToken, usageFee }, where payout = value - redemptionFee.
+   */
+  async quoteRedeem(asset, numberOfTokens) {
+    return this._run(async () => {
+      const token = this._getToken(asset);
+      const { price, dataFeed } = await this._getLastPrice(token);
+      const settings = new Contract(await token.protocolSettings(), ["function redemptionFee() view returns (uint256)"], this.provider);
+
+      const value = price.mul(numberOfTokens).div(utils.parseEther("1"));
+      const redemptionFee = value.mul(await settings.redemptionFee()).div(10000);
+
+      return { price, value, redemptionFee, payout: value.sub(redemptionFee), ...(await this.getUsageFee(dataFeed)) };
+    });
+  }
+
+  /**
+   * Returns what a market maker would pay and earn for filling each of the given pending orders.
+   * Orders that can't be filled by a market maker yet are quoted at zero.
+   * @param isBuy Whether the orders are pending buy orders.
+   */
+  async quoteMarketMaker(asset, isBuy, orderIndices) {
+    const orderbook = await this._getOrderbook(asset, isBuy);
+    const [discounts, amountsRequired, expectedProfits] = await this._run(() => orderbook.getMarketMakerQuotes(orderIndices));
+
+    return orderIndices.map((index, i) => ({
+      index,
+      discount: discounts[i],
+      amountRequired: amountsRequired[i],
+      expectedProfit: expectedProfits[i],
+    }));
+  }
+
+  /* ========== TRANSACTIONS ========== */
+
+  /**
+   * Mints new tokens at the oracle price plus the mint fee.
+   * @param options.maxCost Most stablecoin to approve for the tokens and mint fee. Defaults to the quoted cost plus the price tolerance.
+   *                        Required for assets that have not been priced by the oracle yet.
+   * @param options.priceTolerance Margin added to the quoted cost, as a percentage with two decimals.
+   */
+  async mint(asset, numberOfTokens, { maxCost, priceTolerance = DEFAULT_PRICE_TOLERANCE } = {}) {
+    return this._run(async () => {
+      const token = this._getToken(asset);
+      const { feeToken, usageFee } = await this.getUsageFee(await token.asset());
+      const cost = maxCost || this._addTolerance((await this.quoteMint(asset, numberOfTokens)).cost, priceTolerance);
+
+      await this._approve(token.address, [
+        [this.stablecoin.address, cost],
+        [feeToken, usageFee],
+      ]);
+
+      return this._send(token.mintTokens(numberOfTokens));
+    });
+  }
+
+  /**
+   * Burns tokens for their value in stablecoin at the oracle price, minus the redemption fee.
+   */
+  async redeem(asset, numberOfTokens) {
+    return this._run(async () => {
+      const token = this._getToken(asset);
+      const { feeToken, usageFee } = await this.getUsageFee(await token.asset());
+
+      await this._approve(token.address, [[feeToken, usageFee]]);
+
+      return this._send(token.redeemTokens(numberOfTokens));
+    });
+  }
+
+  /**
+   * Buys synthetic asset tokens with stablecoin.
+   * Without a limit price, the stablecoin is swapped through the Router, which fills pending sell orders first and mints the rest.
+   * With a limit price, a pending buy order is placed instead.
+   * @param amount Amount of stablecoin to spend.
+   * @param options.limitPrice Highest price to buy at. Places a pending order if set.
+   * @param options.expiry Timestamp after which the pending order can no longer be filled. Defaults to no expiry.
+   * @param options.minimumAmountOut Fewest tokens to receive from the swap.
+   * @param options.deadline Timestamp after which the swap can no longer be executed. Defaults to 20 minutes from now.
+   */
+  async buy(asset, amount, options = {}) {
+    return this._trade(asset, true, amount, options);
+  }
+
+  /**
+   * Sells synthetic asset tokens for stablecoin.
+   * Without a limit price, the tokens are swapped through the Router, which fills pending buy orders first and redeems the rest.
+   * With a limit price, a pending sell order is placed instead.
+   * @param numberOfTokens Number of tokens to sell.
+   * @param options See buy().
+   */
+  async sell(asset, numberOfTokens, options = {}) {
+    return this._trade(asset, false, numberOfTokens, options);
+  }
+
+  /**
+   * Cancels a pending order and claims what the order has received so far.
+   * @param isBuy Whether the order is a buy order.
+   * @param numberOfTokens Amount to cancel, in the order's token. Cancels the whole order if omitted.
+   */
+  async cancel(asset, isBuy, orderIndex, numberOfTokens) {
+    return this._run(async () => {
+      const orderbook = await this._getOrderbook(asset, isBuy);
+
+      return this._send(orderbook.cancelOrder(orderIndex, numberOfTokens || 0, numberOfTokens === undefined));
+    });
+  }
+
+  /**
+   * Claims the tokens received by filled orders.
+   * Claims from a single order if options.orderIndex is given, and from all of the signer's orders in both orderbooks otherwise.
+   * @param options.isBuy Whether the order is a buy order. Required with options.orderIndex.
+   * @return The receipts of the claim transactions.
+   */
+  async claim(asset, { isBuy, orderIndex } = {}) {
+    return this._run(async () => {
+      if (orderIndex !== undefined) {
+        const orderbook = await this._getOrderbook(asset, isBuy);
+        return [await this._send(orderbook.claimTokens(orderIndex))];
+      }
+
+      const user = await this._getSignerAddress();
+      const orderbooks = await this.getOrderbooks(asset);
+      const receipts = [];
+
+      // claimAllTokens() reverts if there is nothing to claim.
+      for (const orderbook of [orderbooks.buy, orderbooks.sell]) {
+        if ((await orderbook.getAvailableTokensForUser(user)).gt(0)) {
+          receipts.push(await this._send(orderbook.claimAllTokens()));
+        }
+      }
+
+      return receipts;
+    });
+  }
+
+  /**
+   * Fills pending orders as a market maker, at the oracle price minus each order's discount.
+   * Market makers pay synthetic asset tokens for buy orders, and stablecoin plus the market maker fee for sell orders.
+   * @param isBuy Whether the orders are pending buy orders.
+   * @param orderIndices Indices of the orders to fill. Orders that can't be filled are skipped.
+   * @param options.priceTolerance Margin added to the quoted amounts, as a percentage with two decimals.
+   */
+  async fillAsMarketMaker(asset, isBuy, orderIndices, { priceTolerance = DEFAULT_PRICE_TOLERANCE } = {}) {
+    return this._run(async () => {
+      const orderbook = await this._getOrderbook(asset, isBuy);
+      const quotes = await this.quoteMarketMaker(asset, isBuy, orderIndices);
+      const { feeToken, usageFee } = await this.getUsageFee(asset);
+
+      let amountRequired = this._addTolerance(quotes.reduce((total, quote) => total.add(quote.amountRequired), BigNumber.from(0)), priceTolerance);
+      if (!isBuy) {
+        const [, marketMakerFee] = await this.router.getTradingFees(asset);
+        amountRequired = amountRequired.add(amountRequired.mul(marketMakerFee).div(10000));
+      }
+
+      await this._approve(orderbook.address, [
+        [isBuy ? asset : this.stablecoin.address, amountRequired],
+        [feeToken, usageFee],
+      ]);
+
+      return this._send(orderbook.executeOrdersAsMarketMaker(orderIndices));
+    });
+  }
+
+  /* ========== INTERNAL FUNCTIONS ========== */
+
+  async _trade(asset, isBuy, amount, { limitPrice, expiry = 0, minimumAmountOut = 0, deadline } = {}) {
+    return this._run(async () => {
+      const tokenIn = isBuy ? this.stablecoin.address : asset;
+
+      if (limitPrice !== undefined) {
+        const orderbook = await this._getOrderbook(asset, isBuy);
+        const amounts = [[tokenIn, amount]];
+
+        // Pending sell orders are valued at the oracle price, which costs the usage fee until the oracle has accepted a price.
+        if (!isBuy) {
+          const { feeToken, usageFee } = await this.getUsageFee(asset);
+          amounts.push([feeToken, usageFee]);
+        }
+
+        await this._approve(orderbook.address, amounts);
+
+        return this._send(orderbook.placeOrder(isBuy, amount, limitPrice, 0, expiry));
+      }
+
+      // Mirrors Router._getMaximumUsageFee(): up to two orderbook price queries and one mint or redemption.
+      const { feeToken, usageFee } = await this.getUsageFee(asset);
+      const dataFeedFee = await this.getUsageFee(await this._getToken(asset).asset());
+      await this._approve(this.router.address, [
+        [tokenIn, amount],
+        [feeToken, usageFee.mul(2).add(dataFeedFee.usageFee)],
+      ]);
+
+      const swapDeadline = deadline || (await this.provider.getBlock("latest")).timestamp + DEFAULT_DEADLINE;
+      return this._send(isBuy
+        ? this.router.swapStablecoinForSyntheticAsset(asset, amount, minimumAmountOut, swapDeadline)
+        : this.router.swapSyntheticAssetForStablecoin(asset, amount, minimumAmountOut, swapDeadline));
+    });
+  }
+
+  /**
+   * Approves the spender for each token's total amount, skipping tokens that are already approved.
+   * @param amounts [token, amount] pairs. Amounts of the same token are added together.
+   */
+  async _approve(spender, amounts) {
+    const owner = await this._getSignerAddress();
+    const totals = new Map();
+
+    for (const [token, amount] of amounts) {
+      const key = utils.getAddress(token);
+      totals.set(key, (totals.get(key) || BigNumber.from(0)).add(amount));
+    }
+
+    for (const [token, amount] of totals) {
+      const contract = new Contract(token, abi.ERC20, this.signer);
+
+      if (amount.gt(0) && (await contract.allowance(owner, spender)).lt(amount)) {
+        await this._send(contract.approve(spender, amount));
+      }
+    }
+  }
+
+  async _getLastPrice(token) {
+    const dataFeed = await token.asset();
+    let price = await this.oracle.lastAcceptedPrice(dataFeed);
+
+    if (price.eq(0)) {
+      price = await token.lastOraclePrice();
+    }
+    if (price.eq(0)) {
+      throw new Error("The asset has not been priced by the oracle yet.");
+    }
+
+    return { price, dataFeed };
+  }
+
+  async _getOrderbook(asset, isBuy) {
+    const orderbooks = await this.getOrderbooks(asset);
+    return isBuy ? orderbooks.buy : orderbooks.sell;
+  }
+
+  _getToken(asset) {
+    return new Contract(asset, abi.SyntheticAssetToken, this.signer || this.provider);
+  }
+
+  async _getSignerAddress() {
+    if (!this.signer) {
+      throw new Error("A signer is required. Create the client with a signer, or pass the user's address.");
+    }
+
+    return this.signer.getAddress();
+  }
+
+  _addTolerance(amount, priceTolerance) {
+    return BigNumber.from(amount).mul(10000 + priceTolerance).div(10000);
+  }
+
+  async _send(transaction) {
+    return (await transaction).wait();
+  }
+
+  /**
+   * Runs the given call and rethrows reverts as ProtocolError subclasses.
+   */
+  async _run(call) {
+    try {
+      return await call();
+    } catch (e) {
+      throw decodeError(e);
+    }
+  }
+}
+
+module.exports = SyntheticAssetClient;
\ No newline at end of file
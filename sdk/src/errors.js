@@ -0,0 +1,140 @@
+const { utils } = require("ethers");
+
+// Selector of Solidity's Error(string).
+const REVERT_SELECTOR = "0x08c379a0";
+
+/**
+ * Base class for transactions and calls that the protocol's contracts reverted.
+ * @property contract Name of the contract that reverted, taken from the "Contract: Reason." format of the revert strings.
+ * @property reason The full revert string.
+ * @property cause The original error thrown by ethers.
+ */
+class ProtocolError extends Error {
+  constructor(reason, cause) {
+    super(reason);
+    this.name = this.constructor.name;
+
+    const match = /^(\w+): /.exec(reason);
+    this.contract = match ? match[1] : null;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+// The caller doesn't hold the role or isn't the contract that the function is restricted to.
+class AccessError extends ProtocolError {}
+
+// The action is paused, disabled or blocked by the circuit breaker.
+class PausedError extends ProtocolError {}
+
+// The asset has been delisted and its orderbooks settled.
+class SettledError extends ProtocolError {}
+
+// The amount received would be below the minimum, or the price crosses the limit price.
+class SlippageError extends ProtocolError {}
+
+// A deadline, signature or order has expired.
+class ExpiredError extends ProtocolError {}
+
+// The caller's balance or allowance is too low.
+class InsufficientFundsError extends ProtocolError {}
+
+// The asset, order or index doesn't exist.
+class NotFoundError extends ProtocolError {}
+
+// Checked in order, so the more specific patterns come first.
+const ERROR_TYPES = [
+  [/(has|already) been settled/i, SettledError],
+  [/required role|Only the/i, AccessError],
+  [/paused|disabled/i, PausedError],
+  [/below the minimum|crosses .*limit price/i, SlippageError],
+  [/deadline has passed|expired/i, ExpiredError],
+  [/exceeds (balance|allowance)|insufficient|not enough/i, InsufficientFundsError],
+  [/not found|out of bounds/i, NotFoundError],
+];
+
+function decodeRevertData(data) {
+  if (typeof data !== "string" || !data.startsWith(REVERT_SELECTOR)) {
+    return null;
+  }
+
+  try {
+    return utils.defaultAbiCoder.decode(["string"], utils.hexDataSlice(data, 4))[0];
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the revert string of the given error, or null if the error is not a revert with a reason.
+ * Providers nest the revert differently, so every nested error, data field and message is searched.
+ */
+function getRevertReason(error) {
+  const queue = [error];
+  const seen = new Set();
+
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (!value || seen.has(value)) {
+      continue;
+    }
+    seen.add(value);
+
+    if (typeof value === "string") {
+      const reason = decodeRevertData(value);
+      if (reason !== null) {
+        return reason;
+      }
+
+      // Revert strings can contain apostrophes, so the closing quote is the one followed by the end of the message or a separator.
+      const match = /reverted with reason string '(.*?)'(?=["\s,)]|$)/.exec(value) || /execution reverted: ([^"]*)/.exec(value);
+      if (match) {
+        return match[1];
+      }
+      continue;
+    }
+
+    if (typeof value === "object") {
+      if (value.errorName === "Error" && value.errorArgs) {
+        return value.errorArgs[0];
+      }
+
+      queue.push(value.data, value.error, value.message, value.body);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converts a revert into the matching ProtocolError subclass.
+ * Errors that aren't reverts, such as network errors, are returned unchanged.
+ */
+function decodeError(error) {
+  if (error instanceof ProtocolError) {
+    return error;
+  }
+
+  const reason = getRevertReason(error);
+  if (reason === null) {
+    return error;
+  }
+
+  const entry = ERROR_TYPES.find(([pattern]) => pattern.test(reason));
+  const ErrorType = entry ? entry[1] : ProtocolError;
+
+  return new ErrorType(reason, error);
+}
+
+module.exports = {
+  ProtocolError,
+  AccessError,
+  PausedError,
+  SettledError,
+  SlippageError,
+  ExpiredError,
+  InsufficientFundsError,
+  NotFoundError,
+  getRevertReason,
+  decodeError,
+};
\ No newline at end of file
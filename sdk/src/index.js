@@ -0,0 +1,7 @@
+const SyntheticAssetClient = require("./client");
+const errors = require("./errors");
+
+module.exports = {
+  SyntheticAssetClient,
+  ...errors,
+};
\ No newline at end of file
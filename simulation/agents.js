@@ -0,0 +1,227 @@
+const { utils } = require("ethers");
+
+// Most queued orders that market makers and the keeper look at each step. Matches Orderbook.MAX_ORDERS_PER_EXECUTION.
+const MAX_ORDERS_TO_CHECK = 25;
+
+// Agents act on random inputs, so failed transactions are expected and counted. Anything else is a bug in the simulation.
+function isRevert(error) {
+  return /revert|VM Exception/.test(error.message);
+}
+
+function getRevertReason(error) {
+  const match = /reverted with reason string '([^']*)'/.exec(error.message);
+  return match ? match[1] : "Unknown reason.";
+}
+
+// Amounts in the config are in whole tokens.
+function toAmount(value) {
+  return utils.parseEther(value.toFixed(6));
+}
+
+/**
+ * Returns the indices of the first orders in the orderbook's queue, starting from the oldest order.
+ */
+async function getQueue(orderbook, maxOrders = MAX_ORDERS_TO_CHECK) {
+  const queue = [];
+  let orderIndex = await orderbook.firstOrderIndex();
+
+  while (!orderIndex.eq(0) && queue.length < maxOrders) {
+    queue.push(orderIndex.toNumber());
+    orderIndex = (await orderbook.orders(orderIndex)).next;
+  }
+
+  return queue;
+}
+
+/**
+ * An account that acts on the market once per step.
+ * Each step's context has the step's random generator, price and timestamp, the protocol's contracts and the run's metrics.
+ * Agents call context.nextBlock() before each transaction, which gives its block a deterministic timestamp.
+ */
+class Agent {
+  /**
+   * @param population Name of the agent's population in the config.
+   * @param index Index of the agent within its population.
+   * @param wallet The agent's signer.
+   * @param settings The population's settings.
+   */
+  constructor(population, index, wallet, settings) {
+    this.population = population;
+    this.name = `${population}-${index}`;
+    this.wallet = wallet;
+    this.settings = settings;
+  }
+
+  get address() {
+    return this.wallet.address;
+  }
+
+  /**
+   * Sends the transaction and records the outcome of the action in the metrics.
+   * @return The transaction's receipt, or null if the transaction reverted.
+   */
+  async _send(context, action, sendTransaction) {
+    await context.nextBlock();
+
+    try {
+      const receipt = await (await sendTransaction()).wait();
+      context.metrics.recordAction(this.population, action);
+      return receipt;
+    } catch (error) {
+      if (!isRevert(error)) {
+        throw error;
+      }
+
+      context.metrics.recordRevert(this.population, action, getRevertReason(error));
+      return null;
+    }
+  }
+}
+
+/**
+ * Mints tokens with stablecoin, and sometimes redeems part of its balance.
+ */
+class Minter extends Agent {
+  async act(context) {
+    const { random, syntheticAsset } = context;
+
+    if (random.chance(this.settings.probability)) {
+      const amount = toAmount(random.between(this.settings.amount));
+      await this._send(context, "mint", () => syntheticAsset.connect(this.wallet).mintTokens(amount));
+    }
+
+    if (random.chance(this.settings.redeemProbability)) {
+      const amount = (await syntheticAsset.balanceOf(this.address)).mul(random.integer([1, 100])).div(100);
+
+      if (amount.gt(0)) {
+        await this._send(context, "redeem", () => syntheticAsset.connect(this.wallet).redeemTokens(amount));
+      }
+    }
+  }
+}
+
+/**
+ * Places pending orders on one side of the market, or swaps through the Router.
+ * Buyers place orders in stablecoin and sellers place orders in tokens.
+ */
+class Trader extends Agent {
+  constructor(population, index, wallet, settings, isBuy) {
+    super(population, index, wallet, settings);
+    this.isBuy = isBuy;
+  }
+
+  async act(context) {
+    const { random, price, timestamp, metrics } = context;
+    const orderbook = this.isBuy ? context.buyOrderbook : context.sellOrderbook;
+
+    // Settled orders count towards the orderbook's limit on orders per user until they are claimed.
+    if ((await orderbook.getAvailableTokensForUser(this.address)).gt(0)) {
+      await this._send(context, "claim", () => orderbook.connect(this.wallet).claimAllTokens());
+    }
+
+    if (!random.chance(this.settings.probability)) {
+      return;
+    }
+
+    const amount = toAmount(random.between(this.settings.amount));
+
+    if (random.chance(this.settings.swapProbability)) {
+      const router = context.router.connect(this.wallet);
+      const deadline = timestamp + 3600;
+
+      await this._send(context, "swap", () => this.isBuy
+        ? router.swapStablecoinForSyntheticAsset(context.syntheticAsset.address, amount, 0, deadline)
+        : router.swapSyntheticAssetForStablecoin(context.syntheticAsset.address, amount, 0, deadline));
+      return;
+    }
+
+    // Buyers accept prices above the oracle price and sellers accept prices below it.
+    let limitPrice = 0;
+    if (this.settings.limitSpread !== null) {
+      const spread = random.integer(this.settings.limitSpread);
+      limitPrice = price.mul(this.isBuy ? 10000 + spread : 10000 - spread).div(10000);
+    }
+
+    const expiry = this.settings.expiry !== null ? timestamp + random.integer(this.settings.expiry) : 0;
+
+    const receipt = await this._send(context, "place order", () => orderbook.connect(this.wallet).placeOrder(this.isBuy, amount, limitPrice, 0, expiry));
+
+    if (receipt) {
+      const event = receipt.events.find((e) => e.event === "PlacedOrder");
+      metrics.recordOrder({ isBuy: this.isBuy, orderIndex: event.args.orderIndex.toNumber(), agent: this.name, step: context.step, quantity: amount, limitPrice, expiry });
+    }
+  }
+}
+
+/**
+ * Fills the oldest pending orders whose quotes meet its minimum discount and minimum profit.
+ * Pays tokens to fill buy orders and stablecoin to fill sell orders, so it only fills what its inventory covers.
+ */
+class MarketMaker extends Agent {
+  async act(context) {
+    let remainingOrders = this.settings.maxOrdersPerStep;
+
+    for (const isBuy of [true, false]) {
+      const orderbook = isBuy ? context.buyOrderbook : context.sellOrderbook;
+      const inventoryToken = isBuy ? context.syntheticAsset : context.stablecoin;
+      const queue = await getQueue(orderbook);
+
+      if (queue.length === 0) {
+        continue;
+      }
+
+      const [discounts, amountsRequired, expectedProfits] = await orderbook.getMarketMakerQuotes(queue);
+      let inventory = await inventoryToken.balanceOf(this.address);
+
+      for (let i = 0; i < queue.length && remainingOrders > 0; i++) {
+        if (amountsRequired[i].eq(0) || amountsRequired[i].gt(inventory)
+            || discounts[i].lt(this.settings.minimumDiscount) || expectedProfits[i].lt(toAmount(this.settings.minimumProfit))) {
+          continue;
+        }
+
+        const receipt = await this._send(context, "execute order", () => orderbook.connect(this.wallet).executeOrderAsMarketMaker(queue[i]));
+
+        if (receipt) {
+          const { args } = receipt.events.find((e) => e.event === "ExecutedOrderAsMarketMaker");
+          context.metrics.recordMarketMakerFill({ isBuy, orderIndex: queue[i], agent: this.name, step: context.step, unfilledAmount: args.unfilledAmount, oraclePrice: args.oraclePrice, discount: args.discount.toNumber(), fee: args.fee });
+
+          inventory = inventory.sub(amountsRequired[i]);
+          remainingOrders -= 1;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Cancels expired orders for the bounty.
+ */
+class Keeper extends Agent {
+  async act(context) {
+    for (const isBuy of [true, false]) {
+      const orderbook = isBuy ? context.buyOrderbook : context.sellOrderbook;
+      const expiredOrders = await orderbook.getExpiredOrders(MAX_ORDERS_TO_CHECK);
+
+      if (expiredOrders.length === 0) {
+        continue;
+      }
+
+      const receipt = await this._send(context, "cancel expired orders", () => orderbook.connect(this.wallet).cancelExpiredOrders(expiredOrders));
+
+      if (receipt) {
+        for (const event of receipt.events.filter((e) => e.event === "CancelledExpiredOrder")) {
+          context.metrics.recordExpiredOrder({ isBuy, orderIndex: event.args.orderIndex.toNumber(), bounty: event.args.bounty });
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  Agent,
+  Minter,
+  Trader,
+  MarketMaker,
+  Keeper,
+  getQueue,
+};
\ No newline at end of file
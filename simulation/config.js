@@ -0,0 +1,208 @@
+// Amounts are in whole tokens, prices in stablecoin, discounts and spreads in basis points, and times in seconds.
+const DEFAULT_CONFIG = {
+  // Each run starts from the same deployment, with the seed incremented by one.
+  runs: 1,
+  seed: 1,
+  steps: 96,
+  stepDuration: 300,
+
+  // The price moves linearly between [step, price] points and stays at the last point's price.
+  // Volatility adds random noise on top of the path, as a fraction of the price.
+  // Each step's change is capped by the oracle's max price deviation.
+  price: {
+    points: [[0, 2]],
+    volatility: 0,
+  },
+
+  maxSupply: 1000000,
+
+  // Values of ProtocolSettings parameters, such as { maxDiscount: 2500 }. Changes are queued and executed before the runs.
+  protocolSettings: {},
+
+  // The asset's { takerFee, marketMakerFee } override. Uses the protocol-wide fees if null.
+  // Each fee must be within ProtocolSettings' maximum step size (50) of the protocol-wide fee.
+  tradingFees: null,
+
+  // Each step, the keeper pushes the new price to the oracle and, if enabled, cancels expired orders for the bounty.
+  keeper: {
+    cancelExpiredOrders: true,
+  },
+
+  agents: {
+    // Mint tokens with stablecoin, and sometimes redeem part of their balance.
+    minters: {
+      count: 2,
+      probability: 0.3,
+      amount: [1, 20],
+      redeemProbability: 0.2,
+      initialStablecoin: 100000,
+    },
+
+    // Place pending buy orders in stablecoin, or swap through the Router.
+    // limitSpread is how far above the oracle price the order's limit is. Orders have no limit price if null.
+    // expiry is the range of each order's lifetime. Orders don't expire if null.
+    // discountCurve is registered in UserSettings. Unregistered users can be filled by market makers right away, without a discount.
+    buyers: {
+      count: 3,
+      probability: 0.3,
+      amount: [10, 200],
+      swapProbability: 0.2,
+      limitSpread: [200, 1500],
+      expiry: null,
+      discountCurve: { minimumTimeUntilDiscountStarts: 600, timeUntilMaxDiscount: 3600, maximumDiscount: 1000, startingDiscount: 100 },
+      initialStablecoin: 100000,
+      initialTokens: 0,
+    },
+
+    // Place pending sell orders in tokens, or swap through the Router.
+    // limitSpread is how far below the oracle price the order's limit is.
+    sellers: {
+      count: 3,
+      probability: 0.3,
+      amount: [5, 100],
+      swapProbability: 0.2,
+      limitSpread: [200, 1500],
+      expiry: null,
+      discountCurve: { minimumTimeUntilDiscountStarts: 600, timeUntilMaxDiscount: 3600, maximumDiscount: 1000, startingDiscount: 100 },
+      initialStablecoin: 100000,
+      initialTokens: 2000,
+    },
+
+    // Fill the oldest pending orders whose quotes meet their minimum discount and minimum profit, in stablecoin.
+    marketMakers: {
+      count: 2,
+      minimumDiscount: 300,
+      minimumProfit: 0,
+      maxOrdersPerStep: 10,
+      initialStablecoin: 100000,
+      initialTokens: 5000,
+    },
+  },
+};
+
+const POPULATIONS = Object.keys(DEFAULT_CONFIG.agents);
+
+const PROTOCOL_SETTINGS = {
+  maxDiscount: "updateMaxDiscount",
+  mintFee: "updateMintFee",
+  redemptionFee: "updateRedemptionFee",
+  takerFee: "updateTakerFee",
+  marketMakerFee: "updateMarketMakerFee",
+  minimumCollateralizationRatio: "updateMinimumCollateralizationRatio",
+  expiredOrderBounty: "updateExpiredOrderBounty",
+  minimumMinimumTimeUntilDiscountStarts: "updateMinimumMinimumTimeUntilDiscountStarts",
+  maximumMinimumTimeUntilDiscountStarts: "updateMaximumMinimumTimeUntilDiscountStarts",
+  minimumTimeUntilMaxDiscount: "updateMinimumTimeUntilMaxDiscount",
+  maximumTimeUntilMaxDiscount: "updateMaximumTimeUntilMaxDiscount",
+  minimumOrderSize: "updateMinimumOrderSize",
+};
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Objects are merged key by key, and everything else, including arrays, replaces the default.
+function merge(defaults, overrides) {
+  const result = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    result[key] = isObject(defaults[key]) && isObject(value) ? merge(defaults[key], value) : value;
+  }
+
+  return result;
+}
+
+function checkNumber(name, value, min, max = Infinity) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}.`);
+  }
+}
+
+function checkRange(name, range, min) {
+  if (!Array.isArray(range) || range.length !== 2) {
+    throw new Error(`${name} must be a [min, max] range.`);
+  }
+
+  checkNumber(`${name}[0]`, range[0], min);
+  checkNumber(`${name}[1]`, range[1], range[0]);
+}
+
+function checkConfig(config) {
+  checkNumber("runs", config.runs, 1);
+  checkNumber("seed", config.seed, 0);
+  checkNumber("steps", config.steps, 1);
+  checkNumber("stepDuration", config.stepDuration, 1);
+  checkNumber("maxSupply", config.maxSupply, 1);
+  checkNumber("price.volatility", config.price.volatility, 0, 1);
+
+  if (!Array.isArray(config.price.points) || config.price.points.length === 0) {
+    throw new Error("price.points must have at least one [step, price] point.");
+  }
+  config.price.points.forEach(([step, price], i) => {
+    checkNumber(`price.points[${i}] step`, step, i === 0 ? 0 : config.price.points[i - 1][0] + 1);
+    checkNumber(`price.points[${i}] price`, price, 1e-8);
+  });
+
+  for (const name of Object.keys(config.protocolSettings)) {
+    if (!PROTOCOL_SETTINGS[name]) {
+      throw new Error(`Unknown protocol setting: ${name}.`);
+    }
+  }
+
+  if (config.tradingFees !== null) {
+    checkNumber("tradingFees.takerFee", config.tradingFees.takerFee, 0, 10000);
+    checkNumber("tradingFees.marketMakerFee", config.tradingFees.marketMakerFee, 0, 10000);
+  }
+
+  for (const name of Object.keys(config.agents)) {
+    if (!POPULATIONS.includes(name)) {
+      throw new Error(`Unknown agent population: ${name}.`);
+    }
+  }
+
+  const { minters, buyers, sellers, marketMakers } = config.agents;
+
+  for (const [name, population] of Object.entries({ minters, buyers, sellers })) {
+    checkNumber(`agents.${name}.probability`, population.probability, 0, 1);
+    checkRange(`agents.${name}.amount`, population.amount, 0);
+  }
+
+  for (const [name, population] of Object.entries({ buyers, sellers })) {
+    checkNumber(`agents.${name}.swapProbability`, population.swapProbability, 0, 1);
+
+    if (population.limitSpread !== null) {
+      checkRange(`agents.${name}.limitSpread`, population.limitSpread, 0);
+      checkNumber(`agents.${name}.limitSpread[1]`, population.limitSpread[1], 0, 9999);
+    }
+    if (population.expiry !== null) {
+      checkRange(`agents.${name}.expiry`, population.expiry, 1);
+    }
+  }
+
+  checkNumber("agents.minters.redeemProbability", minters.redeemProbability, 0, 1);
+  checkNumber("agents.marketMakers.minimumDiscount", marketMakers.minimumDiscount, 0, 9999);
+  checkNumber("agents.marketMakers.minimumProfit", marketMakers.minimumProfit, 0);
+  checkNumber("agents.marketMakers.maxOrdersPerStep", marketMakers.maxOrdersPerStep, 1, 25);
+
+  for (const name of POPULATIONS) {
+    checkNumber(`agents.${name}.count`, config.agents[name].count, 0);
+  }
+}
+
+/**
+ * Returns the default config with the given overrides, and checks that the result is valid.
+ * Throws an error that names the first invalid setting.
+ */
+function loadConfig(overrides = {}) {
+  const config = merge(DEFAULT_CONFIG, overrides);
+
+  checkConfig(config);
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  PROTOCOL_SETTINGS,
+  loadConfig,
+};
\ No newline at end of file
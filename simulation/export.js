@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+
+const FORMATS = ["json", "csv", "both"];
+
+// Nested objects become dot-separated columns, such as fillLatency.mean.
+function flatten(object, prefix = "", result = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, `${prefix}${key}.`, result);
+    } else {
+      result[`${prefix}${key}`] = value;
+    }
+  }
+
+  return result;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns the rows as CSV. Columns are the union of the rows' flattened keys, in the order they first appear.
+ */
+function toCsv(rows) {
+  const flatRows = rows.map((row) => flatten(row));
+  const columns = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+
+  const lines = [columns.join(",")];
+  for (const row of flatRows) {
+    lines.push(columns.map((column) => escapeCsv(row[column])).join(","));
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes the simulation's report to files that start with the given path.
+ * JSON writes <out>.json with the config and every run. CSV writes <out>-summary.csv with one row per run,
+ * and <out>-steps.csv and <out>-orders.csv with the rows of every run.
+ * @return The paths of the written files.
+ */
+function writeReport(report, out, format = "both") {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Format must be one of ${FORMATS.join(", ")}.`);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+
+  const files = {};
+  if (format === "json" || format === "both") {
+    files[`${out}.json`] = JSON.stringify(report, null, 2) + "\n";
+  }
+  if (format === "csv" || format === "both") {
+    files[`${out}-summary.csv`] = toCsv(report.runs.map((run) => run.summary));
+    files[`${out}-steps.csv`] = toCsv(report.runs.flatMap((run) => run.steps));
+    files[`${out}-orders.csv`] = toCsv(report.runs.flatMap((run) => run.orders));
+  }
+
+  for (const [file, contents] of Object.entries(files)) {
+    fs.writeFileSync(file, contents);
+  }
+
+  return Object.keys(files);
+}
+
+module.exports = {
+  toCsv,
+  writeReport,
+};
\ No newline at end of file
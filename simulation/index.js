@@ -0,0 +1,23 @@
+const { DEFAULT_CONFIG, PROTOCOL_SETTINGS, loadConfig } = require("./config");
+const { Random } = require("./random");
+const { Metrics, getCoverage } = require("./metrics");
+const { Agent, Minter, Trader, MarketMaker, Keeper } = require("./agents");
+const { Simulation } = require("./simulation");
+const { toCsv, writeReport } = require("./export");
+
+module.exports = {
+  DEFAULT_CONFIG,
+  PROTOCOL_SETTINGS,
+  loadConfig,
+  Random,
+  Metrics,
+  getCoverage,
+  Agent,
+  Minter,
+  Trader,
+  MarketMaker,
+  Keeper,
+  Simulation,
+  toCsv,
+  writeReport,
+};
\ No newline at end of file
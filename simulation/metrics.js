@@ -0,0 +1,246 @@
+const { BigNumber, utils } = require("ethers");
+
+const ONE = utils.parseEther("1");
+
+function orderKey(isBuy, orderIndex) {
+  return `${isBuy ? "buy" : "sell"}-${orderIndex}`;
+}
+
+function increment(counts, population, action) {
+  counts[population] = counts[population] || {};
+  counts[population][action] = (counts[population][action] || 0) + 1;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total.add(value), BigNumber.from(0));
+}
+
+// Nearest-rank percentile of the sorted values.
+function percentile(sortedValues, p) {
+  return sortedValues[Math.max(Math.ceil((p / 100) * sortedValues.length) - 1, 0)];
+}
+
+function round(value, decimals = 4) {
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Returns the ratio of the reserve to the value of the supply at the given price, such as 1.25 for 125%.
+ * Returns null if there are no tokens in circulation.
+ */
+function getCoverage(collateralReserve, totalSupply, price) {
+  const liabilities = totalSupply.mul(price).div(ONE);
+  if (liabilities.eq(0)) {
+    return null;
+  }
+
+  return collateralReserve.mul(1000000).div(liabilities).toNumber() / 1000000;
+}
+
+/**
+ * Collects what happens during a single run, and summarizes it in a report.
+ * Amounts in the report are decimal strings in whole tokens, discounts are in basis points and times are in seconds.
+ */
+class Metrics {
+  constructor(run, seed) {
+    this.run = run;
+    this.seed = seed;
+
+    this.actions = {};
+    this.reverts = {};
+    this.revertReasons = {};
+    this.steps = [];
+
+    // (order key => order), in the order they were placed.
+    this.orders = new Map();
+    this.marketMakerFills = [];
+  }
+
+  recordAction(population, action) {
+    increment(this.actions, population, action);
+  }
+
+  recordRevert(population, action, reason) {
+    increment(this.reverts, population, action);
+    this.revertReasons[reason] = (this.revertReasons[reason] || 0) + 1;
+  }
+
+  /**
+   * Records a pending order. The order's fills are read from the orderbook when the run ends.
+   */
+  recordOrder({ isBuy, orderIndex, agent, step, quantity, limitPrice, expiry }) {
+    this.orders.set(orderKey(isBuy, orderIndex), {
+      isBuy,
+      orderIndex,
+      agent,
+      step,
+      quantity,
+      limitPrice: BigNumber.from(limitPrice),
+      expiry,
+      marketMakerAmount: BigNumber.from(0),
+      discount: null,
+      expired: false,
+    });
+  }
+
+  /**
+   * Records a market maker's fill of an order's unfilled amount, at the given discount to the oracle price.
+   */
+  recordMarketMakerFill({ isBuy, orderIndex, agent, step, unfilledAmount, oraclePrice, discount, fee }) {
+    // Pending buy orders are in stablecoin and pending sell orders are in tokens.
+    const value = isBuy ? unfilledAmount : unfilledAmount.mul(oraclePrice).div(ONE);
+
+    this.marketMakerFills.push({ isBuy, orderIndex, agent, step, value, discount, discountPaid: value.mul(discount).div(10000), fee });
+
+    const order = this.orders.get(orderKey(isBuy, orderIndex));
+    if (order) {
+      order.marketMakerAmount = order.marketMakerAmount.add(unfilledAmount);
+      order.discount = discount;
+    }
+  }
+
+  recordExpiredOrder({ isBuy, orderIndex }) {
+    const order = this.orders.get(orderKey(isBuy, orderIndex));
+    if (order) {
+      order.expired = true;
+    }
+  }
+
+  /**
+   * Records the state of the market at the end of a step.
+   */
+  recordStep({ step, timestamp, price, totalSupply, collateralReserve, mintingIsEnabled, buyOpenAmount, sellOpenAmount, feesCollected }) {
+    this.steps.push({
+      run: this.run,
+      step,
+      timestamp,
+      price: utils.formatEther(price),
+      totalSupply: utils.formatEther(totalSupply),
+      collateralReserve: utils.formatEther(collateralReserve),
+      coverage: getCoverage(collateralReserve, totalSupply, price),
+      mintingIsEnabled,
+      buyOpenAmount: utils.formatEther(buyOpenAmount),
+      sellOpenAmount: utils.formatEther(sellOpenAmount),
+      feesCollected: utils.formatEther(feesCollected),
+    });
+  }
+
+  /**
+   * Sets the fills of the recorded orders, as read from the orderbooks at the end of the run.
+   * @param getOrder Returns the orderbook's Order struct for the given side and index.
+   */
+  async loadOrders(getOrder) {
+    for (const order of this.orders.values()) {
+      const { amountFilled, amountCancelled, timestamp, lastFilledTimestamp } = await getOrder(order.isBuy, order.orderIndex);
+
+      order.amountFilled = amountFilled;
+      order.amountCancelled = amountCancelled;
+      order.placedAt = timestamp.toNumber();
+      order.filledAt = amountFilled.eq(order.quantity) ? lastFilledTimestamp.toNumber() : null;
+    }
+  }
+
+  _getOrderRows() {
+    return [...this.orders.values()].map((order) => {
+      let status = "open";
+      if (order.amountFilled.eq(order.quantity)) {
+        status = "filled";
+      } else if (order.expired) {
+        status = "expired";
+      } else if (order.amountCancelled.gt(0)) {
+        status = "cancelled";
+      } else if (order.amountFilled.gt(0)) {
+        status = "partially filled";
+      }
+
+      let filledBy = null;
+      if (order.amountFilled.gt(0)) {
+        filledBy = order.marketMakerAmount.eq(0) ? "taker" : order.marketMakerAmount.eq(order.amountFilled) ? "market maker" : "taker and market maker";
+      }
+
+      return {
+        run: this.run,
+        side: order.isBuy ? "buy" : "sell",
+        orderIndex: order.orderIndex,
+        agent: order.agent,
+        step: order.step,
+        quantity: utils.formatEther(order.quantity),
+        limitPrice: utils.formatEther(order.limitPrice),
+        amountFilled: utils.formatEther(order.amountFilled),
+        status,
+        filledBy,
+        discount: order.discount,
+        placedAt: order.placedAt,
+        latency: order.filledAt === null ? null : order.filledAt - order.placedAt,
+      };
+    });
+  }
+
+  /**
+   * Returns the run's report.
+   * @param fees Fees collected during the run, in stablecoin, by source: { minting, redemption, trading }.
+   * @param treasuryShare The treasury's share of the fees, in basis points.
+   */
+  getReport({ fees, treasuryShare }) {
+    const orders = this._getOrderRows();
+    const filledOrders = orders.filter((order) => order.status === "filled");
+    const latencies = filledOrders.map((order) => order.latency).sort((a, b) => a - b);
+
+    const fillValue = sum(this.marketMakerFills.map((fill) => fill.value));
+    const weightedDiscount = sum(this.marketMakerFills.map((fill) => fill.value.mul(fill.discount)));
+    const totalFees = fees.minting.add(fees.redemption).add(fees.trading);
+    const coverages = this.steps.map((step) => step.coverage).filter((coverage) => coverage !== null);
+
+    const summary = {
+      run: this.run,
+      seed: this.seed,
+      steps: this.steps.length,
+      ordersPlaced: orders.length,
+      ordersFilled: filledOrders.length,
+      ordersPartiallyFilled: orders.filter((order) => order.status === "partially filled").length,
+      ordersCancelled: orders.filter((order) => order.status === "cancelled").length,
+      ordersExpired: orders.filter((order) => order.status === "expired").length,
+      ordersOpen: orders.filter((order) => order.status === "open").length,
+      fillRate: orders.length > 0 ? round(filledOrders.length / orders.length) : null,
+      fillLatency: {
+        mean: latencies.length > 0 ? round(latencies.reduce((total, latency) => total + latency, 0) / latencies.length, 1) : null,
+        median: latencies.length > 0 ? percentile(latencies, 50) : null,
+        p90: latencies.length > 0 ? percentile(latencies, 90) : null,
+        max: latencies.length > 0 ? latencies[latencies.length - 1] : null,
+      },
+      filledByTakers: filledOrders.filter((order) => order.filledBy === "taker").length,
+      filledByMarketMakers: filledOrders.filter((order) => order.filledBy === "market maker").length,
+      marketMakerFills: this.marketMakerFills.length,
+      marketMakerVolume: utils.formatEther(fillValue),
+      discountsPaid: utils.formatEther(sum(this.marketMakerFills.map((fill) => fill.discountPaid))),
+      averageDiscount: fillValue.gt(0) ? weightedDiscount.div(fillValue).toNumber() : null,
+      marketMakerFees: utils.formatEther(sum(this.marketMakerFills.map((fill) => fill.fee))),
+      fees: {
+        minting: utils.formatEther(fees.minting),
+        redemption: utils.formatEther(fees.redemption),
+        trading: utils.formatEther(fees.trading),
+        total: utils.formatEther(totalFees),
+      },
+      treasuryRevenue: utils.formatEther(totalFees.mul(treasuryShare).div(10000)),
+      coverage: {
+        min: coverages.length > 0 ? Math.min(...coverages) : null,
+        mean: coverages.length > 0 ? round(coverages.reduce((total, coverage) => total + coverage, 0) / coverages.length) : null,
+        final: coverages.length > 0 ? coverages[coverages.length - 1] : null,
+      },
+      actions: this.actions,
+      reverts: this.reverts,
+    };
+
+    return {
+      summary,
+      revertReasons: this.revertReasons,
+      steps: this.steps,
+      orders,
+    };
+  }
+}
+
+module.exports = {
+  Metrics,
+  getCoverage,
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Seeded pseudo-random numbers, so that a run can be replayed from its seed.
+ */
+class Random {
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Returns a float in [0, 1), using mulberry32.
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Returns a float in the given [min, max] range.
+   */
+  between([min, max]) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Returns an integer in the given [min, max] range.
+   */
+  integer([min, max]) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Returns a sample of the standard normal distribution, using the Box-Muller transform.
+   */
+  normal() {
+    return Math.sqrt(-2 * Math.log(1 - this.next())) * Math.cos(2 * Math.PI * this.next());
+  }
+
+  /**
+   * Returns a shuffled copy of the given values.
+   */
+  shuffle(values) {
+    const result = [...values];
+
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  Random,
+};
\ No newline at end of file
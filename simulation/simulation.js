@@ -0,0 +1,381 @@
+const { BigNumber } = require("ethers");
+const { PROTOCOL_SETTINGS } = require("./config");
+const { Random } = require("./random");
+const { Metrics } = require("./metrics");
+const { Minter, Trader, MarketMaker, Keeper } = require("./agents");
+
+// Native coin given to each agent for gas, in wei.
+const AGENT_GAS_BALANCE = "0x3635C9ADC5DEA00000"; // 1000 ETH
+
+// Price changes stay slightly below the oracle's max deviation, since the deviation is checked after rounding.
+const DEVIATION_MARGIN = 0.99;
+
+/**
+ * Drives the protocol's contracts on a local network with populations of agents, against a scripted price path
+ * fed through the TestDataSource. Every run starts from the same deployment, so runs only differ by their seed.
+ * Each transaction is mined in its own block, one second after the previous one, so replaying a seed replays the run exactly.
+ */
+class Simulation {
+  /**
+   * @param hre The Hardhat runtime environment, connected to a local network.
+   * @param config The simulation's settings, from loadConfig().
+   * @param options.log Called with progress messages.
+   */
+  constructor(hre, config, { log = () => {} } = {}) {
+    this.hre = hre;
+    this.ethers = hre.ethers;
+    this.config = config;
+    this.log = log;
+
+    this._snapshot = null;
+    this._timestamp = null;
+  }
+
+  /**
+   * Deploys the protocol, applies the configured settings, lists the simulated asset and funds the agents.
+   */
+  async setup() {
+    const { ethers, config } = this;
+    const [deployer] = await ethers.getSigners();
+    this.deployer = deployer;
+
+    const deployment = await this.hre.run("deploy-protocol", { silent: true });
+    const getContract = (name, contractName = name) => ethers.getContractAt(contractName, deployment.contracts[name].address);
+
+    this.stablecoin = await getContract("Stablecoin", "TestTokenERC20");
+    this.dataSource = await getContract("DataSource", "TestDataSource");
+    this.oracle = await getContract("Oracle");
+    this.protocolSettings = await getContract("ProtocolSettings");
+    this.userSettings = await getContract("UserSettings");
+    this.feeDistributor = await getContract("FeeDistributor");
+    this.treasury = await getContract("Treasury");
+    this.router = await getContract("Router");
+    this.registry = await getContract("SyntheticAssetTokenRegistry");
+
+    if ((await this.oracle.dataSource()) !== this.dataSource.address) {
+      await (await this.oracle.setDataSource(this.dataSource.address)).wait();
+    }
+
+    await this._applyProtocolSettings();
+    await this._listAsset();
+
+    // Each price update is capped by the stricter of the two oracle entries that the asset's price is read from.
+    const deviations = await Promise.all([this.oracle.getMaxPriceDeviation(this.dataFeed), this.oracle.getMaxPriceDeviation(this.syntheticAsset.address)]);
+    this.maxPriceChange = (Math.min(...deviations.map((deviation) => deviation.toNumber())) / 10000) * DEVIATION_MARGIN;
+
+    await this._createAgents();
+
+    this._snapshot = await ethers.provider.send("evm_snapshot", []);
+  }
+
+  /**
+   * Runs the simulation once for each configured run.
+   * @return { config, asset, runs }, where each run has a summary, the state of the market at each step and every pending order.
+   */
+  async runAll() {
+    if (this._snapshot === null) {
+      await this.setup();
+    }
+
+    const runs = [];
+    for (let run = 0; run < this.config.runs; run++) {
+      runs.push(await this.run(run));
+    }
+
+    return { config: this.config, asset: this.syntheticAsset.address, runs };
+  }
+
+  /**
+   * Runs the simulation with the seed of the given run, starting from the deployment made by setup().
+   */
+  async run(run) {
+    const { ethers, config } = this;
+    const seed = config.seed + run;
+    const random = new Random(seed);
+    const metrics = new Metrics(run, seed);
+
+    // Reverting consumes the snapshot.
+    await ethers.provider.send("evm_revert", [this._snapshot]);
+    this._snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    this.log(`Run ${run + 1}/${config.runs} (seed ${seed})`);
+
+    const initialFees = await this._getCollectedFees();
+    const startTimestamp = (await ethers.provider.getBlock("latest")).timestamp;
+    this._timestamp = startTimestamp;
+    let price = config.price.points[0][1];
+
+    for (let step = 0; step < config.steps; step++) {
+      // A step that sends more transactions than it has seconds delays the next step.
+      this._timestamp = Math.max(this._timestamp, startTimestamp + step * config.stepDuration);
+
+      if (step > 0) {
+        price = this._getNextPrice(step, price, random);
+      }
+
+      const priceInWei = ethers.utils.parseEther(price.toFixed(8));
+      await this._updatePrice(priceInWei);
+
+      const context = {
+        step,
+        random,
+        metrics,
+        price: priceInWei,
+        timestamp: this._timestamp,
+        nextBlock: () => this._nextBlock(),
+        stablecoin: this.stablecoin,
+        router: this.router,
+        syntheticAsset: this.syntheticAsset,
+        buyOrderbook: this.buyOrderbook,
+        sellOrderbook: this.sellOrderbook,
+      };
+
+      for (const agent of random.shuffle(this.agents)) {
+        await agent.act(context);
+      }
+
+      if (this.keeper) {
+        await this.keeper.act(context);
+      }
+
+      await this._recordStep(metrics, step, priceInWei, initialFees);
+    }
+
+    await metrics.loadOrders((isBuy, orderIndex) => (isBuy ? this.buyOrderbook : this.sellOrderbook).orders(orderIndex));
+
+    const fees = await this._getCollectedFees();
+    const report = metrics.getReport({
+      fees: {
+        minting: fees.minting.sub(initialFees.minting),
+        redemption: fees.redemption.sub(initialFees.redemption),
+        trading: fees.trading.sub(initialFees.trading),
+      },
+      treasuryShare: await this._getTreasuryShare(),
+    });
+
+    this.log(`Filled ${report.summary.ordersFilled}/${report.summary.ordersPlaced} orders, treasury revenue ${report.summary.treasuryRevenue}, minimum coverage ${report.summary.coverage.min}`);
+
+    return report;
+  }
+
+  /* ========== SETUP ========== */
+
+  /**
+   * Queues the configured ProtocolSettings changes, waits out their delay and executes them.
+   */
+  async _applyProtocolSettings() {
+    const { ethers, protocolSettings } = this;
+    const changes = Object.entries(this.config.protocolSettings);
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    for (const [name, value] of changes) {
+      await (await protocolSettings[PROTOCOL_SETTINGS[name]](value)).wait();
+    }
+
+    let maxDelay = 0;
+    for (let parameter = 0; parameter < (await protocolSettings.NUMBER_OF_PARAMETERS()).toNumber(); parameter++) {
+      maxDelay = Math.max(maxDelay, (await protocolSettings.parameterDelays(parameter)).toNumber());
+    }
+
+    await ethers.provider.send("evm_increaseTime", [maxDelay]);
+    await ethers.provider.send("evm_mine", []);
+
+    const [parameters] = await protocolSettings.getPendingChanges();
+    for (const parameter of parameters) {
+      await (await protocolSettings.executeChange(parameter)).wait();
+    }
+
+    this.log(`Applied protocol settings: ${changes.map(([name, value]) => `${name}=${value}`).join(", ")}`);
+  }
+
+  /**
+   * Lists a synthetic asset on a new data feed and sets its initial price.
+   */
+  async _listAsset() {
+    const { ethers, config } = this;
+    this.dataFeed = ethers.Wallet.createRandom().address;
+
+    const receipt = await (await this.registry.createSyntheticAssetToken(this.dataFeed, ethers.utils.parseEther(String(config.maxSupply)), "Simulated Asset", "SIM")).wait();
+    const address = receipt.events.find((e) => e.event === "CreatedSyntheticAssetToken").args.syntheticAssetAddress;
+    const [buyAddress, sellAddress] = await this.router.getOrderbookAddresses(address);
+
+    this.syntheticAsset = await ethers.getContractAt("SyntheticAssetToken", address);
+    this.buyOrderbook = await ethers.getContractAt("Orderbook", buyAddress);
+    this.sellOrderbook = await ethers.getContractAt("Orderbook", sellAddress);
+
+    if (config.tradingFees) {
+      await (await this.registry.setTradingFeeOverride(address, true, config.tradingFees.takerFee, config.tradingFees.marketMakerFee)).wait();
+    }
+
+    // Blocks mined during setup use the local clock, so the simulation's clock starts from the latest one.
+    this._timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+    await this._updatePrice(ethers.utils.parseEther(config.price.points[0][1].toFixed(8)));
+
+    this.log(`Listed the simulated asset at ${address}`);
+  }
+
+  /**
+   * Creates and funds each population's agents. Agents approve every contract of the asset, register their discount curve
+   * and mint their initial tokens.
+   */
+  async _createAgents() {
+    const { ethers, config } = this;
+    const spenders = [this.syntheticAsset.address, this.buyOrderbook.address, this.sellOrderbook.address, this.router.address];
+    const populations = {
+      minters: (index, wallet, settings) => new Minter("minters", index, wallet, settings),
+      buyers: (index, wallet, settings) => new Trader("buyers", index, wallet, settings, true),
+      sellers: (index, wallet, settings) => new Trader("sellers", index, wallet, settings, false),
+      marketMakers: (index, wallet, settings) => new MarketMaker("marketMakers", index, wallet, settings),
+    };
+
+    this.agents = [];
+
+    for (const [population, createAgent] of Object.entries(populations)) {
+      const settings = config.agents[population];
+
+      for (let index = 0; index < settings.count; index++) {
+        // Agents get the same addresses in every simulation, which makes reports easier to compare.
+        const wallet = new ethers.Wallet(ethers.utils.id(`simulation ${population} ${index}`), ethers.provider);
+        await ethers.provider.send("hardhat_setBalance", [wallet.address, AGENT_GAS_BALANCE]);
+
+        if (settings.initialStablecoin > 0) {
+          await (await this.stablecoin.transfer(wallet.address, ethers.utils.parseEther(String(settings.initialStablecoin)))).wait();
+        }
+
+        for (const spender of spenders) {
+          await (await this.stablecoin.connect(wallet).approve(spender, ethers.constants.MaxUint256)).wait();
+          await (await this.syntheticAsset.connect(wallet).approve(spender, ethers.constants.MaxUint256)).wait();
+        }
+
+        // Curves can only be registered once per address, for example when simulating on the same node twice.
+        if (settings.discountCurve && (await this.userSettings.minimumTimeUntilDiscountStarts(wallet.address)).eq(0)) {
+          const curve = settings.discountCurve;
+          await (await this.userSettings.connect(wallet).registerUser(curve.minimumTimeUntilDiscountStarts, curve.timeUntilMaxDiscount, curve.maximumDiscount, curve.startingDiscount)).wait();
+        }
+
+        if (settings.initialTokens > 0) {
+          await (await this.syntheticAsset.connect(wallet).mintTokens(ethers.utils.parseEther(String(settings.initialTokens)))).wait();
+        }
+
+        this.agents.push(createAgent(index, wallet, settings));
+      }
+    }
+
+    this.keeper = config.keeper.cancelExpiredOrders ? new Keeper("keeper", 0, this.deployer, {}) : null;
+
+    this.log(`Created ${this.agents.length} agents`);
+  }
+
+  /* ========== STEPS ========== */
+
+  /**
+   * Returns the price of the scripted path at the given step, before noise.
+   */
+  _getPathPrice(step) {
+    const points = this.config.price.points;
+
+    for (let i = points.length - 1; i >= 0; i--) {
+      if (step >= points[i][0]) {
+        if (i === points.length - 1) {
+          return points[i][1];
+        }
+
+        const [startStep, startPrice] = points[i];
+        const [endStep, endPrice] = points[i + 1];
+        return startPrice + ((endPrice - startPrice) * (step - startStep)) / (endStep - startStep);
+      }
+    }
+
+    return points[0][1];
+  }
+
+  _getNextPrice(step, previousPrice, random) {
+    const price = this._getPathPrice(step) * (1 + this.config.price.volatility * random.normal());
+    const minPrice = previousPrice * (1 - this.maxPriceChange);
+    const maxPrice = previousPrice * (1 + this.maxPriceChange);
+
+    return Math.min(Math.max(price, minPrice), maxPrice);
+  }
+
+  /**
+   * Sets the price in the TestDataSource and has the oracle accept it.
+   * The oracle checks each price against the last price it accepted, so the price is pushed every step even if nobody trades.
+   * The token reads the price with its data feed and the orderbooks with the token's address.
+   */
+  async _updatePrice(price) {
+    await this._nextBlock();
+    await (await this.dataSource.setLatestPrice(this.dataFeed, price)).wait();
+
+    await this._nextBlock();
+    await (await this.dataSource.setLatestPrice(this.syntheticAsset.address, price)).wait();
+
+    // Also suspends minting if the asset is undercollateralized at the new price.
+    await this._nextBlock();
+    await (await this.syntheticAsset.updateCollateralizationStatus()).wait();
+
+    await this._nextBlock();
+    await (await this.oracle.getLatestPrice(this.syntheticAsset.address)).wait();
+  }
+
+  /**
+   * Sets the timestamp of the next block to one second after the previous transaction's.
+   * Views read the latest block's timestamp, so they don't depend on the local clock either.
+   */
+  async _nextBlock() {
+    this._timestamp += 1;
+    await this.ethers.provider.send("evm_setNextBlockTimestamp", [this._timestamp]);
+  }
+
+  async _recordStep(metrics, step, price, initialFees) {
+    const fees = await this._getCollectedFees();
+
+    metrics.recordStep({
+      step,
+      timestamp: (await this.ethers.provider.getBlock("latest")).timestamp,
+      price,
+      totalSupply: await this.syntheticAsset.totalSupply(),
+      collateralReserve: await this.syntheticAsset.collateralReserve(),
+      mintingIsEnabled: await this.syntheticAsset.mintingIsEnabled(),
+      buyOpenAmount: await this.buyOrderbook.totalOpenAmount(),
+      sellOpenAmount: await this.sellOrderbook.totalOpenAmount(),
+      feesCollected: fees.minting.add(fees.redemption).add(fees.trading).sub(initialFees.minting).sub(initialFees.redemption).sub(initialFees.trading),
+    });
+  }
+
+  async _getCollectedFees() {
+    const { feeDistributor } = this;
+    const asset = this.syntheticAsset.address;
+
+    return {
+      minting: await feeDistributor.collectedFees(asset, await feeDistributor.MINTING()),
+      redemption: await feeDistributor.collectedFees(asset, await feeDistributor.REDEMPTION()),
+      trading: await feeDistributor.collectedFees(asset, await feeDistributor.TRADING()),
+    };
+  }
+
+  /**
+   * Returns the share of fees that the FeeDistributor sends to the treasury, in basis points.
+   * Local deployments send the data feed and staking shares to the treasury as well.
+   */
+  async _getTreasuryShare() {
+    const { feeDistributor } = this;
+    const treasury = this.treasury.address;
+    let share = await feeDistributor.treasuryShare();
+
+    if ((await feeDistributor.dataFeedRecipient()) === treasury) {
+      share = share.add(await feeDistributor.dataFeedShare());
+    }
+    if ((await feeDistributor.stakingRewards()) === treasury) {
+      share = share.add(await feeDistributor.stakingShare());
+    }
+
+    return BigNumber.from(share).toNumber();
+  }
+}
+
+module.exports = {
+  Simulation,
+};
\ No newline at end of file
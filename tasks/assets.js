@@ -0,0 +1,35 @@
+const { task } = require("hardhat/config");
+const { getDeployedContract } = require("./utils");
+
+task("list-asset", "Lists a synthetic asset for the given data feed and creates its orderbooks")
+  .addParam("dataFeed", "Address of the data feed that the asset tracks")
+  .addParam("maxSupply", "Maximum number of tokens that can be minted, in whole tokens")
+  .addParam("name", "Name of the synthetic asset")
+  .addParam("symbol", "Symbol of the synthetic asset")
+  .setAction(async (args, hre) => {
+    const registry = await getDeployedContract(hre, "SyntheticAssetTokenRegistry");
+    const router = await getDeployedContract(hre, "Router");
+
+    const tx = await registry.createSyntheticAssetToken(args.dataFeed, hre.ethers.utils.parseEther(args.maxSupply), args.name, args.symbol);
+    const receipt = await tx.wait();
+    const event = receipt.events.find((e) => e.event === "CreatedSyntheticAssetToken");
+    const syntheticAsset = event.args.syntheticAssetAddress;
+    const [buyOrderbook, sellOrderbook] = await router.getOrderbookAddresses(syntheticAsset);
+
+    console.log(`Listed ${args.symbol} (index ${event.args.index.toString()}) at ${syntheticAsset}`);
+    console.log(`Buy orderbook: ${buyOrderbook}`);
+    console.log(`Sell orderbook: ${sellOrderbook}`);
+
+    return syntheticAsset;
+  });
+
+task("pause-asset", "Pauses, or resumes, trading in a synthetic asset's orderbooks")
+  .addParam("asset", "Address of the synthetic asset")
+  .addFlag("resume", "Resume trading instead of pausing it")
+  .setAction(async (args, hre) => {
+    const router = await getDeployedContract(hre, "Router");
+
+    await (await router.pauseTrading(args.asset, !args.resume)).wait();
+
+    console.log(`${args.resume ? "Resumed" : "Paused"} trading for ${args.asset}`);
+  });
\ No newline at end of file
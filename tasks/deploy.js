@@ -0,0 +1,172 @@
+const { task, types } = require("hardhat/config");
+const {
+  setSilent,
+  log,
+  isLocal,
+  loadDeployment,
+  saveDeployment,
+  isUpToDate,
+  deployContract,
+  recordExternalContract,
+  getExternalAddress,
+} = require("./utils");
+
+// Mirrors Roles.sol.
+const ASSET_LISTER_ROLE = 2;
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+task("deploy-protocol", "Deploys and links the protocol contracts, reusing the ones already recorded for the network")
+  .addOptionalParam("stablecoin", "Address of the stablecoin. Defaults to cUSD on Celo networks and a test token on local networks")
+  .addOptionalParam("dataFeedRegistry", "Address of the bot performance data feed registry. Required on live networks")
+  .addOptionalParam("treasuryDelay", "Timelock delay of the treasury, in seconds", 2 * 24 * 60 * 60, types.int)
+  .addOptionalParam("listingBond", "Bond required to propose an asset listing, in whole stablecoins", "100")
+  .addOptionalParam("challengePeriod", "Length of the challenge period for asset listing proposals, in seconds", 3 * 24 * 60 * 60, types.int)
+  .addFlag("silent", "Don't log deployed contracts")
+  .setAction(async (args, hre) => {
+    setSilent(args.silent);
+
+    const { ethers } = hre;
+    const [deployer] = await ethers.getSigners();
+    const deployment = loadDeployment(hre);
+
+    log(`Deploying to ${hre.network.name} from ${deployer.address}`);
+
+    const { contract: accessController } = await deployContract(hre, deployment, "AccessController", []);
+
+    // External dependencies. Local networks get stand-ins, since the Celo contracts don't exist there.
+    let stablecoinAddress;
+    let dataSource;
+    if (isLocal(hre) && !args.stablecoin) {
+      const { contract: stablecoin } = await deployContract(hre, deployment, "Stablecoin", ["Celo Dollar", "cUSD"], { contractName: "TestTokenERC20" });
+      stablecoinAddress = stablecoin.address;
+      ({ contract: dataSource } = await deployContract(hre, deployment, "DataSource", [stablecoinAddress, 0], { contractName: "TestDataSource" }));
+    } else {
+      stablecoinAddress = getExternalAddress(hre, deployment, "Stablecoin", args.stablecoin);
+      const dataFeedRegistryAddress = getExternalAddress(hre, deployment, "DataFeedRegistry", args.dataFeedRegistry);
+      if (!stablecoinAddress) {
+        throw new Error(`No known stablecoin for ${hre.network.name}. Pass --stablecoin.`);
+      }
+      if (!dataFeedRegistryAddress) {
+        throw new Error(`No data feed registry recorded for ${hre.network.name}. Pass --data-feed-registry.`);
+      }
+
+      recordExternalContract(hre, deployment, "Stablecoin", stablecoinAddress);
+      recordExternalContract(hre, deployment, "DataFeedRegistry", dataFeedRegistryAddress);
+      ({ contract: dataSource } = await deployContract(hre, deployment, "DataSource", [accessController.address, dataFeedRegistryAddress], { contractName: "BotPerformanceDataSource" }));
+    }
+
+    const { contract: oracle } = await deployContract(hre, deployment, "Oracle", [accessController.address, dataSource.address]);
+    const { contract: protocolSettings } = await deployContract(hre, deployment, "ProtocolSettings", [accessController.address]);
+    const { contract: userSettings } = await deployContract(hre, deployment, "UserSettings", [protocolSettings.address]);
+    const { contract: circuitBreaker } = await deployContract(hre, deployment, "CircuitBreaker", [accessController.address]);
+    const { contract: treasury } = await deployContract(hre, deployment, "Treasury", [deployer.address, args.treasuryDelay]);
+
+    // Data feed and staking rewards are sent to the treasury until those contracts are deployed.
+    const { contract: feeDistributor } = await deployContract(hre, deployment, "FeeDistributor", [
+      treasury.address,
+      stablecoinAddress,
+      treasury.address,
+      treasury.address,
+    ]);
+
+    // Implementations behind the beacons. Upgrades are queued through the treasury timelock to UpgradeableBeacon.upgradeTo() rather than run by this task.
+    const { contract: orderbookImplementation } = await deployContract(hre, deployment, "OrderbookImplementation", [], { contractName: "Orderbook" });
+    const { contract: orderbookBeacon } = await deployContract(hre, deployment, "OrderbookBeacon", [treasury.address, orderbookImplementation.address], { contractName: "UpgradeableBeacon" });
+    const { contract: syntheticAssetTokenImplementation } = await deployContract(hre, deployment, "SyntheticAssetTokenImplementation", [], { contractName: "SyntheticAssetToken" });
+    const { contract: syntheticAssetTokenBeacon } = await deployContract(hre, deployment, "SyntheticAssetTokenBeacon", [treasury.address, syntheticAssetTokenImplementation.address], { contractName: "UpgradeableBeacon" });
+
+    const orderbookFactoryArgs = [
+      accessController.address,
+      orderbookBeacon.address,
+      oracle.address,
+      protocolSettings.address,
+      userSettings.address,
+      circuitBreaker.address,
+      stablecoinAddress,
+    ];
+    const syntheticAssetTokenFactoryArgs = [
+      accessController.address,
+      syntheticAssetTokenBeacon.address,
+      oracle.address,
+      feeDistributor.address,
+      protocolSettings.address,
+      circuitBreaker.address,
+      stablecoinAddress,
+    ];
+    let { contract: orderbookFactory } = await deployContract(hre, deployment, "OrderbookFactory", orderbookFactoryArgs);
+    let { contract: syntheticAssetTokenFactory } = await deployContract(hre, deployment, "SyntheticAssetTokenFactory", syntheticAssetTokenFactoryArgs);
+
+    // The Router and the registry reference each other, so they are only reused as a pair.
+    const recordedRouter = deployment.contracts.Router ? deployment.contracts.Router.address : ZERO_ADDRESS;
+    const recordedRegistry = deployment.contracts.SyntheticAssetTokenRegistry ? deployment.contracts.SyntheticAssetTokenRegistry.address : ZERO_ADDRESS;
+    const routerArgs = (registryAddress) => [
+      accessController.address,
+      orderbookFactory.address,
+      registryAddress,
+      oracle.address,
+      protocolSettings.address,
+      stablecoinAddress,
+      treasury.address,
+      feeDistributor.address,
+    ];
+    const registryArgs = (routerAddress) => [accessController.address, syntheticAssetTokenFactory.address, routerAddress, protocolSettings.address];
+
+    let router;
+    let registry;
+    if ((await isUpToDate(hre, deployment, "Router", routerArgs(recordedRegistry))) && (await isUpToDate(hre, deployment, "SyntheticAssetTokenRegistry", registryArgs(recordedRouter)))) {
+      ({ contract: router } = await deployContract(hre, deployment, "Router", routerArgs(recordedRegistry)));
+      ({ contract: registry } = await deployContract(hre, deployment, "SyntheticAssetTokenRegistry", registryArgs(recordedRouter)));
+    } else {
+      // A factory can only be linked once, so factories that point to the previous pair are replaced.
+      if ((await orderbookFactory.router()) !== ZERO_ADDRESS) {
+        ({ contract: orderbookFactory } = await deployContract(hre, deployment, "OrderbookFactory", orderbookFactoryArgs, { force: true }));
+      }
+      if ((await syntheticAssetTokenFactory.registry()) !== ZERO_ADDRESS) {
+        ({ contract: syntheticAssetTokenFactory } = await deployContract(hre, deployment, "SyntheticAssetTokenFactory", syntheticAssetTokenFactoryArgs, { force: true }));
+      }
+
+      // The registry is deployed in the transaction right after the Router's.
+      const nonce = await deployer.getTransactionCount();
+      const predictedRegistry = ethers.utils.getContractAddress({ from: deployer.address, nonce: nonce + 1 });
+
+      ({ contract: router } = await deployContract(hre, deployment, "Router", routerArgs(predictedRegistry), { force: true }));
+      ({ contract: registry } = await deployContract(hre, deployment, "SyntheticAssetTokenRegistry", registryArgs(router.address), { force: true }));
+
+      if (registry.address !== predictedRegistry) {
+        throw new Error(`SyntheticAssetTokenRegistry was deployed at ${registry.address} instead of ${predictedRegistry}. Rerun the task to redeploy the pair.`);
+      }
+    }
+
+    if ((await orderbookFactory.router()) === ZERO_ADDRESS) {
+      await (await orderbookFactory.initializeContract(router.address)).wait();
+      log(`Linked OrderbookFactory to Router`);
+    }
+    if ((await syntheticAssetTokenFactory.registry()) === ZERO_ADDRESS) {
+      await (await syntheticAssetTokenFactory.initializeContract(registry.address)).wait();
+      log(`Linked SyntheticAssetTokenFactory to SyntheticAssetTokenRegistry`);
+    }
+
+    const previousAssetListingManager = deployment.contracts.AssetListingManager ? deployment.contracts.AssetListingManager.address : ZERO_ADDRESS;
+    const { contract: assetListingManager } = await deployContract(hre, deployment, "AssetListingManager", [
+      accessController.address,
+      oracle.address,
+      registry.address,
+      stablecoinAddress,
+      treasury.address,
+      ethers.utils.parseEther(args.listingBond),
+      args.challengePeriod,
+    ]);
+    if (!(await accessController.hasRole(ASSET_LISTER_ROLE, assetListingManager.address))) {
+      await (await accessController.grantRole(ASSET_LISTER_ROLE, assetListingManager.address)).wait();
+      log(`Granted the asset lister role to AssetListingManager`);
+    }
+    if (previousAssetListingManager !== assetListingManager.address && (await accessController.hasRole(ASSET_LISTER_ROLE, previousAssetListingManager))) {
+      await (await accessController.revokeRole(ASSET_LISTER_ROLE, previousAssetListingManager)).wait();
+      log(`Revoked the asset lister role from the previous AssetListingManager`);
+    }
+
+    saveDeployment(hre, deployment);
+
+    return deployment;
+  });
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { task } = require("hardhat/config");
+const { getDeployedContract } = require("./utils");
+
+task("set-data-source", "Sets the oracle's default data source, or the data sources of a single asset")
+  .addParam("dataSource", "Address of the data source. Pass a comma-separated list to use several sources for --asset")
+  .addOptionalParam("asset", "Address of the asset's data feed. Updates the default data source if omitted")
+  .addFlag("median", "Use the median price across the asset's data sources instead of falling back")
+  .setAction(async (args, hre) => {
+    const oracle = await getDeployedContract(hre, "Oracle");
+    const dataSources = args.dataSource.split(",").map((address) => address.trim());
+
+    if (!args.asset) {
+      if (dataSources.length > 1) {
+        throw new Error("Only one default data source can be set. Pass --asset to assign several sources to an asset.");
+      }
+
+      await (await oracle.setDataSource(dataSources[0])).wait();
+      console.log(`Set the default data source to ${dataSources[0]}`);
+      return;
+    }
+
+    // Assets can only use registered data sources.
+    for (const dataSource of dataSources) {
+      if ((await oracle.dataSourceToIndex(dataSource)).eq(0)) {
+        await (await oracle.addDataSource(dataSource)).wait();
+        console.log(`Registered data source ${dataSource}`);
+      }
+    }
+
+    await (await oracle.setAssetDataSources(args.asset, dataSources, args.median)).wait();
+    console.log(`Set the data sources of ${args.asset} to ${dataSources.join(", ")}`);
+  });
\ No newline at end of file
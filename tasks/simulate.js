@@ -0,0 +1,43 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { isLocal } = require("./utils");
+const { Simulation, loadConfig, writeReport } = require("../simulation");
+
+task("simulate", "Runs agent-based market simulations against a fresh deployment on a local network")
+  .addOptionalParam("scenario", "Path to a JSON file with overrides of the default simulation config, such as simulation/scenarios/price-drop.json")
+  .addOptionalParam("runs", "Number of runs. Overrides the config", undefined, types.int)
+  .addOptionalParam("steps", "Number of steps per run. Overrides the config", undefined, types.int)
+  .addOptionalParam("seed", "Seed of the first run. Overrides the config", undefined, types.int)
+  .addOptionalParam("out", "Path prefix of the report files, such as reports/price-drop. Nothing is written if omitted")
+  .addOptionalParam("format", "Format of the report files: json, csv or both", "both")
+  .setAction(async (args, hre) => {
+    if (!isLocal(hre)) {
+      throw new Error(`Simulations move time and set balances, so they only run on local networks, not ${hre.network.name}.`);
+    }
+
+    const overrides = args.scenario ? JSON.parse(fs.readFileSync(args.scenario, "utf8")) : {};
+    for (const name of ["runs", "steps", "seed"]) {
+      if (args[name] !== undefined) {
+        overrides[name] = args[name];
+      }
+    }
+
+    const simulation = new Simulation(hre, loadConfig(overrides), { log: console.log });
+    const report = await simulation.runAll();
+
+    for (const { summary } of report.runs) {
+      console.log(`\nRun ${summary.run + 1} (seed ${summary.seed})`);
+      console.log(`  Orders: ${summary.ordersFilled}/${summary.ordersPlaced} filled, ${summary.ordersExpired} expired, fill rate ${summary.fillRate}`);
+      console.log(`  Fill latency: mean ${summary.fillLatency.mean}s, median ${summary.fillLatency.median}s, p90 ${summary.fillLatency.p90}s`);
+      console.log(`  Market makers: ${summary.marketMakerFills} fills, ${summary.marketMakerVolume} volume, ${summary.discountsPaid} in discounts (average ${summary.averageDiscount} bps)`);
+      console.log(`  Fees: ${summary.fees.total}, treasury revenue ${summary.treasuryRevenue}`);
+      console.log(`  Collateral coverage: min ${summary.coverage.min}, mean ${summary.coverage.mean}, final ${summary.coverage.final}`);
+    }
+
+    if (args.out) {
+      const files = writeReport(report, args.out, args.format);
+      console.log(`\nWrote ${files.join(", ")}`);
+    }
+
+    return report;
+  });
\ No newline at end of file
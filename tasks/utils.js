@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber } = require("ethers");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// The in-process hardhat network is thrown away when the command exits, so its addresses are never written to disk.
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+// Addresses of contracts that the protocol uses but doesn't deploy, by chain ID.
+const EXTERNAL_CONTRACTS = {
+  42220: {
+    Stablecoin: "0x765DE816845861e75A25fCA122bb6898B8B1282a", // cUSD
+  },
+  44787: {
+    Stablecoin: "0x874069Fa1Eb16D44d622F2e0Ca25eEA172369bC1", // cUSD
+  },
+};
+
+// (network name => deployment), for networks that are not persisted.
+const inMemoryDeployments = {};
+
+// Set by the --silent flag of the deploy-protocol task.
+let silent = false;
+
+function setSilent(value) {
+  silent = value;
+}
+
+function log(message) {
+  if (!silent) {
+    console.log(message);
+  }
+}
+
+function isEphemeral(hre) {
+  return EPHEMERAL_NETWORKS.includes(hre.network.name);
+}
+
+function isLocal(hre) {
+  return hre.network.name === "hardhat" || hre.network.name === "localhost";
+}
+
+function getDeploymentPath(hre) {
+  return path.join(DEPLOYMENTS_DIR, `${hre.network.name}.json`);
+}
+
+/**
+ * Returns the recorded deployment for the current network.
+ * Returns an empty deployment if nothing has been deployed yet.
+ */
+function loadDeployment(hre) {
+  if (isEphemeral(hre)) {
+    return inMemoryDeployments[hre.network.name] || { chainId: hre.network.config.chainId, contracts: {} };
+  }
+
+  const file = getDeploymentPath(hre);
+  if (!fs.existsSync(file)) {
+    return { chainId: hre.network.config.chainId, contracts: {} };
+  }
+
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Records the deployment for the current network.
+ * Called after every transaction so an interrupted run can be resumed.
+ */
+function saveDeployment(hre, deployment) {
+  if (isEphemeral(hre)) {
+    inMemoryDeployments[hre.network.name] = deployment;
+    return;
+  }
+
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(getDeploymentPath(hre), JSON.stringify(deployment, null, 2) + "\n");
+}
+
+function normalizeArgs(args) {
+  return args.map((arg) => (BigNumber.isBigNumber(arg) ? arg.toString() : arg));
+}
+
+async function hasCode(hre, address) {
+  return (await hre.ethers.provider.getCode(address)) !== "0x";
+}
+
+/**
+ * Returns whether the recorded contract exists on-chain and was deployed with the given constructor arguments.
+ */
+async function isUpToDate(hre, deployment, name, args) {
+  const record = deployment.contracts[name];
+  if (!record || !(await hasCode(hre, record.address))) {
+    return false;
+  }
+
+  return JSON.stringify(record.args) === JSON.stringify(normalizeArgs(args));
+}
+
+/**
+ * Deploys the contract unless an up-to-date copy has already been recorded.
+ * @param name Key of the contract in the deployment file.
+ * @param contractName Name of the contract artifact. Defaults to [name].
+ * @param force Whether to deploy a new copy even if the recorded one is up to date.
+ * @return The contract instance, and whether a new copy was deployed.
+ */
+async function deployContract(hre, deployment, name, args, { contractName = name, force = false } = {}) {
+  if (!force && (await isUpToDate(hre, deployment, name, args))) {
+    log(`Reusing ${name} at ${deployment.contracts[name].address}`);
+    return { contract: await hre.ethers.getContractAt(contractName, deployment.contracts[name].address), deployed: false };
+  }
+
+  const factory = await hre.ethers.getContractFactory(contractName);
+  const contract = await factory.deploy(...args);
+  await contract.deployed();
+
+  deployment.contracts[name] = { contractName, address: contract.address, args: normalizeArgs(args) };
+  saveDeployment(hre, deployment);
+
+  log(`Deployed ${name} at ${contract.address}`);
+  return { contract, deployed: true };
+}
+
+/**
+ * Records a contract that the protocol depends on but doesn't deploy.
+ */
+function recordExternalContract(hre, deployment, name, address) {
+  deployment.contracts[name] = { address, external: true };
+  saveDeployment(hre, deployment);
+}
+
+/**
+ * Returns the external contract's address from, in order of priority, the task argument, the recorded deployment and the known addresses for the chain.
+ */
+function getExternalAddress(hre, deployment, name, override) {
+  if (override) {
+    return override;
+  }
+
+  if (deployment.contracts[name]) {
+    return deployment.contracts[name].address;
+  }
+
+  const known = EXTERNAL_CONTRACTS[hre.network.config.chainId] || {};
+  return known[name];
+}
+
+/**
+ * Returns an instance of a contract from the deployment on the current network.
+ * On the in-process hardhat network the protocol is deployed first, since nothing survives between commands.
+ */
+async function getDeployedContract(hre, name) {
+  if (isEphemeral(hre) && !inMemoryDeployments[hre.network.name]) {
+    await hre.run("deploy-protocol");
+  }
+
+  const record = loadDeployment(hre).contracts[name];
+  if (!record || !(await hasCode(hre, record.address))) {
+    throw new Error(`${name} is not deployed on ${hre.network.name}. Run the deploy-protocol task first.`);
+  }
+
+  return hre.ethers.getContractAt(record.contractName || name, record.address);
+}
+
+module.exports = {
+  setSilent,
+  log,
+  isLocal,
+  loadDeployment,
+  saveDeployment,
+  hasCode,
+  isUpToDate,
+  deployContract,
+  recordExternalContract,
+  getExternalAddress,
+  getDeployedContract,
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+
+describe("AccessController", () => {
+  let deployer;
+  let otherUser;
+  let thirdUser;
+
+  let accessController;
+  let accessControllerAddress;
+  let AccessControllerFactory;
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+    thirdUser = signers[2];
+
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
+  });
+
+  beforeEach(async () => {
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+    accessControllerAddress = accessController.address;
+  });
+
+  describe("#constructor", () => {
+    it("deployer holds every role", async () => {
+        const admin = await accessController.admin();
+        expect(admin).to.equal(deployer.address);
+
+        for (let i = 0; i < 5; i++) {
+            const hasRole = await accessController.hasRole(i, deployer.address);
+            expect(hasRole).to.be.true;
+
+            const members = await accessController.getRoleMembers(i);
+            expect(members.length).to.equal(1);
+            expect(members[0]).to.equal(deployer.address);
+        }
+    });
+  });
+
+  describe("#grantRole", () => {
+    it("onlyAdmin", async () => {
+        let tx = accessController.connect(otherUser).grantRole(1, otherUser.address);
+        await expect(tx).to.be.revertedWith("AccessController: Only the admin can call this function.");
+    });
+
+    it("role out of bounds", async () => {
+        let tx = accessController.grantRole(0, otherUser.address);
+        await expect(tx).to.be.revertedWith("AccessController: Role is out of bounds.");
+
+        let tx2 = accessController.grantRole(5, otherUser.address);
+        await expect(tx2).to.be.revertedWith("AccessController: Role is out of bounds.");
+    });
+
+    it("account already has the role", async () => {
+        let tx = accessController.grantRole(1, deployer.address);
+        await expect(tx).to.be.revertedWith("AccessController: Account already has the role.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await accessController.grantRole(1, otherUser.address);
+        await expect(tx).to.emit(accessController, "RoleGranted").withArgs(1, otherUser.address, deployer.address);
+
+        let tx2 = await accessController.grantRole(1, thirdUser.address);
+        await tx2.wait();
+
+        const hasRole = await accessController.hasRole(1, otherUser.address);
+        expect(hasRole).to.be.true;
+
+        const hasOtherRole = await accessController.hasRole(2, otherUser.address);
+        expect(hasOtherRole).to.be.false;
+
+        const memberCount = await accessController.getRoleMemberCount(1);
+        expect(memberCount).to.equal(3);
+
+        const members = await accessController.getRoleMembers(1);
+        expect(members[0]).to.equal(deployer.address);
+        expect(members[1]).to.equal(otherUser.address);
+        expect(members[2]).to.equal(thirdUser.address);
+    });
+  });
+
+  describe("#revokeRole", () => {
+    it("onlyAdmin", async () => {
+        let tx = accessController.connect(otherUser).revokeRole(1, deployer.address);
+        await expect(tx).to.be.revertedWith("AccessController: Only the admin can call this function.");
+    });
+
+    it("admin role", async () => {
+        let tx = accessController.revokeRole(0, deployer.address);
+        await expect(tx).to.be.revertedWith("AccessController: Admin role cannot be revoked.");
+    });
+
+    it("account doesn't have the role", async () => {
+        let tx = accessController.revokeRole(1, otherUser.address);
+        await expect(tx).to.be.revertedWith("AccessController: Account doesn't have the role.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await accessController.grantRole(1, otherUser.address);
+        await tx.wait();
+
+        let tx2 = await accessController.grantRole(1, thirdUser.address);
+        await tx2.wait();
+
+        let tx3 = await accessController.revokeRole(1, deployer.address);
+        await expect(tx3).to.emit(accessController, "RoleRevoked").withArgs(1, deployer.address, deployer.address);
+
+        const hasRole = await accessController.hasRole(1, deployer.address);
+        expect(hasRole).to.be.false;
+
+        // The last member is moved into the revoked member's position.
+        const members = await accessController.getRoleMembers(1);
+        expect(members.length).to.equal(2);
+        expect(members[0]).to.equal(thirdUser.address);
+        expect(members[1]).to.equal(otherUser.address);
+
+        const hasRole2 = await accessController.hasRole(1, thirdUser.address);
+        expect(hasRole2).to.be.true;
+
+        let tx4 = await accessController.revokeRole(1, thirdUser.address);
+        await tx4.wait();
+
+        const members2 = await accessController.getRoleMembers(1);
+        expect(members2.length).to.equal(1);
+        expect(members2[0]).to.equal(otherUser.address);
+    });
+  });
+
+  describe("#renounceRole", () => {
+    it("admin role", async () => {
+        let tx = accessController.renounceRole(0);
+        await expect(tx).to.be.revertedWith("AccessController: Admin role cannot be renounced.");
+    });
+
+    it("account doesn't have the role", async () => {
+        let tx = accessController.connect(otherUser).renounceRole(3);
+        await expect(tx).to.be.revertedWith("AccessController: Account doesn't have the role.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await accessController.renounceRole(3);
+        await tx.wait();
+
+        const hasRole = await accessController.hasRole(3, deployer.address);
+        expect(hasRole).to.be.false;
+
+        const memberCount = await accessController.getRoleMemberCount(3);
+        expect(memberCount).to.equal(0);
+    });
+  });
+
+  describe("#setPendingAdmin", () => {
+    it("onlyAdmin", async () => {
+        let tx = accessController.connect(otherUser).setPendingAdmin(otherUser.address);
+        await expect(tx).to.be.revertedWith("AccessController: Only the admin can call this function.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await accessController.setPendingAdmin(otherUser.address);
+        await expect(tx).to.emit(accessController, "NewPendingAdmin").withArgs(otherUser.address);
+
+        const pendingAdmin = await accessController.pendingAdmin();
+        expect(pendingAdmin).to.equal(otherUser.address);
+
+        // Admin doesn't change until the pending admin accepts.
+        const admin = await accessController.admin();
+        expect(admin).to.equal(deployer.address);
+    });
+  });
+
+  describe("#acceptAdmin", () => {
+    it("only pending admin", async () => {
+        let tx = await accessController.setPendingAdmin(otherUser.address);
+        await tx.wait();
+
+        let tx2 = accessController.connect(thirdUser).acceptAdmin();
+        await expect(tx2).to.be.revertedWith("AccessController: Only the pending admin can call this function.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await accessController.setPendingAdmin(otherUser.address);
+        await tx.wait();
+
+        let tx2 = await accessController.connect(otherUser).acceptAdmin();
+        await expect(tx2).to.emit(accessController, "NewAdmin").withArgs(otherUser.address);
+
+        const admin = await accessController.admin();
+        expect(admin).to.equal(otherUser.address);
+
+        const pendingAdmin = await accessController.pendingAdmin();
+        expect(pendingAdmin).to.equal("0x0000000000000000000000000000000000000000");
+
+        const hasRole = await accessController.hasRole(0, deployer.address);
+        expect(hasRole).to.be.false;
+
+        let tx3 = accessController.grantRole(1, thirdUser.address);
+        await expect(tx3).to.be.revertedWith("AccessController: Only the admin can call this function.");
+
+        let tx4 = await accessController.connect(otherUser).grantRole(1, thirdUser.address);
+        await tx4.wait();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,419 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("AssetListingManager", () => {
+  let deployer;
+  let proposer;
+  let challenger;
+  let treasury;
+  let dataFeed;
+  let unknownDataFeed;
+
+  let accessController;
+  let stablecoin;
+  let dataSource;
+  let oracle;
+  let router;
+  let registry;
+  let SyntheticAssetTokenFactory;
+
+  let listingManager;
+  let listingManagerAddress;
+  let AssetListingManagerFactory;
+
+  const ASSET_LISTER = 2;
+  const CHALLENGE_PERIOD = 86400 * 3;
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    proposer = signers[1];
+    challenger = signers[2];
+    treasury = signers[3];
+    dataFeed = signers[4].address;
+    unknownDataFeed = signers[5].address;
+
+    // Only stored by the contracts, so any address works.
+    const protocolSettings = signers[6].address;
+    const circuitBreaker = signers[7].address;
+    const feeDistributor = signers[8].address;
+
+    const AccessControllerFactory = await ethers.getContractFactory("AccessController");
+    const TestTokenFactory = await ethers.getContractFactory("TestTokenERC20");
+    const DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+    const OracleFactory = await ethers.getContractFactory("Oracle");
+    const UpgradeableBeaconFactory = await ethers.getContractFactory("UpgradeableBeacon");
+    const SyntheticAssetTokenFactoryFactory = await ethers.getContractFactory("SyntheticAssetTokenFactory");
+    const OrderbookFactoryFactory = await ethers.getContractFactory("TestOrderbookFactory");
+    const RouterFactory = await ethers.getContractFactory("Router");
+    const RegistryFactory = await ethers.getContractFactory("SyntheticAssetTokenRegistry");
+    SyntheticAssetTokenFactory = await ethers.getContractFactory("SyntheticAssetToken");
+    AssetListingManagerFactory = await ethers.getContractFactory("AssetListingManager");
+
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    stablecoin = await TestTokenFactory.deploy("Stablecoin", "CUSD");
+    await stablecoin.deployed();
+
+    dataSource = await DataSourceFactory.deploy(stablecoin.address, parseEther("1"));
+    await dataSource.deployed();
+
+    oracle = await OracleFactory.deploy(accessController.address, dataSource.address);
+    await oracle.deployed();
+
+    const syntheticAssetTokenImplementation = await SyntheticAssetTokenFactory.deploy();
+    await syntheticAssetTokenImplementation.deployed();
+
+    const beacon = await UpgradeableBeaconFactory.deploy(deployer.address, syntheticAssetTokenImplementation.address);
+    await beacon.deployed();
+
+    const syntheticAssetTokenFactory = await SyntheticAssetTokenFactoryFactory.deploy(accessController.address, beacon.address, oracle.address, feeDistributor, protocolSettings, circuitBreaker, stablecoin.address);
+    await syntheticAssetTokenFactory.deployed();
+
+    const orderbookFactory = await OrderbookFactoryFactory.deploy();
+    await orderbookFactory.deployed();
+
+    let tx = await orderbookFactory.setOrderbooks(signers[9].address, signers[10].address);
+    await tx.wait();
+
+    // The Router and the registry reference each other, so the registry's address is computed before it is deployed.
+    const registryAddress = ethers.utils.getContractAddress({ from: deployer.address, nonce: (await deployer.getTransactionCount()) + 1 });
+
+    router = await RouterFactory.deploy(accessController.address, orderbookFactory.address, registryAddress, oracle.address, protocolSettings, stablecoin.address, treasury.address, feeDistributor);
+    await router.deployed();
+
+    registry = await RegistryFactory.deploy(accessController.address, syntheticAssetTokenFactory.address, router.address, protocolSettings);
+    await registry.deployed();
+    expect(registry.address).to.equal(registryAddress);
+
+    let tx2 = await syntheticAssetTokenFactory.initializeContract(registry.address);
+    await tx2.wait();
+
+    let tx3 = await dataSource.setLatestPrice(dataFeed, parseEther("1"));
+    await tx3.wait();
+
+    let tx4 = await stablecoin.transfer(proposer.address, parseEther("10000"));
+    await tx4.wait();
+
+    let tx5 = await stablecoin.transfer(challenger.address, parseEther("10000"));
+    await tx5.wait();
+  });
+
+  beforeEach(async () => {
+    listingManager = await AssetListingManagerFactory.deploy(accessController.address, oracle.address, registry.address, stablecoin.address, treasury.address, parseEther("100"), CHALLENGE_PERIOD);
+    await listingManager.deployed();
+    listingManagerAddress = listingManager.address;
+
+    let tx = await accessController.grantRole(ASSET_LISTER, listingManagerAddress);
+    await tx.wait();
+
+    let tx2 = await stablecoin.connect(proposer).approve(listingManagerAddress, parseEther("10000"));
+    await tx2.wait();
+
+    let tx3 = await stablecoin.connect(challenger).approve(listingManagerAddress, parseEther("10000"));
+    await tx3.wait();
+  });
+
+  describe("#proposeAsset", () => {
+    it("data feed not found", async () => {
+        let tx = listingManager.connect(proposer).proposeAsset(unknownDataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await expect(tx).to.be.revertedWith("AssetListingManager: Data feed not found.");
+    });
+
+    it("max supply is 0", async () => {
+        let tx = listingManager.connect(proposer).proposeAsset(dataFeed, 0, "Synthetic Asset", "SYNTH");
+        await expect(tx).to.be.revertedWith("AssetListingManager: Max supply must be positive.");
+    });
+
+    it("data feed already has an active proposal", async () => {
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+
+        let tx2 = listingManager.connect(challenger).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await expect(tx2).to.be.revertedWith("AssetListingManager: Data feed already has an active proposal or listing.");
+    });
+
+    it("meets requirements", async () => {
+        const initialBalance = await stablecoin.balanceOf(proposer.address);
+
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+
+        const numberOfProposals = await listingManager.numberOfProposals();
+        expect(numberOfProposals).to.equal(1);
+
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.proposer).to.equal(proposer.address);
+        expect(proposal.dataFeed).to.equal(dataFeed);
+        expect(proposal.maxSupply).to.equal(parseEther("1000"));
+        expect(proposal.name).to.equal("Synthetic Asset");
+        expect(proposal.symbol).to.equal("SYNTH");
+        expect(proposal.bond).to.equal(parseEther("100"));
+        expect(proposal.status).to.equal(0);
+
+        const proposalIndex = await listingManager.dataFeedToProposal(dataFeed);
+        expect(proposalIndex).to.equal(1);
+
+        const newBalance = await stablecoin.balanceOf(proposer.address);
+        expect(newBalance).to.equal(initialBalance.sub(parseEther("100")));
+
+        const contractBalance = await stablecoin.balanceOf(listingManagerAddress);
+        expect(contractBalance).to.equal(parseEther("100"));
+    });
+  });
+
+  describe("#challengeProposal", () => {
+    beforeEach(async () => {
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+    });
+
+    it("proposal not found", async () => {
+        let tx = listingManager.connect(challenger).challengeProposal(2);
+        await expect(tx).to.be.revertedWith("AssetListingManager: Proposal not found.");
+    });
+
+    it("challenge period has ended", async () => {
+        await network.provider.send("evm_increaseTime", [CHALLENGE_PERIOD]);
+
+        let tx = listingManager.connect(challenger).challengeProposal(1);
+        await expect(tx).to.be.revertedWith("AssetListingManager: Challenge period has ended.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await listingManager.connect(challenger).challengeProposal(1);
+        await tx.wait();
+
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.status).to.equal(1);
+        expect(proposal.challenger).to.equal(challenger.address);
+
+        const contractBalance = await stablecoin.balanceOf(listingManagerAddress);
+        expect(contractBalance).to.equal(parseEther("200"));
+
+        let tx2 = listingManager.connect(treasury).challengeProposal(1);
+        await expect(tx2).to.be.revertedWith("AssetListingManager: Proposal is not pending.");
+    });
+  });
+
+  describe("#executeProposal", () => {
+    beforeEach(async () => {
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+    });
+
+    it("challenge period hasn't ended", async () => {
+        let tx = listingManager.executeProposal(1);
+        await expect(tx).to.be.revertedWith("AssetListingManager: Challenge period hasn't ended.");
+    });
+
+    it("proposal was challenged", async () => {
+        let tx = await listingManager.connect(challenger).challengeProposal(1);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [CHALLENGE_PERIOD]);
+
+        let tx2 = listingManager.executeProposal(1);
+        await expect(tx2).to.be.revertedWith("AssetListingManager: Proposal is not pending.");
+    });
+
+    it("listing manager doesn't have the asset lister role", async () => {
+        let tx = await accessController.revokeRole(ASSET_LISTER, listingManagerAddress);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [CHALLENGE_PERIOD]);
+
+        let tx2 = listingManager.executeProposal(1);
+        await expect(tx2).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("meets requirements", async () => {
+        const initialBalance = await stablecoin.balanceOf(proposer.address);
+        const initialNumberOfAssets = await registry.numberOfSyntheticAssets();
+
+        await network.provider.send("evm_increaseTime", [CHALLENGE_PERIOD]);
+
+        // Anyone can execute the proposal once the challenge period has ended.
+        let tx = await listingManager.connect(challenger).executeProposal(1);
+        await tx.wait();
+
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.status).to.equal(2);
+
+        const numberOfAssets = await registry.numberOfSyntheticAssets();
+        expect(numberOfAssets).to.equal(initialNumberOfAssets.add(1));
+
+        const syntheticAssetAddress = await registry.indexToAsset(numberOfAssets);
+        expect(syntheticAssetAddress).to.equal(proposal.syntheticAsset);
+
+        const syntheticAsset = SyntheticAssetTokenFactory.attach(syntheticAssetAddress);
+        const asset = await syntheticAsset.asset();
+        expect(asset).to.equal(dataFeed);
+        const maxSupply = await syntheticAsset.maxSupply();
+        expect(maxSupply).to.equal(parseEther("1000"));
+        const symbol = await syntheticAsset.symbol();
+        expect(symbol).to.equal("SYNTH");
+
+        const orderbooks = await router.getOrderbookAddresses(syntheticAssetAddress);
+        expect(orderbooks[0]).to.not.equal(ethers.constants.AddressZero);
+        expect(orderbooks[1]).to.not.equal(ethers.constants.AddressZero);
+
+        const newBalance = await stablecoin.balanceOf(proposer.address);
+        expect(newBalance).to.equal(initialBalance.add(parseEther("100")));
+
+        let tx2 = listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await expect(tx2).to.be.revertedWith("AssetListingManager: Data feed already has an active proposal or listing.");
+    });
+  });
+
+  describe("#approveProposal", () => {
+    beforeEach(async () => {
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+    });
+
+    it("onlyAssetLister", async () => {
+        let tx = listingManager.connect(proposer).approveProposal(1);
+        await expect(tx).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("proposal has already been resolved", async () => {
+        let tx = await listingManager.approveProposal(1);
+        await tx.wait();
+
+        let tx2 = listingManager.approveProposal(1);
+        await expect(tx2).to.be.revertedWith("AssetListingManager: Proposal has already been resolved.");
+    });
+
+    it("slashes the challenger's bond", async () => {
+        const initialProposerBalance = await stablecoin.balanceOf(proposer.address);
+        const initialChallengerBalance = await stablecoin.balanceOf(challenger.address);
+
+        let tx = await listingManager.connect(challenger).challengeProposal(1);
+        await tx.wait();
+
+        let tx2 = await listingManager.approveProposal(1);
+        await tx2.wait();
+
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.status).to.equal(2);
+        expect(proposal.syntheticAsset).to.not.equal(ethers.constants.AddressZero);
+
+        const proposerBalance = await stablecoin.balanceOf(proposer.address);
+        expect(proposerBalance).to.equal(initialProposerBalance.add(parseEther("200")));
+
+        const challengerBalance = await stablecoin.balanceOf(challenger.address);
+        expect(challengerBalance).to.equal(initialChallengerBalance.sub(parseEther("100")));
+
+        const contractBalance = await stablecoin.balanceOf(listingManagerAddress);
+        expect(contractBalance).to.equal(0);
+    });
+  });
+
+  describe("#rejectProposal", () => {
+    beforeEach(async () => {
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+    });
+
+    it("onlyAssetLister", async () => {
+        let tx = listingManager.connect(challenger).rejectProposal(1);
+        await expect(tx).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("challenge period has ended", async () => {
+        await network.provider.send("evm_increaseTime", [CHALLENGE_PERIOD]);
+
+        let tx = listingManager.rejectProposal(1);
+        await expect(tx).to.be.revertedWith("AssetListingManager: Challenge period has ended.");
+    });
+
+    it("slashes the bond to the treasury", async () => {
+        const initialBalance = await stablecoin.balanceOf(treasury.address);
+
+        let tx = await listingManager.rejectProposal(1);
+        await tx.wait();
+
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.status).to.equal(3);
+
+        const treasuryBalance = await stablecoin.balanceOf(treasury.address);
+        expect(treasuryBalance).to.equal(initialBalance.add(parseEther("100")));
+
+        // The data feed can be proposed again once its proposal is rejected.
+        let tx2 = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx2.wait();
+
+        const proposalIndex = await listingManager.dataFeedToProposal(dataFeed);
+        expect(proposalIndex).to.equal(2);
+    });
+
+    it("slashes the bond to the challenger", async () => {
+        const initialChallengerBalance = await stablecoin.balanceOf(challenger.address);
+
+        let tx = await listingManager.connect(challenger).challengeProposal(1);
+        await tx.wait();
+
+        // Challenged proposals can be resolved after the challenge period.
+        await network.provider.send("evm_increaseTime", [CHALLENGE_PERIOD]);
+
+        let tx2 = await listingManager.rejectProposal(1);
+        await tx2.wait();
+
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.status).to.equal(3);
+
+        const challengerBalance = await stablecoin.balanceOf(challenger.address);
+        expect(challengerBalance).to.equal(initialChallengerBalance.add(parseEther("100")));
+
+        const contractBalance = await stablecoin.balanceOf(listingManagerAddress);
+        expect(contractBalance).to.equal(0);
+    });
+  });
+
+  describe("#setChallengePeriod", () => {
+    it("onlyAdmin", async () => {
+        let tx = listingManager.connect(proposer).setChallengePeriod(86400);
+        await expect(tx).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("out of bounds", async () => {
+        let tx = listingManager.setChallengePeriod(3600);
+        await expect(tx).to.be.revertedWith("AssetListingManager: Challenge period is out of bounds.");
+
+        let tx2 = listingManager.setChallengePeriod(86400 * 31);
+        await expect(tx2).to.be.revertedWith("AssetListingManager: Challenge period is out of bounds.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await listingManager.setChallengePeriod(86400);
+        await tx.wait();
+
+        const challengePeriod = await listingManager.challengePeriod();
+        expect(challengePeriod).to.equal(86400);
+    });
+  });
+
+  describe("#setBondAmount", () => {
+    it("onlyAdmin", async () => {
+        let tx = listingManager.connect(proposer).setBondAmount(parseEther("50"));
+        await expect(tx).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await listingManager.connect(proposer).proposeAsset(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+
+        let tx2 = await listingManager.setBondAmount(parseEther("50"));
+        await tx2.wait();
+
+        const bondAmount = await listingManager.bondAmount();
+        expect(bondAmount).to.equal(parseEther("50"));
+
+        // Existing proposals keep their bond.
+        const proposal = await listingManager.proposals(1);
+        expect(proposal.bond).to.equal(parseEther("100"));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+
+describe("CircuitBreaker", () => {
+  let deployer;
+  let otherUser;
+
+  let accessController;
+  let AccessControllerFactory;
+  let circuitBreaker;
+  let circuitBreakerAddress;
+  let CircuitBreakerFactory;
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
+    CircuitBreakerFactory = await ethers.getContractFactory('CircuitBreaker');
+  });
+
+  beforeEach(async () => {
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    circuitBreaker = await CircuitBreakerFactory.deploy(accessController.address);
+    await circuitBreaker.deployed();
+    circuitBreakerAddress = circuitBreaker.address;
+  });
+
+  describe("#pause", () => {
+    it("onlyGuardian", async () => {
+        let tx = circuitBreaker.connect(otherUser).pause(0, 3600);
+        await expect(tx).to.be.reverted;
+
+        const isPaused = await circuitBreaker.isPaused(0);
+        expect(isPaused).to.be.false;
+    });
+
+    it("action out of bounds", async () => {
+        let tx = circuitBreaker.pause(3, 3600);
+        await expect(tx).to.be.reverted;
+    });
+
+    it("duration out of bounds", async () => {
+        let tx = circuitBreaker.pause(0, 0);
+        await expect(tx).to.be.reverted;
+
+        let tx2 = circuitBreaker.pause(0, 86400 * 30);
+        await expect(tx2).to.be.reverted;
+
+        const isPaused = await circuitBreaker.isPaused(0);
+        expect(isPaused).to.be.false;
+    });
+
+    it("meets requirements", async () => {
+        let tx = await circuitBreaker.pause(1, 3600);
+        await tx.wait();
+
+        const mintingIsPaused = await circuitBreaker.mintingIsPaused();
+        expect(mintingIsPaused).to.be.false;
+
+        const orderPlacementIsPaused = await circuitBreaker.orderPlacementIsPaused();
+        expect(orderPlacementIsPaused).to.be.true;
+
+        const marketMakerExecutionIsPaused = await circuitBreaker.marketMakerExecutionIsPaused();
+        expect(marketMakerExecutionIsPaused).to.be.false;
+    });
+
+    it("expires after the duration", async () => {
+        let tx = await circuitBreaker.pause(0, 3600);
+        await tx.wait();
+
+        let isPaused = await circuitBreaker.isPaused(0);
+        expect(isPaused).to.be.true;
+
+        await network.provider.send("evm_increaseTime", [3601]);
+        await network.provider.send("evm_mine");
+
+        isPaused = await circuitBreaker.isPaused(0);
+        expect(isPaused).to.be.false;
+    });
+  });
+
+  describe("#pauseAll", () => {
+    it("onlyGuardian", async () => {
+        let tx = circuitBreaker.connect(otherUser).pauseAll(3600);
+        await expect(tx).to.be.reverted;
+    });
+
+    it("meets requirements", async () => {
+        let tx = await circuitBreaker.pauseAll(3600);
+        await tx.wait();
+
+        const mintingIsPaused = await circuitBreaker.mintingIsPaused();
+        expect(mintingIsPaused).to.be.true;
+
+        const orderPlacementIsPaused = await circuitBreaker.orderPlacementIsPaused();
+        expect(orderPlacementIsPaused).to.be.true;
+
+        const marketMakerExecutionIsPaused = await circuitBreaker.marketMakerExecutionIsPaused();
+        expect(marketMakerExecutionIsPaused).to.be.true;
+    });
+  });
+
+  describe("#unpause", () => {
+    it("onlyGuardian", async () => {
+        let tx = await circuitBreaker.pause(2, 3600);
+        await tx.wait();
+
+        let tx2 = circuitBreaker.connect(otherUser).unpause(2);
+        await expect(tx2).to.be.reverted;
+
+        const isPaused = await circuitBreaker.isPaused(2);
+        expect(isPaused).to.be.true;
+    });
+
+    it("meets requirements", async () => {
+        let tx = await circuitBreaker.pauseAll(3600);
+        await tx.wait();
+
+        let tx2 = await circuitBreaker.unpause(2);
+        await tx2.wait();
+
+        const mintingIsPaused = await circuitBreaker.mintingIsPaused();
+        expect(mintingIsPaused).to.be.true;
+
+        const marketMakerExecutionIsPaused = await circuitBreaker.marketMakerExecutionIsPaused();
+        expect(marketMakerExecutionIsPaused).to.be.false;
+    });
+  });
+
+  describe("#unpauseAll", () => {
+    it("meets requirements", async () => {
+        let tx = await circuitBreaker.pauseAll(3600);
+        await tx.wait();
+
+        let tx2 = await circuitBreaker.unpauseAll();
+        await tx2.wait();
+
+        const mintingIsPaused = await circuitBreaker.mintingIsPaused();
+        expect(mintingIsPaused).to.be.false;
+
+        const orderPlacementIsPaused = await circuitBreaker.orderPlacementIsPaused();
+        expect(orderPlacementIsPaused).to.be.false;
+
+        const marketMakerExecutionIsPaused = await circuitBreaker.marketMakerExecutionIsPaused();
+        expect(marketMakerExecutionIsPaused).to.be.false;
+    });
+  });
+
+  describe("guardian role", () => {
+    it("revoked", async () => {
+        let tx = await accessController.revokeRole(3, deployer.address);
+        await tx.wait();
+
+        let tx2 = circuitBreaker.pause(0, 3600);
+        await expect(tx2).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("granted", async () => {
+        let tx = await accessController.grantRole(3, otherUser.address);
+        await tx.wait();
+
+        let tx2 = await circuitBreaker.connect(otherUser).pause(0, 3600);
+        await tx2.wait();
+
+        const isPaused = await circuitBreaker.isPaused(0);
+        expect(isPaused).to.be.true;
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+// Mirrors Roles.sol.
+const ASSET_LISTER_ROLE = 2;
+
+describe("deploy-protocol", () => {
+  let deployer;
+
+  const deployProtocol = () => hre.run("deploy-protocol", { silent: true });
+
+  const getContract = (deployment, name) => {
+    const record = deployment.contracts[name];
+
+    return ethers.getContractAt(record.contractName || name, record.address);
+  };
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+  });
+
+  it("links the deployed contracts", async () => {
+      const deployment = await deployProtocol();
+
+      const router = await getContract(deployment, "Router");
+      const registry = await getContract(deployment, "SyntheticAssetTokenRegistry");
+      const orderbookFactory = await getContract(deployment, "OrderbookFactory");
+      const syntheticAssetTokenFactory = await getContract(deployment, "SyntheticAssetTokenFactory");
+      const accessController = await getContract(deployment, "AccessController");
+
+      expect(await router.registry()).to.equal(registry.address);
+      expect(await router.factory()).to.equal(orderbookFactory.address);
+      expect(await router.feeDistributor()).to.equal(deployment.contracts.FeeDistributor.address);
+      expect(await router.treasury()).to.equal(deployment.contracts.Treasury.address);
+      expect(await registry.router()).to.equal(router.address);
+      expect(await registry.factory()).to.equal(syntheticAssetTokenFactory.address);
+      expect(await orderbookFactory.router()).to.equal(router.address);
+      expect(await orderbookFactory.beacon()).to.equal(deployment.contracts.OrderbookBeacon.address);
+      expect(await syntheticAssetTokenFactory.registry()).to.equal(registry.address);
+      expect(await syntheticAssetTokenFactory.beacon()).to.equal(deployment.contracts.SyntheticAssetTokenBeacon.address);
+      expect(await syntheticAssetTokenFactory.feeDistributor()).to.equal(deployment.contracts.FeeDistributor.address);
+
+      const orderbookBeacon = await getContract(deployment, "OrderbookBeacon");
+      const syntheticAssetTokenBeacon = await getContract(deployment, "SyntheticAssetTokenBeacon");
+      expect(await orderbookBeacon.treasury()).to.equal(deployment.contracts.Treasury.address);
+      expect(await syntheticAssetTokenBeacon.treasury()).to.equal(deployment.contracts.Treasury.address);
+
+      const hasRole = await accessController.hasRole(ASSET_LISTER_ROLE, deployment.contracts.AssetListingManager.address);
+      expect(hasRole).to.be.true;
+  });
+
+  it("reuses the deployed contracts when run again", async () => {
+      const firstDeployment = JSON.parse(JSON.stringify(await deployProtocol()));
+      const initialNonce = await deployer.getTransactionCount();
+
+      const secondDeployment = await deployProtocol();
+
+      // No contracts are deployed and no links are updated.
+      const newNonce = await deployer.getTransactionCount();
+      expect(newNonce).to.equal(initialNonce);
+
+      expect(Object.keys(secondDeployment.contracts)).to.deep.equal(Object.keys(firstDeployment.contracts));
+      for (const name of Object.keys(firstDeployment.contracts)) {
+        expect(secondDeployment.contracts[name].address).to.equal(firstDeployment.contracts[name].address);
+      }
+
+      const router = await getContract(secondDeployment, "Router");
+      expect(await router.feeDistributor()).to.equal(secondDeployment.contracts.FeeDistributor.address);
+  });
+});
\ No newline at end of file
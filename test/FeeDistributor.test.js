@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("FeeDistributor", () => {
+  let deployer;
+  let otherUser;
+  let dataFeedRecipient;
+  let stakingRewards;
+
+  let stablecoin;
+  let TestTokenFactory;
+
+  let feeDistributor;
+  let feeDistributorAddress;
+  let FeeDistributorFactory;
+
+  const asset = "0x0000000000000000000000000000000000000001";
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+    dataFeedRecipient = signers[2];
+    stakingRewards = signers[3];
+
+    TestTokenFactory = await ethers.getContractFactory("TestTokenERC20");
+    FeeDistributorFactory = await ethers.getContractFactory("FeeDistributor");
+
+    stablecoin = await TestTokenFactory.deploy("Stablecoin", "CUSD");
+    await stablecoin.deployed();
+
+    let tx = await stablecoin.transfer(otherUser.address, parseEther("1000"));
+    await tx.wait();
+  });
+
+  beforeEach(async () => {
+    // Use deployer as the Treasury.
+    feeDistributor = await FeeDistributorFactory.deploy(deployer.address, stablecoin.address, dataFeedRecipient.address, stakingRewards.address);
+    await feeDistributor.deployed();
+    feeDistributorAddress = feeDistributor.address;
+
+    let tx = await stablecoin.connect(otherUser).approve(feeDistributorAddress, parseEther("1000"));
+    await tx.wait();
+  });
+
+  describe("#depositFee", () => {
+    it("source out of bounds", async () => {
+        let tx = feeDistributor.connect(otherUser).depositFee(asset, 3, parseEther("10"));
+        await expect(tx).to.be.revertedWith("FeeDistributor: Source is out of bounds.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await feeDistributor.connect(otherUser).depositFee(asset, 0, parseEther("10"));
+        await tx.wait();
+
+        let tx2 = await feeDistributor.connect(otherUser).depositFee(asset, 2, parseEther("5"));
+        await tx2.wait();
+
+        const mintingFees = await feeDistributor.collectedFees(asset, 0);
+        expect(mintingFees).to.equal(parseEther("10"));
+
+        const tradingFees = await feeDistributor.collectedFees(asset, 2);
+        expect(tradingFees).to.equal(parseEther("5"));
+
+        const undistributedFees = await feeDistributor.undistributedFees();
+        expect(undistributedFees).to.equal(parseEther("15"));
+
+        const balance = await stablecoin.balanceOf(feeDistributorAddress);
+        expect(balance).to.equal(parseEther("15"));
+    });
+  });
+
+  describe("#distribute", () => {
+    it("distribution interval has not elapsed", async () => {
+        let tx = feeDistributor.distribute();
+        await expect(tx).to.be.revertedWith("FeeDistributor: Distribution interval has not elapsed.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await feeDistributor.setShares(5000, 3000, 2000);
+        await tx.wait();
+
+        let tx2 = await feeDistributor.connect(otherUser).depositFee(asset, 1, parseEther("100"));
+        await tx2.wait();
+
+        const initialTreasuryBalance = await stablecoin.balanceOf(deployer.address);
+        const initialDataFeedBalance = await stablecoin.balanceOf(dataFeedRecipient.address);
+        const initialStakingBalance = await stablecoin.balanceOf(stakingRewards.address);
+
+        await network.provider.send("evm_increaseTime", [86400 * 7]);
+        await network.provider.send("evm_mine");
+
+        let tx3 = await feeDistributor.connect(otherUser).distribute();
+        await tx3.wait();
+
+        const newTreasuryBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newTreasuryBalance.sub(initialTreasuryBalance)).to.equal(parseEther("50"));
+
+        const newDataFeedBalance = await stablecoin.balanceOf(dataFeedRecipient.address);
+        expect(newDataFeedBalance.sub(initialDataFeedBalance)).to.equal(parseEther("30"));
+
+        const newStakingBalance = await stablecoin.balanceOf(stakingRewards.address);
+        expect(newStakingBalance.sub(initialStakingBalance)).to.equal(parseEther("20"));
+
+        const undistributedFees = await feeDistributor.undistributedFees();
+        expect(undistributedFees).to.equal(0);
+
+        let tx4 = feeDistributor.distribute();
+        await expect(tx4).to.be.revertedWith("FeeDistributor: Distribution interval has not elapsed.");
+    });
+  });
+
+  describe("#setShares", () => {
+    it("onlyTreasury", async () => {
+        let tx = feeDistributor.connect(otherUser).setShares(5000, 3000, 2000);
+        await expect(tx).to.be.revertedWith("FeeDistributor: Only the Treasury can call this function.");
+    });
+
+    it("shares do not sum to 10000", async () => {
+        let tx = feeDistributor.setShares(5000, 3000, 3000);
+        await expect(tx).to.be.revertedWith("FeeDistributor: Shares must sum to 10000.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await feeDistributor.setShares(5000, 3000, 2000);
+        await tx.wait();
+
+        const treasuryShare = await feeDistributor.treasuryShare();
+        expect(treasuryShare).to.equal(5000);
+
+        const dataFeedShare = await feeDistributor.dataFeedShare();
+        expect(dataFeedShare).to.equal(3000);
+
+        const stakingShare = await feeDistributor.stakingShare();
+        expect(stakingShare).to.equal(2000);
+    });
+
+    it("through the Treasury timelock", async () => {
+        const TreasuryFactory = await ethers.getContractFactory("Treasury");
+        const treasury = await TreasuryFactory.deploy(deployer.address, 86400 * 2);
+        await treasury.deployed();
+
+        const timelockedDistributor = await FeeDistributorFactory.deploy(treasury.address, stablecoin.address, dataFeedRecipient.address, stakingRewards.address);
+        await timelockedDistributor.deployed();
+
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const eta = latestBlock.timestamp + 86400 * 2 + 60;
+        const data = ethers.utils.defaultAbiCoder.encode(["uint256", "uint256", "uint256"], [6000, 2000, 2000]);
+
+        let tx = await treasury.queueTransaction(timelockedDistributor.address, 0, "setShares(uint256,uint256,uint256)", data, eta);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [86400 * 2 + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx2 = await treasury.executeTransaction(timelockedDistributor.address, 0, "setShares(uint256,uint256,uint256)", data, eta);
+        await tx2.wait();
+
+        const treasuryShare = await timelockedDistributor.treasuryShare();
+        expect(treasuryShare).to.equal(6000);
+    });
+  });
+
+  describe("#setRecipients", () => {
+    it("onlyTreasury", async () => {
+        let tx = feeDistributor.connect(otherUser).setRecipients(otherUser.address, otherUser.address);
+        await expect(tx).to.be.revertedWith("FeeDistributor: Only the Treasury can call this function.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await feeDistributor.setRecipients(otherUser.address, dataFeedRecipient.address);
+        await tx.wait();
+
+        const newDataFeedRecipient = await feeDistributor.dataFeedRecipient();
+        expect(newDataFeedRecipient).to.equal(otherUser.address);
+
+        const newStakingRewards = await feeDistributor.stakingRewards();
+        expect(newStakingRewards).to.equal(dataFeedRecipient.address);
+    });
+  });
+
+  describe("#setDistributionInterval", () => {
+    it("onlyTreasury", async () => {
+        let tx = feeDistributor.connect(otherUser).setDistributionInterval(86400);
+        await expect(tx).to.be.revertedWith("FeeDistributor: Only the Treasury can call this function.");
+    });
+
+    it("out of bounds", async () => {
+        let tx = feeDistributor.setDistributionInterval(60);
+        await expect(tx).to.be.revertedWith("FeeDistributor: Distribution interval is out of bounds.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await feeDistributor.setDistributionInterval(86400);
+        await tx.wait();
+
+        const distributionInterval = await feeDistributor.distributionInterval();
+        expect(distributionInterval).to.equal(86400);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,285 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+const copyAbi = require("../sdk/scripts/copy-abi");
+const { Indexer, Store, createServer, handleRequest } = require("../indexer/src");
+
+describe("Indexer", () => {
+  let deployer;
+  let otherUser;
+
+  let client;
+  let otherClient;
+
+  let store;
+  let indexer;
+
+  let router;
+  let registry;
+  let SyntheticAssetTokenFactory;
+
+  let dataSource;
+  let dataFeed;
+  let syntheticAsset;
+
+  function get(path) {
+    const [status, body] = handleRequest(store, "GET", path);
+    return { status, body };
+  }
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+
+    // The trades are made with the SDK, which loads the ABIs exported on compile.
+    copyAbi();
+    const sdk = require("../sdk/src");
+
+    const deployment = await hre.run("deploy-protocol", { silent: true });
+    client = sdk.SyntheticAssetClient.fromDeployment(deployer, deployment);
+    otherClient = client.connect(otherUser);
+
+    const stablecoin = await ethers.getContractAt("TestTokenERC20", deployment.contracts.Stablecoin.address);
+    const oracle = await ethers.getContractAt("Oracle", deployment.contracts.Oracle.address);
+    router = await ethers.getContractAt("Router", deployment.contracts.Router.address);
+    registry = await ethers.getContractAt("SyntheticAssetTokenRegistry", deployment.contracts.SyntheticAssetTokenRegistry.address);
+    SyntheticAssetTokenFactory = await ethers.getContractFactory("SyntheticAssetToken");
+
+    const DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+    dataSource = await DataSourceFactory.deploy(stablecoin.address, 0);
+    await dataSource.deployed();
+
+    let tx = await oracle.setDataSource(dataSource.address);
+    await tx.wait();
+
+    let tx2 = await stablecoin.transfer(otherUser.address, parseEther("1000"));
+    await tx2.wait();
+
+    // Blocks are final on the hardhat network, so the indexer can follow the chain head.
+    store = new Store(":memory:");
+    indexer = Indexer.fromDeployment(ethers.provider, store, deployment, { confirmations: 0 });
+  });
+
+  beforeEach(async () => {
+    dataFeed = ethers.Wallet.createRandom().address;
+
+    let tx = await registry.createSyntheticAssetToken(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+    let receipt = await tx.wait();
+    syntheticAsset = SyntheticAssetTokenFactory.attach(receipt.events.find((e) => e.event === "CreatedSyntheticAssetToken").args.syntheticAssetAddress);
+
+    let tx2 = await dataSource.setLatestPrice(dataFeed, parseEther("2"));
+    await tx2.wait();
+
+    let tx3 = await dataSource.setLatestPrice(syntheticAsset.address, parseEther("2"));
+    await tx3.wait();
+  });
+
+  after(async () => {
+    store.close();
+  });
+
+  describe("#sync", () => {
+    it("discovers assets and orderbooks", async () => {
+        const lastBlock = await indexer.sync();
+        expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const addresses = await router.getOrderbookAddresses(syntheticAsset.address);
+        const asset = store.getAsset(syntheticAsset.address);
+
+        expect(asset.index).to.equal(Number(await registry.assetToIndex(syntheticAsset.address)));
+        expect(asset.dataFeed).to.equal(dataFeed);
+        expect(asset.symbol).to.equal("SYNTH");
+        expect(asset.maxSupply).to.equal(parseEther("1000").toString());
+        expect(asset.buyOrderbook).to.equal(addresses[0]);
+        expect(asset.sellOrderbook).to.equal(addresses[1]);
+        expect(asset.delistedBlock).to.be.null;
+    });
+
+    it("attributes swaps to their user", async () => {
+        await otherClient.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await otherClient.sell(syntheticAsset.address, parseEther("5"), { limitPrice: parseEther("1") });
+
+        // The Router fills the pending sell order, then mints tokens with the remaining stablecoin.
+        await client.buy(syntheticAsset.address, parseEther("14"));
+        await indexer.sync();
+
+        const trades = store.getUserTrades(deployer.address, { asset: syntheticAsset.address, limit: 10, offset: 0 });
+        expect(trades.length).to.equal(1);
+        expect(trades[0].isBuy).to.be.true;
+        expect(trades[0].tokens).to.equal(parseEther("5").toString());
+        expect(trades[0].price).to.equal(parseEther("2").toString());
+        expect(trades[0].value).to.equal(parseEther("10").toString());
+
+        const mints = store.getMints(syntheticAsset.address, 0, Number.MAX_SAFE_INTEGER);
+        expect(mints.length).to.equal(2);
+        expect(mints[0].user).to.equal(otherUser.address);
+        expect(mints[1].user).to.equal(deployer.address);
+        expect(mints[1].isMint).to.be.true;
+    });
+
+    it("rolls back reorged blocks", async () => {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await indexer.sync();
+        expect(store.getMints(syntheticAsset.address, 0, Number.MAX_SAFE_INTEGER).length).to.equal(1);
+
+        // Replaces the mint's blocks with blocks that contain a different mint.
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await ethers.provider.send("hardhat_mine", ["0x2"]);
+        await client.mint(syntheticAsset.address, parseEther("4"), { maxCost: parseEther("30") });
+
+        await indexer.sync();
+
+        const mints = store.getMints(syntheticAsset.address, 0, Number.MAX_SAFE_INTEGER);
+        expect(mints.length).to.equal(1);
+        expect(mints[0].tokens).to.equal(parseEther("4").toString());
+
+        const block = await ethers.provider.getBlock("latest");
+        expect(store.getBlocks(block.number, 1)[0].hash).to.equal(block.hash);
+    });
+
+    it("rolls back blocks that are no longer on the chain", async () => {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await indexer.sync();
+
+        await ethers.provider.send("evm_revert", [snapshot]);
+        const lastBlock = await indexer.sync();
+
+        expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(store.getMints(syntheticAsset.address, 0, Number.MAX_SAFE_INTEGER).length).to.equal(0);
+    });
+  });
+
+  describe("API", () => {
+    it("asset not found", async () => {
+        await indexer.sync();
+
+        const response = get(`/assets/${otherUser.address}`);
+        expect(response.status).to.equal(404);
+        expect(response.body.error).to.equal("Asset not found.");
+    });
+
+    it("invalid parameters", async () => {
+        await indexer.sync();
+
+        expect(get("/assets/0x1234/candles").status).to.equal(400);
+        expect(get(`/assets/${syntheticAsset.address}/candles?interval=0`).status).to.equal(400);
+        expect(get(`/assets/${syntheticAsset.address}/candles?from=100&to=50`).status).to.equal(400);
+        expect(get(`/users/${deployer.address}/trades?limit=1000`).status).to.equal(400);
+        expect(get("/unknown").status).to.equal(404);
+        expect(handleRequest(store, "POST", "/assets")[0]).to.equal(405);
+    });
+
+    it("candles", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await otherClient.buy(syntheticAsset.address, parseEther("10"), { limitPrice: 0 });
+
+        // Selling through the Router fills the pending buy order at the oracle price.
+        await client.sell(syntheticAsset.address, parseEther("2"));
+
+        // The oracle accepts price changes of up to 20%.
+        let tx = await dataSource.setLatestPrice(syntheticAsset.address, parseEther("2.4"));
+        await tx.wait();
+
+        await client.sell(syntheticAsset.address, parseEther("1"));
+        await indexer.sync();
+
+        const response = get(`/assets/${syntheticAsset.address}/candles?interval=86400`);
+        expect(response.status).to.equal(200);
+
+        const candles = response.body;
+        const volume = candles.reduce((total, candle) => total.add(candle.volume), ethers.BigNumber.from(0));
+        const quoteVolume = candles.reduce((total, candle) => total.add(candle.quoteVolume), ethers.BigNumber.from(0));
+        expect(volume).to.equal(parseEther("3"));
+        expect(quoteVolume).to.equal(parseEther("6.4"));
+
+        const last = candles[candles.length - 1];
+        expect(last.close).to.equal(parseEther("2.4").toString());
+        expect(last.high).to.equal(parseEther("2.4").toString());
+    });
+
+    it("depth", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await client.sell(syntheticAsset.address, parseEther("5"), { limitPrice: parseEther("2.5") });
+        await otherClient.buy(syntheticAsset.address, parseEther("10"), { limitPrice: 0 });
+        await client.sell(syntheticAsset.address, parseEther("2"));
+
+        const orders = await otherClient.getOrders(syntheticAsset.address);
+        await otherClient.cancel(syntheticAsset.address, true, orders[0].index, parseEther("3"));
+        await indexer.sync();
+
+        // Pending buy orders are in stablecoin and pending sell orders are in tokens.
+        const response = get(`/assets/${syntheticAsset.address}/depth`);
+        expect(response.status).to.equal(200);
+        expect(response.body.buy.openAmount).to.equal(parseEther("3").toString());
+        expect(response.body.sell.openAmount).to.equal(parseEther("5").toString());
+    });
+
+    it("mint volume", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await client.redeem(syntheticAsset.address, parseEther("4"));
+        await otherClient.mint(syntheticAsset.address, parseEther("5"), { maxCost: parseEther("30") });
+        await indexer.sync();
+
+        const response = get(`/assets/${syntheticAsset.address}/mints?interval=86400`);
+        expect(response.status).to.equal(200);
+
+        const buckets = response.body;
+        expect(buckets.reduce((total, bucket) => total + bucket.mints, 0)).to.equal(2);
+        expect(buckets.reduce((total, bucket) => total + bucket.redemptions, 0)).to.equal(1);
+
+        const minted = buckets.reduce((total, bucket) => total.add(bucket.minted), ethers.BigNumber.from(0));
+        const redeemedValue = buckets.reduce((total, bucket) => total.add(bucket.redeemedValue), ethers.BigNumber.from(0));
+        expect(minted).to.equal(parseEther("15"));
+        expect(redeemedValue).to.equal(parseEther("8"));
+    });
+
+    it("user trades", async () => {
+        await client.mint(syntheticAsset.address, parseEther("20"), { maxCost: parseEther("50") });
+        await client.sell(syntheticAsset.address, parseEther("1"));
+
+        await otherClient.buy(syntheticAsset.address, parseEther("10"), { limitPrice: 0 });
+        const orders = await otherClient.getOrders(syntheticAsset.address);
+        await client.fillAsMarketMaker(syntheticAsset.address, true, [orders[0].index]);
+        await indexer.sync();
+
+        const userTrades = get(`/users/${otherUser.address}/trades?asset=${syntheticAsset.address}`).body;
+        expect(userTrades.length).to.equal(1);
+        expect(userTrades[0].isBuy).to.be.true;
+        expect(userTrades[0].isMarketMaker).to.be.false;
+        expect(userTrades[0].tokens).to.equal(parseEther("5").toString());
+        expect(userTrades[0].value).to.equal(parseEther("10").toString());
+        expect(userTrades[0].orderIndex).to.equal(Number(orders[0].index));
+
+        // The market maker takes the other side of the order.
+        const marketMakerTrades = get(`/users/${deployer.address}/trades?asset=${syntheticAsset.address}`).body;
+        expect(marketMakerTrades.length).to.equal(1);
+        expect(marketMakerTrades[0].isBuy).to.be.false;
+        expect(marketMakerTrades[0].isMarketMaker).to.be.true;
+
+        const page = get(`/users/${otherUser.address}/trades?asset=${syntheticAsset.address}&offset=1`).body;
+        expect(page.length).to.equal(0);
+    });
+
+    it("serves JSON over HTTP", async () => {
+        await indexer.sync();
+
+        const server = createServer(store);
+        await new Promise((resolve) => server.listen(0, resolve));
+
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/assets/${syntheticAsset.address}`);
+            expect(response.status).to.equal(200);
+            expect(response.headers.get("content-type")).to.equal("application/json");
+
+            const asset = await response.json();
+            expect(asset.address).to.equal(syntheticAsset.address);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+const { parseEther } = require("@ethersproject/units");
+const { loadSystem, listAsset, setPrice, approveAll, increaseTime } = require("./fixtures/system");
+
+// Runs random sequences of user actions against an asset's orderbooks, token and the Router,
+// and checks the protocol's accounting after every action.
+// Runs use a fixed seed by default so the suite is deterministic. Set FUZZ_SEED to replay a failing run,
+// FUZZ_SEED=random to explore new sequences, and FUZZ_RUNS/FUZZ_ACTIONS for longer fuzzing sessions.
+const DEFAULT_FUZZ_SEED = 1;
+const FUZZ_SEED = !process.env.FUZZ_SEED ? DEFAULT_FUZZ_SEED
+  : process.env.FUZZ_SEED === "random" ? Math.floor(Math.random() * 2 ** 32)
+  : Number(process.env.FUZZ_SEED);
+const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 2);
+const FUZZ_ACTIONS = Number(process.env.FUZZ_ACTIONS || 30);
+
+// Bounds of the random walk of the oracle price. The oracle rejects updates above 20%.
+const MIN_PRICE = parseEther("0.5");
+const MAX_PRICE = parseEther("8");
+const MAX_PRICE_CHANGE = 1500;
+
+/**
+ * Returns a seeded pseudo-random number generator (mulberry32) that yields floats in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Failed actions are expected, since actions are random. Anything other than a revert is a bug in the test.
+function isRevert(error) {
+  return /revert|VM Exception/.test(error.message);
+}
+
+describe("Invariants", () => {
+  let system;
+  let asset;
+  let syntheticAsset;
+  let stablecoin;
+  let users;
+  let random;
+  let price;
+
+  /* ========== RANDOM VALUES ========== */
+
+  function randomInt(min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  function pick(values) {
+    return values[randomInt(0, values.length - 1)];
+  }
+
+  // Amounts with wei-level precision, so that fills exercise the contracts' rounding.
+  function randomAmount(maxTokens) {
+    return parseEther(String(randomInt(1, maxTokens))).add(randomInt(0, 1e9)).sub(randomInt(0, 1e9));
+  }
+
+  // A random share of the given amount, between 1% and 100%.
+  function randomShare(amount) {
+    return amount.mul(randomInt(1, 100)).div(100);
+  }
+
+  function randomBook() {
+    const isBuy = random() < 0.5;
+    return { isBuy, orderbook: isBuy ? asset.buyOrderbook : asset.sellOrderbook };
+  }
+
+  function randomLimitPrice() {
+    return random() < 0.5 ? 0 : price.mul(randomInt(8000, 12000)).div(10000);
+  }
+
+  async function randomExpiry() {
+    if (random() < 0.5) {
+      return 0;
+    }
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    return latestBlock.timestamp + randomInt(60, 3600);
+  }
+
+  async function getDeadline() {
+    const latestBlock = await ethers.provider.getBlock("latest");
+    return latestBlock.timestamp + 3600;
+  }
+
+  // Indices of the orders in the orderbook's queue, from first to last.
+  async function getQueue(orderbook) {
+    const queue = [];
+    let orderIndex = await orderbook.firstOrderIndex();
+
+    while (!orderIndex.eq(0)) {
+      queue.push(orderIndex.toNumber());
+      orderIndex = (await orderbook.orders(orderIndex)).next;
+    }
+
+    return queue;
+  }
+
+  /* ========== ACTIONS ========== */
+
+  // [name, weight, action(user)]. Each action returns a description of what it did.
+  const ACTIONS = [
+    ["mint", 3, async (user) => {
+      const amount = randomAmount(20);
+      await (await syntheticAsset.connect(user).mintTokens(amount)).wait();
+      return `minted ${amount}`;
+    }],
+
+    ["redeem", 1, async (user) => {
+      const amount = randomShare(await syntheticAsset.balanceOf(user.address));
+      await (await syntheticAsset.connect(user).redeemTokens(amount)).wait();
+      return `redeemed ${amount}`;
+    }],
+
+    ["place pending order", 4, async (user) => {
+      const { isBuy, orderbook } = randomBook();
+      const amount = isBuy ? randomAmount(100) : randomShare(await syntheticAsset.balanceOf(user.address));
+      const limitPrice = randomLimitPrice();
+      const expiry = await randomExpiry();
+      await (await orderbook.connect(user).placeOrder(isBuy, amount, limitPrice, 0, expiry)).wait();
+      return `placed ${isBuy ? "buy" : "sell"} order of ${amount} at ${limitPrice}, expiring at ${expiry}`;
+    }],
+
+    ["place instant order", 3, async (user) => {
+      const { isBuy, orderbook } = randomBook();
+      // Instant orders are in the pending orders' token.
+      const amount = isBuy ? randomAmount(100) : randomAmount(50);
+      const limitPrice = randomLimitPrice();
+      await (await orderbook.connect(user).placeOrder(!isBuy, amount, limitPrice, 0, 0)).wait();
+      return `placed instant ${isBuy ? "sell" : "buy"} order of ${amount} at ${limitPrice}`;
+    }],
+
+    ["swap", 2, async (user) => {
+      if (random() < 0.5) {
+        const amount = randomAmount(100);
+        await (await system.router.connect(user).swapStablecoinForSyntheticAsset(syntheticAsset.address, amount, 0, await getDeadline())).wait();
+        return `swapped ${amount} stablecoin`;
+      }
+
+      const amount = randomShare(await syntheticAsset.balanceOf(user.address));
+      await (await system.router.connect(user).swapSyntheticAssetForStablecoin(syntheticAsset.address, amount, 0, await getDeadline())).wait();
+      return `swapped ${amount} tokens`;
+    }],
+
+    ["cancel order", 2, async (user) => {
+      const { orderbook } = randomBook();
+      const userOrders = await orderbook.getUserOrders(user.address);
+      if (userOrders.length == 0) {
+        return "no orders to cancel";
+      }
+
+      const orderIndex = pick(userOrders);
+      const order = await orderbook.orders(orderIndex);
+      const cancelFullOrder = random() < 0.5;
+      const amount = randomShare(order.quantity.sub(order.amountFilled).sub(order.amountCancelled));
+      await (await orderbook.connect(user).cancelOrder(orderIndex, amount, cancelFullOrder)).wait();
+      return `cancelled ${cancelFullOrder ? "all" : amount} of order ${orderIndex}`;
+    }],
+
+    ["claim", 2, async (user) => {
+      const { orderbook } = randomBook();
+      await (await orderbook.connect(user).claimAllTokens()).wait();
+      return "claimed all tokens";
+    }],
+
+    ["execute as market maker", 2, async (user) => {
+      const { orderbook } = randomBook();
+      const queue = await getQueue(orderbook);
+      if (queue.length == 0) {
+        return "no orders to execute";
+      }
+
+      const orderIndex = pick(queue);
+      await (await orderbook.connect(user).executeOrderAsMarketMaker(orderIndex)).wait();
+      return `executed order ${orderIndex}`;
+    }],
+
+    ["cancel expired orders", 1, async (user) => {
+      const { orderbook } = randomBook();
+      const queue = await getQueue(orderbook);
+      await (await orderbook.connect(user).cancelExpiredOrders(queue)).wait();
+      return `cancelled expired orders in [${queue}]`;
+    }],
+
+    ["advance time", 2, async () => {
+      const seconds = randomInt(1, 3600);
+      await increaseTime(seconds);
+      return `advanced ${seconds} seconds`;
+    }],
+
+    ["set price", 2, async () => {
+      let newPrice = price.mul(randomInt(10000 - MAX_PRICE_CHANGE, 10000 + MAX_PRICE_CHANGE)).div(10000);
+      newPrice = newPrice.lt(MIN_PRICE) ? MIN_PRICE : newPrice.gt(MAX_PRICE) ? MAX_PRICE : newPrice;
+
+      await setPrice(system, asset, newPrice);
+      price = newPrice;
+      return `set price to ${newPrice}`;
+    }],
+
+    ["set trading fees", 1, async () => {
+      const isEnabled = random() < 0.7;
+      // Overrides can be at most one maximum step (50) away from the protocol-wide fees of 0.
+      const takerFee = randomInt(0, 50);
+      const marketMakerFee = randomInt(0, 50);
+      await (await system.registry.setTradingFeeOverride(syntheticAsset.address, isEnabled, takerFee, marketMakerFee)).wait();
+      return isEnabled ? `set trading fees to ${takerFee}/${marketMakerFee}` : "disabled trading fee override";
+    }],
+  ];
+
+  const TOTAL_WEIGHT = ACTIONS.reduce((total, [, weight]) => total + weight, 0);
+
+  function pickAction() {
+    let value = random() * TOTAL_WEIGHT;
+
+    for (const action of ACTIONS) {
+      value -= action[1];
+      if (value < 0) {
+        return action;
+      }
+    }
+
+    return ACTIONS[ACTIONS.length - 1];
+  }
+
+  /* ========== INVARIANTS ========== */
+
+  async function checkOrderbook(orderbook, pendingToken, receivedToken) {
+    const numberOfOrders = (await orderbook.numberOfOrders()).toNumber();
+    let totalOpenAmount = BigNumber.from(0);
+    let totalUnclaimed = BigNumber.from(0);
+    const openOrders = [];
+
+    for (let i = 1; i <= numberOfOrders; i++) {
+      const order = await orderbook.orders(i);
+      const openAmount = order.quantity.sub(order.amountFilled).sub(order.amountCancelled);
+
+      expect(order.amountFilled.add(order.amountCancelled), `order ${i} is overfilled`).to.be.lte(order.quantity);
+      expect(order.amountClaimed, `order ${i} claimed more than it received`).to.be.lte(order.amountReceived);
+
+      // Orders stay in their user's list until they have nothing left to fill or claim.
+      const userOrders = (await orderbook.getUserOrders(order.user)).map((index) => index.toNumber());
+      if (openAmount.gt(0) || order.amountReceived.gt(order.amountClaimed)) {
+        expect(userOrders, `order ${i} is missing from its user's orders`).to.include(i);
+      } else {
+        expect(userOrders, `order ${i} is settled but still in its user's orders`).to.not.include(i);
+      }
+
+      if (openAmount.gt(0)) {
+        openOrders.push(i);
+      }
+
+      totalOpenAmount = totalOpenAmount.add(openAmount);
+      totalUnclaimed = totalUnclaimed.add(order.amountReceived.sub(order.amountClaimed));
+    }
+
+    // The queue holds every order with an open amount, in the order they were placed.
+    const queue = await getQueue(orderbook);
+    expect(queue, "queue doesn't match the open orders").to.deep.equal(openOrders);
+    expect(await orderbook.lastOrderIndex(), "lastOrderIndex doesn't match the queue").to.equal(queue.length > 0 ? queue[queue.length - 1] : 0);
+
+    expect(await orderbook.totalOpenAmount(), "totalOpenAmount doesn't match the orders").to.equal(totalOpenAmount);
+    expect(await pendingToken.balanceOf(orderbook.address), "orderbook doesn't hold the open amount").to.equal(totalOpenAmount);
+    expect(await receivedToken.balanceOf(orderbook.address), "orderbook doesn't hold the unclaimed tokens").to.equal(totalUnclaimed);
+  }
+
+  async function checkInvariants() {
+    await checkOrderbook(asset.buyOrderbook, stablecoin, syntheticAsset);
+    await checkOrderbook(asset.sellOrderbook, syntheticAsset, stablecoin);
+
+    expect(await stablecoin.balanceOf(syntheticAsset.address), "token doesn't hold its collateral reserve").to.equal(await syntheticAsset.collateralReserve());
+    expect(await syntheticAsset.totalSupply(), "total supply exceeds the max supply").to.be.lte(await syntheticAsset.maxSupply());
+
+    // The Router only holds funds during a transaction.
+    expect(await stablecoin.balanceOf(system.router.address), "Router holds stablecoin").to.equal(0);
+    expect(await syntheticAsset.balanceOf(system.router.address), "Router holds tokens").to.equal(0);
+  }
+
+  /* ========== RUNS ========== */
+
+  for (let run = 0; run < FUZZ_RUNS; run++) {
+    const seed = (FUZZ_SEED + run) >>> 0;
+
+    it(`holds for random actions (seed ${seed})`, async () => {
+      random = createRandom(seed);
+      price = parseEther("2");
+
+      system = await loadSystem();
+      stablecoin = system.stablecoin;
+      users = system.users;
+
+      asset = await listAsset(system, { price, maxSupply: parseEther("2000") });
+      syntheticAsset = asset.syntheticAsset;
+
+      for (const user of users) {
+        await approveAll(system, asset, user);
+      }
+
+      // Users that haven't registered can be filled by market makers right away, without a discount.
+      let tx = await system.userSettings.connect(users[0]).registerUser(600, 3600, 1000, 100);
+      await tx.wait();
+
+      const history = [];
+
+      for (let i = 0; i < FUZZ_ACTIONS; i++) {
+        const [name, , action] = pickAction();
+        const userIndex = randomInt(0, users.length - 1);
+        let description;
+
+        try {
+          description = await action(users[userIndex]);
+        } catch (error) {
+          if (!isRevert(error)) {
+            throw error;
+          }
+
+          description = "reverted";
+        }
+
+        history.push(`${i}: user ${userIndex} ${name}: ${description}`);
+
+        try {
+          await checkInvariants();
+        } catch (error) {
+          error.message = `Invariant broken with FUZZ_SEED=${seed} after:\n${history.join("\n")}\n${error.message}`;
+          throw error;
+        }
+      }
+    });
+  }
+});
\ No newline at end of file
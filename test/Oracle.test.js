@@ -5,6 +5,9 @@ describe("Oracle", () => {
   let deployer;
   let otherUser;
 
+  let accessController;
+  let AccessControllerFactory;
+
   let dataSource;
   let dataSourceAddress;
   let DataSourceFactory;
@@ -22,10 +25,14 @@ describe("Oracle", () => {
     deployer = signers[0];
     otherUser = signers[1];
 
-    DataSourceFactory = await ethers.getContractFactory('TeestSource');
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
+    DataSourceFactory = await ethers.getContractFactory('TestDataSource');
     OracleFactory = await ethers.getContractFactory('Oracle');
     TestTokenFactory = await ethers.getContractFactory('TestTokenERC20');
 
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
     testToken = await TestTokenFactory.deploy("Test Token", "TEST");
     await testToken.deployed();
     testTokenAddress = testToken.address;
@@ -36,21 +43,32 @@ describe("Oracle", () => {
   });
 
   beforeEach(async () => {
-    oracle = await OracleFactory.deploy(dataSourceAddress);
+    oracle = await OracleFactory.deploy(accessController.address, dataSourceAddress);
     await oracle.deployed();
     oracleAddress = oracle.address;
   });
 
   describe("#getUsageFeeInfo", () => {
     it("returns fee token and usage fee", async () => {
-        const feeToken = await oracle.getUsageFeeInfo(deployer.address)[0];
+        const [feeToken, usageFee] = await oracle.getUsageFeeInfo(deployer.address);
         expect(feeToken).to.equal(testTokenAddress);
-
-        const usageFee = await oracle.getUsageFeeInfo(deployer.address)[1];
         expect(usageFee).to.equal(parseEther("1"));
     });
   });
 
+  describe("#hasDataFeed", () => {
+    it("returns whether the data source has a data feed", async () => {
+        const initialHasDataFeed = await oracle.hasDataFeed(otherUser.address);
+        expect(initialHasDataFeed).to.be.false;
+
+        let tx = await dataSource.setLatestPrice(otherUser.address, parseEther("1"));
+        await tx.wait();
+
+        const hasDataFeed = await oracle.hasDataFeed(otherUser.address);
+        expect(hasDataFeed).to.be.true;
+    });
+  });
+
   describe("#getLatestPrice", () => {
     it("fails when fee token is not approved", async () => {
         let tx = await dataSource.setLatestPrice(deployer.address, parseEther("42"));
@@ -70,15 +88,369 @@ describe("Oracle", () => {
         let tx2 = await testToken.approve(oracleAddress, parseEther("1"));
         await tx2.wait();
 
+        const price = await oracle.callStatic.getLatestPrice(deployer.address);
+        expect(price).to.equal(parseEther("42"));
+
         let tx3 = await oracle.getLatestPrice(deployer.address);
         await tx3.wait();
-        expect(tx3).to.equal(parseEther("42"));
 
         let newDeployerBalance = await testToken.balanceOf(deployer.address);
-        expect(newDeployerBalance).to.equal(initialDeployerBalance - parseEther("1"));
+        expect(newDeployerBalance).to.equal(initialDeployerBalance.sub(parseEther("1")));
 
         let newDataSourceBalance = await testToken.balanceOf(dataSourceAddress);
-        expect(newDataSourceBalance).to.equal(initialDataSourceBalance + parseEther("1"));
+        expect(newDataSourceBalance).to.equal(initialDataSourceBalance.add(parseEther("1")));
+    });
+  });
+
+  describe("#getLatestPrice sanity checks", () => {
+    it("fails when the price is 0", async () => {
+        let tx = await dataSource.setLatestPrice(deployer.address, 0);
+        await tx.wait();
+
+        let tx2 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx2.wait();
+
+        let tx3 = oracle.getLatestPrice(deployer.address);
+        await expect(tx3).to.be.revertedWith("Oracle: Price is 0.");
+    });
+
+    it("fails when the data feed is not active", async () => {
+        let tx = await dataSource.setLatestPrice(otherUser.address, parseEther("42"));
+        await tx.wait();
+
+        let tx2 = await dataSource.setDataFeedStatus(otherUser.address, false);
+        await tx2.wait();
+
+        let tx3 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx3.wait();
+
+        let tx4 = oracle.getLatestPrice(otherUser.address);
+        await expect(tx4).to.be.revertedWith("Oracle: Data feed is not active.");
+
+        let tx5 = await dataSource.setDataFeedStatus(otherUser.address, true);
+        await tx5.wait();
+    });
+
+    it("fails when the price is stale", async () => {
+        let tx = await dataSource.setLatestPrice(deployer.address, parseEther("42"));
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [86401]);
+        await network.provider.send("evm_mine");
+
+        let tx2 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx2.wait();
+
+        let tx3 = oracle.getLatestPrice(deployer.address);
+        await expect(tx3).to.be.revertedWith("Oracle: Price is stale.");
+    });
+
+    it("uses the asset's max price age", async () => {
+        let tx = await dataSource.setLatestPrice(deployer.address, parseEther("42"));
+        await tx.wait();
+
+        let tx2 = await oracle.setAssetMaxPriceAge(deployer.address, 86400 * 2);
+        await tx2.wait();
+
+        await network.provider.send("evm_increaseTime", [86401]);
+        await network.provider.send("evm_mine");
+
+        let tx3 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx3.wait();
+
+        let tx4 = await oracle.getLatestPrice(deployer.address);
+        await tx4.wait();
+
+        const lastAcceptedPrice = await oracle.lastAcceptedPrice(deployer.address);
+        expect(lastAcceptedPrice).to.equal(parseEther("42"));
+    });
+
+    it("fails when the price deviates too much from the last accepted price", async () => {
+        let tx = await dataSource.setLatestPrice(deployer.address, parseEther("42"));
+        await tx.wait();
+
+        let tx2 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx2.wait();
+
+        let tx3 = await oracle.getLatestPrice(deployer.address);
+        await tx3.wait();
+
+        let tx4 = await dataSource.setLatestPrice(deployer.address, parseEther("60"));
+        await tx4.wait();
+
+        let tx5 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx5.wait();
+
+        let tx6 = oracle.getLatestPrice(deployer.address);
+        await expect(tx6).to.be.revertedWith("Oracle: Price deviation is too high.");
+
+        const lastAcceptedPrice = await oracle.lastAcceptedPrice(deployer.address);
+        expect(lastAcceptedPrice).to.equal(parseEther("42"));
+    });
+
+    it("uses the asset's max price deviation", async () => {
+        let tx = await dataSource.setLatestPrice(deployer.address, parseEther("42"));
+        await tx.wait();
+
+        let tx2 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx2.wait();
+
+        let tx3 = await oracle.getLatestPrice(deployer.address);
+        await tx3.wait();
+
+        let tx4 = await oracle.setAssetMaxPriceDeviation(deployer.address, 5000);
+        await tx4.wait();
+
+        let tx5 = await dataSource.setLatestPrice(deployer.address, parseEther("60"));
+        await tx5.wait();
+
+        let tx6 = await testToken.approve(oracleAddress, parseEther("1"));
+        await tx6.wait();
+
+        let tx7 = await oracle.getLatestPrice(deployer.address);
+        await tx7.wait();
+
+        const lastAcceptedPrice = await oracle.lastAcceptedPrice(deployer.address);
+        expect(lastAcceptedPrice).to.equal(parseEther("60"));
+    });
+  });
+
+  describe("#addDataSource", () => {
+    it("onlyOwner", async () => {
+        let tx = oracle.connect(otherUser).addDataSource(otherUser.address);
+        await expect(tx).to.be.reverted;
+
+        const numberOfDataSources = await oracle.numberOfDataSources();
+        expect(numberOfDataSources).to.equal(1);
+    });
+
+    it("data source is already registered", async () => {
+        let tx = oracle.addDataSource(dataSourceAddress);
+        await expect(tx).to.be.reverted;
+    });
+
+    it("meets requirements", async () => {
+        let tx = await oracle.addDataSource(otherUser.address);
+        await tx.wait();
+
+        const numberOfDataSources = await oracle.numberOfDataSources();
+        expect(numberOfDataSources).to.equal(2);
+
+        const address = await oracle.indexToDataSource(2);
+        expect(address).to.equal(otherUser.address);
+
+        const index = await oracle.dataSourceToIndex(otherUser.address);
+        expect(index).to.equal(2);
+    });
+  });
+
+  describe("multiple data sources", () => {
+    let dataSource2;
+    let dataSource3;
+    let asset;
+
+    beforeEach(async () => {
+        dataSource2 = await DataSourceFactory.deploy(testTokenAddress, parseEther("2"));
+        await dataSource2.deployed();
+
+        dataSource3 = await DataSourceFactory.deploy(testTokenAddress, parseEther("3"));
+        await dataSource3.deployed();
+
+        // Use a fresh asset address so that prices from other tests are not reused.
+        asset = ethers.Wallet.createRandom().address;
+
+        let tx = await oracle.addDataSource(dataSource2.address);
+        await tx.wait();
+
+        let tx2 = await oracle.addDataSource(dataSource3.address);
+        await tx2.wait();
+    });
+
+    describe("#setAssetDataSources", () => {
+        it("onlyOwner", async () => {
+            let tx = oracle.connect(otherUser).setAssetDataSources(asset, [dataSource2.address], false);
+            await expect(tx).to.be.reverted;
+
+            const sources = await oracle.getDataSources(asset);
+            expect(sources).to.deep.equal([dataSourceAddress]);
+        });
+
+        it("data source is not registered", async () => {
+            let tx = oracle.setAssetDataSources(asset, [dataSourceAddress, otherUser.address], false);
+            await expect(tx).to.be.reverted;
+        });
+
+        it("data sources use different fee tokens", async () => {
+            let otherToken = await TestTokenFactory.deploy("Other Token", "OTHER");
+            await otherToken.deployed();
+
+            let otherDataSource = await DataSourceFactory.deploy(otherToken.address, parseEther("1"));
+            await otherDataSource.deployed();
+
+            let tx = await oracle.addDataSource(otherDataSource.address);
+            await tx.wait();
+
+            let tx2 = oracle.setAssetDataSources(asset, [dataSourceAddress, otherDataSource.address], false);
+            await expect(tx2).to.be.revertedWith("Oracle: Data sources use different fee tokens.");
+        });
+
+        it("meets requirements", async () => {
+            let tx = await oracle.setAssetDataSources(asset, [dataSource2.address, dataSourceAddress], true);
+            await tx.wait();
+
+            const sources = await oracle.getDataSources(asset);
+            expect(sources).to.deep.equal([dataSource2.address, dataSourceAddress]);
+
+            const useMedianPrice = await oracle.useMedianPrice(asset);
+            expect(useMedianPrice).to.be.true;
+
+            const usageFeeInfo = await oracle.getUsageFeeInfo(asset);
+            expect(usageFeeInfo[0]).to.equal(testTokenAddress);
+            expect(usageFeeInfo[1]).to.equal(parseEther("3"));
+
+            let tx2 = await oracle.setAssetDataSources(asset, [], false);
+            await tx2.wait();
+
+            const newSources = await oracle.getDataSources(asset);
+            expect(newSources).to.deep.equal([dataSourceAddress]);
+        });
+    });
+
+    describe("#getLatestPrice with fallback", () => {
+        beforeEach(async () => {
+            let tx = await oracle.setAssetDataSources(asset, [dataSource2.address, dataSource3.address], false);
+            await tx.wait();
+
+            let tx2 = await testToken.approve(oracleAddress, parseEther("5"));
+            await tx2.wait();
+        });
+
+        it("uses the primary data source and only pulls its usage fee", async () => {
+            let tx = await dataSource2.setLatestPrice(asset, parseEther("42"));
+            await tx.wait();
+
+            let tx2 = await dataSource3.setLatestPrice(asset, parseEther("50"));
+            await tx2.wait();
+
+            const initialBalance = await testToken.balanceOf(deployer.address);
+
+            let tx3 = await oracle.getLatestPrice(asset);
+            await tx3.wait();
+
+            const lastAcceptedPrice = await oracle.lastAcceptedPrice(asset);
+            expect(lastAcceptedPrice).to.equal(parseEther("42"));
+
+            const newBalance = await testToken.balanceOf(deployer.address);
+            expect(initialBalance.sub(newBalance)).to.equal(parseEther("2"));
+        });
+
+        it("falls back when the primary data source's price is invalid", async () => {
+            let tx = await dataSource2.setLatestPrice(asset, 0);
+            await tx.wait();
+
+            let tx2 = await dataSource3.setLatestPrice(asset, parseEther("50"));
+            await tx2.wait();
+
+            let tx3 = await oracle.getLatestPrice(asset);
+            await tx3.wait();
+
+            const lastAcceptedPrice = await oracle.lastAcceptedPrice(asset);
+            expect(lastAcceptedPrice).to.equal(parseEther("50"));
+        });
+
+        it("fails when no data source returns a valid price", async () => {
+            let tx = await dataSource2.setLatestPrice(asset, parseEther("42"));
+            await tx.wait();
+
+            let tx2 = await dataSource2.setDataFeedStatus(asset, false);
+            await tx2.wait();
+
+            let tx3 = await dataSource3.setLatestPrice(asset, 0);
+            await tx3.wait();
+
+            let tx4 = oracle.getLatestPrice(asset);
+            await expect(tx4).to.be.revertedWith("Oracle: Price is 0.");
+        });
+    });
+
+    describe("#getLatestPrice with median", () => {
+        beforeEach(async () => {
+            let tx = await oracle.setAssetDataSources(asset, [dataSourceAddress, dataSource2.address, dataSource3.address], true);
+            await tx.wait();
+
+            let tx2 = await testToken.approve(oracleAddress, parseEther("6"));
+            await tx2.wait();
+        });
+
+        it("uses the median of the valid prices", async () => {
+            let tx = await dataSource.setLatestPrice(asset, parseEther("40"));
+            await tx.wait();
+
+            let tx2 = await dataSource2.setLatestPrice(asset, parseEther("100"));
+            await tx2.wait();
+
+            let tx3 = await dataSource3.setLatestPrice(asset, parseEther("42"));
+            await tx3.wait();
+
+            let tx4 = await oracle.getLatestPrice(asset);
+            await tx4.wait();
+
+            const lastAcceptedPrice = await oracle.lastAcceptedPrice(asset);
+            expect(lastAcceptedPrice).to.equal(parseEther("42"));
+        });
+
+        it("ignores invalid prices", async () => {
+            let tx = await dataSource.setLatestPrice(asset, parseEther("40"));
+            await tx.wait();
+
+            let tx2 = await dataSource2.setLatestPrice(asset, 0);
+            await tx2.wait();
+
+            let tx3 = await dataSource3.setLatestPrice(asset, parseEther("44"));
+            await tx3.wait();
+
+            let tx4 = await oracle.getLatestPrice(asset);
+            await tx4.wait();
+
+            const lastAcceptedPrice = await oracle.lastAcceptedPrice(asset);
+            expect(lastAcceptedPrice).to.equal(parseEther("42"));
+        });
+    });
+  });
+
+  describe("#setMaxPriceAge", () => {
+    it("onlyOwner", async () => {
+        let tx = oracle.connect(otherUser).setMaxPriceAge(100);
+        await expect(tx).to.be.reverted;
+
+        const maxPriceAge = await oracle.maxPriceAge();
+        expect(maxPriceAge).to.equal(86400);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await oracle.setMaxPriceAge(100);
+        await tx.wait();
+
+        const maxPriceAge = await oracle.maxPriceAge();
+        expect(maxPriceAge).to.equal(100);
+    });
+  });
+
+  describe("#setMaxPriceDeviation", () => {
+    it("onlyOwner", async () => {
+        let tx = oracle.connect(otherUser).setMaxPriceDeviation(100);
+        await expect(tx).to.be.reverted;
+
+        const maxPriceDeviation = await oracle.maxPriceDeviation();
+        expect(maxPriceDeviation).to.equal(2000);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await oracle.setMaxPriceDeviation(100);
+        await tx.wait();
+
+        const maxPriceDeviation = await oracle.maxPriceDeviation();
+        expect(maxPriceDeviation).to.equal(100);
     });
   });
 });
\ No newline at end of file
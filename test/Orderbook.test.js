@@ -0,0 +1,954 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("Orderbook", () => {
+  let deployer;
+  let otherUser;
+  let thirdUser;
+
+  let accessController;
+  let AccessControllerFactory;
+
+  let stablecoin;
+  let syntheticAsset;
+  let feeToken;
+  let TestTokenFactory;
+
+  let dataSource;
+  let DataSourceFactory;
+
+  let oracle;
+  let OracleFactory;
+
+  let protocolSettings;
+  let ProtocolSettingsFactory;
+
+  let userSettings;
+  let UserSettingsFactory;
+
+  let circuitBreaker;
+  let CircuitBreakerFactory;
+
+  let orderbookFactory;
+  let OrderbookFactoryFactory;
+
+  let router;
+  let RouterFactory;
+
+  let feeDistributor;
+
+  let orderbook;
+  let orderbookAddress;
+  let sellOrderbook;
+  let orderbookBeacon;
+  let OrderbookFactory;
+
+  // Deploys a BeaconProxy for the beacon's implementation and initializes it with the given arguments.
+  const deployProxy = async (beacon, ContractFactory, args) => {
+    const BeaconProxyFactory = await ethers.getContractFactory("BeaconProxy");
+    const data = ContractFactory.interface.encodeFunctionData("initialize", args);
+    const proxy = await BeaconProxyFactory.deploy(beacon.address, data);
+    await proxy.deployed();
+
+    return ContractFactory.attach(proxy.address);
+  };
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+    thirdUser = signers[2];
+
+    AccessControllerFactory = await ethers.getContractFactory("AccessController");
+    TestTokenFactory = await ethers.getContractFactory("TestTokenERC20");
+    DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+    OracleFactory = await ethers.getContractFactory("Oracle");
+    ProtocolSettingsFactory = await ethers.getContractFactory("ProtocolSettings");
+    UserSettingsFactory = await ethers.getContractFactory("UserSettings");
+    CircuitBreakerFactory = await ethers.getContractFactory("CircuitBreaker");
+    OrderbookFactoryFactory = await ethers.getContractFactory("TestOrderbookFactory");
+    RouterFactory = await ethers.getContractFactory("Router");
+    OrderbookFactory = await ethers.getContractFactory("Orderbook");
+
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    stablecoin = await TestTokenFactory.deploy("Stablecoin", "CUSD");
+    await stablecoin.deployed();
+
+    syntheticAsset = await TestTokenFactory.deploy("Synthetic Asset", "SYNTH");
+    await syntheticAsset.deployed();
+
+    feeToken = await TestTokenFactory.deploy("Fee Token", "FEE");
+    await feeToken.deployed();
+
+    dataSource = await DataSourceFactory.deploy(feeToken.address, parseEther("1"));
+    await dataSource.deployed();
+
+    oracle = await OracleFactory.deploy(accessController.address, dataSource.address);
+    await oracle.deployed();
+
+    protocolSettings = await ProtocolSettingsFactory.deploy(accessController.address);
+    await protocolSettings.deployed();
+
+    circuitBreaker = await CircuitBreakerFactory.deploy(accessController.address);
+    await circuitBreaker.deployed();
+
+    orderbookFactory = await OrderbookFactoryFactory.deploy();
+    await orderbookFactory.deployed();
+
+    // Use deployer as the Treasury.
+    const FeeDistributorFactory = await ethers.getContractFactory("FeeDistributor");
+    feeDistributor = await FeeDistributorFactory.deploy(deployer.address, stablecoin.address, deployer.address, deployer.address);
+    await feeDistributor.deployed();
+
+    const orderbookImplementation = await OrderbookFactory.deploy();
+    await orderbookImplementation.deployed();
+
+    const UpgradeableBeaconFactory = await ethers.getContractFactory("UpgradeableBeacon");
+    orderbookBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, orderbookImplementation.address);
+    await orderbookBeacon.deployed();
+
+    let tx = await stablecoin.transfer(otherUser.address, parseEther("100000"));
+    await tx.wait();
+
+    let tx2 = await stablecoin.transfer(thirdUser.address, parseEther("100000"));
+    await tx2.wait();
+  });
+
+  beforeEach(async () => {
+    userSettings = await UserSettingsFactory.deploy(protocolSettings.address);
+    await userSettings.deployed();
+
+    // Use deployer as the SyntheticAssetTokenRegistry.
+    router = await RouterFactory.deploy(accessController.address, orderbookFactory.address, deployer.address, oracle.address, protocolSettings.address, stablecoin.address, deployer.address, feeDistributor.address);
+    await router.deployed();
+
+    orderbook = await deployProxy(orderbookBeacon, OrderbookFactory, [router.address, oracle.address, protocolSettings.address, userSettings.address, circuitBreaker.address, stablecoin.address, syntheticAsset.address, true]);
+    await orderbook.deployed();
+    orderbookAddress = orderbook.address;
+
+    sellOrderbook = await deployProxy(orderbookBeacon, OrderbookFactory, [router.address, oracle.address, protocolSettings.address, userSettings.address, circuitBreaker.address, stablecoin.address, syntheticAsset.address, false]);
+    await sellOrderbook.deployed();
+
+    let tx = await orderbookFactory.setOrderbooks(orderbookAddress, sellOrderbook.address);
+    await tx.wait();
+
+    let tx2 = await router.createOrderbooks(syntheticAsset.address);
+    await tx2.wait();
+
+    let tx3 = await dataSource.setLatestPrice(syntheticAsset.address, parseEther("2"));
+    await tx3.wait();
+
+    let tx4 = await stablecoin.connect(otherUser).approve(orderbookAddress, parseEther("1000"));
+    await tx4.wait();
+
+    let tx5 = await stablecoin.connect(thirdUser).approve(orderbookAddress, parseEther("1000"));
+    await tx5.wait();
+
+    let tx6 = await syntheticAsset.approve(orderbookAddress, parseEther("1000"));
+    await tx6.wait();
+
+    let tx7 = await feeToken.approve(orderbookAddress, parseEther("1000"));
+    await tx7.wait();
+  });
+
+  describe("#placeOrder", () => {
+    it("order placement is paused", async () => {
+        let tx = await circuitBreaker.pause(1, 3600);
+        await tx.wait();
+
+        let tx2 = orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await expect(tx2).to.be.reverted;
+
+        let tx3 = await circuitBreaker.unpause(1);
+        await tx3.wait();
+    });
+
+    it("places a pending order", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), parseEther("3"), 0, 0);
+        await tx.wait();
+
+        const orderInfo = await orderbook.getOrderInfo(1);
+        expect(orderInfo[0]).to.equal(parseEther("100"));
+        expect(orderInfo[1]).to.equal(0);
+        expect(orderInfo[2]).to.equal(0);
+        expect(orderInfo[4]).to.equal(parseEther("3"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(1);
+        expect(userOrders[0]).to.equal(1);
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(parseEther("100"));
+
+        const balance = await stablecoin.balanceOf(orderbookAddress);
+        expect(balance).to.equal(parseEther("100"));
+    });
+
+    it("places multiple pending orders for the same user", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), parseEther("1.5"), 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(otherUser).placeOrder(true, parseEther("50"), parseEther("2.5"), 0, 0);
+        await tx2.wait();
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(2);
+        expect(userOrders[0]).to.equal(1);
+        expect(userOrders[1]).to.equal(2);
+
+        // Only the second order's limit price allows it to be filled at the oracle price.
+        let tx3 = await orderbook.placeOrder(false, parseEther("50"), 0, 0, 0);
+        await tx3.wait();
+
+        const firstOrderInfo = await orderbook.getOrderInfo(1);
+        expect(firstOrderInfo[1]).to.equal(0);
+
+        const secondOrderInfo = await orderbook.getOrderInfo(2);
+        expect(secondOrderInfo[1]).to.equal(parseEther("50"));
+
+        const availableTokens = await orderbook.getAvailableTokensForUser(otherUser.address);
+        expect(availableTokens).to.equal(parseEther("25"));
+
+        const availableDollarAmount = await orderbook.getAvailableDollarAmount(otherUser.address);
+        expect(availableDollarAmount).to.equal(parseEther("50"));
+    });
+
+    it("places a pending order in the sell orderbook", async () => {
+        let tx = await syntheticAsset.approve(sellOrderbook.address, parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await sellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        const orderInfo = await sellOrderbook.getOrderInfo(1);
+        expect(orderInfo[0]).to.equal(parseEther("100"));
+        expect(orderInfo[1]).to.equal(0);
+
+        const availableTokensInOrderbook = await sellOrderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(parseEther("100"));
+
+        const balance = await syntheticAsset.balanceOf(sellOrderbook.address);
+        expect(balance).to.equal(parseEther("100"));
+    });
+
+    it("executes instantly at the oracle price", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        const initialSyntheticAssetBalance = await syntheticAsset.balanceOf(deployer.address);
+
+        let tx2 = await orderbook.placeOrder(false, parseEther("50"), 0, 0, 0);
+        await tx2.wait();
+
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("50"));
+
+        const newSyntheticAssetBalance = await syntheticAsset.balanceOf(deployer.address);
+        expect(initialSyntheticAssetBalance.sub(newSyntheticAssetBalance)).to.equal(parseEther("25"));
+
+        const orderInfo = await orderbook.getOrderInfo(1);
+        expect(orderInfo[1]).to.equal(parseEther("50"));
+        expect(orderInfo[2]).to.equal(parseEther("2"));
+
+        const availableTokens = await orderbook.getAvailableTokensForUser(otherUser.address);
+        expect(availableTokens).to.equal(parseEther("25"));
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(parseEther("50"));
+
+        const numberOfObservations = await router.getNumberOfObservations(syntheticAsset.address);
+        expect(numberOfObservations).to.equal(1);
+    });
+
+    it("returns the amount that exceeds the open orders as the remainder", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.placeOrder(false, parseEther("40"), 0, 0, 0);
+        await expect(tx2).to.emit(orderbook, "ExecutedOrder").withArgs(deployer.address, parseEther("40"), parseEther("2"), 0, 0);
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("110"), 0, 0, 0);
+        await expect(tx3).to.emit(orderbook, "ExecutedOrder").withArgs(deployer.address, parseEther("60"), parseEther("2"), parseEther("50"), 0);
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(0);
+    });
+
+    it("charges the taker fee", async () => {
+        let tx = await router.setTradingFeeOverride(syntheticAsset.address, { isEnabled: true, takerFee: 100, marketMakerFee: 0 });
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        const initialCollectedFees = await feeDistributor.collectedFees(syntheticAsset.address, await feeDistributor.TRADING());
+
+        let tx3 = orderbook.placeOrder(false, parseEther("50"), 0, parseEther("49.6"), 0);
+        await expect(tx3).to.be.revertedWith("Orderbook: Amount out is below the minimum.");
+
+        let tx4 = await orderbook.placeOrder(false, parseEther("50"), 0, parseEther("49.5"), 0);
+        await tx4.wait();
+
+        // The 1% taker fee is deducted from the stablecoin received.
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("49.5"));
+
+        const collectedFees = await feeDistributor.collectedFees(syntheticAsset.address, await feeDistributor.TRADING());
+        expect(collectedFees.sub(initialCollectedFees)).to.equal(parseEther("0.5"));
+
+        const availableTokens = await orderbook.getAvailableTokensForUser(otherUser.address);
+        expect(availableTokens).to.equal(parseEther("25"));
+    });
+
+    it("skips pending orders whose limit price is crossed", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), parseEther("1.5"), 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx2.wait();
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("150"), 0, 0, 0);
+        await tx3.wait();
+
+        const otherUserOrderInfo = await orderbook.getOrderInfo(1);
+        expect(otherUserOrderInfo[1]).to.equal(0);
+
+        const thirdUserOrderInfo = await orderbook.getOrderInfo(2);
+        expect(thirdUserOrderInfo[1]).to.equal(parseEther("100"));
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(parseEther("100"));
+
+        const firstOrderIndex = await orderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(1);
+
+        const lastOrderIndex = await orderbook.lastOrderIndex();
+        expect(lastOrderIndex).to.equal(1);
+    });
+
+    it("fills pending orders behind more skipped orders than the execution limit", async () => {
+        const maxOrdersPerExecution = (await orderbook.MAX_ORDERS_PER_EXECUTION()).toNumber();
+
+        for (let i = 0; i <= maxOrdersPerExecution; i++) {
+            let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("1"), parseEther("1.5"), 0, 0);
+            await tx.wait();
+        }
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("10"), 0, 0, 0);
+        await expect(tx3).to.emit(orderbook, "ExecutedOrder").withArgs(deployer.address, parseEther("10"), parseEther("2"), 0, 0);
+
+        const thirdUserOrderInfo = await orderbook.getOrderInfo(maxOrdersPerExecution + 2);
+        expect(thirdUserOrderInfo[1]).to.equal(parseEther("10"));
+
+        const availableTokensForOtherUser = await orderbook.getAvailableTokensForUser(otherUser.address);
+        expect(availableTokensForOtherUser).to.equal(0);
+    });
+
+    it("stops looking for pending orders to fill after the visit limit", async () => {
+        const maxOrdersVisited = (await orderbook.MAX_ORDERS_VISITED()).toNumber();
+        const maxOrdersPerUser = (await orderbook.MAX_ORDERS_PER_USER()).toNumber();
+
+        let tx = await stablecoin.approve(orderbookAddress, parseEther("1000"));
+        await tx.wait();
+
+        // Fill the front of the queue with orders whose limit price is crossed at the oracle price.
+        const users = [otherUser, thirdUser, deployer];
+        for (let i = 0; i < maxOrdersVisited; i++) {
+            let tx2 = await orderbook.connect(users[Math.floor(i / maxOrdersPerUser)]).placeOrder(true, parseEther("1"), parseEther("1.5"), 0, 0);
+            await tx2.wait();
+        }
+
+        let tx3 = await orderbook.placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx3.wait();
+
+        // The order behind the skipped orders is out of reach, so the instant order doesn't fill.
+        let tx4 = await orderbook.placeOrder(false, parseEther("10"), 0, 0, 0);
+        await expect(tx4).to.emit(orderbook, "ExecutedOrder").withArgs(deployer.address, 0, parseEther("2"), parseEther("10"), 0);
+
+        const orderInfo = await orderbook.getOrderInfo(maxOrdersVisited + 1);
+        expect(orderInfo[1]).to.equal(0);
+    });
+
+    it("order size is below the minimum", async () => {
+        let tx = orderbook.connect(otherUser).placeOrder(true, parseEther("0.5"), 0, 0, 0);
+        await expect(tx).to.be.revertedWith("Orderbook: Order size is below the minimum.");
+
+        // Instant orders can be smaller than the minimum.
+        let tx2 = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("0.5"), 0, 0, 0);
+        await tx3.wait();
+
+        const orderInfo = await orderbook.getOrderInfo(1);
+        expect(orderInfo[1]).to.equal(parseEther("0.5"));
+    });
+
+    it("sell order value is below the minimum", async () => {
+        let tx = await syntheticAsset.approve(sellOrderbook.address, parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await feeToken.approve(sellOrderbook.address, parseEther("1000"));
+        await tx2.wait();
+
+        // Sell orders are valued at the oracle price of 2, so 0.4 tokens are worth 0.8 stablecoin.
+        let tx3 = sellOrderbook.placeOrder(false, parseEther("0.4"), 0, 0, 0);
+        await expect(tx3).to.be.revertedWith("Orderbook: Order size is below the minimum.");
+
+        let tx4 = await sellOrderbook.placeOrder(false, parseEther("0.5"), 0, 0, 0);
+        await tx4.wait();
+
+        const orderInfo = await sellOrderbook.getOrderInfo(1);
+        expect(orderInfo[0]).to.equal(parseEther("0.5"));
+    });
+
+    it("oracle price crosses the limit price", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = orderbook.placeOrder(false, parseEther("50"), parseEther("3"), 0, 0);
+        await expect(tx2).to.be.revertedWith("Orderbook: Oracle price crosses the limit price.");
+    });
+
+    it("amount out is below the minimum", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = orderbook.placeOrder(false, parseEther("150"), 0, parseEther("150"), 0);
+        await expect(tx2).to.be.revertedWith("Orderbook: Amount out is below the minimum.");
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("150"), 0, parseEther("100"), 0);
+        await tx3.wait();
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(0);
+    });
+  });
+
+  describe("#placeOrderWithPermit", () => {
+    // Signs a permit for otherUser's stablecoin, with the given signer standing in for otherUser.
+    const signPermit = async (signer, value, deadline) => {
+        const nonce = await stablecoin.nonces(otherUser.address);
+
+        const signature = await signer._signTypedData(
+          { name: "Stablecoin", version: "1", chainId: 31337, verifyingContract: stablecoin.address },
+          {
+            Permit: [
+              { name: "owner", type: "address" },
+              { name: "spender", type: "address" },
+              { name: "value", type: "uint256" },
+              { name: "nonce", type: "uint256" },
+              { name: "deadline", type: "uint256" }
+            ]
+          },
+          { owner: otherUser.address, spender: orderbookAddress, value: value, nonce: nonce, deadline: deadline }
+        );
+        return ethers.utils.splitSignature(signature);
+    };
+
+    it("meets requirements", async () => {
+        const block = await ethers.provider.getBlock("latest");
+        const deadline = block.timestamp + 1000;
+        const { v, r, s } = await signPermit(otherUser, parseEther("100"), deadline);
+
+        let tx = await orderbook.connect(otherUser).placeOrderWithPermit(true, parseEther("100"), 0, 0, 0, parseEther("100"), deadline, v, r, s);
+        await tx.wait();
+
+        const orderInfo = await orderbook.getOrderInfo(1);
+        expect(orderInfo[0]).to.equal(parseEther("100"));
+
+        const allowance = await stablecoin.allowance(otherUser.address, orderbookAddress);
+        expect(allowance).to.equal(0);
+    });
+
+    it("permit was already used", async () => {
+        const block = await ethers.provider.getBlock("latest");
+        const deadline = block.timestamp + 1000;
+        const { v, r, s } = await signPermit(otherUser, parseEther("100"), deadline);
+
+        // Someone else submits the permit before the user's transaction.
+        let tx = await stablecoin.connect(thirdUser).permit(otherUser.address, orderbookAddress, parseEther("100"), deadline, v, r, s);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(otherUser).placeOrderWithPermit(true, parseEther("100"), 0, 0, 0, parseEther("100"), deadline, v, r, s);
+        await tx2.wait();
+
+        const orderInfo = await orderbook.getOrderInfo(1);
+        expect(orderInfo[0]).to.equal(parseEther("100"));
+    });
+
+    it("permit failed", async () => {
+        let tx = await stablecoin.connect(otherUser).approve(orderbookAddress, 0);
+        await tx.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const deadline = block.timestamp + 1000;
+        const { v, r, s } = await signPermit(thirdUser, parseEther("100"), deadline);
+
+        let tx2 = orderbook.connect(otherUser).placeOrderWithPermit(true, parseEther("100"), 0, 0, 0, parseEther("100"), deadline, v, r, s);
+        await expect(tx2).to.be.revertedWith("Orderbook: Permit failed.");
+    });
+  });
+
+  describe("#placeOrderFor", () => {
+    it("onlyRouter", async () => {
+        let tx = orderbook.connect(otherUser).placeOrderFor(otherUser.address, true, parseEther("100"), 0, 0, 0);
+        await expect(tx).to.be.revertedWith("Orderbook: Only the Router contract can call this function.");
+    });
+  });
+
+  describe("#cancelOrder", () => {
+    it("onlyOrderUser", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = orderbook.connect(thirdUser).cancelOrder(1, parseEther("10"), false);
+        await expect(tx2).to.be.reverted;
+
+        let tx3 = orderbook.connect(otherUser).cancelOrder(2, parseEther("10"), false);
+        await expect(tx3).to.be.reverted;
+    });
+
+    it("amount cancelled exceeds the order size", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.placeOrder(false, parseEther("60"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = orderbook.connect(otherUser).cancelOrder(1, parseEther("50"), false);
+        await expect(tx3).to.be.revertedWith("Orderbook: Amount cancelled exceeds the order size.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.placeOrder(false, parseEther("60"), 0, 0, 0);
+        await tx2.wait();
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        const initialSyntheticAssetBalance = await syntheticAsset.balanceOf(otherUser.address);
+
+        let tx3 = await orderbook.connect(otherUser).cancelOrder(1, 0, true);
+        await tx3.wait();
+
+        const newStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("40"));
+
+        const newSyntheticAssetBalance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(newSyntheticAssetBalance.sub(initialSyntheticAssetBalance)).to.equal(parseEther("30"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(0);
+
+        const firstOrderIndex = await orderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(0);
+    });
+  });
+
+  describe("#claimTokens", () => {
+    it("user has no tokens to claim", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = orderbook.connect(otherUser).claimTokens(1);
+        await expect(tx2).to.be.revertedWith("Orderbook: User has no tokens to claim.");
+
+        let tx3 = orderbook.connect(thirdUser).claimTokens(1);
+        await expect(tx3).to.be.reverted;
+    });
+
+    it("meets requirements", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        const initialBalance = await syntheticAsset.balanceOf(otherUser.address);
+
+        let tx3 = await orderbook.connect(otherUser).claimTokens(1);
+        await tx3.wait();
+
+        const newBalance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("50"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(0);
+
+        const orderInfo = await orderbook.getOrderInfo(1);
+        expect(orderInfo[0]).to.equal(parseEther("100"));
+        expect(orderInfo[1]).to.equal(parseEther("100"));
+        expect(orderInfo[2]).to.equal(parseEther("2"));
+    });
+  });
+
+  describe("#claimAllTokens", () => {
+    it("user has no tokens to claim", async () => {
+        let tx = orderbook.connect(otherUser).claimAllTokens();
+        await expect(tx).to.be.revertedWith("Orderbook: User has no tokens to claim.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(otherUser).placeOrder(true, parseEther("40"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = await orderbook.connect(otherUser).placeOrder(true, parseEther("60"), 0, 0, 0);
+        await tx3.wait();
+
+        // Fills the first two orders and part of the third order.
+        let tx4 = await orderbook.placeOrder(false, parseEther("160"), 0, 0, 0);
+        await tx4.wait();
+
+        const initialBalance = await syntheticAsset.balanceOf(otherUser.address);
+
+        let tx5 = await orderbook.connect(otherUser).claimAllTokens();
+        await tx5.wait();
+
+        const newBalance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("80"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(1);
+        expect(userOrders[0]).to.equal(3);
+
+        const availableTokens = await orderbook.getAvailableTokensForUser(otherUser.address);
+        expect(availableTokens).to.equal(0);
+    });
+  });
+
+  describe("#cancelExpiredOrders", () => {
+    it("expiry is in the past", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, block.timestamp - 1);
+        await expect(tx).to.be.revertedWith("Orderbook: Expiry must be in the future.");
+    });
+
+    it("expired orders are skipped", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, block.timestamp + 100);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        await network.provider.send("evm_increaseTime", [101]);
+        await network.provider.send("evm_mine");
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("50"), 0, 0, 0);
+        await tx3.wait();
+
+        const expiredOrderInfo = await orderbook.getOrderInfo(1);
+        expect(expiredOrderInfo[1]).to.equal(0);
+
+        const orderInfo = await orderbook.getOrderInfo(2);
+        expect(orderInfo[1]).to.equal(parseEther("50"));
+
+        let tx4 = orderbook.executeOrderAsMarketMaker(1);
+        await expect(tx4).to.be.revertedWith("Orderbook: Order has expired.");
+    });
+
+    it("meets requirements", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, block.timestamp + 100);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        let expiredOrders = await orderbook.getExpiredOrders(10);
+        expect(expiredOrders.length).to.equal(0);
+
+        await network.provider.send("evm_increaseTime", [101]);
+        await network.provider.send("evm_mine");
+
+        expiredOrders = await orderbook.getExpiredOrders(10);
+        expect(expiredOrders.length).to.equal(1);
+        expect(expiredOrders[0]).to.equal(1);
+
+        const initialUserBalance = await stablecoin.balanceOf(otherUser.address);
+        const initialKeeperBalance = await stablecoin.balanceOf(deployer.address);
+
+        // The order that has not expired is skipped.
+        let tx3 = await orderbook.cancelExpiredOrders([1, 2]);
+        await tx3.wait();
+
+        // Default bounty is 0.1%.
+        const newUserBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(newUserBalance.sub(initialUserBalance)).to.equal(parseEther("99.9"));
+
+        const newKeeperBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newKeeperBalance.sub(initialKeeperBalance)).to.equal(parseEther("0.1"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(0);
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(parseEther("100"));
+
+        const firstOrderIndex = await orderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(2);
+    });
+  });
+
+  describe("#refundOrders", () => {
+    it("orderbook has not been settled", async () => {
+        let tx = orderbook.refundOrders(10);
+        await expect(tx).to.be.revertedWith("Orderbook: Orderbook has not been settled.");
+    });
+
+    it("onlyRouter", async () => {
+        let tx = orderbook.settle();
+        await expect(tx).to.be.revertedWith("Orderbook: Only the Router contract can call this function.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("50"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = await orderbook.placeOrder(false, parseEther("60"), 0, 0, 0);
+        await tx3.wait();
+
+        // Use deployer as the SyntheticAssetTokenRegistry.
+        let tx4 = await router.settleOrderbooks(syntheticAsset.address);
+        await tx4.wait();
+
+        const isSettled = await orderbook.isSettled();
+        expect(isSettled).to.be.true;
+
+        let tx5 = orderbook.connect(otherUser).placeOrder(true, parseEther("10"), 0, 0, 0);
+        await expect(tx5).to.be.revertedWith("Orderbook: Cannot place orders when trading is paused.");
+
+        let tx6 = orderbook.executeOrderAsMarketMaker(2);
+        await expect(tx6).to.be.revertedWith("Orderbook: Orderbook has been settled.");
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        const initialSyntheticAssetBalance = await syntheticAsset.balanceOf(otherUser.address);
+
+        let tx7 = await orderbook.refundOrders(1);
+        await tx7.wait();
+
+        const newStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("40"));
+
+        const newSyntheticAssetBalance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(newSyntheticAssetBalance.sub(initialSyntheticAssetBalance)).to.equal(parseEther("30"));
+
+        const numberOfRefundedOrders = await orderbook.numberOfRefundedOrders();
+        expect(numberOfRefundedOrders).to.equal(1);
+
+        const initialThirdUserBalance = await stablecoin.balanceOf(thirdUser.address);
+
+        let tx8 = await orderbook.connect(thirdUser).refundOrders(10);
+        await tx8.wait();
+
+        const thirdUserBalance = await stablecoin.balanceOf(thirdUser.address);
+        expect(thirdUserBalance.sub(initialThirdUserBalance)).to.equal(parseEther("50"));
+
+        const totalOpenAmount = await orderbook.totalOpenAmount();
+        expect(totalOpenAmount).to.equal(0);
+
+        const firstOrderIndex = await orderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(0);
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(0);
+
+        let tx9 = orderbook.refundOrders(10);
+        await expect(tx9).to.be.revertedWith("Orderbook: No orders to refund.");
+    });
+  });
+
+  describe("#executeOrderAsMarketMaker", () => {
+    it("order is out of bounds", async () => {
+        let tx = orderbook.executeOrderAsMarketMaker(1);
+        await expect(tx).to.be.reverted;
+    });
+
+    it("discount starts after the minimum time from when the order was placed", async () => {
+        let tx = await userSettings.connect(thirdUser).registerUser(600, 3600, 1000, 100);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = orderbook.executeOrderAsMarketMaker(1);
+        await expect(tx3).to.be.revertedWith("Orderbook: Order is not ready to be filled by a market maker.");
+
+        const order = await orderbook.orders(1);
+        await network.provider.send("evm_setNextBlockTimestamp", [order.timestamp.add(600).toNumber()]);
+
+        const initialBalance = await syntheticAsset.balanceOf(thirdUser.address);
+
+        // Filled at the starting discount of 1%.
+        let tx4 = await orderbook.executeOrderAsMarketMaker(1);
+        await expect(tx4).to.emit(orderbook, "ExecutedOrderAsMarketMaker").withArgs(deployer.address, thirdUser.address, 1, parseEther("100"), parseEther("2"), 100, 0);
+
+        const newBalance = await syntheticAsset.balanceOf(thirdUser.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("49.5"));
+    });
+
+    it("discounted price crosses the limit price", async () => {
+        let tx = await userSettings.connect(thirdUser).registerUser(600, 3600, 1000, 100);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx2.wait();
+
+        let tx3 = orderbook.executeOrderAsMarketMaker(1);
+        await expect(tx3).to.be.revertedWith("Orderbook: Order is not ready to be filled by a market maker.");
+
+        await network.provider.send("evm_increaseTime", [600]);
+        await network.provider.send("evm_mine");
+
+        let tx4 = orderbook.executeOrderAsMarketMaker(1);
+        await expect(tx4).to.be.revertedWith("Orderbook: Execution price crosses the order\x27s limit price.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx.wait();
+
+        const initialBalance = await syntheticAsset.balanceOf(otherUser.address);
+
+        let tx2 = await orderbook.executeOrderAsMarketMaker(1);
+        await tx2.wait();
+
+        const newBalance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("50"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(0);
+
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(0);
+    });
+
+    it("charges the market maker fee", async () => {
+        let tx = await router.setTradingFeeOverride(syntheticAsset.address, { isEnabled: true, takerFee: 0, marketMakerFee: 100 });
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        const initialCollectedFees = await feeDistributor.collectedFees(syntheticAsset.address, await feeDistributor.TRADING());
+
+        let tx3 = await orderbook.executeOrderAsMarketMaker(1);
+        await tx3.wait();
+
+        // The 1% market maker fee is deducted from the stablecoin received.
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("99"));
+
+        const collectedFees = await feeDistributor.collectedFees(syntheticAsset.address, await feeDistributor.TRADING());
+        expect(collectedFees.sub(initialCollectedFees)).to.equal(parseEther("1"));
+    });
+  });
+
+  describe("#executeOrdersAsMarketMaker", () => {
+    beforeEach(async () => {
+        // The third user's orders can be filled by a market maker 600 seconds after they are placed.
+        let tx = await userSettings.connect(thirdUser).registerUser(600, 3600, 1000, 100);
+        await tx.wait();
+    });
+
+    it("number of orders is out of bounds", async () => {
+        let tx = orderbook.executeOrdersAsMarketMaker(new Array(26).fill(1));
+        await expect(tx).to.be.revertedWith("Orderbook: Number of orders is out of bounds.");
+    });
+
+    it("no orders were executed", async () => {
+        let tx = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx.wait();
+
+        let tx2 = orderbook.executeOrdersAsMarketMaker([1, 2]);
+        await expect(tx2).to.be.revertedWith("Orderbook: No orders were executed.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx2.wait();
+
+        let tx3 = await orderbook.connect(otherUser).placeOrder(true, parseEther("50"), 0, 0, 0);
+        await tx3.wait();
+
+        const initialBalance = await syntheticAsset.balanceOf(otherUser.address);
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+
+        let tx4 = await orderbook.executeOrdersAsMarketMaker([1, 2, 3]);
+        await tx4.wait();
+
+        const newBalance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("75"));
+
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("150"));
+
+        const userOrders = await orderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(0);
+
+        // The third user's order is skipped because it is not ready to be filled.
+        const availableTokensInOrderbook = await orderbook.getAvailableTokensInOrderbook();
+        expect(availableTokensInOrderbook).to.equal(parseEther("100"));
+    });
+  });
+
+  describe("#getMarketMakerQuotes", () => {
+    beforeEach(async () => {
+        // The third user's orders can be filled by a market maker 600 seconds after they are placed.
+        let tx = await userSettings.connect(thirdUser).registerUser(600, 3600, 1000, 100);
+        await tx.wait();
+    });
+
+    it("quotes eligible orders", async () => {
+        let tx = await orderbook.connect(otherUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx.wait();
+
+        let tx2 = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), parseEther("2"), 0, 0);
+        await tx2.wait();
+
+        const quotes = await orderbook.getMarketMakerQuotes([1, 2, 3]);
+        expect(quotes.discounts[0]).to.equal(0);
+        expect(quotes.amountsRequired[0]).to.equal(parseEther("50"));
+        expect(quotes.expectedProfits[0]).to.equal(0);
+
+        // Orders that are not ready or out of bounds are quoted as zeros.
+        expect(quotes.amountsRequired[1]).to.equal(0);
+        expect(quotes.amountsRequired[2]).to.equal(0);
+    });
+
+    it("quotes the discount once the order is ready", async () => {
+        let tx = await orderbook.connect(thirdUser).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [600]);
+        await network.provider.send("evm_mine");
+
+        const quotes = await orderbook.getMarketMakerQuotes([1]);
+        expect(quotes.discounts[0]).to.be.gt(0);
+        expect(quotes.amountsRequired[0]).to.be.lt(parseEther("50"));
+        expect(quotes.expectedProfits[0]).to.be.gt(0);
+    });
+  });
+});
\ No newline at end of file
@@ -1,9 +1,13 @@
 const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
 
 describe("ProtocolSettings", () => {
   let deployer;
   let otherUser;
 
+  let accessController;
+  let AccessControllerFactory;
+
   let protocolSettings;
   let protocolSettingsAddress;
   let ProtocolSettingsFactory;
@@ -13,11 +17,15 @@ describe("ProtocolSettings", () => {
     deployer = signers[0];
     otherUser = signers[1];
 
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
     ProtocolSettingsFactory = await ethers.getContractFactory('ProtocolSettings');
+
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
   });
 
   beforeEach(async () => {
-    protocolSettings = await ProtocolSettingsFactory.deploy();
+    protocolSettings = await ProtocolSettingsFactory.deploy(accessController.address);
     await protocolSettings.deployed();
     protocolSettingsAddress = protocolSettings.address;
   });
@@ -43,7 +51,15 @@ describe("ProtocolSettings", () => {
         let tx = await protocolSettings.updateMaxDiscount(3000);
         await tx.wait();
 
-        const maxDiscount = await protocolSettings.maxDiscount();
+        let maxDiscount = await protocolSettings.maxDiscount();
+        expect(maxDiscount).to.equal(2000);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(0);
+        await tx.wait();
+
+        maxDiscount = await protocolSettings.maxDiscount();
         expect(maxDiscount).to.equal(3000);
     });
   });
@@ -66,11 +82,225 @@ describe("ProtocolSettings", () => {
     });
 
     it("meets requirements", async () => {
-        let tx = await protocolSettings.updateMintFee(3000);
+        let tx = await protocolSettings.updateMintFee(150);
         await tx.wait();
 
-        const mintFee = await protocolSettings.mintFee();
-        expect(mintFee).to.equal(3000);
+        let mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(100);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(1);
+        await tx.wait();
+
+        mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(150);
+    });
+  });
+
+  describe("#updateRedemptionFee", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).updateRedemptionFee(5000);
+        await expect(tx).to.be.reverted;
+
+        const redemptionFee = await protocolSettings.redemptionFee();
+        expect(redemptionFee).to.equal(100);
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.updateRedemptionFee(400000);
+        await expect(tx).to.be.reverted;
+
+        const redemptionFee = await protocolSettings.redemptionFee();
+        expect(redemptionFee).to.equal(100);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateRedemptionFee(150);
+        await tx.wait();
+
+        let redemptionFee = await protocolSettings.redemptionFee();
+        expect(redemptionFee).to.equal(100);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(2);
+        await tx.wait();
+
+        redemptionFee = await protocolSettings.redemptionFee();
+        expect(redemptionFee).to.equal(150);
+    });
+  });
+
+  describe("#updateTakerFee", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).updateTakerFee(50);
+        await expect(tx).to.be.reverted;
+
+        const takerFee = await protocolSettings.takerFee();
+        expect(takerFee).to.equal(0);
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.updateTakerFee(10000);
+        await expect(tx).to.be.revertedWith("ProtocolSettings: Taker fee is out of bounds.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateTakerFee(30);
+        await tx.wait();
+
+        let takerFee = await protocolSettings.takerFee();
+        expect(takerFee).to.equal(0);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(3);
+        await tx.wait();
+
+        takerFee = await protocolSettings.takerFee();
+        expect(takerFee).to.equal(30);
+    });
+
+    it("can be set back to 0", async () => {
+        let tx = await protocolSettings.updateTakerFee(30);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(3);
+        await tx.wait();
+
+        tx = await protocolSettings.updateTakerFee(0);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(3);
+        await tx.wait();
+
+        const takerFee = await protocolSettings.takerFee();
+        expect(takerFee).to.equal(0);
+    });
+  });
+
+  describe("#updateMarketMakerFee", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).updateMarketMakerFee(50);
+        await expect(tx).to.be.reverted;
+
+        const marketMakerFee = await protocolSettings.marketMakerFee();
+        expect(marketMakerFee).to.equal(0);
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.updateMarketMakerFee(10000);
+        await expect(tx).to.be.revertedWith("ProtocolSettings: Market maker fee is out of bounds.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateMarketMakerFee(30);
+        await tx.wait();
+
+        let marketMakerFee = await protocolSettings.marketMakerFee();
+        expect(marketMakerFee).to.equal(0);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(4);
+        await tx.wait();
+
+        marketMakerFee = await protocolSettings.marketMakerFee();
+        expect(marketMakerFee).to.equal(30);
+    });
+
+    it("can be set back to 0", async () => {
+        let tx = await protocolSettings.updateMarketMakerFee(30);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(4);
+        await tx.wait();
+
+        tx = await protocolSettings.updateMarketMakerFee(0);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(4);
+        await tx.wait();
+
+        const marketMakerFee = await protocolSettings.marketMakerFee();
+        expect(marketMakerFee).to.equal(0);
+    });
+  });
+
+  describe("#updateMinimumCollateralizationRatio", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).updateMinimumCollateralizationRatio(5000);
+        await expect(tx).to.be.reverted;
+
+        const ratio = await protocolSettings.minimumCollateralizationRatio();
+        expect(ratio).to.equal(8000);
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.updateMinimumCollateralizationRatio(20000);
+        await expect(tx).to.be.reverted;
+
+        const ratio = await protocolSettings.minimumCollateralizationRatio();
+        expect(ratio).to.equal(8000);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateMinimumCollateralizationRatio(9000);
+        await tx.wait();
+
+        let ratio = await protocolSettings.minimumCollateralizationRatio();
+        expect(ratio).to.equal(8000);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(5);
+        await tx.wait();
+
+        ratio = await protocolSettings.minimumCollateralizationRatio();
+        expect(ratio).to.equal(9000);
+    });
+  });
+
+  describe("#updateExpiredOrderBounty", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).updateExpiredOrderBounty(50);
+        await expect(tx).to.be.reverted;
+
+        const bounty = await protocolSettings.expiredOrderBounty();
+        expect(bounty).to.equal(10);
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.updateExpiredOrderBounty(2000);
+        await expect(tx).to.be.reverted;
+
+        const bounty = await protocolSettings.expiredOrderBounty();
+        expect(bounty).to.equal(10);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateExpiredOrderBounty(50);
+        await tx.wait();
+
+        let bounty = await protocolSettings.expiredOrderBounty();
+        expect(bounty).to.equal(10);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(6);
+        await tx.wait();
+
+        bounty = await protocolSettings.expiredOrderBounty();
+        expect(bounty).to.equal(50);
     });
   });
 
@@ -95,7 +325,15 @@ describe("ProtocolSettings", () => {
         let tx = await protocolSettings.updateMinimumMinimumTimeUntilDiscountStarts(3000);
         await tx.wait();
 
-        const time = await protocolSettings.minimumMinimumTimeUntilDiscountStarts();
+        let time = await protocolSettings.minimumMinimumTimeUntilDiscountStarts();
+        expect(time).to.equal(600);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(7);
+        await tx.wait();
+
+        time = await protocolSettings.minimumMinimumTimeUntilDiscountStarts();
         expect(time).to.equal(3000);
     });
   });
@@ -121,7 +359,15 @@ describe("ProtocolSettings", () => {
         let tx = await protocolSettings.updateMaximumMinimumTimeUntilDiscountStarts(3000);
         await tx.wait();
 
-        const time = await protocolSettings.maximumMinimumTimeUntilDiscountStarts();
+        let time = await protocolSettings.maximumMinimumTimeUntilDiscountStarts();
+        expect(time).to.equal(86400);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(8);
+        await tx.wait();
+
+        time = await protocolSettings.maximumMinimumTimeUntilDiscountStarts();
         expect(time).to.equal(3000);
     });
   });
@@ -147,7 +393,15 @@ describe("ProtocolSettings", () => {
         let tx = await protocolSettings.updateMinimumTimeUntilMaxDiscount(3000);
         await tx.wait();
 
-        const time = await protocolSettings.minimumTimeUntilMaxDiscount();
+        let time = await protocolSettings.minimumTimeUntilMaxDiscount();
+        expect(time).to.equal(3600);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(9);
+        await tx.wait();
+
+        time = await protocolSettings.minimumTimeUntilMaxDiscount();
         expect(time).to.equal(3000);
     });
   });
@@ -173,8 +427,261 @@ describe("ProtocolSettings", () => {
         let tx = await protocolSettings.updateMaximumTimeUntilMaxDiscount(86400); // 1 day.
         await tx.wait();
 
-        const time = await protocolSettings.maximumTimeUntilMaxDiscount();
+        let time = await protocolSettings.maximumTimeUntilMaxDiscount();
+        expect(time).to.equal(604800);
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(10);
+        await tx.wait();
+
+        time = await protocolSettings.maximumTimeUntilMaxDiscount();
         expect(time).to.equal(86400);
     });
   });
+
+  describe("#updateMinimumOrderSize", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).updateMinimumOrderSize(parseEther("2"));
+        await expect(tx).to.be.reverted;
+
+        const size = await protocolSettings.minimumOrderSize();
+        expect(size).to.equal(parseEther("1"));
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.updateMinimumOrderSize(0);
+        await expect(tx).to.be.reverted;
+
+        const size = await protocolSettings.minimumOrderSize();
+        expect(size).to.equal(parseEther("1"));
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateMinimumOrderSize(parseEther("5"));
+        await tx.wait();
+
+        let size = await protocolSettings.minimumOrderSize();
+        expect(size).to.equal(parseEther("1"));
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(11);
+        await tx.wait();
+
+        size = await protocolSettings.minimumOrderSize();
+        expect(size).to.equal(parseEther("5"));
+    });
+  });
+
+  describe("#executeChange", () => {
+    it("onlyOwner", async () => {
+        let tx = await protocolSettings.updateMintFee(150);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        let tx2 = protocolSettings.connect(otherUser).executeChange(1);
+        await expect(tx2).to.be.reverted;
+
+        const mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(100);
+    });
+
+    it("change hasn't been queued", async () => {
+        let tx = protocolSettings.executeChange(1);
+        await expect(tx).to.be.revertedWith("ProtocolSettings: Change hasn't been queued.");
+    });
+
+    it("change hasn't surpassed time lock", async () => {
+        let tx = await protocolSettings.updateMintFee(150);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [86400]);
+
+        let tx2 = protocolSettings.executeChange(1);
+        await expect(tx2).to.be.revertedWith("ProtocolSettings: Change hasn't surpassed time lock.");
+
+        const mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(100);
+    });
+
+    it("change is stale", async () => {
+        let tx = await protocolSettings.updateMintFee(150);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [17 * 86400]);
+
+        let tx2 = protocolSettings.executeChange(1);
+        await expect(tx2).to.be.revertedWith("ProtocolSettings: Change is stale.");
+
+        const mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(100);
+    });
+
+    it("exceeds maximum step size", async () => {
+        let tx = protocolSettings.updateMintFee(300);
+        await expect(tx).to.be.revertedWith("ProtocolSettings: Change exceeds the maximum step size.");
+
+        let tx2 = protocolSettings.updateMaxDiscount(3500);
+        await expect(tx2).to.be.revertedWith("ProtocolSettings: Change exceeds the maximum step size.");
+    });
+
+    it("re-checks bounds at execution", async () => {
+        let tx = await protocolSettings.updateMinimumTimeUntilMaxDiscount(7200);
+        await tx.wait();
+
+        let tx2 = await protocolSettings.updateMaximumTimeUntilMaxDiscount(5400);
+        await tx2.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        let tx3 = await protocolSettings.executeChange(10);
+        await tx3.wait();
+
+        let tx4 = protocolSettings.executeChange(9);
+        await expect(tx4).to.be.revertedWith("ProtocolSettings: Minimum time until max discount must be smaller than the maximum value.");
+
+        const time = await protocolSettings.minimumTimeUntilMaxDiscount();
+        expect(time).to.equal(3600);
+    });
+  });
+
+  describe("#cancelChange", () => {
+    it("onlyOwner", async () => {
+        let tx = await protocolSettings.updateMintFee(150);
+        await tx.wait();
+
+        let tx2 = protocolSettings.connect(otherUser).cancelChange(1);
+        await expect(tx2).to.be.reverted;
+    });
+
+    it("change hasn't been queued", async () => {
+        let tx = protocolSettings.cancelChange(1);
+        await expect(tx).to.be.revertedWith("ProtocolSettings: Change hasn't been queued.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.updateMintFee(150);
+        await tx.wait();
+
+        let tx2 = await protocolSettings.cancelChange(1);
+        await tx2.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        let tx3 = protocolSettings.executeChange(1);
+        await expect(tx3).to.be.revertedWith("ProtocolSettings: Change hasn't been queued.");
+
+        const mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(100);
+    });
+  });
+
+  describe("#increaseParameterDelay", () => {
+    it("onlyOwner", async () => {
+        let tx = protocolSettings.connect(otherUser).increaseParameterDelay(1, 3 * 86400);
+        await expect(tx).to.be.reverted;
+
+        const delay = await protocolSettings.parameterDelays(1);
+        expect(delay).to.equal(2 * 86400);
+    });
+
+    it("out of bounds", async () => {
+        let tx = protocolSettings.increaseParameterDelay(12, 3 * 86400);
+        await expect(tx).to.be.revertedWith("ProtocolSettings: Parameter is out of bounds.");
+
+        let tx2 = protocolSettings.increaseParameterDelay(1, 86400);
+        await expect(tx2).to.be.revertedWith("ProtocolSettings: Delay must exceed the current delay.");
+
+        let tx3 = protocolSettings.increaseParameterDelay(1, 31 * 86400);
+        await expect(tx3).to.be.revertedWith("ProtocolSettings: Delay must not exceed maximum delay.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await protocolSettings.increaseParameterDelay(1, 3 * 86400);
+        await tx.wait();
+
+        const delay = await protocolSettings.parameterDelays(1);
+        expect(delay).to.equal(3 * 86400);
+
+        let tx2 = await protocolSettings.updateMintFee(150);
+        await tx2.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400 + 60]);
+
+        let tx3 = protocolSettings.executeChange(1);
+        await expect(tx3).to.be.revertedWith("ProtocolSettings: Change hasn't surpassed time lock.");
+    });
+  });
+
+  describe("#getPendingChanges", () => {
+    it("no pending changes", async () => {
+        const pendingChanges = await protocolSettings.getPendingChanges();
+        expect(pendingChanges[0].length).to.equal(0);
+        expect(pendingChanges[1].length).to.equal(0);
+        expect(pendingChanges[2].length).to.equal(0);
+    });
+
+    it("multiple pending changes", async () => {
+        let tx = await protocolSettings.updateRedemptionFee(150);
+        await tx.wait();
+
+        let tx2 = await protocolSettings.updateMintFee(50);
+        let receipt = await tx2.wait();
+        let block = await ethers.provider.getBlock(receipt.blockNumber);
+
+        const pendingChanges = await protocolSettings.getPendingChanges();
+        expect(pendingChanges[0].length).to.equal(2);
+        expect(pendingChanges[0][0]).to.equal(1);
+        expect(pendingChanges[0][1]).to.equal(2);
+        expect(pendingChanges[1][0]).to.equal(50);
+        expect(pendingChanges[1][1]).to.equal(150);
+        expect(pendingChanges[2][0]).to.equal(block.timestamp + 2 * 86400);
+    });
+  });
+
+  describe("#isWithinTradingFeeStep", () => {
+    it("compares against the current trading fees", async () => {
+        expect(await protocolSettings.isWithinTradingFeeStep(50, 50)).to.be.true;
+        expect(await protocolSettings.isWithinTradingFeeStep(51, 0)).to.be.false;
+        expect(await protocolSettings.isWithinTradingFeeStep(0, 51)).to.be.false;
+
+        let tx = await protocolSettings.updateTakerFee(50);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        tx = await protocolSettings.executeChange(3);
+        await tx.wait();
+
+        expect(await protocolSettings.isWithinTradingFeeStep(100, 0)).to.be.true;
+        expect(await protocolSettings.isWithinTradingFeeStep(0, 0)).to.be.true;
+        expect(await protocolSettings.isWithinTradingFeeStep(101, 0)).to.be.false;
+    });
+  });
+
+  describe("parameter managers", () => {
+    it("fee manager can only change fees", async () => {
+        let tx = await accessController.grantRole(4, otherUser.address);
+        await tx.wait();
+
+        let tx2 = await protocolSettings.connect(otherUser).updateMintFee(150);
+        await tx2.wait();
+
+        let tx3 = protocolSettings.connect(otherUser).updateMaxDiscount(3000);
+        await expect(tx3).to.be.revertedWith("ProtocolSettings: Only the parameter's manager can call this function.");
+
+        await network.provider.send("evm_increaseTime", [2 * 86400]);
+
+        let tx4 = await protocolSettings.connect(otherUser).executeChange(1);
+        await tx4.wait();
+
+        const mintFee = await protocolSettings.mintFee();
+        expect(mintFee).to.equal(150);
+
+        let tx5 = await accessController.revokeRole(4, otherUser.address);
+        await tx5.wait();
+    });
+  });
 });
\ No newline at end of file
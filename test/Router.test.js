@@ -0,0 +1,1061 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("Router", () => {
+  let deployer;
+  let otherUser;
+  let buyOrderbook;
+  let sellOrderbook;
+
+  let accessController;
+
+  let orderbookFactory;
+  let orderbookFactoryAddress;
+  let OrderbookFactoryFactory;
+
+  let router;
+  let routerAddress;
+  let RouterFactory;
+
+  let syntheticAsset;
+
+  let stablecoin;
+  let feeToken;
+  let dataSource;
+  let oracle;
+  let protocolSettings;
+  let userSettings;
+  let circuitBreaker;
+  let swapOrderbookFactory;
+  let swapRouter;
+  let syntheticAssetToken;
+  let SyntheticAssetTokenFactory;
+  let swapBuyOrderbook;
+  let swapSellOrderbook;
+  let OrderbookFactory;
+  let syntheticAssetTokenBeacon;
+  let orderbookBeacon;
+  let underlyingAsset;
+  let treasury;
+  let feeDistributor;
+  let relayer;
+
+  const orderIntentTypes = {
+    OrderIntent: [
+      { name: "user", type: "address" },
+      { name: "syntheticAsset", type: "address" },
+      { name: "isBuy", type: "bool" },
+      { name: "executeInstantly", type: "bool" },
+      { name: "numberOfTokens", type: "uint256" },
+      { name: "limitPrice", type: "uint256" },
+      { name: "minimumAmountOut", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  const permitTypes = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Deploys a BeaconProxy for the beacon's implementation and initializes it with the given arguments.
+  const deployProxy = async (beacon, ContractFactory, args) => {
+    const BeaconProxyFactory = await ethers.getContractFactory("BeaconProxy");
+    const data = ContractFactory.interface.encodeFunctionData("initialize", args);
+    const proxy = await BeaconProxyFactory.deploy(beacon.address, data);
+    await proxy.deployed();
+
+    return ContractFactory.attach(proxy.address);
+  };
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+    buyOrderbook = signers[2];
+    sellOrderbook = signers[3];
+    syntheticAsset = signers[4].address;
+    underlyingAsset = signers[5].address;
+    treasury = signers[6];
+    relayer = signers[7];
+
+    const AccessControllerFactory = await ethers.getContractFactory("AccessController");
+    OrderbookFactoryFactory = await ethers.getContractFactory("TestOrderbookFactory");
+    RouterFactory = await ethers.getContractFactory("Router");
+
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    orderbookFactory = await OrderbookFactoryFactory.deploy();
+    await orderbookFactory.deployed();
+    orderbookFactoryAddress = orderbookFactory.address;
+
+    let tx = await orderbookFactory.setOrderbooks(buyOrderbook.address, sellOrderbook.address);
+    await tx.wait();
+
+    const TestTokenFactory = await ethers.getContractFactory("TestTokenERC20");
+    const DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+    const OracleFactory = await ethers.getContractFactory("Oracle");
+    const ProtocolSettingsFactory = await ethers.getContractFactory("ProtocolSettings");
+    const UserSettingsFactory = await ethers.getContractFactory("UserSettings");
+    const CircuitBreakerFactory = await ethers.getContractFactory("CircuitBreaker");
+    const FeeDistributorFactory = await ethers.getContractFactory("FeeDistributor");
+    SyntheticAssetTokenFactory = await ethers.getContractFactory("SyntheticAssetToken");
+    OrderbookFactory = await ethers.getContractFactory("Orderbook");
+
+    stablecoin = await TestTokenFactory.deploy("Stablecoin", "CUSD");
+    await stablecoin.deployed();
+
+    feeToken = await TestTokenFactory.deploy("Fee Token", "FEE");
+    await feeToken.deployed();
+
+    dataSource = await DataSourceFactory.deploy(feeToken.address, parseEther("1"));
+    await dataSource.deployed();
+
+    oracle = await OracleFactory.deploy(accessController.address, dataSource.address);
+    await oracle.deployed();
+
+    protocolSettings = await ProtocolSettingsFactory.deploy(accessController.address);
+    await protocolSettings.deployed();
+
+    userSettings = await UserSettingsFactory.deploy(protocolSettings.address);
+    await userSettings.deployed();
+
+    circuitBreaker = await CircuitBreakerFactory.deploy(accessController.address);
+    await circuitBreaker.deployed();
+
+    feeDistributor = await FeeDistributorFactory.deploy(treasury.address, stablecoin.address, treasury.address, treasury.address);
+    await feeDistributor.deployed();
+
+    swapOrderbookFactory = await OrderbookFactoryFactory.deploy();
+    await swapOrderbookFactory.deployed();
+
+    const UpgradeableBeaconFactory = await ethers.getContractFactory("UpgradeableBeacon");
+
+    const syntheticAssetTokenImplementation = await SyntheticAssetTokenFactory.deploy();
+    await syntheticAssetTokenImplementation.deployed();
+
+    syntheticAssetTokenBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, syntheticAssetTokenImplementation.address);
+    await syntheticAssetTokenBeacon.deployed();
+
+    const orderbookImplementation = await OrderbookFactory.deploy();
+    await orderbookImplementation.deployed();
+
+    orderbookBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, orderbookImplementation.address);
+    await orderbookBeacon.deployed();
+
+    let tx2 = await stablecoin.transfer(otherUser.address, parseEther("100000"));
+    await tx2.wait();
+
+    let tx3 = await feeToken.transfer(otherUser.address, parseEther("1000"));
+    await tx3.wait();
+  });
+
+  beforeEach(async () => {
+    // Use deployer as the SyntheticAssetTokenRegistry.
+    router = await RouterFactory.deploy(accessController.address, orderbookFactoryAddress, deployer.address, oracle.address, protocolSettings.address, stablecoin.address, treasury.address, feeDistributor.address);
+    await router.deployed();
+    routerAddress = router.address;
+
+    let tx = await router.createOrderbooks(syntheticAsset);
+    await tx.wait();
+
+    swapRouter = await RouterFactory.deploy(accessController.address, swapOrderbookFactory.address, deployer.address, oracle.address, protocolSettings.address, stablecoin.address, treasury.address, feeDistributor.address);
+    await swapRouter.deployed();
+
+    syntheticAssetToken = await deployProxy(syntheticAssetTokenBeacon, SyntheticAssetTokenFactory, [deployer.address, oracle.address, protocolSettings.address, circuitBreaker.address, feeDistributor.address, stablecoin.address, underlyingAsset, parseEther("1000000"), "Synthetic Asset", "SYNTH"]);
+    await syntheticAssetToken.deployed();
+
+    swapBuyOrderbook = await deployProxy(orderbookBeacon, OrderbookFactory, [swapRouter.address, oracle.address, protocolSettings.address, userSettings.address, circuitBreaker.address, stablecoin.address, syntheticAssetToken.address, true]);
+    await swapBuyOrderbook.deployed();
+
+    swapSellOrderbook = await deployProxy(orderbookBeacon, OrderbookFactory, [swapRouter.address, oracle.address, protocolSettings.address, userSettings.address, circuitBreaker.address, stablecoin.address, syntheticAssetToken.address, false]);
+    await swapSellOrderbook.deployed();
+
+    let tx2 = await swapOrderbookFactory.setOrderbooks(swapBuyOrderbook.address, swapSellOrderbook.address);
+    await tx2.wait();
+
+    let tx3 = await swapRouter.createOrderbooks(syntheticAssetToken.address);
+    await tx3.wait();
+
+    let tx4 = await dataSource.setLatestPrice(syntheticAssetToken.address, parseEther("2"));
+    await tx4.wait();
+
+    let tx5 = await dataSource.setLatestPrice(underlyingAsset, parseEther("2"));
+    await tx5.wait();
+
+    let tx6 = await stablecoin.connect(otherUser).approve(swapRouter.address, parseEther("100000"));
+    await tx6.wait();
+
+    let tx7 = await feeToken.connect(otherUser).approve(swapRouter.address, parseEther("1000"));
+    await tx7.wait();
+
+    let tx8 = await stablecoin.approve(syntheticAssetToken.address, parseEther("1000"));
+    await tx8.wait();
+
+    let tx9 = await feeToken.approve(syntheticAssetToken.address, parseEther("1000"));
+    await tx9.wait();
+
+    let tx10 = await feeToken.approve(swapBuyOrderbook.address, parseEther("1000"));
+    await tx10.wait();
+
+    let tx11 = await feeToken.approve(swapSellOrderbook.address, parseEther("1000"));
+    await tx11.wait();
+  });
+
+  describe("#recordFill", () => {
+    it("onlyOrderbook", async () => {
+        let tx = router.connect(otherUser).recordFill(syntheticAsset, parseEther("1"), 0);
+        await expect(tx).to.be.reverted;
+
+        let tx2 = router.connect(buyOrderbook).recordFill(otherUser.address, parseEther("1"), 0);
+        await expect(tx2).to.be.reverted;
+
+        const numberOfObservations = await router.getNumberOfObservations(syntheticAsset);
+        expect(numberOfObservations).to.equal(0);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await router.connect(buyOrderbook).recordFill(syntheticAsset, parseEther("1"), 0);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [100]);
+        await network.provider.send("evm_mine");
+
+        let tx2 = await router.connect(sellOrderbook).recordFill(syntheticAsset, parseEther("2"), 0);
+        await tx2.wait();
+
+        const numberOfObservations = await router.getNumberOfObservations(syntheticAsset);
+        expect(numberOfObservations).to.equal(2);
+
+        const firstObservation = await router.getObservation(syntheticAsset, 0);
+        const secondObservation = await router.getObservation(syntheticAsset, 1);
+        const elapsedTime = secondObservation[0].sub(firstObservation[0]);
+        expect(firstObservation[1]).to.equal(0);
+        expect(secondObservation[1]).to.equal(parseEther("1").mul(elapsedTime));
+        expect(secondObservation[2]).to.equal(parseEther("2"));
+    });
+
+    it("overwrites the price for fills in the same block", async () => {
+        await network.provider.send("evm_setAutomine", [false]);
+
+        await router.connect(buyOrderbook).recordFill(syntheticAsset, parseEther("1"), 0);
+        await router.connect(sellOrderbook).recordFill(syntheticAsset, parseEther("3"), 0);
+
+        await network.provider.send("evm_mine");
+        await network.provider.send("evm_setAutomine", [true]);
+
+        const numberOfObservations = await router.getNumberOfObservations(syntheticAsset);
+        expect(numberOfObservations).to.equal(1);
+
+        const observation = await router.getObservation(syntheticAsset, 0);
+        expect(observation[2]).to.equal(parseEther("3"));
+    });
+
+    it("forwards the trading fee", async () => {
+        let tx = await stablecoin.transfer(routerAddress, parseEther("10"));
+        await tx.wait();
+
+        let tx2 = await router.connect(buyOrderbook).recordFill(syntheticAsset, parseEther("1"), parseEther("10"));
+        await tx2.wait();
+
+        const collectedFees = await feeDistributor.collectedFees(syntheticAsset, await feeDistributor.TRADING());
+        expect(collectedFees).to.equal(parseEther("10"));
+
+        const routerBalance = await stablecoin.balanceOf(routerAddress);
+        expect(routerBalance).to.equal(0);
+    });
+  });
+
+  describe("#setFeeDistributor", () => {
+    it("onlyTreasury", async () => {
+        // The admin can't redirect trading fees without going through the Treasury.
+        let tx = router.setFeeDistributor(otherUser.address);
+        await expect(tx).to.be.revertedWith("Router: Only the Treasury can call this function.");
+
+        const currentFeeDistributor = await router.feeDistributor();
+        expect(currentFeeDistributor).to.equal(feeDistributor.address);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await router.connect(treasury).setFeeDistributor(otherUser.address);
+        await expect(tx).to.emit(router, "SetFeeDistributor").withArgs(otherUser.address);
+
+        const currentFeeDistributor = await router.feeDistributor();
+        expect(currentFeeDistributor).to.equal(otherUser.address);
+    });
+  });
+
+  describe("#setTradingFeeOverride", () => {
+    it("onlyRegistry", async () => {
+        let tx = router.connect(otherUser).setTradingFeeOverride(syntheticAsset, { isEnabled: true, takerFee: 50, marketMakerFee: 20 });
+        await expect(tx).to.be.revertedWith("Router: Only the SyntheticAssetTokenRegistry contract can call this function.");
+    });
+
+    it("meets requirements", async () => {
+        let tradingFees = await router.getTradingFees(syntheticAsset);
+        expect(tradingFees.takerFee).to.equal(0);
+        expect(tradingFees.marketMakerFee).to.equal(0);
+
+        let tx = await router.setTradingFeeOverride(syntheticAsset, { isEnabled: true, takerFee: 50, marketMakerFee: 20 });
+        await tx.wait();
+
+        tradingFees = await router.getTradingFees(syntheticAsset);
+        expect(tradingFees.takerFee).to.equal(50);
+        expect(tradingFees.marketMakerFee).to.equal(20);
+
+        let tx2 = await router.setTradingFeeOverride(syntheticAsset, { isEnabled: false, takerFee: 50, marketMakerFee: 20 });
+        await tx2.wait();
+
+        tradingFees = await router.getTradingFees(syntheticAsset);
+        expect(tradingFees.takerFee).to.equal(0);
+    });
+  });
+
+  describe("#settleOrderbooks", () => {
+    it("onlyRegistry", async () => {
+        let tx = swapRouter.connect(otherUser).settleOrderbooks(syntheticAssetToken.address);
+        await expect(tx).to.be.revertedWith("Router: Only the SyntheticAssetTokenRegistry contract can call this function.");
+    });
+
+    it("orderbooks not found", async () => {
+        let tx = swapRouter.settleOrderbooks(underlyingAsset);
+        await expect(tx).to.be.revertedWith("Router: Orderbooks not found.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await swapRouter.settleOrderbooks(syntheticAssetToken.address);
+        await expect(tx).to.emit(swapRouter, "SettledOrderbooks").withArgs(syntheticAssetToken.address);
+
+        const buyOrderbookIsSettled = await swapBuyOrderbook.isSettled();
+        expect(buyOrderbookIsSettled).to.be.true;
+
+        const sellOrderbookIsSettled = await swapSellOrderbook.isSettled();
+        expect(sellOrderbookIsSettled).to.be.true;
+
+        let tx2 = swapBuyOrderbook.connect(otherUser).placeOrder(true, parseEther("10"), 0, 0, 0);
+        await expect(tx2).to.be.revertedWith("Orderbook: Cannot place orders when trading is paused.");
+
+        let tx3 = swapRouter.settleOrderbooks(syntheticAssetToken.address);
+        await expect(tx3).to.be.revertedWith("Orderbook: Orderbook has already been settled.");
+    });
+  });
+
+  describe("#getTWAP", () => {
+    it("no fills", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        const twap = await router.getTWAP(syntheticAsset, block.timestamp - 100, block.timestamp);
+        expect(twap).to.equal(0);
+    });
+
+    it("window out of bounds", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = router.getTWAP(syntheticAsset, block.timestamp, block.timestamp);
+        await expect(tx).to.be.reverted;
+
+        let tx2 = router.getTWAP(syntheticAsset, block.timestamp, block.timestamp + 1000);
+        await expect(tx2).to.be.reverted;
+    });
+
+    it("meets requirements", async () => {
+        let tx = await router.connect(buyOrderbook).recordFill(syntheticAsset, parseEther("1"), 0);
+        await tx.wait();
+        const start = (await router.getObservation(syntheticAsset, 0))[0].toNumber();
+
+        await network.provider.send("evm_setNextBlockTimestamp", [start + 100]);
+        let tx2 = await router.connect(sellOrderbook).recordFill(syntheticAsset, parseEther("3"), 0);
+        await tx2.wait();
+
+        await network.provider.send("evm_setNextBlockTimestamp", [start + 200]);
+        let tx3 = await router.connect(buyOrderbook).recordFill(syntheticAsset, parseEther("10"), 0);
+        await tx3.wait();
+
+        await network.provider.send("evm_setNextBlockTimestamp", [start + 300]);
+        await network.provider.send("evm_mine");
+
+        const twap = await router.getTWAP(syntheticAsset, start, start + 200);
+        expect(twap).to.equal(parseEther("2"));
+
+        const twap2 = await router.getTWAP(syntheticAsset, start + 50, start + 150);
+        expect(twap2).to.equal(parseEther("2"));
+
+        const twap3 = await router.getTWAPForPeriod(syntheticAsset, 100);
+        expect(twap3).to.equal(parseEther("10"));
+
+        const twap4 = await router.getTWAP(syntheticAsset, start - 1, start + 200);
+        expect(twap4).to.equal(0);
+    });
+  });
+
+  describe("#swapStablecoinForSyntheticAsset", () => {
+    it("deadline has passed", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), 0, block.timestamp - 1);
+        await expect(tx).to.be.revertedWith("Router: Deadline has passed.");
+    });
+
+    it("asset not found", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAsset, parseEther("1010"), 0, block.timestamp + 1000);
+        await expect(tx).to.be.revertedWith("Router: Asset not found.");
+    });
+
+    it("amount out is below the minimum", async () => {
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx = swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), parseEther("501"), block.timestamp + 1000);
+        await expect(tx).to.be.revertedWith("Router: Amount out is below the minimum.");
+    });
+
+    it("mints when the orderbook is empty", async () => {
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        const initialFeeBalance = await feeToken.balanceOf(otherUser.address);
+
+        // 1010 stablecoin covers 500 tokens at a price of 2 plus the 1% mint fee.
+        let tx = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), parseEther("500"), block.timestamp + 1000);
+        await tx.wait();
+
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("500"));
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.equal(parseEther("1010"));
+
+        // The Router and the synthetic asset token each query the oracle once.
+        const feeBalance = await feeToken.balanceOf(otherUser.address);
+        expect(initialFeeBalance.sub(feeBalance)).to.equal(parseEther("2"));
+
+        const collateralReserve = await syntheticAssetToken.collateralReserve();
+        expect(collateralReserve).to.equal(parseEther("1000"));
+
+        const routerBalance = await stablecoin.balanceOf(swapRouter.address);
+        expect(routerBalance).to.equal(0);
+    });
+
+    it("buys from the orderbook before minting", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx3.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        const initialFeeBalance = await feeToken.balanceOf(otherUser.address);
+
+        let tx4 = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), 0, block.timestamp + 1000);
+        await tx4.wait();
+
+        // 200 stablecoin buys the pending 100 tokens, and the remaining 810 stablecoin is used for minting.
+        const expectedMintedTokens = parseEther("810").mul(parseEther("1")).mul(10000).div(parseEther("2").mul(10100));
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("100").add(expectedMintedTokens));
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.be.lte(parseEther("1010"));
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.be.gte(parseEther("1009.99"));
+
+        const feeBalance = await feeToken.balanceOf(otherUser.address);
+        expect(initialFeeBalance.sub(feeBalance)).to.equal(parseEther("3"));
+
+        const orderInfo = await swapSellOrderbook.getOrderInfo(1);
+        expect(orderInfo[1]).to.equal(parseEther("100"));
+
+        const routerBalance = await syntheticAssetToken.balanceOf(swapRouter.address);
+        expect(routerBalance).to.equal(0);
+    });
+
+    it("charges the taker fee on orderbook fills", async () => {
+        let tx = await swapRouter.setTradingFeeOverride(syntheticAssetToken.address, { isEnabled: true, takerFee: 100, marketMakerFee: 0 });
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx4.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialCollectedFees = await feeDistributor.collectedFees(syntheticAssetToken.address, await feeDistributor.TRADING());
+
+        let tx5 = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), 0, block.timestamp + 1000);
+        await tx5.wait();
+
+        // 200 stablecoin plus the 1% taker fee buys the pending 100 tokens, and the remaining 808 stablecoin is used for minting.
+        const collectedFees = await feeDistributor.collectedFees(syntheticAssetToken.address, await feeDistributor.TRADING());
+        expect(collectedFees.sub(initialCollectedFees)).to.equal(parseEther("2"));
+
+        const expectedMintedTokens = parseEther("808").mul(parseEther("1")).mul(10000).div(parseEther("2").mul(10100));
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("100").add(expectedMintedTokens));
+
+        const routerBalance = await stablecoin.balanceOf(swapRouter.address);
+        expect(routerBalance).to.equal(0);
+    });
+
+    it("mints before buying from the orderbook when minting is cheaper", async () => {
+        // A 2% taker fee is higher than the 1% mint fee.
+        let tx = await swapRouter.setTradingFeeOverride(syntheticAssetToken.address, { isEnabled: true, takerFee: 200, marketMakerFee: 0 });
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx4.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        let tx5 = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), parseEther("500"), block.timestamp + 1000);
+        await expect(tx5).to.emit(swapRouter, "Swapped").withArgs(otherUser.address, syntheticAssetToken.address, true, parseEther("1010"), parseEther("500"), 0);
+
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("500"));
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.equal(parseEther("1010"));
+
+        // The pending order is left for the remaining stablecoin, and there is none.
+        const orderInfo = await swapSellOrderbook.getOrderInfo(1);
+        expect(orderInfo[1]).to.equal(0);
+    });
+
+    it("minting is paused", async () => {
+        let tx = await circuitBreaker.pause(0, 3600);
+        await tx.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+
+        // The orderbook is empty, so the swap fails with the reason minting failed.
+        let tx2 = swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), 0, block.timestamp + 1000);
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Minting is paused.");
+
+        let tx3 = await circuitBreaker.unpause(0);
+        await tx3.wait();
+    });
+
+    it("minting is disabled", async () => {
+        let tx = await syntheticAssetToken.toggleMintingStatus(false);
+        await tx.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx2 = swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), 0, block.timestamp + 1000);
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Minting is disabled.");
+    });
+
+    it("skips minting when it is disabled after buying from the orderbook", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx3.wait();
+
+        let tx4 = await syntheticAssetToken.toggleMintingStatus(false);
+        await tx4.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        let tx5 = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), parseEther("100"), block.timestamp + 1000);
+        await tx5.wait();
+
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("100"));
+
+        // The stablecoin that couldn't be used for minting is returned.
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.equal(parseEther("200"));
+    });
+
+    it("skips minting when it is paused after buying from the orderbook", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx3.wait();
+
+        let tx4 = await circuitBreaker.pause(0, 3600);
+        await tx4.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        let tx5 = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), parseEther("100"), block.timestamp + 1000);
+        await tx5.wait();
+
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("100"));
+
+        // The stablecoin that couldn't be used for minting is returned.
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.equal(parseEther("200"));
+
+        let tx6 = await circuitBreaker.unpause(0);
+        await tx6.wait();
+    });
+
+    it("buys from the orderbook when minting is cheaper but paused", async () => {
+        // A 2% taker fee is higher than the 1% mint fee.
+        let tx = await swapRouter.setTradingFeeOverride(syntheticAssetToken.address, { isEnabled: true, takerFee: 200, marketMakerFee: 0 });
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx4.wait();
+
+        let tx5 = await circuitBreaker.pause(0, 3600);
+        await tx5.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        let tx6 = await swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), parseEther("100"), block.timestamp + 1000);
+        await tx6.wait();
+
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("100"));
+
+        // 200 stablecoin plus the 2% taker fee buys the pending 100 tokens.
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(initialStablecoinBalance.sub(stablecoinBalance)).to.equal(parseEther("204"));
+
+        let tx7 = await circuitBreaker.unpause(0);
+        await tx7.wait();
+    });
+
+    it("order placement is paused", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx3.wait();
+
+        let tx4 = await circuitBreaker.pause(1, 3600);
+        await tx4.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx5 = swapRouter.connect(otherUser).swapStablecoinForSyntheticAsset(syntheticAssetToken.address, parseEther("1010"), 0, block.timestamp + 1000);
+        await expect(tx5).to.be.revertedWith("Orderbook: Order placement is paused.");
+
+        let tx6 = await circuitBreaker.unpause(1);
+        await tx6.wait();
+    });
+  });
+
+  describe("#swapSyntheticAssetForStablecoin", () => {
+    it("redeems when the orderbook is empty", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.connect(otherUser).approve(swapRouter.address, parseEther("100"));
+        await tx3.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        // 100 tokens are worth 200 stablecoin, minus the 1% redemption fee.
+        let tx4 = await swapRouter.connect(otherUser).swapSyntheticAssetForStablecoin(syntheticAssetToken.address, parseEther("100"), parseEther("198"), block.timestamp + 1000);
+        await tx4.wait();
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(stablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("198"));
+
+        const balance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(balance).to.equal(0);
+
+        const totalSupply = await syntheticAssetToken.totalSupply();
+        expect(totalSupply).to.equal(0);
+    });
+
+    it("sells to the orderbook before redeeming", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.connect(otherUser).approve(swapRouter.address, parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await stablecoin.approve(swapBuyOrderbook.address, parseEther("100"));
+        await tx4.wait();
+
+        let tx5 = await swapBuyOrderbook.placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx5.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        const initialFeeBalance = await feeToken.balanceOf(otherUser.address);
+
+        // 50 tokens fill the pending order for 100 stablecoin, and the remaining 50 tokens are redeemed for 99 stablecoin.
+        let tx6 = await swapRouter.connect(otherUser).swapSyntheticAssetForStablecoin(syntheticAssetToken.address, parseEther("100"), parseEther("199"), block.timestamp + 1000);
+        await tx6.wait();
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(stablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("199"));
+
+        const feeBalance = await feeToken.balanceOf(otherUser.address);
+        expect(initialFeeBalance.sub(feeBalance)).to.equal(parseEther("3"));
+
+        const availableTokens = await swapBuyOrderbook.getAvailableTokensForUser(deployer.address);
+        expect(availableTokens).to.equal(parseEther("50"));
+    });
+
+    it("redeems before selling to the orderbook when redemption is cheaper", async () => {
+        // A 2% taker fee is higher than the 1% redemption fee.
+        let tx = await swapRouter.setTradingFeeOverride(syntheticAssetToken.address, { isEnabled: true, takerFee: 200, marketMakerFee: 0 });
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await syntheticAssetToken.connect(otherUser).approve(swapRouter.address, parseEther("100"));
+        await tx4.wait();
+
+        let tx5 = await stablecoin.approve(swapBuyOrderbook.address, parseEther("100"));
+        await tx5.wait();
+
+        let tx6 = await swapBuyOrderbook.placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx6.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        // 100 tokens are worth 200 stablecoin, minus the 1% redemption fee.
+        let tx7 = await swapRouter.connect(otherUser).swapSyntheticAssetForStablecoin(syntheticAssetToken.address, parseEther("100"), parseEther("198"), block.timestamp + 1000);
+        await tx7.wait();
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(stablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("198"));
+
+        const orderInfo = await swapBuyOrderbook.getOrderInfo(1);
+        expect(orderInfo[1]).to.equal(0);
+    });
+
+    it("redemption is disabled", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.connect(otherUser).approve(swapRouter.address, parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await syntheticAssetToken.toggleRedemptionStatus(false);
+        await tx4.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx5 = swapRouter.connect(otherUser).swapSyntheticAssetForStablecoin(syntheticAssetToken.address, parseEther("100"), 0, block.timestamp + 1000);
+        await expect(tx5).to.be.revertedWith("SyntheticAssetToken: Redemption is disabled.");
+    });
+
+    it("amount out is below the minimum", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.connect(otherUser).approve(swapRouter.address, parseEther("100"));
+        await tx3.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+
+        let tx4 = swapRouter.connect(otherUser).swapSyntheticAssetForStablecoin(syntheticAssetToken.address, parseEther("100"), parseEther("199"), block.timestamp + 1000);
+        await expect(tx4).to.be.revertedWith("Router: Amount out is below the minimum.");
+    });
+  });
+
+  describe("#swapSyntheticAssetForStablecoinWithPermit", () => {
+    it("meets requirements", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx2.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const deadline = block.timestamp + 1000;
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        const signature = await otherUser._signTypedData(
+          { name: "Synthetic Asset", version: "1", chainId: 31337, verifyingContract: syntheticAssetToken.address },
+          permitTypes,
+          { owner: otherUser.address, spender: swapRouter.address, value: parseEther("100"), nonce: 0, deadline: deadline }
+        );
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        let tx3 = await swapRouter.connect(otherUser).swapSyntheticAssetForStablecoinWithPermit(syntheticAssetToken.address, parseEther("100"), parseEther("198"), deadline, parseEther("100"), v, r, s);
+        await tx3.wait();
+
+        const stablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(stablecoinBalance.sub(initialStablecoinBalance)).to.equal(parseEther("198"));
+
+        const allowance = await syntheticAssetToken.allowance(otherUser.address, swapRouter.address);
+        expect(allowance).to.equal(0);
+    });
+
+    it("permit was already used", async () => {
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.transfer(otherUser.address, parseEther("100"));
+        await tx2.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const deadline = block.timestamp + 1000;
+
+        const signature = await otherUser._signTypedData(
+          { name: "Synthetic Asset", version: "1", chainId: 31337, verifyingContract: syntheticAssetToken.address },
+          permitTypes,
+          { owner: otherUser.address, spender: swapRouter.address, value: parseEther("100"), nonce: 0, deadline: deadline }
+        );
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        // Someone else submits the permit before the user's transaction.
+        let tx3 = await syntheticAssetToken.permit(otherUser.address, swapRouter.address, parseEther("100"), deadline, v, r, s);
+        await tx3.wait();
+
+        let tx4 = await swapRouter.connect(otherUser).swapSyntheticAssetForStablecoinWithPermit(syntheticAssetToken.address, parseEther("100"), parseEther("198"), deadline, parseEther("100"), v, r, s);
+        await tx4.wait();
+
+        const tokenBalance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(tokenBalance).to.equal(0);
+    });
+  });
+
+  describe("#placeOrderBySig", () => {
+    it("invalid signature", async () => {
+        const block = await ethers.provider.getBlock("latest");
+        const intent = {
+          user: otherUser.address,
+          syntheticAsset: syntheticAssetToken.address,
+          isBuy: true,
+          executeInstantly: false,
+          numberOfTokens: parseEther("100"),
+          limitPrice: 0,
+          minimumAmountOut: 0,
+          expiry: 0,
+          nonce: 0,
+          deadline: block.timestamp + 1000
+        };
+
+        // The intent is signed by the relayer instead of the user.
+        const signature = await relayer._signTypedData({ name: "Router", version: "1", chainId: 31337, verifyingContract: swapRouter.address }, orderIntentTypes, intent);
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        let tx = swapRouter.connect(relayer).placeOrderBySig(intent, v, r, s);
+        await expect(tx).to.be.revertedWith("Router: Invalid signature.");
+    });
+
+    it("signature has expired", async () => {
+        const block = await ethers.provider.getBlock("latest");
+        const intent = {
+          user: otherUser.address,
+          syntheticAsset: syntheticAssetToken.address,
+          isBuy: true,
+          executeInstantly: false,
+          numberOfTokens: parseEther("100"),
+          limitPrice: 0,
+          minimumAmountOut: 0,
+          expiry: 0,
+          nonce: 0,
+          deadline: block.timestamp - 1
+        };
+
+        const signature = await otherUser._signTypedData({ name: "Router", version: "1", chainId: 31337, verifyingContract: swapRouter.address }, orderIntentTypes, intent);
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        let tx = swapRouter.connect(relayer).placeOrderBySig(intent, v, r, s);
+        await expect(tx).to.be.revertedWith("Router: Signature has expired.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await stablecoin.connect(otherUser).approve(swapBuyOrderbook.address, parseEther("100"));
+        await tx.wait();
+
+        const block = await ethers.provider.getBlock("latest");
+        const intent = {
+          user: otherUser.address,
+          syntheticAsset: syntheticAssetToken.address,
+          isBuy: true,
+          executeInstantly: false,
+          numberOfTokens: parseEther("100"),
+          limitPrice: parseEther("3"),
+          minimumAmountOut: 0,
+          expiry: 0,
+          nonce: 0,
+          deadline: block.timestamp + 1000
+        };
+
+        const signature = await otherUser._signTypedData({ name: "Router", version: "1", chainId: 31337, verifyingContract: swapRouter.address }, orderIntentTypes, intent);
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        let tx2 = await swapRouter.connect(relayer).placeOrderBySig(intent, v, r, s);
+        await tx2.wait();
+
+        const userOrders = await swapBuyOrderbook.getUserOrders(otherUser.address);
+        expect(userOrders.length).to.equal(1);
+
+        const orderInfo = await swapBuyOrderbook.getOrderInfo(userOrders[0]);
+        expect(orderInfo[0]).to.equal(parseEther("100"));
+        expect(orderInfo[4]).to.equal(parseEther("3"));
+
+        const nonce = await swapRouter.nonces(otherUser.address);
+        expect(nonce).to.equal(1);
+
+        // The same signature cannot be used twice.
+        let tx3 = swapRouter.connect(relayer).placeOrderBySig(intent, v, r, s);
+        await expect(tx3).to.be.revertedWith("Router: Invalid nonce.");
+    });
+  });
+
+  describe("#placeOrderBySigWithPermit", () => {
+    it("meets requirements", async () => {
+        const newUser = (await ethers.getSigners())[8];
+
+        let tx = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.approve(swapSellOrderbook.address, parseEther("100"));
+        await tx2.wait();
+
+        let tx3 = await swapSellOrderbook.placeOrder(false, parseEther("100"), 0, 0, 0);
+        await tx3.wait();
+
+        let tx4 = await stablecoin.transfer(newUser.address, parseEther("20"));
+        await tx4.wait();
+
+        let tx5 = await feeToken.transfer(newUser.address, parseEther("1"));
+        await tx5.wait();
+
+        // The user has never approved the orderbook.
+        expect(await stablecoin.allowance(newUser.address, swapSellOrderbook.address)).to.equal(0);
+        expect(await feeToken.allowance(newUser.address, swapSellOrderbook.address)).to.equal(0);
+
+        const block = await ethers.provider.getBlock("latest");
+        const deadline = block.timestamp + 1000;
+        const intent = {
+          user: newUser.address,
+          syntheticAsset: syntheticAssetToken.address,
+          isBuy: true,
+          executeInstantly: true,
+          numberOfTokens: parseEther("10"),
+          limitPrice: 0,
+          minimumAmountOut: parseEther("10"),
+          expiry: 0,
+          nonce: 0,
+          deadline: deadline
+        };
+
+        const signature = await newUser._signTypedData({ name: "Router", version: "1", chainId: 31337, verifyingContract: swapRouter.address }, orderIntentTypes, intent);
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        // 10 tokens cost 20 stablecoin at a price of 2, and the oracle's usage fee is paid in the fee token.
+        const tokenSignature = await newUser._signTypedData(
+          { name: "Stablecoin", version: "1", chainId: 31337, verifyingContract: stablecoin.address },
+          permitTypes,
+          { owner: newUser.address, spender: swapSellOrderbook.address, value: parseEther("20"), nonce: await stablecoin.nonces(newUser.address), deadline: deadline }
+        );
+        const tokenPermit = { value: parseEther("20"), deadline: deadline, ...ethers.utils.splitSignature(tokenSignature) };
+
+        const feeTokenSignature = await newUser._signTypedData(
+          { name: "Fee Token", version: "1", chainId: 31337, verifyingContract: feeToken.address },
+          permitTypes,
+          { owner: newUser.address, spender: swapSellOrderbook.address, value: parseEther("1"), nonce: await feeToken.nonces(newUser.address), deadline: deadline }
+        );
+        const feeTokenPermit = { value: parseEther("1"), deadline: deadline, ...ethers.utils.splitSignature(feeTokenSignature) };
+
+        let tx6 = await swapRouter.connect(relayer).placeOrderBySigWithPermit(intent, v, r, s, tokenPermit, feeTokenPermit);
+        await expect(tx6).to.emit(swapRouter, "PlacedOrderBySig").withArgs(newUser.address, relayer.address, syntheticAssetToken.address, 0);
+
+        const balance = await syntheticAssetToken.balanceOf(newUser.address);
+        expect(balance).to.equal(parseEther("10"));
+
+        const stablecoinBalance = await stablecoin.balanceOf(newUser.address);
+        expect(stablecoinBalance).to.equal(0);
+
+        const feeBalance = await feeToken.balanceOf(newUser.address);
+        expect(feeBalance).to.equal(0);
+
+        const nonce = await swapRouter.nonces(newUser.address);
+        expect(nonce).to.equal(1);
+    });
+  });
+
+  describe("#incrementNonce", () => {
+    it("meets requirements", async () => {
+        const block = await ethers.provider.getBlock("latest");
+        const intent = {
+          user: otherUser.address,
+          syntheticAsset: syntheticAssetToken.address,
+          isBuy: true,
+          executeInstantly: false,
+          numberOfTokens: parseEther("100"),
+          limitPrice: 0,
+          minimumAmountOut: 0,
+          expiry: 0,
+          nonce: 0,
+          deadline: block.timestamp + 1000
+        };
+
+        const signature = await otherUser._signTypedData({ name: "Router", version: "1", chainId: 31337, verifyingContract: swapRouter.address }, orderIntentTypes, intent);
+        const { v, r, s } = ethers.utils.splitSignature(signature);
+
+        let tx = await swapRouter.connect(otherUser).incrementNonce();
+        await tx.wait();
+
+        const nonce = await swapRouter.nonces(otherUser.address);
+        expect(nonce).to.equal(1);
+
+        let tx2 = swapRouter.connect(relayer).placeOrderBySig(intent, v, r, s);
+        await expect(tx2).to.be.revertedWith("Router: Invalid nonce.");
+    });
+  });
+});
\ No newline at end of file
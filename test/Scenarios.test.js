@@ -0,0 +1,325 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+const { loadSystem, listAsset, approveAll, increaseTime } = require("./fixtures/system");
+
+// End-to-end flows across several users, against the full system deployed by the deploy-protocol task.
+describe("Scenarios", () => {
+  let system;
+  let asset;
+  let syntheticAsset;
+  let buyOrderbook;
+  let sellOrderbook;
+  let stablecoin;
+  let alice;
+  let bob;
+  let carol;
+  let keeper;
+
+  beforeEach(async () => {
+    system = await loadSystem();
+    [alice, bob, carol, keeper] = system.users;
+    stablecoin = system.stablecoin;
+
+    asset = await listAsset(system);
+    ({ syntheticAsset, buyOrderbook, sellOrderbook } = asset);
+
+    for (const user of system.users) {
+      await approveAll(system, asset, user);
+    }
+  });
+
+  describe("partial fills, cancels and claims", () => {
+    it("fills pending buy orders in the order they were placed", async () => {
+        let tx = await buyOrderbook.connect(alice).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await buyOrderbook.connect(bob).placeOrder(true, parseEther("60"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = await syntheticAsset.connect(carol).mintTokens(parseEther("100"));
+        await tx3.wait();
+
+        // Selling 40 tokens at a price of 2 fills 80 of Alice's 100 stablecoin.
+        const initialBalance = await stablecoin.balanceOf(carol.address);
+        let tx4 = await buyOrderbook.connect(carol).placeOrder(false, parseEther("80"), 0, 0, 0);
+        await tx4.wait();
+
+        const newBalance = await stablecoin.balanceOf(carol.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("80"));
+
+        let aliceOrder = await buyOrderbook.orders(1);
+        expect(aliceOrder.amountFilled).to.equal(parseEther("80"));
+        expect(aliceOrder.amountReceived).to.equal(parseEther("40"));
+
+        // The next fill completes Alice's order and moves on to Bob's.
+        let tx5 = await buyOrderbook.connect(carol).placeOrder(false, parseEther("40"), 0, 0, 0);
+        await tx5.wait();
+
+        aliceOrder = await buyOrderbook.orders(1);
+        expect(aliceOrder.amountFilled).to.equal(parseEther("100"));
+        expect(aliceOrder.amountReceived).to.equal(parseEther("50"));
+
+        let bobOrder = await buyOrderbook.orders(2);
+        expect(bobOrder.amountFilled).to.equal(parseEther("20"));
+        expect(bobOrder.amountReceived).to.equal(parseEther("10"));
+
+        const firstOrderIndex = await buyOrderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(2);
+
+        const totalOpenAmount = await buyOrderbook.totalOpenAmount();
+        expect(totalOpenAmount).to.equal(parseEther("40"));
+
+        // Filled tokens stay in the orderbook until they are claimed.
+        const orderbookTokens = await syntheticAsset.balanceOf(buyOrderbook.address);
+        expect(orderbookTokens).to.equal(parseEther("60"));
+
+        let tx6 = await buyOrderbook.connect(alice).claimTokens(1);
+        await tx6.wait();
+
+        const aliceTokens = await syntheticAsset.balanceOf(alice.address);
+        expect(aliceTokens).to.equal(parseEther("50"));
+
+        let tx7 = buyOrderbook.connect(alice).claimTokens(1);
+        await expect(tx7).to.be.revertedWith("Orderbook: User has no tokens to claim.");
+
+        // Alice's order is settled, so it's removed from her list of orders.
+        const aliceOrders = await buyOrderbook.getUserOrders(alice.address);
+        expect(aliceOrders.length).to.equal(0);
+
+        let tx8 = await buyOrderbook.connect(bob).claimAllTokens();
+        await tx8.wait();
+
+        const bobTokens = await syntheticAsset.balanceOf(bob.address);
+        expect(bobTokens).to.equal(parseEther("10"));
+    });
+
+    it("cancels part of an order, then the rest", async () => {
+        let tx = await buyOrderbook.connect(alice).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await syntheticAsset.connect(carol).mintTokens(parseEther("10"));
+        await tx2.wait();
+
+        let tx3 = await buyOrderbook.connect(carol).placeOrder(false, parseEther("20"), 0, 0, 0);
+        await tx3.wait();
+
+        const initialBalance = await stablecoin.balanceOf(alice.address);
+
+        let tx4 = buyOrderbook.connect(alice).cancelOrder(1, parseEther("81"), false);
+        await expect(tx4).to.be.revertedWith("Orderbook: Amount cancelled exceeds the order size.");
+
+        let tx5 = buyOrderbook.connect(bob).cancelOrder(1, parseEther("1"), false);
+        await expect(tx5).to.be.revertedWith("Orderbook: Only the order's user can call this function.");
+
+        // Cancelling also claims the tokens filled so far.
+        let tx6 = await buyOrderbook.connect(alice).cancelOrder(1, parseEther("30"), false);
+        await tx6.wait();
+
+        let balance = await stablecoin.balanceOf(alice.address);
+        expect(balance.sub(initialBalance)).to.equal(parseEther("30"));
+
+        const aliceTokens = await syntheticAsset.balanceOf(alice.address);
+        expect(aliceTokens).to.equal(parseEther("10"));
+
+        let totalOpenAmount = await buyOrderbook.totalOpenAmount();
+        expect(totalOpenAmount).to.equal(parseEther("50"));
+
+        let firstOrderIndex = await buyOrderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(1);
+
+        let tx7 = await buyOrderbook.connect(alice).cancelOrder(1, 0, true);
+        await tx7.wait();
+
+        balance = await stablecoin.balanceOf(alice.address);
+        expect(balance.sub(initialBalance)).to.equal(parseEther("80"));
+
+        const order = await buyOrderbook.orders(1);
+        expect(order.amountCancelled).to.equal(parseEther("80"));
+
+        totalOpenAmount = await buyOrderbook.totalOpenAmount();
+        expect(totalOpenAmount).to.equal(0);
+
+        firstOrderIndex = await buyOrderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(0);
+
+        const orderbookBalance = await stablecoin.balanceOf(buyOrderbook.address);
+        expect(orderbookBalance).to.equal(0);
+
+        let tx8 = buyOrderbook.connect(alice).cancelOrder(1, 0, true);
+        await expect(tx8).to.be.revertedWith("Orderbook: Order is already filled.");
+    });
+  });
+
+  describe("expired orders", () => {
+    it("are skipped by fills and cancelled by keepers for a bounty", async () => {
+        let tx = await syntheticAsset.connect(alice).mintTokens(parseEther("50"));
+        await tx.wait();
+
+        const latestBlock = await ethers.provider.getBlock("latest");
+        let tx2 = await sellOrderbook.connect(alice).placeOrder(false, parseEther("20"), 0, 0, latestBlock.timestamp + 3600);
+        await tx2.wait();
+
+        // The order hasn't expired yet, so it's skipped.
+        let tx3 = await sellOrderbook.connect(keeper).cancelExpiredOrders([1]);
+        await tx3.wait();
+
+        let totalOpenAmount = await sellOrderbook.totalOpenAmount();
+        expect(totalOpenAmount).to.equal(parseEther("20"));
+
+        await increaseTime(3601);
+
+        // Expired orders can't be filled.
+        let tx4 = await sellOrderbook.connect(bob).placeOrder(true, parseEther("10"), 0, 0, 0);
+        await tx4.wait();
+
+        let order = await sellOrderbook.orders(1);
+        expect(order.amountFilled).to.equal(0);
+
+        let tx5 = sellOrderbook.connect(carol).executeOrderAsMarketMaker(1);
+        await expect(tx5).to.be.revertedWith("Orderbook: Order has expired.");
+
+        let tx6 = await sellOrderbook.connect(keeper).cancelExpiredOrders([1]);
+        await expect(tx6).to.emit(sellOrderbook, "CancelledExpiredOrder").withArgs(keeper.address, alice.address, 1, parseEther("20"), parseEther("0.02"));
+
+        // The default bounty is 0.1% of the unfilled amount.
+        const keeperTokens = await syntheticAsset.balanceOf(keeper.address);
+        expect(keeperTokens).to.equal(parseEther("0.02"));
+
+        const aliceTokens = await syntheticAsset.balanceOf(alice.address);
+        expect(aliceTokens).to.equal(parseEther("49.98"));
+
+        totalOpenAmount = await sellOrderbook.totalOpenAmount();
+        expect(totalOpenAmount).to.equal(0);
+
+        const orderbookTokens = await syntheticAsset.balanceOf(sellOrderbook.address);
+        expect(orderbookTokens).to.equal(0);
+
+        const aliceOrders = await sellOrderbook.getUserOrders(alice.address);
+        expect(aliceOrders.length).to.equal(0);
+    });
+  });
+
+  describe("market makers", () => {
+    beforeEach(async () => {
+        // The discount starts at 1% after 10 minutes and reaches 10% an hour later.
+        let tx = await system.userSettings.connect(alice).registerUser(600, 3600, 1000, 100);
+        await tx.wait();
+
+        let tx2 = await buyOrderbook.connect(alice).placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx2.wait();
+
+        let tx3 = await syntheticAsset.connect(carol).mintTokens(parseEther("100"));
+        await tx3.wait();
+    });
+
+    it("fill orders at the user's discount once it has started", async () => {
+        let tx = buyOrderbook.connect(carol).executeOrderAsMarketMaker(1);
+        await expect(tx).to.be.revertedWith("Orderbook: Order is not ready to be filled by a market maker.");
+
+        await increaseTime(600 + 3600);
+
+        const initialBalance = await stablecoin.balanceOf(carol.address);
+
+        let tx2 = await buyOrderbook.connect(carol).executeOrderAsMarketMaker(1);
+        await tx2.wait();
+
+        // Alice's 100 stablecoin buys 50 tokens at the oracle price, minus the 10% discount.
+        const aliceTokens = await syntheticAsset.balanceOf(alice.address);
+        expect(aliceTokens).to.equal(parseEther("45"));
+
+        const newBalance = await stablecoin.balanceOf(carol.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("100"));
+
+        const order = await buyOrderbook.orders(1);
+        expect(order.amountFilled).to.equal(parseEther("100"));
+        expect(order.amountClaimed).to.equal(order.amountReceived);
+
+        const orderbookBalance = await stablecoin.balanceOf(buyOrderbook.address);
+        expect(orderbookBalance).to.equal(0);
+
+        const firstOrderIndex = await buyOrderbook.firstOrderIndex();
+        expect(firstOrderIndex).to.equal(0);
+    });
+
+    it("pay the market maker fee", async () => {
+        let tx = await system.registry.setTradingFeeOverride(syntheticAsset.address, true, 0, 50);
+        await tx.wait();
+
+        await increaseTime(600 + 3600);
+
+        const initialBalance = await stablecoin.balanceOf(carol.address);
+        const initialCollectedFees = await system.feeDistributor.collectedFees(syntheticAsset.address, await system.feeDistributor.TRADING());
+
+        let tx2 = await buyOrderbook.connect(carol).executeOrderAsMarketMaker(1);
+        await tx2.wait();
+
+        // The 0.5% fee is deducted from the stablecoin sent to the market maker.
+        const newBalance = await stablecoin.balanceOf(carol.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("99.5"));
+
+        const collectedFees = await system.feeDistributor.collectedFees(syntheticAsset.address, await system.feeDistributor.TRADING());
+        expect(collectedFees.sub(initialCollectedFees)).to.equal(parseEther("0.5"));
+
+        const routerBalance = await stablecoin.balanceOf(system.router.address);
+        expect(routerBalance).to.equal(0);
+    });
+  });
+
+  describe("router swaps", () => {
+    it("buy from pending sell orders, then mint the rest", async () => {
+        let tx = await syntheticAsset.connect(alice).mintTokens(parseEther("10"));
+        await tx.wait();
+
+        let tx2 = await sellOrderbook.connect(alice).placeOrder(false, parseEther("10"), 0, 0, 0);
+        await tx2.wait();
+
+        const latestBlock = await ethers.provider.getBlock("latest");
+        let tx3 = await system.router.connect(bob).swapStablecoinForSyntheticAsset(syntheticAsset.address, parseEther("30"), 0, latestBlock.timestamp + 3600);
+        await tx3.wait();
+
+        // 20 stablecoin buys Alice's 10 tokens, and the other 10 mints tokens after the 1% mint fee.
+        const mintedTokens = parseEther("10").mul(parseEther("1")).mul(10000).div(parseEther("2").mul(10100));
+        const bobTokens = await syntheticAsset.balanceOf(bob.address);
+        expect(bobTokens).to.equal(parseEther("10").add(mintedTokens));
+
+        let tx4 = await sellOrderbook.connect(alice).claimAllTokens();
+        await tx4.wait();
+
+        const aliceOrder = await sellOrderbook.orders(1);
+        expect(aliceOrder.amountReceived).to.equal(parseEther("20"));
+
+        const routerStablecoin = await stablecoin.balanceOf(system.router.address);
+        expect(routerStablecoin).to.equal(0);
+
+        const routerTokens = await syntheticAsset.balanceOf(system.router.address);
+        expect(routerTokens).to.equal(0);
+    });
+
+    it("sell to pending buy orders, then redeem the rest", async () => {
+        let tx = await buyOrderbook.connect(alice).placeOrder(true, parseEther("10"), 0, 0, 0);
+        await tx.wait();
+
+        let tx2 = await syntheticAsset.connect(bob).mintTokens(parseEther("20"));
+        await tx2.wait();
+
+        const initialBalance = await stablecoin.balanceOf(bob.address);
+
+        const latestBlock = await ethers.provider.getBlock("latest");
+        let tx3 = await system.router.connect(bob).swapSyntheticAssetForStablecoin(syntheticAsset.address, parseEther("20"), 0, latestBlock.timestamp + 3600);
+        await tx3.wait();
+
+        // 5 tokens fill Alice's order and the other 15 are redeemed for 30 stablecoin, minus the 1% redemption fee.
+        const newBalance = await stablecoin.balanceOf(bob.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("10").add(parseEther("29.7")));
+
+        const aliceOrder = await buyOrderbook.orders(1);
+        expect(aliceOrder.amountReceived).to.equal(parseEther("5"));
+
+        const totalSupply = await syntheticAsset.totalSupply();
+        expect(totalSupply).to.equal(parseEther("5"));
+
+        const routerTokens = await syntheticAsset.balanceOf(system.router.address);
+        expect(routerTokens).to.equal(0);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Simulation, loadConfig, toCsv, writeReport, DEFAULT_CONFIG } = require("../simulation");
+
+describe("Simulation", () => {
+  describe("#loadConfig", () => {
+    it("merges overrides into the defaults", async () => {
+        const config = loadConfig({ steps: 10, price: { volatility: 0.05 }, agents: { buyers: { count: 1 } } });
+
+        expect(config.steps).to.equal(10);
+        expect(config.price.volatility).to.equal(0.05);
+        expect(config.price.points).to.deep.equal(DEFAULT_CONFIG.price.points);
+        expect(config.agents.buyers.count).to.equal(1);
+        expect(config.agents.buyers.amount).to.deep.equal(DEFAULT_CONFIG.agents.buyers.amount);
+        expect(config.agents.sellers).to.deep.equal(DEFAULT_CONFIG.agents.sellers);
+    });
+
+    it("replaces arrays instead of merging them", async () => {
+        const config = loadConfig({ price: { points: [[0, 1], [10, 3]] } });
+
+        expect(config.price.points).to.deep.equal([[0, 1], [10, 3]]);
+    });
+
+    it("rejects invalid settings", async () => {
+        expect(() => loadConfig({ runs: 0 })).to.throw("runs must be a number between 1 and Infinity.");
+        expect(() => loadConfig({ price: { points: [] } })).to.throw("price.points must have at least one [step, price] point.");
+        expect(() => loadConfig({ price: { points: [[0, 2], [0, 3]] } })).to.throw("price.points[1] step must be a number between 1 and Infinity.");
+        expect(() => loadConfig({ agents: { buyers: { amount: [10] } } })).to.throw("agents.buyers.amount must be a [min, max] range.");
+        expect(() => loadConfig({ agents: { sellers: { amount: [10, 5] } } })).to.throw("agents.sellers.amount[1] must be a number between 10 and Infinity.");
+        expect(() => loadConfig({ tradingFees: { takerFee: 20 } })).to.throw("tradingFees.marketMakerFee must be a number between 0 and 10000.");
+    });
+
+    it("rejects unknown protocol settings and populations", async () => {
+        expect(() => loadConfig({ protocolSettings: { unknownFee: 10 } })).to.throw("Unknown protocol setting: unknownFee.");
+        expect(() => loadConfig({ agents: { whales: { count: 1 } } })).to.throw("Unknown agent population: whales.");
+    });
+  });
+
+  describe("#toCsv", () => {
+    it("flattens nested values into columns", async () => {
+        const csv = toCsv([{ run: 0, fillLatency: { mean: 300, max: 600 } }, { run: 1, fillLatency: { mean: null, max: 900 } }]);
+
+        expect(csv).to.equal("run,fillLatency.mean,fillLatency.max\n0,300,600\n1,,900\n");
+    });
+
+    it("escapes values with commas and quotes", async () => {
+        const csv = toCsv([{ status: "partially filled", note: "a, \"b\"" }]);
+
+        expect(csv).to.equal("status,note\npartially filled,\"a, \"\"b\"\"\"\n");
+    });
+  });
+
+  describe("#runAll", () => {
+    let simulation;
+    let report;
+
+    before(async () => {
+      const config = loadConfig({
+        runs: 2,
+        steps: 8,
+        stepDuration: 600,
+        price: { points: [[0, 2], [7, 1.8]], volatility: 0.01 },
+        agents: {
+          minters: { count: 1, probability: 1 },
+          buyers: { count: 1, probability: 1, swapProbability: 0, expiry: [600, 1200] },
+          sellers: { count: 1, probability: 1, swapProbability: 0, limitSpread: null },
+          marketMakers: { count: 1, minimumDiscount: 0 },
+        },
+      });
+
+      simulation = new Simulation(hre, config);
+      report = await simulation.runAll();
+    });
+
+    it("reports every run and step", async () => {
+        expect(report.runs.length).to.equal(2);
+        expect(report.runs.map((run) => run.summary.seed)).to.deep.equal([1, 2]);
+
+        for (const run of report.runs) {
+          expect(run.steps.length).to.equal(8);
+          expect(run.steps[0].price).to.equal("2.0");
+          expect(run.summary.ordersPlaced).to.equal(run.orders.length);
+          expect(run.summary.ordersPlaced).to.be.gt(0);
+          expect(run.summary.actions.minters.mint).to.be.gt(0);
+        }
+    });
+
+    it("keeps each step's price change within the oracle's max deviation", async () => {
+        for (const run of report.runs) {
+          for (let i = 1; i < run.steps.length; i++) {
+            const change = Math.abs(Number(run.steps[i].price) / Number(run.steps[i - 1].price) - 1);
+            expect(change).to.be.lte(simulation.maxPriceChange + 1e-6);
+          }
+        }
+    });
+
+    it("summarizes fills, fees and coverage consistently", async () => {
+        for (const { summary, orders } of report.runs) {
+          const counts = summary.ordersFilled + summary.ordersPartiallyFilled + summary.ordersCancelled + summary.ordersExpired + summary.ordersOpen;
+          expect(counts).to.equal(summary.ordersPlaced);
+          expect(summary.filledByTakers + summary.filledByMarketMakers).to.be.lte(summary.ordersFilled);
+
+          for (const order of orders.filter((o) => o.status === "filled")) {
+            expect(order.latency).to.be.gte(0);
+          }
+
+          // Every fee source is charged in the default settings, and minting always happens.
+          expect(Number(summary.fees.minting)).to.be.gt(0);
+          expect(Number(summary.treasuryRevenue)).to.be.gt(0);
+          expect(Number(summary.treasuryRevenue)).to.be.lte(Number(summary.fees.total));
+          expect(summary.coverage.min).to.be.gt(0);
+          expect(summary.coverage.min).to.be.lte(summary.coverage.mean);
+        }
+    });
+
+    it("replays a run from its seed", async () => {
+        const replay = await simulation.run(0);
+
+        expect(replay.summary).to.deep.equal(report.runs[0].summary);
+        expect(replay.orders).to.deep.equal(report.runs[0].orders);
+        expect(replay.steps).to.deep.equal(report.runs[0].steps);
+    });
+
+    it("writes the report as JSON and CSV", async () => {
+        const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "simulation-")), "reports", "test");
+        const files = writeReport(report, out);
+
+        expect(files).to.deep.equal([`${out}.json`, `${out}-summary.csv`, `${out}-steps.csv`, `${out}-orders.csv`]);
+        expect(JSON.parse(fs.readFileSync(`${out}.json`, "utf8")).runs.length).to.equal(2);
+        expect(fs.readFileSync(`${out}-summary.csv`, "utf8").trim().split("\n").length).to.equal(3);
+        expect(fs.readFileSync(`${out}-steps.csv`, "utf8").trim().split("\n").length).to.equal(17);
+
+        expect(() => writeReport(report, out, "xml")).to.throw("Format must be one of json, csv, both.");
+    });
+  });
+});
\ No newline at end of file
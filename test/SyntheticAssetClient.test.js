@@ -0,0 +1,305 @@
+const chai = require("chai");
+const { parseEther } = require("@ethersproject/units");
+const copyAbi = require("../sdk/scripts/copy-abi");
+
+// The SDK throws its own errors, so rejections are checked with chai-as-promised rather than revertedWith.
+chai.use(require("chai-as-promised"));
+const { expect } = chai;
+
+describe("SyntheticAssetClient", () => {
+  let deployer;
+  let otherUser;
+
+  let sdk;
+  let client;
+  let otherClient;
+
+  let stablecoin;
+  let oracle;
+  let router;
+  let registry;
+  let SyntheticAssetTokenFactory;
+
+  let dataSource;
+  let DataSourceFactory;
+
+  let dataFeed;
+  let syntheticAsset;
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+
+    // The SDK loads the ABIs exported on compile.
+    copyAbi();
+    sdk = require("../sdk/src");
+
+    const deployment = await hre.run("deploy-protocol", { silent: true });
+    client = sdk.SyntheticAssetClient.fromDeployment(deployer, deployment);
+    otherClient = client.connect(otherUser);
+
+    stablecoin = await ethers.getContractAt("TestTokenERC20", deployment.contracts.Stablecoin.address);
+    oracle = await ethers.getContractAt("Oracle", deployment.contracts.Oracle.address);
+    router = await ethers.getContractAt("Router", deployment.contracts.Router.address);
+    registry = await ethers.getContractAt("SyntheticAssetTokenRegistry", deployment.contracts.SyntheticAssetTokenRegistry.address);
+    SyntheticAssetTokenFactory = await ethers.getContractFactory("SyntheticAssetToken");
+
+    // Charge a usage fee in stablecoin, so approvals have to cover both.
+    DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+    dataSource = await DataSourceFactory.deploy(stablecoin.address, parseEther("0.1"));
+    await dataSource.deployed();
+
+    let tx = await oracle.setDataSource(dataSource.address);
+    await tx.wait();
+
+    let tx2 = await stablecoin.transfer(otherUser.address, parseEther("1000"));
+    await tx2.wait();
+  });
+
+  beforeEach(async () => {
+    dataFeed = ethers.Wallet.createRandom().address;
+
+    let tx = await registry.createSyntheticAssetToken(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+    let receipt = await tx.wait();
+    syntheticAsset = SyntheticAssetTokenFactory.attach(receipt.events.find((e) => e.event === "CreatedSyntheticAssetToken").args.syntheticAssetAddress);
+
+    let tx2 = await dataSource.setLatestPrice(dataFeed, parseEther("2"));
+    await tx2.wait();
+
+    let tx3 = await dataSource.setLatestPrice(syntheticAsset.address, parseEther("2"));
+    await tx3.wait();
+  });
+
+  describe("#getOrderbooks", () => {
+    it("asset not found", async () => {
+        let tx = client.getOrderbooks(otherUser.address);
+        await expect(tx).to.be.rejectedWith(sdk.NotFoundError, "Router: Asset not found.");
+    });
+
+    it("meets requirements", async () => {
+        const orderbooks = await client.getOrderbooks(syntheticAsset.address);
+        const addresses = await router.getOrderbookAddresses(syntheticAsset.address);
+
+        expect(orderbooks.buy.address).to.equal(addresses[0]);
+        expect(orderbooks.sell.address).to.equal(addresses[1]);
+    });
+  });
+
+  describe("#mint", () => {
+    it("asset has not been priced", async () => {
+        let tx = client.mint(syntheticAsset.address, parseEther("10"));
+        await expect(tx).to.be.rejectedWith("The asset has not been priced by the oracle yet.");
+    });
+
+    it("meets requirements", async () => {
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+
+        const balance = await syntheticAsset.balanceOf(deployer.address);
+        expect(balance).to.equal(parseEther("10"));
+
+        // Quotes are available once the oracle has accepted a price, and match what was paid.
+        const quote = await client.quoteMint(syntheticAsset.address, parseEther("10"));
+        expect(quote.price).to.equal(parseEther("2"));
+        expect(quote.value).to.equal(parseEther("20"));
+
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(initialStablecoinBalance.sub(newStablecoinBalance)).to.equal(quote.cost.add(quote.usageFee));
+    });
+
+    it("approves the quoted cost", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await client.mint(syntheticAsset.address, parseEther("5"));
+
+        const balance = await syntheticAsset.balanceOf(deployer.address);
+        expect(balance).to.equal(parseEther("15"));
+    });
+  });
+
+  describe("#redeem", () => {
+    it("meets requirements", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        const quote = await client.quoteRedeem(syntheticAsset.address, parseEther("4"));
+
+        await client.redeem(syntheticAsset.address, parseEther("4"));
+
+        const balance = await syntheticAsset.balanceOf(deployer.address);
+        expect(balance).to.equal(parseEther("6"));
+
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance.sub(initialStablecoinBalance)).to.equal(quote.payout.sub(quote.usageFee));
+    });
+  });
+
+  describe("#buy", () => {
+    it("swaps through the Router", async () => {
+        await client.buy(syntheticAsset.address, parseEther("10"));
+
+        const balance = await syntheticAsset.balanceOf(deployer.address);
+        expect(balance).to.be.gt(0);
+
+        const orders = await client.getOrders(syntheticAsset.address);
+        expect(orders.length).to.equal(0);
+    });
+
+    it("places a pending order with a limit price", async () => {
+        await client.buy(syntheticAsset.address, parseEther("10"), { limitPrice: parseEther("1.5") });
+
+        const orders = await client.getOrders(syntheticAsset.address);
+        expect(orders.length).to.equal(1);
+        expect(orders[0].isBuy).to.be.true;
+        expect(orders[0].quantity).to.equal(parseEther("10"));
+        expect(orders[0].limitPrice).to.equal(parseEther("1.5"));
+    });
+
+    it("amount out is below the minimum", async () => {
+        let tx = client.buy(syntheticAsset.address, parseEther("10"), { minimumAmountOut: parseEther("100") });
+        await expect(tx).to.be.rejectedWith(sdk.SlippageError, "Router: Amount out is below the minimum.");
+    });
+
+    it("trading is paused", async () => {
+        let tx = await router.pauseTrading(syntheticAsset.address, true);
+        await tx.wait();
+
+        let tx2 = client.buy(syntheticAsset.address, parseEther("10"), { limitPrice: parseEther("1.5") });
+        await expect(tx2).to.be.rejectedWith(sdk.PausedError, "Orderbook: Cannot place orders when trading is paused.");
+    });
+  });
+
+  describe("#sell", () => {
+    it("swaps through the Router", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+
+        await client.sell(syntheticAsset.address, parseEther("5"));
+
+        const balance = await syntheticAsset.balanceOf(deployer.address);
+        expect(balance).to.equal(parseEther("5"));
+
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance).to.be.gt(initialStablecoinBalance);
+    });
+
+    it("places a pending order with a limit price", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await client.sell(syntheticAsset.address, parseEther("5"), { limitPrice: parseEther("2.5") });
+
+        const orders = await client.getOrders(syntheticAsset.address);
+        expect(orders.length).to.equal(1);
+        expect(orders[0].isBuy).to.be.false;
+        expect(orders[0].quantity).to.equal(parseEther("5"));
+    });
+  });
+
+  describe("#cancel", () => {
+    it("only the order's user", async () => {
+        await client.buy(syntheticAsset.address, parseEther("10"), { limitPrice: parseEther("1.5") });
+        const orders = await client.getOrders(syntheticAsset.address);
+
+        let tx = otherClient.cancel(syntheticAsset.address, true, orders[0].index);
+        await expect(tx).to.be.rejectedWith(sdk.AccessError, "Orderbook: Only the order's user can call this function.");
+    });
+
+    it("meets requirements", async () => {
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+
+        await client.buy(syntheticAsset.address, parseEther("10"), { limitPrice: parseEther("1.5") });
+        const orders = await client.getOrders(syntheticAsset.address);
+
+        await client.cancel(syntheticAsset.address, true, orders[0].index);
+
+        const newOrders = await client.getOrders(syntheticAsset.address);
+        expect(newOrders.length).to.equal(0);
+
+        const newStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(newStablecoinBalance).to.equal(initialStablecoinBalance);
+    });
+  });
+
+  describe("#claim", () => {
+    it("no tokens to claim", async () => {
+        const receipts = await client.claim(syntheticAsset.address);
+        expect(receipts.length).to.equal(0);
+    });
+
+    it("meets requirements", async () => {
+        await otherClient.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await otherClient.sell(syntheticAsset.address, parseEther("5"), { limitPrice: parseEther("1") });
+
+        // Buying through the Router fills the pending sell order first.
+        await client.buy(syntheticAsset.address, parseEther("4"));
+
+        const initialStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        const receipts = await otherClient.claim(syntheticAsset.address);
+        expect(receipts.length).to.equal(1);
+
+        const newStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(newStablecoinBalance).to.be.gt(initialStablecoinBalance);
+    });
+  });
+
+  describe("#fillAsMarketMaker", () => {
+    it("meets requirements", async () => {
+        await client.mint(syntheticAsset.address, parseEther("20"), { maxCost: parseEther("50") });
+
+        // Quotes use the synthetic asset's last accepted price, which swaps update.
+        await client.sell(syntheticAsset.address, parseEther("1"));
+
+        await otherClient.buy(syntheticAsset.address, parseEther("10"), { limitPrice: 0 });
+        const orders = await otherClient.getOrders(syntheticAsset.address);
+
+        const quotes = await client.quoteMarketMaker(syntheticAsset.address, true, [orders[0].index]);
+        expect(quotes[0].amountRequired).to.equal(parseEther("5"));
+
+        await client.fillAsMarketMaker(syntheticAsset.address, true, [orders[0].index]);
+
+        const balance = await syntheticAsset.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("5"));
+
+        const newOrders = await otherClient.getOrders(syntheticAsset.address);
+        expect(newOrders.length).to.equal(0);
+    });
+  });
+
+  describe("#getPortfolio", () => {
+    it("meets requirements", async () => {
+        await client.mint(syntheticAsset.address, parseEther("10"), { maxCost: parseEther("30") });
+        await client.buy(syntheticAsset.address, parseEther("10"), { limitPrice: parseEther("1.5") });
+
+        const index = await registry.assetToIndex(syntheticAsset.address);
+        const portfolio = await client.getPortfolio(undefined, index, 1);
+
+        expect(portfolio.length).to.equal(1);
+        expect(portfolio[0].syntheticAsset).to.equal(syntheticAsset.address);
+        expect(portfolio[0].balance).to.equal(parseEther("10"));
+        expect(portfolio[0].numberOfBuyOrders).to.equal(1);
+        expect(portfolio[0].pendingStablecoin).to.equal(parseEther("10"));
+
+        const assets = await client.getAssets(index, 1);
+        expect(assets[0].syntheticAsset).to.equal(syntheticAsset.address);
+        expect(assets[0].totalSupply).to.equal(parseEther("10"));
+    });
+  });
+
+  describe("#decodeError", () => {
+    it("returns errors that are not reverts", async () => {
+        const error = new Error("could not detect network");
+        expect(sdk.decodeError(error)).to.equal(error);
+    });
+
+    it("decodes revert data", async () => {
+        const data = ethers.utils.hexConcat(["0x08c379a0", ethers.utils.defaultAbiCoder.encode(["string"], ["SyntheticAssetToken: Minting is disabled."])]);
+        const error = sdk.decodeError({ error: { data } });
+
+        expect(error).to.be.instanceOf(sdk.PausedError);
+        expect(error.contract).to.equal("SyntheticAssetToken");
+        expect(error.reason).to.equal("SyntheticAssetToken: Minting is disabled.");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,452 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+const { loadSystem, listAsset, setPrice, approveAll } = require("./fixtures/system");
+
+describe("SyntheticAssetToken", () => {
+  let system;
+  let asset;
+  let syntheticAsset;
+  let stablecoin;
+  let user;
+  let otherUser;
+
+  const permitTypes = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  beforeEach(async () => {
+    system = await loadSystem();
+    [user, otherUser] = system.users;
+    stablecoin = system.stablecoin;
+
+    asset = await listAsset(system, { maxSupply: parseEther("100") });
+    syntheticAsset = asset.syntheticAsset;
+
+    await approveAll(system, asset, user);
+    await approveAll(system, asset, otherUser);
+  });
+
+  describe("#mintTokens", () => {
+    it("meets requirements", async () => {
+        const initialBalance = await stablecoin.balanceOf(user.address);
+
+        let tx = await syntheticAsset.connect(user).mintTokens(parseEther("10"));
+        await tx.wait();
+
+        // 10 tokens at a price of 2, plus the 1% mint fee.
+        const newBalance = await stablecoin.balanceOf(user.address);
+        expect(initialBalance.sub(newBalance)).to.equal(parseEther("20.2"));
+
+        const balance = await syntheticAsset.balanceOf(user.address);
+        expect(balance).to.equal(parseEther("10"));
+
+        const collateralReserve = await syntheticAsset.collateralReserve();
+        expect(collateralReserve).to.equal(parseEther("20"));
+
+        const reserveBalance = await stablecoin.balanceOf(syntheticAsset.address);
+        expect(reserveBalance).to.equal(parseEther("20"));
+
+        const availableTokens = await syntheticAsset.getAvailableTokensToMint();
+        expect(availableTokens).to.equal(parseEther("90"));
+
+        const ratio = await syntheticAsset.getCollateralizationRatio();
+        expect(ratio).to.equal(10000);
+    });
+
+    it("minting is disabled", async () => {
+        let tx = await system.registry.toggleMintingStatus(syntheticAsset.address, false);
+        await tx.wait();
+
+        let tx2 = syntheticAsset.connect(user).mintTokens(parseEther("1"));
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Minting is disabled.");
+    });
+
+    it("minting is paused", async () => {
+        let tx = await system.circuitBreaker.pause(0, 3600);
+        await tx.wait();
+
+        let tx2 = syntheticAsset.connect(user).mintTokens(parseEther("1"));
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Minting is paused.");
+    });
+
+    it("number of tokens is too high", async () => {
+        let tx = syntheticAsset.connect(user).mintTokens(parseEther("101"));
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Number of tokens is too high.");
+    });
+
+    it("collateralization ratio is below the minimum", async () => {
+        let tx = await syntheticAsset.connect(user).mintTokens(parseEther("10"));
+        await tx.wait();
+
+        // Each update can move the price by at most 20%, so the price reaches 2.88 in two steps.
+        await setPrice(system, asset, parseEther("2.4"));
+        let tx2 = await syntheticAsset.connect(user).mintTokens(parseEther("1"));
+        await tx2.wait();
+
+        // Reserve of 22.4 against liabilities of 11 * 2.88 = 31.68.
+        await setPrice(system, asset, parseEther("2.88"));
+        let tx3 = syntheticAsset.connect(user).mintTokens(parseEther("1"));
+        await expect(tx3).to.be.revertedWith("SyntheticAssetToken: Collateralization ratio is below the minimum.");
+    });
+  });
+
+  describe("#mintTokensWithPermit", () => {
+    let domain;
+
+    beforeEach(async () => {
+        domain = {
+          name: await stablecoin.name(),
+          version: "1",
+          chainId: 31337,
+          verifyingContract: stablecoin.address
+        };
+
+        // Start from no allowance, so the mint relies on the permit.
+        let tx = await stablecoin.connect(user).approve(syntheticAsset.address, 0);
+        await tx.wait();
+    });
+
+    it("meets requirements", async () => {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const message = { owner: user.address, spender: syntheticAsset.address, value: parseEther("20.2"), nonce: await stablecoin.nonces(user.address), deadline: latestBlock.timestamp + 3600 };
+        const { v, r, s } = ethers.utils.splitSignature(await user._signTypedData(domain, permitTypes, message));
+
+        let tx = await syntheticAsset.connect(user).mintTokensWithPermit(parseEther("10"), message.value, message.deadline, v, r, s);
+        await tx.wait();
+
+        const balance = await syntheticAsset.balanceOf(user.address);
+        expect(balance).to.equal(parseEther("10"));
+
+        const allowance = await stablecoin.allowance(user.address, syntheticAsset.address);
+        expect(allowance).to.equal(0);
+    });
+
+    it("permit was already used", async () => {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const message = { owner: user.address, spender: syntheticAsset.address, value: parseEther("20.2"), nonce: await stablecoin.nonces(user.address), deadline: latestBlock.timestamp + 3600 };
+        const { v, r, s } = ethers.utils.splitSignature(await user._signTypedData(domain, permitTypes, message));
+
+        // Someone else submits the permit before the user's transaction.
+        let tx = await stablecoin.connect(otherUser).permit(user.address, syntheticAsset.address, message.value, message.deadline, v, r, s);
+        await tx.wait();
+
+        let tx2 = await syntheticAsset.connect(user).mintTokensWithPermit(parseEther("10"), message.value, message.deadline, v, r, s);
+        await tx2.wait();
+
+        const balance = await syntheticAsset.balanceOf(user.address);
+        expect(balance).to.equal(parseEther("10"));
+    });
+
+    it("permit failed", async () => {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const message = { owner: user.address, spender: syntheticAsset.address, value: parseEther("20.2"), nonce: await stablecoin.nonces(user.address), deadline: latestBlock.timestamp + 3600 };
+        const { v, r, s } = ethers.utils.splitSignature(await otherUser._signTypedData(domain, permitTypes, message));
+
+        let tx = syntheticAsset.connect(user).mintTokensWithPermit(parseEther("10"), message.value, message.deadline, v, r, s);
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Permit failed.");
+    });
+  });
+
+  describe("#redeemTokens", () => {
+    beforeEach(async () => {
+        let tx = await syntheticAsset.connect(user).mintTokens(parseEther("10"));
+        await tx.wait();
+    });
+
+    it("meets requirements", async () => {
+        const initialBalance = await stablecoin.balanceOf(user.address);
+        const initialCollectedFees = await system.feeDistributor.collectedFees(syntheticAsset.address, await system.feeDistributor.REDEMPTION());
+
+        let tx = await syntheticAsset.connect(user).redeemTokens(parseEther("5"));
+        await tx.wait();
+
+        // 5 tokens at a price of 2, minus the 1% redemption fee.
+        const newBalance = await stablecoin.balanceOf(user.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("9.9"));
+
+        const collectedFees = await system.feeDistributor.collectedFees(syntheticAsset.address, await system.feeDistributor.REDEMPTION());
+        expect(collectedFees.sub(initialCollectedFees)).to.equal(parseEther("0.1"));
+
+        const balance = await syntheticAsset.balanceOf(user.address);
+        expect(balance).to.equal(parseEther("5"));
+
+        const totalSupply = await syntheticAsset.totalSupply();
+        expect(totalSupply).to.equal(parseEther("5"));
+
+        const collateralReserve = await syntheticAsset.collateralReserve();
+        expect(collateralReserve).to.equal(parseEther("10"));
+
+        const reserveBalance = await stablecoin.balanceOf(syntheticAsset.address);
+        expect(reserveBalance).to.equal(parseEther("10"));
+
+        await expect(tx).to.emit(syntheticAsset, "RedeemedTokens").withArgs(user.address, parseEther("5"), parseEther("2"), 0, parseEther("0.1"));
+    });
+
+    it("pays the data feed's usage fee", async () => {
+        // The fixture's data source doesn't charge a usage fee, so the oracle is pointed at one that does.
+        const DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+        const dataSource = await DataSourceFactory.deploy(stablecoin.address, parseEther("1"));
+        await dataSource.deployed();
+
+        let tx = await dataSource.setLatestPrice(asset.dataFeed, parseEther("2"));
+        await tx.wait();
+
+        let tx2 = await system.oracle.setDataSource(dataSource.address);
+        await tx2.wait();
+
+        const initialBalance = await stablecoin.balanceOf(user.address);
+
+        let tx3 = await syntheticAsset.connect(user).redeemTokens(parseEther("5"));
+        await tx3.wait();
+
+        // 5 tokens at a price of 2, minus the 1% redemption fee and the usage fee of 1.
+        const newBalance = await stablecoin.balanceOf(user.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("8.9"));
+
+        const dataSourceBalance = await stablecoin.balanceOf(dataSource.address);
+        expect(dataSourceBalance).to.equal(parseEther("1"));
+
+        await expect(tx3).to.emit(syntheticAsset, "RedeemedTokens").withArgs(user.address, parseEther("5"), parseEther("2"), parseEther("1"), parseEther("0.1"));
+    });
+
+    it("number of tokens is out of bounds", async () => {
+        let tx = syntheticAsset.connect(user).redeemTokens(0);
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Number of tokens is out of bounds.");
+
+        let tx2 = syntheticAsset.connect(user).redeemTokens(parseEther("11"));
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Number of tokens is out of bounds.");
+    });
+
+    it("redemption is disabled", async () => {
+        let tx = await system.registry.toggleRedemptionStatus(syntheticAsset.address, false);
+        await tx.wait();
+
+        let tx2 = syntheticAsset.connect(user).redeemTokens(parseEther("1"));
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Redemption is disabled.");
+
+        let tx3 = await system.registry.toggleRedemptionStatus(syntheticAsset.address, true);
+        await tx3.wait();
+
+        let tx4 = await syntheticAsset.connect(user).redeemTokens(parseEther("1"));
+        await tx4.wait();
+
+        const balance = await syntheticAsset.balanceOf(user.address);
+        expect(balance).to.equal(parseEther("9"));
+    });
+
+    it("not enough collateral", async () => {
+        await setPrice(system, asset, parseEther("2.4"));
+
+        // 10 tokens at a price of 2.4 are worth more than the reserve of 20.
+        let tx = syntheticAsset.connect(user).redeemTokens(parseEther("10"));
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Not enough collateral to redeem tokens.");
+    });
+  });
+
+  describe("#updateCollateralizationStatus", () => {
+    it("suspends minting below the minimum ratio", async () => {
+        let tx = await syntheticAsset.connect(user).mintTokens(parseEther("10"));
+        await tx.wait();
+
+        await setPrice(system, asset, parseEther("2.4"));
+        let tx2 = await syntheticAsset.updateCollateralizationStatus();
+        await tx2.wait();
+
+        // Reserve of 20 against liabilities of 24.
+        let mintingIsEnabled = await syntheticAsset.mintingIsEnabled();
+        expect(mintingIsEnabled).to.be.true;
+
+        await setPrice(system, asset, parseEther("2.88"));
+        let tx3 = await syntheticAsset.updateCollateralizationStatus();
+        await expect(tx3).to.emit(syntheticAsset, "SuspendedMinting");
+
+        // Reserve of 20 against liabilities of 28.8.
+        const ratio = await syntheticAsset.getCollateralizationRatio();
+        expect(ratio).to.equal(6944);
+
+        mintingIsEnabled = await syntheticAsset.mintingIsEnabled();
+        expect(mintingIsEnabled).to.be.false;
+    });
+  });
+
+  describe("#canMint", () => {
+    it("checks the collateralization ratio at the given price", async () => {
+        let tx = await syntheticAsset.connect(user).mintTokens(parseEther("10"));
+        await tx.wait();
+
+        // Reserve of 20 against liabilities of 24 and 28.8.
+        expect(await syntheticAsset.canMint(parseEther("2.4"))).to.be.true;
+        expect(await syntheticAsset.canMint(parseEther("2.88"))).to.be.false;
+    });
+
+    it("minting is paused", async () => {
+        let tx = await system.circuitBreaker.pause(0, 3600);
+        await tx.wait();
+
+        expect(await syntheticAsset.canMint(parseEther("2"))).to.be.false;
+    });
+
+    it("minting is disabled", async () => {
+        let tx = await system.registry.toggleMintingStatus(syntheticAsset.address, false);
+        await tx.wait();
+
+        expect(await syntheticAsset.canMint(parseEther("2"))).to.be.false;
+    });
+  });
+
+  describe("#permit", () => {
+    let domain;
+
+    beforeEach(async () => {
+        domain = {
+          name: await syntheticAsset.name(),
+          version: "1",
+          chainId: 31337,
+          verifyingContract: syntheticAsset.address
+        };
+    });
+
+    it("meets requirements", async () => {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const message = { owner: user.address, spender: otherUser.address, value: parseEther("5"), nonce: 0, deadline: latestBlock.timestamp + 3600 };
+        const { v, r, s } = ethers.utils.splitSignature(await user._signTypedData(domain, permitTypes, message));
+
+        let tx = await syntheticAsset.connect(otherUser).permit(user.address, otherUser.address, message.value, message.deadline, v, r, s);
+        await tx.wait();
+
+        const allowance = await syntheticAsset.allowance(user.address, otherUser.address);
+        expect(allowance).to.equal(parseEther("5"));
+
+        const nonce = await syntheticAsset.nonces(user.address);
+        expect(nonce).to.equal(1);
+
+        // The nonce is used up, so the signature can't be replayed.
+        let tx2 = syntheticAsset.connect(otherUser).permit(user.address, otherUser.address, message.value, message.deadline, v, r, s);
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Invalid permit signature.");
+    });
+
+    it("permit has expired", async () => {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const message = { owner: user.address, spender: otherUser.address, value: parseEther("5"), nonce: 0, deadline: latestBlock.timestamp - 1 };
+        const { v, r, s } = ethers.utils.splitSignature(await user._signTypedData(domain, permitTypes, message));
+
+        let tx = syntheticAsset.connect(otherUser).permit(user.address, otherUser.address, message.value, message.deadline, v, r, s);
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Permit has expired.");
+    });
+
+    it("signature doesn't come from the owner", async () => {
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const message = { owner: user.address, spender: otherUser.address, value: parseEther("5"), nonce: 0, deadline: latestBlock.timestamp + 3600 };
+        const { v, r, s } = ethers.utils.splitSignature(await otherUser._signTypedData(domain, permitTypes, message));
+
+        let tx = syntheticAsset.connect(otherUser).permit(user.address, otherUser.address, message.value, message.deadline, v, r, s);
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Invalid permit signature.");
+    });
+  });
+
+  describe("#increaseMaxSupply", () => {
+    it("meets requirements", async () => {
+        let tx = await system.registry.increaseMaxSupply(syntheticAsset.address, parseEther("200"));
+        await tx.wait();
+
+        const maxSupply = await syntheticAsset.maxSupply();
+        expect(maxSupply).to.equal(parseEther("200"));
+
+        let tx2 = await syntheticAsset.connect(user).mintTokens(parseEther("150"));
+        await tx2.wait();
+    });
+
+    it("new max supply is not higher", async () => {
+        let tx = system.registry.increaseMaxSupply(syntheticAsset.address, parseEther("100"));
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: The new max supply must be higher than the current max supply.");
+    });
+  });
+
+  describe("#redeemSettledTokens", () => {
+    beforeEach(async () => {
+        let tx = await syntheticAsset.connect(user).mintTokens(parseEther("10"));
+        await tx.wait();
+
+        let tx2 = await syntheticAsset.connect(user).transfer(otherUser.address, parseEther("4"));
+        await tx2.wait();
+    });
+
+    it("asset has not been settled", async () => {
+        let tx = syntheticAsset.connect(user).redeemSettledTokens(parseEther("1"));
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Asset has not been settled.");
+    });
+
+    it("pays the settlement price", async () => {
+        let tx = await system.registry.delistSyntheticAsset(syntheticAsset.address);
+        await tx.wait();
+
+        const initialBalance = await stablecoin.balanceOf(otherUser.address);
+
+        let tx2 = await syntheticAsset.connect(otherUser).redeemSettledTokens(parseEther("4"));
+        await tx2.wait();
+
+        // No fees are charged after settlement.
+        const newBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(newBalance.sub(initialBalance)).to.equal(parseEther("8"));
+
+        const collateralReserve = await syntheticAsset.collateralReserve();
+        expect(collateralReserve).to.equal(parseEther("12"));
+
+        let tx3 = syntheticAsset.connect(otherUser).redeemSettledTokens(parseEther("1"));
+        await expect(tx3).to.be.revertedWith("SyntheticAssetToken: Number of tokens is out of bounds.");
+
+        let tx4 = syntheticAsset.connect(user).redeemTokens(parseEther("1"));
+        await expect(tx4).to.be.revertedWith("SyntheticAssetToken: Redemption is disabled.");
+    });
+
+    it("splits the reserve pro rata when undercollateralized", async () => {
+        await setPrice(system, asset, parseEther("2.4"));
+        let tx = await syntheticAsset.updateCollateralizationStatus();
+        await tx.wait();
+
+        let tx2 = await system.registry.delistSyntheticAsset(syntheticAsset.address);
+        await tx2.wait();
+
+        // The reserve of 20 only covers 2 per token.
+        const settlementPrice = await syntheticAsset.settlementPrice();
+        expect(settlementPrice).to.equal(parseEther("2.4"));
+
+        const redemptionRate = await syntheticAsset.settlementRedemptionRate();
+        expect(redemptionRate).to.equal(parseEther("2"));
+
+        let tx3 = await syntheticAsset.connect(user).redeemSettledTokens(parseEther("6"));
+        await tx3.wait();
+
+        let tx4 = await syntheticAsset.connect(otherUser).redeemSettledTokens(parseEther("4"));
+        await tx4.wait();
+
+        const reserveBalance = await stablecoin.balanceOf(syntheticAsset.address);
+        expect(reserveBalance).to.equal(0);
+
+        const totalSupply = await syntheticAsset.totalSupply();
+        expect(totalSupply).to.equal(0);
+    });
+  });
+
+  describe("onlyRegistry", () => {
+    it("restricted functions", async () => {
+        let tx = syntheticAsset.increaseMaxSupply(parseEther("200"));
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Only the SyntheticAssetTokenRegistry contract can call this function.");
+
+        let tx2 = syntheticAsset.toggleMintingStatus(false);
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Only the SyntheticAssetTokenRegistry contract can call this function.");
+
+        let tx3 = syntheticAsset.toggleRedemptionStatus(false);
+        await expect(tx3).to.be.revertedWith("SyntheticAssetToken: Only the SyntheticAssetTokenRegistry contract can call this function.");
+
+        let tx4 = syntheticAsset.settle();
+        await expect(tx4).to.be.revertedWith("SyntheticAssetToken: Only the SyntheticAssetTokenRegistry contract can call this function.");
+    });
+  });
+});
\ No newline at end of file
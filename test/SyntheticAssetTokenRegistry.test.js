@@ -0,0 +1,434 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("SyntheticAssetTokenRegistry", () => {
+  let deployer;
+  let otherUser;
+  let dataFeed;
+
+  let accessController;
+  let stablecoin;
+  let feeToken;
+  let dataSource;
+  let oracle;
+  let protocolSettings;
+  let feeDistributor;
+  let router;
+  let OrderbookFactory;
+  let SyntheticAssetTokenFactory;
+
+  let registry;
+  let RegistryFactory;
+  let syntheticAssetTokenFactory;
+  let orderbookFactory;
+
+  let syntheticAssetToken;
+  let buyOrderbook;
+  let sellOrderbook;
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+    dataFeed = signers[2].address;
+
+    const AccessControllerFactory = await ethers.getContractFactory("AccessController");
+    const TestTokenFactory = await ethers.getContractFactory("TestTokenERC20");
+    const DataSourceFactory = await ethers.getContractFactory("TestDataSource");
+    const OracleFactory = await ethers.getContractFactory("Oracle");
+    const ProtocolSettingsFactory = await ethers.getContractFactory("ProtocolSettings");
+    const UserSettingsFactory = await ethers.getContractFactory("UserSettings");
+    const CircuitBreakerFactory = await ethers.getContractFactory("CircuitBreaker");
+    const FeeDistributorFactory = await ethers.getContractFactory("FeeDistributor");
+    const UpgradeableBeaconFactory = await ethers.getContractFactory("UpgradeableBeacon");
+    const SyntheticAssetTokenFactoryFactory = await ethers.getContractFactory("SyntheticAssetTokenFactory");
+    const OrderbookFactoryFactory = await ethers.getContractFactory("OrderbookFactory");
+    OrderbookFactory = await ethers.getContractFactory("Orderbook");
+    SyntheticAssetTokenFactory = await ethers.getContractFactory("SyntheticAssetToken");
+    RegistryFactory = await ethers.getContractFactory("SyntheticAssetTokenRegistry");
+
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    stablecoin = await TestTokenFactory.deploy("Stablecoin", "CUSD");
+    await stablecoin.deployed();
+
+    feeToken = await TestTokenFactory.deploy("Fee Token", "FEE");
+    await feeToken.deployed();
+
+    dataSource = await DataSourceFactory.deploy(feeToken.address, parseEther("1"));
+    await dataSource.deployed();
+
+    oracle = await OracleFactory.deploy(accessController.address, dataSource.address);
+    await oracle.deployed();
+
+    protocolSettings = await ProtocolSettingsFactory.deploy(accessController.address);
+    await protocolSettings.deployed();
+
+    const userSettings = await UserSettingsFactory.deploy(protocolSettings.address);
+    await userSettings.deployed();
+
+    const circuitBreaker = await CircuitBreakerFactory.deploy(accessController.address);
+    await circuitBreaker.deployed();
+
+    // Use deployer as the Treasury.
+    feeDistributor = await FeeDistributorFactory.deploy(deployer.address, stablecoin.address, deployer.address, deployer.address);
+    await feeDistributor.deployed();
+
+    const syntheticAssetTokenImplementation = await SyntheticAssetTokenFactory.deploy();
+    await syntheticAssetTokenImplementation.deployed();
+
+    const syntheticAssetTokenBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, syntheticAssetTokenImplementation.address);
+    await syntheticAssetTokenBeacon.deployed();
+
+    const orderbookImplementation = await OrderbookFactory.deploy();
+    await orderbookImplementation.deployed();
+
+    const orderbookBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, orderbookImplementation.address);
+    await orderbookBeacon.deployed();
+
+    syntheticAssetTokenFactory = await SyntheticAssetTokenFactoryFactory.deploy(accessController.address, syntheticAssetTokenBeacon.address, oracle.address, feeDistributor.address, protocolSettings.address, circuitBreaker.address, stablecoin.address);
+    await syntheticAssetTokenFactory.deployed();
+
+    orderbookFactory = await OrderbookFactoryFactory.deploy(accessController.address, orderbookBeacon.address, oracle.address, protocolSettings.address, userSettings.address, circuitBreaker.address, stablecoin.address);
+    await orderbookFactory.deployed();
+
+    let tx = await dataSource.setLatestPrice(dataFeed, parseEther("2"));
+    await tx.wait();
+
+    let tx2 = await feeToken.transfer(otherUser.address, parseEther("1000"));
+    await tx2.wait();
+  });
+
+  beforeEach(async () => {
+    // The Router and the registry reference each other, so the registry's address is computed before it is deployed.
+    const registryAddress = ethers.utils.getContractAddress({ from: deployer.address, nonce: (await deployer.getTransactionCount()) + 1 });
+
+    const RouterFactory = await ethers.getContractFactory("Router");
+    router = await RouterFactory.deploy(accessController.address, orderbookFactory.address, registryAddress, oracle.address, protocolSettings.address, stablecoin.address, deployer.address, feeDistributor.address);
+    await router.deployed();
+
+    registry = await RegistryFactory.deploy(accessController.address, syntheticAssetTokenFactory.address, router.address, protocolSettings.address);
+    await registry.deployed();
+
+    let tx = await syntheticAssetTokenFactory.initializeContract(registry.address);
+    await tx.wait();
+
+    let tx2 = await orderbookFactory.initializeContract(router.address);
+    await tx2.wait();
+
+    let tx3 = await registry.createSyntheticAssetToken(dataFeed, parseEther("1000"), "Synthetic Asset", "SYNTH");
+    await tx3.wait();
+
+    syntheticAssetToken = SyntheticAssetTokenFactory.attach(await registry.indexToAsset(1));
+
+    const orderbooks = await router.getOrderbookAddresses(syntheticAssetToken.address);
+    buyOrderbook = OrderbookFactory.attach(orderbooks[0]);
+    sellOrderbook = OrderbookFactory.attach(orderbooks[1]);
+  });
+
+  describe("#delistSyntheticAsset", () => {
+    it("onlyOperator", async () => {
+        let tx = registry.connect(otherUser).delistSyntheticAsset(syntheticAssetToken.address);
+        await expect(tx).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("asset not found", async () => {
+        let tx = registry.delistSyntheticAsset(otherUser.address);
+        await expect(tx).to.be.revertedWith("SyntheticAssetTokenRegistry: Asset not found.");
+    });
+
+    it("asset has already been delisted", async () => {
+        let tx = await registry.delistSyntheticAsset(syntheticAssetToken.address);
+        await tx.wait();
+
+        let tx2 = registry.delistSyntheticAsset(syntheticAssetToken.address);
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Asset has already been settled.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await stablecoin.approve(syntheticAssetToken.address, parseEther("1000"));
+        await tx.wait();
+
+        let tx2 = await feeToken.approve(syntheticAssetToken.address, parseEther("1000"));
+        await tx2.wait();
+
+        let tx3 = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx3.wait();
+
+        let tx4 = await syntheticAssetToken.transfer(otherUser.address, parseEther("40"));
+        await tx4.wait();
+
+        // Leave an open order in each orderbook.
+        let tx5 = await syntheticAssetToken.connect(otherUser).approve(sellOrderbook.address, parseEther("10"));
+        await tx5.wait();
+
+        // Sell orders are valued at the oracle price, which orderbooks query by the token's address.
+        let tx6 = await dataSource.setLatestPrice(syntheticAssetToken.address, parseEther("2"));
+        await tx6.wait();
+
+        let tx7 = await feeToken.connect(otherUser).approve(sellOrderbook.address, parseEther("10"));
+        await tx7.wait();
+
+        let tx8 = await sellOrderbook.connect(otherUser).placeOrder(false, parseEther("10"), 0, 0, 0);
+        await tx8.wait();
+
+        let tx9 = await stablecoin.approve(buyOrderbook.address, parseEther("50"));
+        await tx9.wait();
+
+        let tx10 = await buyOrderbook.placeOrder(true, parseEther("50"), 0, 0, 0);
+        await tx10.wait();
+
+        // The price rises above what the reserve can cover, so holders split the reserve instead.
+        let tx11 = await dataSource.setLatestPrice(dataFeed, parseEther("2.2"));
+        await tx11.wait();
+
+        let tx12 = await syntheticAssetToken.updateCollateralizationStatus();
+        await tx12.wait();
+
+        let tx13 = await registry.delistSyntheticAsset(syntheticAssetToken.address);
+        await expect(tx13).to.emit(registry, "DelistedSyntheticAsset").withArgs(syntheticAssetToken.address, parseEther("2.2"));
+
+        const settlementInfo = await registry.getSettlementInfo(0, syntheticAssetToken.address);
+        expect(settlementInfo[0]).to.be.true;
+        expect(settlementInfo[1]).to.equal(parseEther("2.2"));
+        expect(settlementInfo[2]).to.equal(parseEther("2"));
+
+        const settlementInfoByIndex = await registry.getSettlementInfo(1, ethers.constants.AddressZero);
+        expect(settlementInfoByIndex[0]).to.be.true;
+
+        const mintingStatus = await registry.getMintingStatus(1, ethers.constants.AddressZero);
+        expect(mintingStatus).to.be.false;
+
+        const redemptionStatus = await registry.getRedemptionStatus(1, ethers.constants.AddressZero);
+        expect(redemptionStatus).to.be.false;
+
+        const buyOrderbookIsSettled = await buyOrderbook.isSettled();
+        expect(buyOrderbookIsSettled).to.be.true;
+
+        const sellOrderbookIsSettled = await sellOrderbook.isSettled();
+        expect(sellOrderbookIsSettled).to.be.true;
+
+        let tx14 = syntheticAssetToken.mintTokens(parseEther("1"));
+        await expect(tx14).to.be.revertedWith("SyntheticAssetToken: Minting is disabled.");
+
+        let tx15 = syntheticAssetToken.redeemTokens(parseEther("1"));
+        await expect(tx15).to.be.revertedWith("SyntheticAssetToken: Redemption is disabled.");
+
+        let tx16 = registry.toggleMintingStatus(syntheticAssetToken.address, true);
+        await expect(tx16).to.be.revertedWith("SyntheticAssetToken: Asset has been settled.");
+
+        let tx17 = router.pauseTrading(syntheticAssetToken.address, false);
+        await expect(tx17).to.be.revertedWith("Orderbook: Orderbook has been settled.");
+
+        // Refund the open orders.
+        const initialStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+
+        let tx18 = await sellOrderbook.refundOrders(10);
+        await tx18.wait();
+
+        let tx19 = await buyOrderbook.refundOrders(10);
+        await tx19.wait();
+
+        const otherUserTokenBalance = await syntheticAssetToken.balanceOf(otherUser.address);
+        expect(otherUserTokenBalance).to.equal(parseEther("40"));
+
+        const stablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(stablecoinBalance).to.equal(initialStablecoinBalance.add(parseEther("50")));
+
+        // Every holder redeems their tokens against the reserve.
+        const initialOtherUserStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+
+        let tx20 = await syntheticAssetToken.connect(otherUser).redeemSettledTokens(parseEther("40"));
+        await tx20.wait();
+
+        let tx21 = await syntheticAssetToken.redeemSettledTokens(parseEther("60"));
+        await tx21.wait();
+
+        const otherUserStablecoinBalance = await stablecoin.balanceOf(otherUser.address);
+        expect(otherUserStablecoinBalance).to.equal(initialOtherUserStablecoinBalance.add(parseEther("80")));
+
+        const finalStablecoinBalance = await stablecoin.balanceOf(deployer.address);
+        expect(finalStablecoinBalance).to.equal(stablecoinBalance.add(parseEther("120")));
+
+        const collateralReserve = await syntheticAssetToken.collateralReserve();
+        expect(collateralReserve).to.equal(0);
+
+        const totalSupply = await syntheticAssetToken.totalSupply();
+        expect(totalSupply).to.equal(0);
+    });
+  });
+
+  describe("#getAssets", () => {
+    beforeEach(async () => {
+        let tx = await registry.createSyntheticAssetToken(otherUser.address, parseEther("500"), "Other Asset", "OTHER");
+        await tx.wait();
+    });
+
+    it("out of bounds", async () => {
+        const assets = await registry.getAssets(0, 10);
+        expect(assets.length).to.equal(0);
+
+        const assets2 = await registry.getAssets(3, 10);
+        expect(assets2.length).to.equal(0);
+    });
+
+    it("meets requirements", async () => {
+        let tx = await router.pauseTrading(syntheticAssetToken.address, true);
+        await tx.wait();
+
+        const assets = await registry.getAssets(1, 10);
+        expect(assets.length).to.equal(2);
+
+        expect(assets[0].index).to.equal(1);
+        expect(assets[0].syntheticAsset).to.equal(syntheticAssetToken.address);
+        expect(assets[0].dataFeed).to.equal(dataFeed);
+        expect(assets[0].name).to.equal("Synthetic Asset");
+        expect(assets[0].symbol).to.equal("SYNTH");
+        expect(assets[0].totalSupply).to.equal(0);
+        expect(assets[0].maxSupply).to.equal(parseEther("1000"));
+        expect(assets[0].mintingIsEnabled).to.be.true;
+        expect(assets[0].redemptionIsEnabled).to.be.true;
+        expect(assets[0].isSettled).to.be.false;
+        expect(assets[0].buyOrderbook).to.equal(buyOrderbook.address);
+        expect(assets[0].sellOrderbook).to.equal(sellOrderbook.address);
+        expect(assets[0].tradingIsPaused).to.be.true;
+        expect(assets[0].lastPrice).to.equal(0);
+
+        expect(assets[1].index).to.equal(2);
+        expect(assets[1].dataFeed).to.equal(otherUser.address);
+        expect(assets[1].symbol).to.equal("OTHER");
+        expect(assets[1].maxSupply).to.equal(parseEther("500"));
+        expect(assets[1].tradingIsPaused).to.be.false;
+
+        const firstPage = await registry.getAssets(1, 1);
+        expect(firstPage.length).to.equal(1);
+        expect(firstPage[0].index).to.equal(1);
+
+        const secondPage = await registry.getAssets(2, 1);
+        expect(secondPage.length).to.equal(1);
+        expect(secondPage[0].index).to.equal(2);
+    });
+  });
+
+  describe("#getPortfolio", () => {
+    it("meets requirements", async () => {
+        let tx = await registry.createSyntheticAssetToken(otherUser.address, parseEther("500"), "Other Asset", "OTHER");
+        await tx.wait();
+
+        let tx2 = await stablecoin.approve(syntheticAssetToken.address, parseEther("1000"));
+        await tx2.wait();
+
+        let tx3 = await feeToken.approve(syntheticAssetToken.address, parseEther("1000"));
+        await tx3.wait();
+
+        let tx4 = await syntheticAssetToken.mintTokens(parseEther("100"));
+        await tx4.wait();
+
+        let tx5 = await syntheticAssetToken.transfer(otherUser.address, parseEther("40"));
+        await tx5.wait();
+
+        let tx6 = await stablecoin.approve(buyOrderbook.address, parseEther("100"));
+        await tx6.wait();
+
+        let tx7 = await buyOrderbook.placeOrder(true, parseEther("100"), 0, 0, 0);
+        await tx7.wait();
+
+        // Orderbooks query the oracle by the token's address, and sell orders are valued at the oracle price.
+        let tx8 = await dataSource.setLatestPrice(syntheticAssetToken.address, parseEther("2"));
+        await tx8.wait();
+
+        let tx9 = await feeToken.approve(sellOrderbook.address, parseEther("10"));
+        await tx9.wait();
+
+        let tx10 = await syntheticAssetToken.approve(sellOrderbook.address, parseEther("10"));
+        await tx10.wait();
+
+        let tx11 = await sellOrderbook.placeOrder(false, parseEther("10"), 0, 0, 0);
+        await tx11.wait();
+
+        // Partially fill the deployer's buy order.
+        let tx12 = await syntheticAssetToken.connect(otherUser).approve(buyOrderbook.address, parseEther("40"));
+        await tx12.wait();
+
+        let tx13 = await feeToken.connect(otherUser).approve(buyOrderbook.address, parseEther("10"));
+        await tx13.wait();
+
+        let tx14 = await buyOrderbook.connect(otherUser).placeOrder(false, parseEther("60"), 0, 0, 0);
+        await tx14.wait();
+
+        const portfolio = await registry.getPortfolio(deployer.address, 1, 10);
+        expect(portfolio.length).to.equal(2);
+
+        expect(portfolio[0].syntheticAsset).to.equal(syntheticAssetToken.address);
+        expect(portfolio[0].balance).to.equal(parseEther("50"));
+        expect(portfolio[0].numberOfBuyOrders).to.equal(1);
+        expect(portfolio[0].numberOfSellOrders).to.equal(1);
+        expect(portfolio[0].pendingStablecoin).to.equal(parseEther("40"));
+        expect(portfolio[0].pendingTokens).to.equal(parseEther("10"));
+        expect(portfolio[0].claimableTokens).to.equal(parseEther("30"));
+        expect(portfolio[0].claimableStablecoin).to.equal(0);
+
+        expect(portfolio[1].balance).to.equal(0);
+        expect(portfolio[1].numberOfBuyOrders).to.equal(0);
+        expect(portfolio[1].pendingStablecoin).to.equal(0);
+
+        const otherPortfolio = await registry.getPortfolio(otherUser.address, 1, 1);
+        expect(otherPortfolio.length).to.equal(1);
+        expect(otherPortfolio[0].balance).to.equal(parseEther("10"));
+    });
+  });
+
+  describe("#setTradingFeeOverride", () => {
+    it("onlyFeeManager", async () => {
+        let tx = registry.connect(otherUser).setTradingFeeOverride(syntheticAssetToken.address, true, 50, 20);
+        await expect(tx).to.be.revertedWith("AccessControlled: Caller doesn't have the required role.");
+    });
+
+    it("asset not found", async () => {
+        let tx = registry.setTradingFeeOverride(otherUser.address, true, 50, 20);
+        await expect(tx).to.be.revertedWith("SyntheticAssetTokenRegistry: Asset not found.");
+    });
+
+    it("trading fee is too far from the protocol-wide fee", async () => {
+        // The protocol-wide fees are 0, and each fee can move by at most 50 in a single change.
+        let tx = registry.setTradingFeeOverride(syntheticAssetToken.address, true, 51, 20);
+        await expect(tx).to.be.revertedWith("SyntheticAssetTokenRegistry: Trading fee is too far from the protocol-wide fee.");
+
+        let tx2 = registry.setTradingFeeOverride(syntheticAssetToken.address, true, 50, 9999);
+        await expect(tx2).to.be.revertedWith("SyntheticAssetTokenRegistry: Trading fee is too far from the protocol-wide fee.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await registry.setTradingFeeOverride(syntheticAssetToken.address, true, 50, 20);
+        await expect(tx).to.emit(registry, "SetTradingFeeOverride").withArgs(syntheticAssetToken.address, true, 50, 20);
+
+        const fees = await router.getTradingFees(syntheticAssetToken.address);
+        expect(fees[0]).to.equal(50);
+        expect(fees[1]).to.equal(20);
+
+        // Disabling the override switches back to the protocol-wide fees.
+        let tx2 = await registry.setTradingFeeOverride(syntheticAssetToken.address, false, 0, 0);
+        await tx2.wait();
+
+        const newFees = await router.getTradingFees(syntheticAssetToken.address);
+        expect(newFees[0]).to.equal(0);
+        expect(newFees[1]).to.equal(0);
+    });
+  });
+
+  describe("#redeemSettledTokens", () => {
+    it("asset has not been settled", async () => {
+        let tx = syntheticAssetToken.redeemSettledTokens(parseEther("1"));
+        await expect(tx).to.be.revertedWith("SyntheticAssetToken: Asset has not been settled.");
+    });
+
+    it("number of tokens is out of bounds", async () => {
+        let tx = await registry.delistSyntheticAsset(syntheticAssetToken.address);
+        await tx.wait();
+
+        let tx2 = syntheticAssetToken.redeemSettledTokens(parseEther("1"));
+        await expect(tx2).to.be.revertedWith("SyntheticAssetToken: Number of tokens is out of bounds.");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("Treasury", () => {
+  let deployer;
+  let otherUser;
+
+  let treasury;
+  let TreasuryFactory;
+  let token;
+  let TokenFactory;
+
+  const DELAY = 86400 * 2;
+  const GRACE_PERIOD = 86400 * 14;
+
+  let signature;
+  let data;
+  let eta;
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+
+    TreasuryFactory = await ethers.getContractFactory('Treasury');
+    TokenFactory = await ethers.getContractFactory('TestTokenERC20');
+  });
+
+  beforeEach(async () => {
+    treasury = await TreasuryFactory.deploy(deployer.address, DELAY);
+    await treasury.deployed();
+
+    token = await TokenFactory.deploy("Test Token", "TEST");
+    await token.deployed();
+
+    let tx = await token.transfer(treasury.address, parseEther("100"));
+    await tx.wait();
+
+    const latestBlock = await ethers.provider.getBlock("latest");
+    eta = latestBlock.timestamp + DELAY + 60;
+    signature = "transfer(address,uint256)";
+    data = ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [otherUser.address, parseEther("10")]);
+  });
+
+  describe("#constructor", () => {
+    it("delay out of bounds", async () => {
+        let tx = TreasuryFactory.deploy(deployer.address, DELAY - 1);
+        await expect(tx).to.be.revertedWith("Treasury: Delay must exceed minimum delay.");
+
+        let tx2 = TreasuryFactory.deploy(deployer.address, 86400 * 30 + 1);
+        await expect(tx2).to.be.revertedWith("Treasury: Delay must not exceed maximum delay.");
+    });
+  });
+
+  describe("#queueTransaction", () => {
+    it("only admin", async () => {
+        let tx = treasury.connect(otherUser).queueTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.be.revertedWith("Treasury: Call must come from admin.");
+    });
+
+    it("eta doesn't satisfy delay", async () => {
+        let tx = treasury.queueTransaction(token.address, 0, signature, data, eta - 120);
+        await expect(tx).to.be.revertedWith("Treasury: Estimated execution block must satisfy delay.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await treasury.queueTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.emit(treasury, "QueueTransaction");
+
+        const txHash = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["address", "uint256", "string", "bytes", "uint256"], [token.address, 0, signature, data, eta]));
+        const isQueued = await treasury.queuedTransactions(txHash);
+        expect(isQueued).to.be.true;
+    });
+  });
+
+  describe("#executeTransaction", () => {
+    beforeEach(async () => {
+        let tx = await treasury.queueTransaction(token.address, 0, signature, data, eta);
+        await tx.wait();
+    });
+
+    it("only admin", async () => {
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx = treasury.connect(otherUser).executeTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.be.revertedWith("Treasury: Call must come from admin.");
+    });
+
+    it("transaction hasn't been queued", async () => {
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx = treasury.executeTransaction(token.address, 0, signature, data, eta + 1);
+        await expect(tx).to.be.revertedWith("Treasury: Transaction hasn't been queued.");
+    });
+
+    it("transaction hasn't surpassed time lock", async () => {
+        let tx = treasury.executeTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.be.revertedWith("Treasury: Transaction hasn't surpassed time lock.");
+    });
+
+    it("transaction is stale", async () => {
+        await network.provider.send("evm_increaseTime", [DELAY + 60 + GRACE_PERIOD + 1]);
+        await network.provider.send("evm_mine");
+
+        let tx = treasury.executeTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.be.revertedWith("Treasury: Transaction is stale.");
+    });
+
+    it("transaction execution reverted", async () => {
+        const invalidData = ethers.utils.defaultAbiCoder.encode(["address", "uint256"], [otherUser.address, parseEther("1000")]);
+        let tx = await treasury.queueTransaction(token.address, 0, signature, invalidData, eta);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx2 = treasury.executeTransaction(token.address, 0, signature, invalidData, eta);
+        await expect(tx2).to.be.revertedWith("Treasury: Transaction execution reverted.");
+    });
+
+    it("meets requirements", async () => {
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx = await treasury.executeTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.emit(treasury, "ExecuteTransaction");
+
+        const balance = await token.balanceOf(otherUser.address);
+        expect(balance).to.equal(parseEther("10"));
+
+        const treasuryBalance = await token.balanceOf(treasury.address);
+        expect(treasuryBalance).to.equal(parseEther("90"));
+
+        // Executed transactions are removed from the queue.
+        let tx2 = treasury.executeTransaction(token.address, 0, signature, data, eta);
+        await expect(tx2).to.be.revertedWith("Treasury: Transaction hasn't been queued.");
+    });
+  });
+
+  describe("#cancelTransaction", () => {
+    it("only admin", async () => {
+        let tx = treasury.connect(otherUser).cancelTransaction(token.address, 0, signature, data, eta);
+        await expect(tx).to.be.revertedWith("Treasury: Call must come from admin.");
+    });
+
+    it("meets requirements", async () => {
+        let tx = await treasury.queueTransaction(token.address, 0, signature, data, eta);
+        await tx.wait();
+
+        let tx2 = await treasury.cancelTransaction(token.address, 0, signature, data, eta);
+        await expect(tx2).to.emit(treasury, "CancelTransaction");
+
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx3 = treasury.executeTransaction(token.address, 0, signature, data, eta);
+        await expect(tx3).to.be.revertedWith("Treasury: Transaction hasn't been queued.");
+    });
+  });
+
+  describe("#setDelay", () => {
+    it("only Treasury", async () => {
+        let tx = treasury.setDelay(DELAY * 2);
+        await expect(tx).to.be.revertedWith("Treasury: Call must come from Treasury.");
+    });
+
+    it("through the timelock", async () => {
+        const delayData = ethers.utils.defaultAbiCoder.encode(["uint256"], [DELAY * 2]);
+
+        let tx = await treasury.queueTransaction(treasury.address, 0, "setDelay(uint256)", delayData, eta);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx2 = await treasury.executeTransaction(treasury.address, 0, "setDelay(uint256)", delayData, eta);
+        await expect(tx2).to.emit(treasury, "NewDelay").withArgs(DELAY * 2);
+
+        const delay = await treasury.delay();
+        expect(delay).to.equal(DELAY * 2);
+    });
+  });
+
+  describe("#setPendingAdmin", () => {
+    it("only Treasury", async () => {
+        let tx = treasury.setPendingAdmin(otherUser.address);
+        await expect(tx).to.be.revertedWith("Treasury: Call must come from Treasury.");
+    });
+
+    it("through the timelock, then accepted", async () => {
+        const adminData = ethers.utils.defaultAbiCoder.encode(["address"], [otherUser.address]);
+
+        let tx = await treasury.queueTransaction(treasury.address, 0, "setPendingAdmin(address)", adminData, eta);
+        await tx.wait();
+
+        await network.provider.send("evm_increaseTime", [DELAY + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx2 = await treasury.executeTransaction(treasury.address, 0, "setPendingAdmin(address)", adminData, eta);
+        await tx2.wait();
+
+        let tx3 = treasury.acceptAdmin();
+        await expect(tx3).to.be.revertedWith("Treasury: Call must come from pendingAdmin.");
+
+        let tx4 = await treasury.connect(otherUser).acceptAdmin();
+        await expect(tx4).to.emit(treasury, "NewAdmin").withArgs(otherUser.address);
+
+        const admin = await treasury.admin();
+        expect(admin).to.equal(otherUser.address);
+
+        const pendingAdmin = await treasury.pendingAdmin();
+        expect(pendingAdmin).to.equal(ethers.constants.AddressZero);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,345 @@
+const { expect } = require("chai");
+const { parseEther } = require("@ethersproject/units");
+
+describe("UpgradeableBeacon", () => {
+  let deployer;
+  let otherUser;
+  let oracle;
+  let protocolSettings;
+  let userSettings;
+  let circuitBreaker;
+  let feeDistributor;
+  let stablecoin;
+  let syntheticAsset;
+
+  let accessController;
+  let AccessControllerFactory;
+
+  let UpgradeableBeaconFactory;
+
+  let orderbookImplementation;
+  let orderbookBeacon;
+  let orderbookFactory;
+  let OrderbookFactory;
+  let TestOrderbookV2Factory;
+
+  let syntheticAssetTokenImplementation;
+  let syntheticAssetTokenBeacon;
+  let syntheticAssetTokenFactory;
+  let SyntheticAssetTokenFactory;
+  let TestSyntheticAssetTokenV2Factory;
+
+  // Reads the given number of storage slots, starting from slot 0.
+  const readStorage = async (address, numberOfSlots) => {
+    let slots = [];
+    for (let i = 0; i < numberOfSlots; i++) {
+      slots.push(await ethers.provider.getStorageAt(address, i));
+    }
+
+    return slots;
+  };
+
+  before(async () => {
+    const signers = await ethers.getSigners();
+    deployer = signers[0];
+    otherUser = signers[1];
+
+    // The contracts only store these addresses when initialized, so any address works.
+    oracle = signers[2].address;
+    protocolSettings = signers[3].address;
+    userSettings = signers[4].address;
+    circuitBreaker = signers[5].address;
+    feeDistributor = signers[6].address;
+    stablecoin = signers[7].address;
+    syntheticAsset = signers[8].address;
+
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
+    UpgradeableBeaconFactory = await ethers.getContractFactory('UpgradeableBeacon');
+    OrderbookFactory = await ethers.getContractFactory('Orderbook');
+    TestOrderbookV2Factory = await ethers.getContractFactory('TestOrderbookV2');
+    SyntheticAssetTokenFactory = await ethers.getContractFactory('SyntheticAssetToken');
+    TestSyntheticAssetTokenV2Factory = await ethers.getContractFactory('TestSyntheticAssetTokenV2');
+
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    orderbookImplementation = await OrderbookFactory.deploy();
+    await orderbookImplementation.deployed();
+
+    syntheticAssetTokenImplementation = await SyntheticAssetTokenFactory.deploy();
+    await syntheticAssetTokenImplementation.deployed();
+  });
+
+  beforeEach(async () => {
+    // Use deployer as the Treasury.
+    orderbookBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, orderbookImplementation.address);
+    await orderbookBeacon.deployed();
+
+    syntheticAssetTokenBeacon = await UpgradeableBeaconFactory.deploy(deployer.address, syntheticAssetTokenImplementation.address);
+    await syntheticAssetTokenBeacon.deployed();
+
+    const OrderbookFactoryFactory = await ethers.getContractFactory('OrderbookFactory');
+    orderbookFactory = await OrderbookFactoryFactory.deploy(accessController.address, orderbookBeacon.address, oracle, protocolSettings, userSettings, circuitBreaker, stablecoin);
+    await orderbookFactory.deployed();
+
+    const SyntheticAssetTokenFactoryFactory = await ethers.getContractFactory('SyntheticAssetTokenFactory');
+    syntheticAssetTokenFactory = await SyntheticAssetTokenFactoryFactory.deploy(accessController.address, syntheticAssetTokenBeacon.address, oracle, feeDistributor, protocolSettings, circuitBreaker, stablecoin);
+    await syntheticAssetTokenFactory.deployed();
+
+    // Use deployer as the Router and the SyntheticAssetTokenRegistry.
+    let tx = await orderbookFactory.initializeContract(deployer.address);
+    await tx.wait();
+
+    let tx2 = await syntheticAssetTokenFactory.initializeContract(deployer.address);
+    await tx2.wait();
+  });
+
+  describe("#upgradeTo", () => {
+    it("onlyTreasury", async () => {
+        let newImplementation = await TestOrderbookV2Factory.deploy();
+        await newImplementation.deployed();
+
+        let tx = orderbookBeacon.connect(otherUser).upgradeTo(newImplementation.address);
+        await expect(tx).to.be.revertedWith("UpgradeableBeacon: Only the Treasury can call this function.");
+
+        const implementation = await orderbookBeacon.implementation();
+        expect(implementation).to.equal(orderbookImplementation.address);
+    });
+
+    it("through the Treasury timelock", async () => {
+        const TreasuryFactory = await ethers.getContractFactory("Treasury");
+        const treasury = await TreasuryFactory.deploy(deployer.address, 86400 * 2);
+        await treasury.deployed();
+
+        const timelockedBeacon = await UpgradeableBeaconFactory.deploy(treasury.address, orderbookImplementation.address);
+        await timelockedBeacon.deployed();
+
+        let newImplementation = await TestOrderbookV2Factory.deploy();
+        await newImplementation.deployed();
+
+        // The admin can't upgrade without going through the timelock.
+        const hasAdminRole = await accessController.hasRole(0, deployer.address);
+        expect(hasAdminRole).to.be.true;
+
+        let tx = timelockedBeacon.upgradeTo(newImplementation.address);
+        await expect(tx).to.be.revertedWith("UpgradeableBeacon: Only the Treasury can call this function.");
+
+        const latestBlock = await ethers.provider.getBlock("latest");
+        const eta = latestBlock.timestamp + 86400 * 2 + 60;
+        const data = ethers.utils.defaultAbiCoder.encode(["address"], [newImplementation.address]);
+
+        let tx2 = await treasury.queueTransaction(timelockedBeacon.address, 0, "upgradeTo(address)", data, eta);
+        await tx2.wait();
+
+        await network.provider.send("evm_increaseTime", [86400 * 2 + 60]);
+        await network.provider.send("evm_mine");
+
+        let tx3 = await treasury.executeTransaction(timelockedBeacon.address, 0, "upgradeTo(address)", data, eta);
+        await tx3.wait();
+
+        const implementation = await timelockedBeacon.implementation();
+        expect(implementation).to.equal(newImplementation.address);
+    });
+
+    it("implementation is not a contract", async () => {
+        let tx = orderbookBeacon.upgradeTo(otherUser.address);
+        await expect(tx).to.be.revertedWith("UpgradeableBeacon: Implementation is not a contract.");
+    });
+
+    it("meets requirements", async () => {
+        let newImplementation = await TestOrderbookV2Factory.deploy();
+        await newImplementation.deployed();
+
+        let tx = await orderbookBeacon.upgradeTo(newImplementation.address);
+        await tx.wait();
+
+        const implementation = await orderbookBeacon.implementation();
+        expect(implementation).to.equal(newImplementation.address);
+    });
+  });
+
+  describe("Orderbook", () => {
+    let orderbook;
+    let sellOrderbook;
+
+    beforeEach(async () => {
+        let tx = await orderbookFactory.createOrderbook(syntheticAsset, true);
+        let receipt = await tx.wait();
+        let address = receipt.events.find((e) => e.event == "CreatedOrderbook").args.orderbook;
+        orderbook = OrderbookFactory.attach(address);
+
+        let tx2 = await orderbookFactory.createOrderbook(syntheticAsset, false);
+        let receipt2 = await tx2.wait();
+        let address2 = receipt2.events.find((e) => e.event == "CreatedOrderbook").args.orderbook;
+        sellOrderbook = OrderbookFactory.attach(address2);
+    });
+
+    it("initialized by the factory", async () => {
+        const router = await orderbook.router();
+        expect(router).to.equal(deployer.address);
+
+        const stablecoinAddress = await orderbook.stablecoin();
+        expect(stablecoinAddress).to.equal(stablecoin);
+
+        const syntheticAssetAddress = await orderbook.syntheticAsset();
+        expect(syntheticAssetAddress).to.equal(syntheticAsset);
+
+        const representsBuyOrders = await orderbook.representsBuyOrders();
+        expect(representsBuyOrders).to.be.true;
+
+        const sellRepresentsBuyOrders = await sellOrderbook.representsBuyOrders();
+        expect(sellRepresentsBuyOrders).to.be.false;
+    });
+
+    it("cannot be initialized twice", async () => {
+        let tx = orderbook.initialize(otherUser.address, oracle, protocolSettings, userSettings, circuitBreaker, stablecoin, syntheticAsset, true);
+        await expect(tx).to.be.revertedWith("Initializable: contract is already initialized");
+
+        let tx2 = orderbookImplementation.initialize(otherUser.address, oracle, protocolSettings, userSettings, circuitBreaker, stablecoin, syntheticAsset, true);
+        await expect(tx2).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("upgrades every orderbook and keeps the storage layout", async () => {
+        let tx = await orderbook.pauseTrading(true);
+        await tx.wait();
+
+        const initialStorage = await readStorage(orderbook.address, 20);
+        const initialSellStorage = await readStorage(sellOrderbook.address, 20);
+
+        let newImplementation = await TestOrderbookV2Factory.deploy();
+        await newImplementation.deployed();
+
+        let tx2 = await orderbookBeacon.upgradeTo(newImplementation.address);
+        await tx2.wait();
+
+        const newStorage = await readStorage(orderbook.address, 20);
+        expect(newStorage).to.deep.equal(initialStorage);
+
+        const newSellStorage = await readStorage(sellOrderbook.address, 20);
+        expect(newSellStorage).to.deep.equal(initialSellStorage);
+
+        const upgradedOrderbook = TestOrderbookV2Factory.attach(orderbook.address);
+        const upgradedSellOrderbook = TestOrderbookV2Factory.attach(sellOrderbook.address);
+
+        const version = await upgradedOrderbook.version();
+        expect(version).to.equal(2);
+
+        const sellVersion = await upgradedSellOrderbook.version();
+        expect(sellVersion).to.equal(2);
+
+        const tradingIsPaused = await upgradedOrderbook.tradingIsPaused();
+        expect(tradingIsPaused).to.be.true;
+
+        const router = await upgradedOrderbook.router();
+        expect(router).to.equal(deployer.address);
+
+        // New state variables are appended after the existing ones.
+        let tx3 = await upgradedOrderbook.setNewVariable(42);
+        await tx3.wait();
+
+        const newVariable = await upgradedOrderbook.newVariable();
+        expect(newVariable).to.equal(42);
+
+        const storageAfterWrite = await readStorage(orderbook.address, 20);
+        const changedSlots = storageAfterWrite.filter((slot, i) => slot != initialStorage[i]);
+        expect(changedSlots.length).to.equal(1);
+        expect(ethers.BigNumber.from(changedSlots[0])).to.equal(42);
+        expect(storageAfterWrite.indexOf(changedSlots[0])).to.be.above(initialStorage.map((slot) => slot != ethers.constants.HashZero).lastIndexOf(true));
+    });
+  });
+
+  describe("SyntheticAssetToken", () => {
+    let syntheticAssetToken;
+
+    beforeEach(async () => {
+        // The factory's event doesn't include the token's address, so read the return value first.
+        const address = await syntheticAssetTokenFactory.callStatic.createSyntheticAssetToken(syntheticAsset, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        syntheticAssetToken = SyntheticAssetTokenFactory.attach(address);
+
+        let tx = await syntheticAssetTokenFactory.createSyntheticAssetToken(syntheticAsset, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await tx.wait();
+    });
+
+    it("onlyRegistry", async () => {
+        let tx = syntheticAssetTokenFactory.connect(otherUser).createSyntheticAssetToken(syntheticAsset, parseEther("1000"), "Synthetic Asset", "SYNTH");
+        await expect(tx).to.be.revertedWith("SyntheticAssetTokenFactory: Only the SyntheticAssetTokenRegistry contract can call this function.");
+    });
+
+    it("initialized by the factory", async () => {
+        const name = await syntheticAssetToken.name();
+        expect(name).to.equal("Synthetic Asset");
+
+        const symbol = await syntheticAssetToken.symbol();
+        expect(symbol).to.equal("SYNTH");
+
+        const maxSupply = await syntheticAssetToken.maxSupply();
+        expect(maxSupply).to.equal(parseEther("1000"));
+
+        const registry = await syntheticAssetToken.registry();
+        expect(registry).to.equal(deployer.address);
+
+        const feeDistributorAddress = await syntheticAssetToken.feeDistributor();
+        expect(feeDistributorAddress).to.equal(feeDistributor);
+
+        const mintingIsEnabled = await syntheticAssetToken.mintingIsEnabled();
+        expect(mintingIsEnabled).to.be.true;
+    });
+
+    it("cannot be initialized twice", async () => {
+        let tx = syntheticAssetToken.initialize(otherUser.address, oracle, protocolSettings, circuitBreaker, feeDistributor, stablecoin, syntheticAsset, parseEther("1000"), "Other", "OTHER");
+        await expect(tx).to.be.revertedWith("Initializable: contract is already initialized");
+
+        let tx2 = syntheticAssetTokenImplementation.initialize(otherUser.address, oracle, protocolSettings, circuitBreaker, feeDistributor, stablecoin, syntheticAsset, parseEther("1000"), "Other", "OTHER");
+        await expect(tx2).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("upgrades every token and keeps the storage layout", async () => {
+        let tx = await syntheticAssetToken.increaseMaxSupply(parseEther("2000"));
+        await tx.wait();
+
+        let tx2 = await syntheticAssetToken.toggleRedemptionStatus(false);
+        await tx2.wait();
+
+        const initialStorage = await readStorage(syntheticAssetToken.address, 30);
+        const initialDomainSeparator = await syntheticAssetToken.DOMAIN_SEPARATOR();
+
+        let newImplementation = await TestSyntheticAssetTokenV2Factory.deploy();
+        await newImplementation.deployed();
+
+        let tx3 = await syntheticAssetTokenBeacon.upgradeTo(newImplementation.address);
+        await tx3.wait();
+
+        const newStorage = await readStorage(syntheticAssetToken.address, 30);
+        expect(newStorage).to.deep.equal(initialStorage);
+
+        const upgradedToken = TestSyntheticAssetTokenV2Factory.attach(syntheticAssetToken.address);
+
+        const version = await upgradedToken.version();
+        expect(version).to.equal(2);
+
+        const name = await upgradedToken.name();
+        expect(name).to.equal("Synthetic Asset");
+
+        const maxSupply = await upgradedToken.maxSupply();
+        expect(maxSupply).to.equal(parseEther("2000"));
+
+        const redemptionIsEnabled = await upgradedToken.redemptionIsEnabled();
+        expect(redemptionIsEnabled).to.be.false;
+
+        // Permit signatures stay valid, since the domain only depends on the token's name and address.
+        const domainSeparator = await upgradedToken.DOMAIN_SEPARATOR();
+        expect(domainSeparator).to.equal(initialDomainSeparator);
+
+        let tx4 = await upgradedToken.setNewVariable(42);
+        await tx4.wait();
+
+        const newVariable = await upgradedToken.newVariable();
+        expect(newVariable).to.equal(42);
+
+        const storageAfterWrite = await readStorage(syntheticAssetToken.address, 30);
+        const changedSlots = storageAfterWrite.filter((slot, i) => slot != initialStorage[i]);
+        expect(changedSlots.length).to.equal(1);
+        expect(storageAfterWrite.indexOf(changedSlots[0])).to.be.above(initialStorage.map((slot) => slot != ethers.constants.HashZero).lastIndexOf(true));
+    });
+  });
+});
\ No newline at end of file
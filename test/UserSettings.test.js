@@ -4,6 +4,9 @@ describe("UserSettings", () => {
   let deployer;
   let otherUser;
 
+  let accessController;
+  let AccessControllerFactory;
+
   let userSettings;
   let userSettingsAddress;
   let UserSettingsFactory;
@@ -17,10 +20,14 @@ describe("UserSettings", () => {
     deployer = signers[0];
     otherUser = signers[1];
 
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
     UserSettingsFactory = await ethers.getContractFactory('UserSettings');
     ProtocolSettingsFactory = await ethers.getContractFactory('ProtocolSettings');
 
-    protocolSettings = await ProtocolSettingsFactory.deploy();
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
+    protocolSettings = await ProtocolSettingsFactory.deploy(accessController.address);
     await protocolSettings.deployed();
     protocolSettingsAddress = protocolSettings.address;
   });
@@ -5,6 +5,9 @@ describe("VTEDataSource", () => {
   let deployer;
   let otherUser;
 
+  let accessController;
+  let AccessControllerFactory;
+
   let dataSource;
   let dataSourceAddress;
   let DataSourceFactory;
@@ -22,10 +25,14 @@ describe("VTEDataSource", () => {
     deployer = signers[0];
     otherUser = signers[1];
 
+    AccessControllerFactory = await ethers.getContractFactory('AccessController');
     DataSourceFactory = await ethers.getContractFactory('VTEDataSource');
     RegistryFactory = await ethers.getContractFactory('TestRegistry');
     TestTokenFactory = await ethers.getContractFactory('TestTokenERC20');
 
+    accessController = await AccessControllerFactory.deploy();
+    await accessController.deployed();
+
     testToken = await TestTokenFactory.deploy("Test Token", "TEST");
     await testToken.deployed();
     testTokenAddress = testToken.address;
@@ -36,17 +43,15 @@ describe("VTEDataSource", () => {
   });
 
   beforeEach(async () => {
-    dataSource = await DataSourceFactory.deploy(registryAddress);
+    dataSource = await DataSourceFactory.deploy(accessController.address, registryAddress);
     await dataSource.deployed();
     dataSourceAddress = dataSource.address;
   });
 
   describe("#getUsageFeeInfo", () => {
     it("returns fee token and usage fee", async () => {
-        const feeToken = await dataSource.getUsageFeeInfo(deployer.address)[0];
+        const [feeToken, usageFee] = await dataSource.getUsageFeeInfo(deployer.address);
         expect(feeToken).to.equal(testTokenAddress);
-
-        const usageFee = await dataSource.getUsageFeeInfo(deployer.address)[1];
         expect(usageFee).to.equal(parseEther("1"));
     });
   });
@@ -70,15 +75,17 @@ describe("VTEDataSource", () => {
         let tx2 = await testToken.approve(dataSourceAddress, parseEther("1"));
         await tx2.wait();
 
+        const price = await dataSource.callStatic.getLatestPrice(deployer.address);
+        expect(price).to.equal(parseEther("42"));
+
         let tx3 = await dataSource.getLatestPrice(deployer.address);
         await tx3.wait();
-        expect(tx3).to.equal(parseEther("42"));
 
         let newDeployerBalance = await testToken.balanceOf(deployer.address);
-        expect(newDeployerBalance).to.equal(initialDeployerBalance - parseEther("1"));
+        expect(newDeployerBalance).to.equal(initialDeployerBalance.sub(parseEther("1")));
 
         let newRegistryBalance = await testToken.balanceOf(registryAddress);
-        expect(newRegistryBalance).to.equal(initialRegistryBalance + parseEther("1"));
+        expect(newRegistryBalance).to.equal(initialRegistryBalance.add(parseEther("1")));
     });
   });
 });
\ No newline at end of file
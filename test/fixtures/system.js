@@ -0,0 +1,130 @@
+const { parseEther } = require("@ethersproject/units");
+
+// Stablecoin sent to each user when the system is deployed.
+const USER_BALANCE = parseEther("100000");
+
+// Number of signers, after the deployer, that are funded as users.
+const NUMBER_OF_USERS = 4;
+
+// Snapshot of the chain right after the system was deployed.
+let snapshot = null;
+let system = null;
+
+async function deploySystem() {
+  const signers = await ethers.getSigners();
+  const deployment = await hre.run("deploy-protocol", { silent: true });
+  const getContract = (name, contractName = name) => ethers.getContractAt(contractName, deployment.contracts[name].address);
+
+  const deployed = {
+    deployer: signers[0],
+    users: signers.slice(1, NUMBER_OF_USERS + 1),
+    deployment,
+    accessController: await getContract("AccessController"),
+    stablecoin: await getContract("Stablecoin", "TestTokenERC20"),
+    dataSource: await getContract("DataSource", "TestDataSource"),
+    oracle: await getContract("Oracle"),
+    protocolSettings: await getContract("ProtocolSettings"),
+    userSettings: await getContract("UserSettings"),
+    circuitBreaker: await getContract("CircuitBreaker"),
+    treasury: await getContract("Treasury"),
+    feeDistributor: await getContract("FeeDistributor"),
+    router: await getContract("Router"),
+    registry: await getContract("SyntheticAssetTokenRegistry"),
+  };
+
+  // Other test files point the oracle at their own data sources.
+  let tx = await deployed.oracle.setDataSource(deployed.dataSource.address);
+  await tx.wait();
+
+  for (const user of deployed.users) {
+    let tx2 = await deployed.stablecoin.transfer(user.address, USER_BALANCE);
+    await tx2.wait();
+  }
+
+  return deployed;
+}
+
+/**
+ * Returns the whole protocol, deployed with the deploy-protocol task against a TestTokenERC20 stablecoin and a TestDataSource.
+ * The first call deploys the system and takes a snapshot of the chain. Later calls revert to the snapshot,
+ * so each test starts from a freshly deployed system without redeploying it.
+ * @return { deployer, users, deployment } and a contract for each of the protocol's deployed contracts.
+ */
+async function loadSystem() {
+  // The snapshot is lost if another test file reverts to an earlier snapshot, in which case the system is redeployed.
+  if (snapshot === null || !(await ethers.provider.send("evm_revert", [snapshot]))) {
+    system = await deploySystem();
+  }
+
+  // Reverting consumes the snapshot.
+  snapshot = await ethers.provider.send("evm_snapshot", []);
+
+  return system;
+}
+
+/**
+ * Sets the price of the synthetic asset in the TestDataSource.
+ * Orderbooks query the oracle with the token's address and the token queries it with its data feed, so both are set.
+ */
+async function setPrice(system, asset, price) {
+  let tx = await system.dataSource.setLatestPrice(asset.dataFeed, price);
+  await tx.wait();
+
+  let tx2 = await system.dataSource.setLatestPrice(asset.syntheticAsset.address, price);
+  await tx2.wait();
+}
+
+/**
+ * Lists a synthetic asset on a random data feed and sets its price.
+ * @param options.price The asset's initial price.
+ * @param options.maxSupply The asset's max supply.
+ * @return { dataFeed, syntheticAsset, buyOrderbook, sellOrderbook }.
+ */
+async function listAsset(system, { price = parseEther("2"), maxSupply = parseEther("1000000") } = {}) {
+  const dataFeed = ethers.Wallet.createRandom().address;
+
+  let tx = await system.registry.createSyntheticAssetToken(dataFeed, maxSupply, "Synthetic Asset", "SYNTH");
+  let receipt = await tx.wait();
+
+  const address = receipt.events.find((e) => e.event === "CreatedSyntheticAssetToken").args.syntheticAssetAddress;
+  const [buyAddress, sellAddress] = await system.router.getOrderbookAddresses(address);
+
+  const asset = {
+    dataFeed,
+    syntheticAsset: await ethers.getContractAt("SyntheticAssetToken", address),
+    buyOrderbook: await ethers.getContractAt("Orderbook", buyAddress),
+    sellOrderbook: await ethers.getContractAt("Orderbook", sellAddress),
+  };
+
+  await setPrice(system, asset, price);
+
+  return asset;
+}
+
+/**
+ * Approves every contract of the asset to spend the user's stablecoin and tokens.
+ */
+async function approveAll(system, asset, user) {
+  const spenders = [asset.syntheticAsset.address, asset.buyOrderbook.address, asset.sellOrderbook.address, system.router.address];
+
+  for (const spender of spenders) {
+    let tx = await system.stablecoin.connect(user).approve(spender, ethers.constants.MaxUint256);
+    await tx.wait();
+
+    let tx2 = await asset.syntheticAsset.connect(user).approve(spender, ethers.constants.MaxUint256);
+    await tx2.wait();
+  }
+}
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+module.exports = {
+  loadSystem,
+  listAsset,
+  setPrice,
+  approveAll,
+  increaseTime,
+};
\ No newline at end of file